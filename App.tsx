@@ -1,6 +1,8 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { AppInventoryProvider } from './src/context/AppInventoryContext';
+import { BackgroundScanService } from './src/services/BackgroundScanService';
 
 // Import all your screens
 import Dashboard from './src/screens/Dashboard';
@@ -11,40 +13,73 @@ import SettingsScreen from './src/screens/SettingsScreen';
 import DataUsageScreen from './src/screens/DataUsageScreen';
 import PermissionManagerScreen from './src/screens/PermissionManagerScreen';
 import SecurityAlertsScreen from './src/screens/SecurityAlertsScreen';
+import CleanupAdvisorScreen from './src/screens/CleanupAdvisorScreen';
+import UsageScreen from './src/screens/UsageScreen';
+import SurveillanceReportScreen from './src/screens/SurveillanceReportScreen';
+import RiskRulesScreen from './src/screens/RiskRulesScreen';
 
 const Stack = createNativeStackNavigator();
 
+// Notifications open monitormate://app/<packageName>
+const linking = {
+  prefixes: ['monitormate://'],
+  config: {
+    screens: {
+      AppDetailScreen: 'app/:packageName',
+    },
+  },
+};
+
 export default function App() {
+  // Scheduled scans can be lost while the settings that asked for them are kept
+  useEffect(() => {
+    BackgroundScanService.restoreSchedule();
+  }, []);
+
   return (
-    <NavigationContainer>
-      <Stack.Navigator 
-        initialRouteName="Dashboard"
-        screenOptions={{
-          headerShown: false, // Since your screens have custom headers
-        }}
-      >
-        {/* Main Dashboard */}
-        <Stack.Screen name="Dashboard" component={Dashboard} />
+    <AppInventoryProvider>
+      <NavigationContainer linking={linking}>
+        <Stack.Navigator 
+          initialRouteName="Dashboard"
+          screenOptions={{
+            headerShown: false, // Since your screens have custom headers
+          }}
+        >
+          {/* Main Dashboard */}
+          <Stack.Screen name="Dashboard" component={Dashboard} />
         
-        {/* App Detail Screen - matches the navigation call in RecentApps */}
-        <Stack.Screen name="AppDetailScreen" component={AppDetailScreen} />
+          {/* App Detail Screen - matches the navigation call in RecentApps */}
+          <Stack.Screen name="AppDetailScreen" component={AppDetailScreen} />
         
-        {/* App List Screen */}
-        <Stack.Screen name="AppListScreen" component={AppListScreen} />
+          {/* App List Screen */}
+          <Stack.Screen name="AppListScreen" component={AppListScreen} />
         
-        {/* Settings Screen */}
-        <Stack.Screen name="SettingsScreen" component={SettingsScreen} />
-        <Stack.Screen name="DataUsageScreen" component={DataUsageScreen} />
+          {/* Settings Screen */}
+          <Stack.Screen name="SettingsScreen" component={SettingsScreen} />
+          <Stack.Screen name="DataUsageScreen" component={DataUsageScreen} />
         
-        {/* Permission Manager Screen */}
-        <Stack.Screen name="PermissionManagerScreen" component={PermissionManagerScreen} />
+          {/* Permission Manager Screen */}
+          <Stack.Screen name="PermissionManagerScreen" component={PermissionManagerScreen} />
         
-        {/* Security Alerts Screen */}
-        <Stack.Screen name="SecurityAlertsScreen" component={SecurityAlertsScreen} />
+          {/* Security Alerts Screen */}
+          <Stack.Screen name="SecurityAlertsScreen" component={SecurityAlertsScreen} />
+
+          {/* Cleanup Advisor Screen */}
+          <Stack.Screen name="CleanupAdvisorScreen" component={CleanupAdvisorScreen} />
+
+          {/* Screen Time Screen */}
+          <Stack.Screen name="UsageScreen" component={UsageScreen} />
+
+          {/* Possible Surveillance Apps Report */}
+          <Stack.Screen name="SurveillanceReportScreen" component={SurveillanceReportScreen} />
+
+          {/* Risk Scoring Rules */}
+          <Stack.Screen name="RiskRulesScreen" component={RiskRulesScreen} />
         
-        {/* My Account Screen */}
-        <Stack.Screen name="MyAccount" component={MyAccount} />
-      </Stack.Navigator>
-    </NavigationContainer>
+          {/* My Account Screen */}
+          <Stack.Screen name="MyAccount" component={MyAccount} />
+        </Stack.Navigator>
+      </NavigationContainer>
+    </AppInventoryProvider>
   );
 }
\ No newline at end of file
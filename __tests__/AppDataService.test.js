@@ -0,0 +1,118 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppDataService } from '../src/services/AppDataService';
+import { NativeBridgeService } from '../src/services/NativeBridgeService';
+import { TrackerService } from '../src/services/TrackerService';
+
+const MB = 1024 * 1024;
+
+const rawApp = (packageName) => ({ packageName, appName: packageName, permissions: ['INTERNET'] });
+
+describe('AppDataService network usage', () => {
+  let service;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    service = new AppDataService();
+    jest.spyOn(TrackerService, 'getTrackers').mockResolvedValue(null);
+    jest.spyOn(TrackerService, 'saveCache').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('indexes the batch query by package', async () => {
+    jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsage').mockResolvedValue([
+      { packageName: 'com.example.one', networkUsage: { wifiRx: MB } },
+      { packageName: 'com.example.two' },
+      { networkUsage: { wifiRx: MB } },
+      null,
+    ]);
+
+    const usageByPackage = await service.getNetworkUsageByPackage();
+
+    expect([...usageByPackage.keys()]).toEqual(['com.example.one', 'com.example.two']);
+    expect(usageByPackage.get('com.example.one')).toEqual({ wifiRx: MB });
+    expect(usageByPackage.get('com.example.two')).toEqual({});
+  });
+
+  test('returns null when the batch query is unavailable', async () => {
+    jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsage').mockResolvedValue(null);
+
+    await expect(service.getNetworkUsageByPackage()).resolves.toBeNull();
+  });
+
+  test('joins batch usage onto each app without per-app queries', async () => {
+    const batch = jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsage').mockResolvedValue([
+      { packageName: 'com.example.one', networkUsage: { totalRx: 2 * MB, totalTx: MB, wifiRx: 2 * MB, mobileTx: MB } },
+    ]);
+    const perApp = jest.spyOn(NativeBridgeService, 'getNetworkUsage');
+
+    const [one, two] = await service.processAppData([rawApp('com.example.one'), rawApp('com.example.two')]);
+
+    expect(batch).toHaveBeenCalledTimes(1);
+    expect(perApp).not.toHaveBeenCalled();
+    expect(one.dataUsage).toMatchObject({ total: 3 * MB, wifi: 2 * MB, mobile: MB, sent: MB, received: 2 * MB });
+    expect(two.dataUsage.total).toBe(0);
+  });
+
+  test('falls back to one query per app without the batch query', async () => {
+    jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsage').mockResolvedValue(null);
+    const perApp = jest.spyOn(NativeBridgeService, 'getNetworkUsage')
+      .mockImplementation(async (packageName) => (packageName === 'com.example.one' ? { totalRx: MB, wifiRx: MB } : {}));
+
+    const [one, two] = await service.processAppData([rawApp('com.example.one'), rawApp('com.example.two')]);
+
+    expect(perApp).toHaveBeenCalledTimes(2);
+    expect(one.dataUsage.total).toBe(MB);
+    expect(two.dataUsage.total).toBe(0);
+  });
+
+  test('reports analysis progress for each app', async () => {
+    jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsage').mockResolvedValue([]);
+    const onProgress = jest.fn();
+
+    await service.processAppData([rawApp('com.example.one'), rawApp('com.example.two')], { onProgress });
+
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { phase: 'analyzing', scanned: 1, total: 2 },
+      { phase: 'analyzing', scanned: 2, total: 2 },
+    ]);
+  });
+});
+
+describe('NativeBridgeService.applyNetworkUsage', () => {
+  test('splits foreground and background only when the device reports it', () => {
+    const usage = { totalRx: 4 * MB, wifiRx: 4 * MB, foregroundRx: 3 * MB, backgroundRx: MB };
+
+    expect(NativeBridgeService.applyNetworkUsage({}, usage).dataUsage).toMatchObject({ foreground: null, background: null });
+    expect(NativeBridgeService.applyNetworkUsage({}, { ...usage, hasStateBreakdown: true }).dataUsage)
+      .toMatchObject({ total: 4 * MB, foreground: 3 * MB, background: MB });
+  });
+});
+
+describe('AppDataService special access', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(TrackerService, 'getTrackers').mockResolvedValue(null);
+    jest.spyOn(TrackerService, 'saveCache').mockResolvedValue();
+    jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsage').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('scores special access as granted permissions', async () => {
+    const [app] = await new AppDataService().processAppData([{
+      ...rawApp('com.example.keyboard'),
+      permissions: ['CAMERA'],
+      permissionGrants: { CAMERA: false },
+      specialAccess: ['ACCESSIBILITY_SERVICE'],
+    }]);
+
+    expect(app.permissions).toEqual(['CAMERA', 'ACCESSIBILITY_SERVICE']);
+    expect(app.permissionGrants).toEqual({ CAMERA: false, ACCESSIBILITY_SERVICE: true });
+    expect(app.riskAnalysis.criticalCount).toBe(1);
+  });
+});
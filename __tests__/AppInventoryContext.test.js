@@ -0,0 +1,118 @@
+import React, { useContext } from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import { AppInventoryContext, AppInventoryProvider } from '../src/context/AppInventoryContext';
+import { AppDataService } from '../src/services/AppDataService';
+
+const APPS = [{ packageName: 'com.example.one' }, { packageName: 'com.example.two' }];
+
+// Renders a provider and exposes the latest context value
+const renderInventory = async (props = {}) => {
+  const inventory = { current: null };
+  const Consumer = () => {
+    inventory.current = useContext(AppInventoryContext);
+    return null;
+  };
+  await ReactTestRenderer.act(() => {
+    ReactTestRenderer.create(
+      <AppInventoryProvider {...props}>
+        <Consumer />
+      </AppInventoryProvider>
+    );
+  });
+  return inventory;
+};
+
+describe('AppInventoryProvider', () => {
+  let getInstalledApps;
+
+  beforeEach(() => {
+    getInstalledApps = jest.spyOn(AppDataService.prototype, 'getInstalledApps').mockResolvedValue(APPS);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('starts loading with no apps', async () => {
+    const inventory = await renderInventory();
+
+    expect(inventory.current.apps).toEqual([]);
+    expect(inventory.current.isLoading).toBe(true);
+    expect(getInstalledApps).not.toHaveBeenCalled();
+  });
+
+  test('refresh stores the scanned apps', async () => {
+    const inventory = await renderInventory();
+
+    await ReactTestRenderer.act(() => inventory.current.refresh());
+
+    expect(inventory.current.apps).toEqual(APPS);
+    expect(inventory.current.lastScannedAt).not.toBeNull();
+    expect(inventory.current.isLoading).toBe(false);
+    expect(inventory.current.isRefreshing).toBe(false);
+  });
+
+  test('concurrent refreshes share one scan', async () => {
+    let finishScan;
+    getInstalledApps.mockImplementationOnce(() => new Promise((resolve) => { finishScan = resolve; }));
+    const inventory = await renderInventory();
+
+    let first;
+    let second;
+    await ReactTestRenderer.act(async () => {
+      first = inventory.current.refresh();
+      second = inventory.current.ensureFresh();
+    });
+    expect(getInstalledApps).toHaveBeenCalledTimes(1);
+
+    await ReactTestRenderer.act(async () => {
+      finishScan(APPS);
+      await first;
+    });
+    await expect(second).resolves.toEqual(APPS);
+  });
+
+  test('ensureFresh serves the cache until the TTL expires', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const inventory = await renderInventory({ ttl: 500 });
+
+    await ReactTestRenderer.act(() => inventory.current.ensureFresh());
+    expect(getInstalledApps).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(1500);
+    await expect(inventory.current.ensureFresh()).resolves.toEqual(APPS);
+    expect(getInstalledApps).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(1501);
+    await ReactTestRenderer.act(() => inventory.current.ensureFresh());
+    expect(getInstalledApps).toHaveBeenCalledTimes(2);
+  });
+
+  test('invalidate makes the next ensureFresh rescan', async () => {
+    const inventory = await renderInventory();
+
+    await ReactTestRenderer.act(() => inventory.current.ensureFresh());
+    inventory.current.invalidate();
+    await ReactTestRenderer.act(() => inventory.current.ensureFresh());
+
+    expect(getInstalledApps).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps the cached apps and reports the error when a rescan fails', async () => {
+    const inventory = await renderInventory();
+    await ReactTestRenderer.act(() => inventory.current.refresh());
+
+    getInstalledApps.mockRejectedValueOnce(new Error('Scan failed'));
+    await ReactTestRenderer.act(async () => {
+      await expect(inventory.current.refresh()).rejects.toThrow('Scan failed');
+    });
+
+    expect(inventory.current.error).toBe('Scan failed');
+    expect(inventory.current.apps).toEqual(APPS);
+
+    // A failed scan is not cached, so the next refresh starts a new one
+    await ReactTestRenderer.act(() => inventory.current.refresh());
+    expect(getInstalledApps).toHaveBeenCalledTimes(3);
+    expect(inventory.current.error).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NativeModules, Platform } from 'react-native';
+
+const BackgroundScan = {
+  schedulePeriodicScan: jest.fn(() => Promise.resolve(true)),
+  cancelPeriodicScan: jest.fn(() => Promise.resolve()),
+  setAutoScanEnabled: jest.fn(() => Promise.resolve()),
+  isPeriodicScanScheduled: jest.fn(() => Promise.resolve(false)),
+  isAutoScanEnabled: jest.fn(() => Promise.resolve(true)),
+};
+
+// The service reads the native module when it is first imported
+NativeModules.BackgroundScan = BackgroundScan;
+const { BackgroundScanService } = require('../src/services/BackgroundScanService');
+
+const saveSettings = (settings) => AsyncStorage.setItem('appSettings', JSON.stringify(settings));
+
+describe('BackgroundScanService.restoreSchedule', () => {
+  const originalOS = Platform.OS;
+
+  beforeEach(async () => {
+    Platform.OS = 'android';
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+  });
+
+  afterAll(() => {
+    Platform.OS = originalOS;
+  });
+
+  test('schedules the periodic scan again when it was lost', async () => {
+    await saveSettings({ backgroundScanning: true, autoScan: false });
+
+    await expect(BackgroundScanService.restoreSchedule()).resolves.toBe(true);
+
+    expect(BackgroundScan.schedulePeriodicScan).toHaveBeenCalledWith(BackgroundScanService.DEFAULT_INTERVAL_MINUTES);
+    expect(BackgroundScan.setAutoScanEnabled).toHaveBeenCalledWith(false);
+  });
+
+  test('keeps a periodic scan that is still scheduled', async () => {
+    BackgroundScan.isPeriodicScanScheduled.mockResolvedValueOnce(true);
+    await saveSettings({ backgroundScanning: true });
+
+    await BackgroundScanService.restoreSchedule();
+
+    expect(BackgroundScan.schedulePeriodicScan).not.toHaveBeenCalled();
+    expect(BackgroundScan.setAutoScanEnabled).toHaveBeenCalledWith(true);
+  });
+
+  test('cancels the periodic scan when the setting is off', async () => {
+    await BackgroundScanService.restoreSchedule();
+
+    expect(BackgroundScan.cancelPeriodicScan).toHaveBeenCalled();
+    expect(BackgroundScan.setAutoScanEnabled).toHaveBeenCalledWith(true);
+  });
+
+  test('does nothing outside Android', async () => {
+    Platform.OS = 'ios';
+
+    await expect(BackgroundScanService.restoreSchedule()).resolves.toBe(false);
+    expect(BackgroundScan.cancelPeriodicScan).not.toHaveBeenCalled();
+  });
+});
+
+describe('BackgroundScanService.isTaskEnabled', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  test('runs install scans unless autoScan is off', async () => {
+    const { PACKAGE_ADDED } = BackgroundScanService.REASONS;
+
+    await expect(BackgroundScanService.isTaskEnabled(PACKAGE_ADDED)).resolves.toBe(true);
+    await saveSettings({ autoScan: false });
+    await expect(BackgroundScanService.isTaskEnabled(PACKAGE_ADDED)).resolves.toBe(false);
+  });
+
+  test('runs periodic scans only when background scanning is on', async () => {
+    const { PERIODIC } = BackgroundScanService.REASONS;
+
+    await expect(BackgroundScanService.isTaskEnabled(PERIODIC)).resolves.toBe(false);
+    await saveSettings({ backgroundScanning: true });
+    await expect(BackgroundScanService.isTaskEnabled(PERIODIC)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+import { CleanupAdvisorService } from '../src/services/CleanupAdvisorService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 1);
+
+const app = (packageName, overrides = {}) => ({
+  packageName,
+  name: packageName,
+  permissions: ['CAMERA', 'LOCATION'],
+  permissionGrants: { CAMERA: true, LOCATION: true },
+  lastUsedTimestamp: NOW - 60 * DAY_MS,
+  hasUsageStats: true,
+  ...overrides,
+});
+
+const recommendedPackages = (apps, options = {}) => CleanupAdvisorService
+  .getRecommendations(apps, { now: NOW, ...options })
+  .recommendations
+  .map(recommendation => recommendation.app.packageName);
+
+describe('CleanupAdvisorService.getRecommendations', () => {
+  test('recommends apps unused for the dormant period that hold high-risk permissions', () => {
+    const apps = [
+      app('dormant'),
+      app('recent', { lastUsedTimestamp: NOW - 2 * DAY_MS }),
+      app('harmless', { permissions: [], permissionGrants: {} }),
+    ];
+
+    expect(recommendedPackages(apps)).toEqual(['dormant']);
+    expect(recommendedPackages(apps, { dormantDays: 90 })).toEqual([]);
+  });
+
+  test('ignores permissions that were revoked', () => {
+    const apps = [app('revoked', { permissionGrants: { CAMERA: false, LOCATION: false } })];
+
+    expect(recommendedPackages(apps)).toEqual([]);
+  });
+
+  test('skips system apps', () => {
+    expect(recommendedPackages([app('system', { isSystemApp: true })])).toEqual([]);
+  });
+
+  test('counts apps without usage history instead of calling them dormant', () => {
+    const apps = [app('unknown', { hasUsageStats: false }), app('never', { lastUsedTimestamp: null })];
+
+    const advice = CleanupAdvisorService.getRecommendations(apps, { now: NOW });
+
+    expect(advice.recommendations).toEqual([]);
+    expect(advice.unknownUsageCount).toBe(2);
+  });
+
+  test('estimates the risk removed by revoking high-risk permissions', () => {
+    const [recommendation] = CleanupAdvisorService.getRecommendations([app('dormant')], { now: NOW }).recommendations;
+
+    expect(recommendation.daysUnused).toBe(60);
+    expect(recommendation.highRiskPermissions.length).toBeGreaterThan(0);
+    expect(recommendation.revokeImpact.riskScore).toBeLessThan(recommendation.currentRisk.riskScore);
+  });
+});
@@ -0,0 +1,74 @@
+import { DataBudgetService } from '../src/services/DataBudgetService';
+
+const MB = 1024 * 1024;
+
+const localTime = (year, month, day, hour = 12) => new Date(year, month, day, hour).getTime();
+
+const budgets = (overrides = {}) => ({
+  cycleStartDay: 1,
+  globalLimitBytes: 100 * MB,
+  appLimits: {},
+  ...overrides,
+});
+
+const app = (packageName, uid, mobile) => ({
+  packageName,
+  name: packageName,
+  uid,
+  dataUsage: { mobile },
+});
+
+describe('DataBudgetService.getCycleRange', () => {
+  test('starts on the start day of the current month once it has passed', () => {
+    const cycle = DataBudgetService.getCycleRange(10, localTime(2026, 4, 15));
+
+    expect(cycle.startTime).toBe(new Date(2026, 4, 10).getTime());
+    expect(cycle.endTime).toBe(new Date(2026, 5, 10).getTime());
+  });
+
+  test('starts in the previous month before the start day', () => {
+    const cycle = DataBudgetService.getCycleRange(10, localTime(2026, 4, 5));
+
+    expect(cycle.startTime).toBe(new Date(2026, 3, 10).getTime());
+    expect(cycle.endTime).toBe(new Date(2026, 4, 10).getTime());
+  });
+
+  test('includes the start day itself', () => {
+    const cycle = DataBudgetService.getCycleRange(10, new Date(2026, 4, 10).getTime());
+
+    expect(cycle.startTime).toBe(new Date(2026, 4, 10).getTime());
+  });
+
+  test('rolls over the end of the year', () => {
+    const cycle = DataBudgetService.getCycleRange(15, localTime(2026, 0, 3));
+
+    expect(cycle.startTime).toBe(new Date(2025, 11, 15).getTime());
+    expect(cycle.endTime).toBe(new Date(2026, 0, 15).getTime());
+  });
+});
+
+describe('DataBudgetService.getBudgetStatus', () => {
+  const now = localTime(2026, 4, 15);
+
+  test('counts usage of packages sharing a UID once', () => {
+    const apps = [
+      app('com.example.shared.one', 10100, 30 * MB),
+      app('com.example.shared.two', 10100, 30 * MB),
+      app('com.example.other', 10200, 20 * MB),
+    ];
+
+    const status = DataBudgetService.getBudgetStatus(apps, budgets(), now);
+
+    expect(status.totalMobile).toBe(50 * MB);
+    expect(status.global.ratio).toBe(0.5);
+  });
+
+  test('prefers the device total when known', () => {
+    const apps = [app('com.example.other', 10200, 20 * MB)];
+
+    const status = DataBudgetService.getBudgetStatus(apps, budgets(), now, 90 * MB);
+
+    expect(status.totalMobile).toBe(90 * MB);
+    expect(status.global.threshold).toBe(80);
+  });
+});
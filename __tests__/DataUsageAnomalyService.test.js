@@ -0,0 +1,98 @@
+import { DataUsageAnomalyService } from '../src/services/DataUsageAnomalyService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const TODAY = new Date(2026, 4, 15).getTime();
+
+// Daily history ending today, oldest first
+const history = (totals, overrides = {}) => totals.map((total, index) => ({
+  date: TODAY - (totals.length - 1 - index) * DAY_MS,
+  total,
+  mobile: 0,
+  wifi: total,
+  background: 0,
+  ...overrides,
+}));
+
+const app = (overrides = {}) => ({
+  packageName: 'com.example',
+  name: 'Example',
+  lastUsedTimestamp: TODAY + DAY_MS / 2,
+  ...overrides,
+});
+
+describe('DataUsageAnomalyService baselines', () => {
+  test('take the median of odd and even sized samples', () => {
+    expect(DataUsageAnomalyService.median([5, 1, 3])).toBe(3);
+    expect(DataUsageAnomalyService.median([4, 1, 3, 2])).toBe(2.5);
+    expect(DataUsageAnomalyService.median([])).toBe(0);
+  });
+
+  test('take the median absolute deviation around the median', () => {
+    expect(DataUsageAnomalyService.medianAbsoluteDeviation([1, 2, 3, 4, 100])).toBe(1);
+  });
+
+  test('are not moved by a single outlier in the history', () => {
+    const baseline = [10, 12, 11, 9, 10, 500, 11].map(value => value * MB);
+
+    const result = DataUsageAnomalyService.compareToBaseline(200 * MB, baseline);
+
+    expect(result.expectedBytes).toBe(11 * MB);
+    expect(result.score).toBeGreaterThan(DataUsageAnomalyService.THRESHOLD_DEVIATIONS);
+  });
+
+  test('require the minimum excess over a flat baseline', () => {
+    const baseline = new Array(7).fill(MB);
+
+    expect(DataUsageAnomalyService.compareToBaseline(40 * MB, baseline)).toBeNull();
+    expect(DataUsageAnomalyService.compareToBaseline(60 * MB, baseline)).not.toBeNull();
+  });
+
+  test('use the stricter threshold for unattended traffic', () => {
+    const baseline = new Array(7).fill(MB);
+
+    expect(DataUsageAnomalyService.compareToBaseline(30 * MB, baseline)).toBeNull();
+    expect(DataUsageAnomalyService.compareToBaseline(30 * MB, baseline, true)).not.toBeNull();
+  });
+});
+
+describe('DataUsageAnomalyService.detectAppAnomalies', () => {
+  test('flags a recent day far above the baseline', () => {
+    const days = history([...new Array(10).fill(5 * MB), 300 * MB]);
+
+    const [finding] = DataUsageAnomalyService.detectAppAnomalies(app(), days);
+
+    expect(finding.date).toBe(TODAY);
+    expect(finding.metric).toBe('total');
+    expect(finding.baselineDays).toBe(10);
+  });
+
+  test('needs enough baseline days', () => {
+    const days = history([5 * MB, 5 * MB, 300 * MB]);
+
+    expect(DataUsageAnomalyService.detectAppAnomalies(app(), days)).toEqual([]);
+  });
+
+  test('checks mobile traffic of apps not opened that day', () => {
+    const days = history(new Array(11).fill(MB), { mobile: MB, wifi: 0 });
+    days[10] = { ...days[10], total: 30 * MB, mobile: 30 * MB };
+
+    const [finding] = DataUsageAnomalyService.detectAppAnomalies(app({ lastUsedTimestamp: TODAY - 5 * DAY_MS }), days);
+
+    expect(finding.metric).toBe('mobile');
+    expect(finding.unattended).toBe(true);
+    expect(DataUsageAnomalyService.detectAppAnomalies(app(), days)).toEqual([]);
+  });
+
+  test('does not call traffic unattended without usage stats', () => {
+    // The native scan reports the last update time as the last use without usage access
+    const days = history(new Array(11).fill(MB), { mobile: MB, wifi: 0 });
+    days[10] = { ...days[10], total: 300 * MB, mobile: 300 * MB };
+    const withoutStats = app({ lastUsedTimestamp: TODAY - 5 * DAY_MS, hasUsageStats: false });
+
+    const [finding] = DataUsageAnomalyService.detectAppAnomalies(withoutStats, days);
+
+    expect(finding.unattended).toBe(false);
+    expect(finding.metric).toBe('total');
+  });
+});
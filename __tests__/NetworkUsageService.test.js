@@ -0,0 +1,112 @@
+import { NetworkUsageService } from '../src/services/NetworkUsageService';
+import { NativeBridgeService } from '../src/services/NativeBridgeService';
+
+const MB = 1024 * 1024;
+const NOW = new Date(2026, 4, 15, 12).getTime();
+
+const day = (date, usage = {}) => ({ date, hasStateBreakdown: true, ...usage });
+
+const app = (packageName) => ({ packageName, name: packageName });
+
+describe('NetworkUsageService.getAppsUsageForPeriod', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('builds daily usage and totals from one batch query', async () => {
+    const batch = jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsageHistory').mockResolvedValue([
+      {
+        packageName: 'com.example.video',
+        days: [
+          day(1, { wifiRx: 10 * MB, mobileTx: 2 * MB, backgroundRx: 4 * MB }),
+          day(2, { mobileRx: 3 * MB, foregroundRx: 3 * MB }),
+        ],
+      },
+    ]);
+    const perApp = jest.spyOn(NativeBridgeService, 'getNetworkUsageHistory');
+
+    const [video, quiet] = await NetworkUsageService.getAppsUsageForPeriod(
+      [app('com.example.video'), app('com.example.quiet')], 7, NOW
+    );
+
+    expect(batch).toHaveBeenCalledTimes(1);
+    expect(batch).toHaveBeenCalledWith(new Date(2026, 4, 9).getTime(), NOW);
+    expect(perApp).not.toHaveBeenCalled();
+    expect(video.dailyUsage).toHaveLength(2);
+    expect(video.dataUsage).toEqual({
+      total: 15 * MB,
+      mobile: 5 * MB,
+      wifi: 10 * MB,
+      sent: 2 * MB,
+      received: 13 * MB,
+      foreground: 3 * MB,
+      background: 4 * MB,
+    });
+    expect(video.dataUsagePeriod.days).toBe(7);
+    expect(quiet.dailyUsage).toEqual([]);
+    expect(quiet.dataUsage.total).toBe(0);
+  });
+
+  test('leaves the foreground/background split unknown without state data', async () => {
+    jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsageHistory').mockResolvedValue([
+      { packageName: 'com.example.old', days: [day(1, { wifiRx: MB, hasStateBreakdown: false })] },
+    ]);
+
+    const [old] = await NetworkUsageService.getAppsUsageForPeriod([app('com.example.old')], 7, NOW);
+
+    expect(old.dataUsage.background).toBeNull();
+    expect(old.dataUsage.total).toBe(MB);
+  });
+
+  test('queries each app when the batch query is unavailable', async () => {
+    jest.spyOn(NativeBridgeService, 'getAllAppsNetworkUsageHistory').mockResolvedValue(null);
+    const perApp = jest.spyOn(NativeBridgeService, 'getNetworkUsageHistory').mockImplementation(async (packageName) => {
+      if (packageName === 'com.example.broken') {
+        throw new Error('Query failed');
+      }
+      return { days: [day(1, { wifiTx: MB })] };
+    });
+
+    const [working, broken] = await NetworkUsageService.getAppsUsageForPeriod(
+      [app('com.example.working'), app('com.example.broken')], 30, NOW
+    );
+
+    expect(perApp).toHaveBeenCalledTimes(2);
+    expect(working.dataUsage.sent).toBe(MB);
+    expect(broken.dailyUsage).toEqual([]);
+    expect(broken.dataUsage).toBeUndefined();
+  });
+});
+
+describe('NetworkUsageService.sumByUid', () => {
+  test('counts each UID once', () => {
+    const apps = [
+      { uid: 1, dataUsage: { total: 5 } },
+      { uid: 1, dataUsage: { total: 5 } },
+      { dataUsage: { total: 2 } },
+    ];
+
+    expect(NetworkUsageService.sumByUid(apps)).toBe(7);
+  });
+});
+
+describe('NetworkUsageService.getBackgroundHogs', () => {
+  const usage = (packageName, total, background) => ({ packageName, dataUsage: { total, background } });
+
+  test('lists apps that moved most of their data in the background, heaviest first', () => {
+    const apps = [
+      usage('com.example.sync', 100 * MB, 60 * MB),
+      usage('com.example.backup', 400 * MB, 300 * MB),
+      usage('com.example.video', 900 * MB, 100 * MB),
+      usage('com.example.small', 40 * MB, 40 * MB),
+    ];
+
+    expect(NetworkUsageService.getBackgroundHogs(apps).map(hog => hog.packageName))
+      .toEqual(['com.example.backup', 'com.example.sync']);
+  });
+
+  test('leaves out apps without a foreground and background split', () => {
+    expect(NetworkUsageService.isBackgroundHog({ total: 100 * MB, background: null })).toBe(false);
+    expect(NetworkUsageService.isBackgroundHog(undefined)).toBe(false);
+  });
+});
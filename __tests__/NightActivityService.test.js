@@ -0,0 +1,100 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NightActivityService } from '../src/services/NightActivityService';
+import { NativeBridgeService } from '../src/services/NativeBridgeService';
+
+const MB = 1024 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+
+const localTime = (day, hour, minute = 0) => new Date(2026, 4, day, hour, minute).getTime();
+
+describe('NightActivityService.getLastQuietWindow', () => {
+  test('uses tonight once the window has ended', () => {
+    const window = NightActivityService.getLastQuietWindow({ startHour: 1, endHour: 5 }, localTime(15, 9));
+
+    expect(window).toEqual({ startTime: localTime(15, 1), endTime: localTime(15, 5) });
+  });
+
+  test('uses the previous night while the window is still running', () => {
+    const window = NightActivityService.getLastQuietWindow({ startHour: 1, endHour: 5 }, localTime(15, 3));
+
+    expect(window).toEqual({ startTime: localTime(14, 1), endTime: localTime(14, 5) });
+  });
+
+  test('handles windows crossing midnight', () => {
+    const window = NightActivityService.getLastQuietWindow({ startHour: 23, endHour: 6 }, localTime(15, 8));
+
+    expect(window).toEqual({ startTime: localTime(14, 23), endTime: localTime(15, 6) });
+  });
+
+  test('counts a window ending right now as ended', () => {
+    const window = NightActivityService.getLastQuietWindow({ startHour: 1, endHour: 5 }, localTime(15, 5));
+
+    expect(window.endTime).toBe(localTime(15, 5));
+  });
+
+  test('falls back to the default hours for an empty window', () => {
+    const window = NightActivityService.getLastQuietWindow({ startHour: 3, endHour: 3 }, localTime(15, 9));
+
+    expect(window).toEqual({ startTime: localTime(15, 1), endTime: localTime(15, 5) });
+  });
+});
+
+describe('NightActivityService.detectNightActivity', () => {
+  const now = localTime(15, 9);
+
+  // Every app uploads `sentBytes` in each quiet hour while nothing is on screen
+  const mockUploads = (packageNames, sentBytes) => {
+    jest.spyOn(NativeBridgeService, 'getUsageEvents').mockResolvedValue({ available: true, events: [] });
+    jest.spyOn(NativeBridgeService, 'getAllAppsHourlyNetworkUsage').mockResolvedValue(packageNames.map(packageName => ({
+      packageName,
+      hours: [0, 1, 2, 3].map(hour => ({ startTime: localTime(15, 1) + hour * HOUR_MS, wifiTx: sentBytes })),
+    })));
+  };
+
+  const app = (packageName, overrides = {}) => ({ packageName, name: packageName, ...overrides });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('flags large uploads while the device was idle as unattended', async () => {
+    mockUploads(['com.example.uploader'], 10 * MB);
+
+    const [finding] = await NightActivityService.detectNightActivity([app('com.example.uploader')], now);
+
+    expect(finding.unattendedSentBytes).toBe(40 * MB);
+    expect(finding.unattended).toBe(true);
+  });
+
+  test('does not call small nightly syncs unattended uploads', async () => {
+    mockUploads(['com.example.sync'], 2 * MB);
+
+    const [finding] = await NightActivityService.detectNightActivity([app('com.example.sync')], now);
+
+    expect(finding.unattended).toBe(false);
+  });
+
+  test('skips system apps', async () => {
+    mockUploads(['com.android.system'], 10 * MB);
+
+    const findings = await NightActivityService.detectNightActivity([app('com.android.system', { isSystemApp: true })], now);
+
+    expect(findings).toEqual([]);
+  });
+
+  test('reports packages sharing a UID once', async () => {
+    mockUploads(['com.example.one', 'com.example.two', 'com.example.other'], 10 * MB);
+
+    const findings = await NightActivityService.detectNightActivity([
+      app('com.example.one', { uid: 10100 }),
+      app('com.example.two', { uid: 10100 }),
+      app('com.example.other', { uid: 10200 }),
+    ], now);
+
+    expect(findings.map(finding => finding.app.packageName)).toEqual(['com.example.one', 'com.example.other']);
+  });
+});
@@ -0,0 +1,154 @@
+import { PermissionService } from '../src/services/PermissionService';
+import { getUnexpectedPermissions, isPermissionExpected } from '../src/utils/categoryPermissionProfiles';
+
+const { RISK_LEVELS } = PermissionService;
+
+describe('category permission profiles', () => {
+  test('expects permissions the category uses and common ones', () => {
+    expect(isPermissionExpected('Weather', 'LOCATION')).toBe(true);
+    expect(isPermissionExpected('Weather', 'NOTIFICATIONS')).toBe(true);
+    expect(isPermissionExpected('Weather', 'CAMERA')).toBe(false);
+  });
+
+  test('has no opinion on categories without a profile', () => {
+    expect(isPermissionExpected('Other', 'CAMERA')).toBeNull();
+    expect(getUnexpectedPermissions('Other', ['CAMERA'])).toEqual([]);
+  });
+
+  test('lists each unexpected permission once', () => {
+    expect(getUnexpectedPermissions('Weather', ['LOCATION', 'CAMERA', 'CAMERA', 'SMS'])).toEqual(['CAMERA', 'SMS']);
+  });
+});
+
+describe('PermissionService.getPermissionRecommendation', () => {
+  test('explains why an expected permission is used', () => {
+    const recommendation = PermissionService.getPermissionRecommendation('LOCATION', RISK_LEVELS.HIGH, 'Weather');
+
+    expect(recommendation).toContain('Expected');
+    expect(recommendation).toContain('showing the forecast where you are');
+  });
+
+  test('warns about a risky permission the category does not need', () => {
+    const recommendation = PermissionService.getPermissionRecommendation('CAMERA', RISK_LEVELS.HIGH, 'Weather');
+
+    expect(recommendation).toMatch(/^⚠️ Unexpected: Weather apps/);
+  });
+
+  test('falls back to the risk level for low risk or unknown categories', () => {
+    expect(PermissionService.getPermissionRecommendation('INTERNET', RISK_LEVELS.LOW, 'Weather')).toMatch(/^ℹ️ Low Risk/);
+    expect(PermissionService.getPermissionRecommendation('CAMERA', RISK_LEVELS.HIGH, 'Other')).toMatch(/^⚠️ High Risk/);
+    expect(PermissionService.getPermissionRecommendation('CAMERA', RISK_LEVELS.HIGH)).toMatch(/^⚠️ High Risk/);
+  });
+});
+
+describe('PermissionService.getPermissionAnalysis', () => {
+  test('marks permissions as expected for the app category', () => {
+    const analysis = PermissionService.getPermissionAnalysis(['LOCATION', 'CAMERA'], { category: 'Weather' });
+    const details = Object.fromEntries(analysis.permissionDetails.map(detail => [detail.name, detail]));
+
+    expect(analysis.category).toBe('Weather');
+    expect(details.LOCATION.isExpected).toBe(true);
+    expect(details.CAMERA.isExpected).toBe(false);
+    expect(details.CAMERA.recommendation).toContain('Unexpected');
+  });
+
+  test('recommends denying unusual permissions', () => {
+    const analysis = PermissionService.getPermissionAnalysis(['CAMERA', 'SMS'], { category: 'Weather' });
+    const unusual = analysis.recommendations.find(recommendation => recommendation.title === 'Unusual Permissions');
+
+    expect(analysis.anomalies).toEqual(expect.arrayContaining(['CAMERA', 'SMS']));
+    expect(unusual.message).toMatch(/are not typical for a Weather app\.$/);
+  });
+
+  test('does not flag permissions a category expects', () => {
+    const analysis = PermissionService.getPermissionAnalysis(['LOCATION'], { category: 'Weather' });
+
+    expect(analysis.anomalies).toEqual([]);
+    expect(analysis.recommendations.map(recommendation => recommendation.title)).not.toContain('Unusual Permissions');
+  });
+});
+
+describe('PermissionService.getUnusedPermissionRecommendations', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const NOW = 100 * DAY;
+  const app = { name: 'Maps', permissions: ['CAMERA', 'LOCATION', 'MICROPHONE', 'SMS'] };
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const usage = (ops) => ({ available: true, ops });
+
+  test('suggests revoking permissions unused for over 30 days', () => {
+    const recommendations = PermissionService.getUnusedPermissionRecommendations(app, usage({
+      CAMERA: { lastAccessTime: NOW - 31 * DAY, isRunning: false },
+      LOCATION: { lastAccessTime: NOW - DAY, isRunning: false },
+    }));
+
+    expect(recommendations).toHaveLength(1);
+    expect(recommendations[0]).toMatchObject({ type: 'info', permission: 'CAMERA' });
+    expect(recommendations[0].message).toBe('Maps has not used camera access in over 30 days.');
+  });
+
+  test('reports permissions with no recorded use', () => {
+    const recommendations = PermissionService.getUnusedPermissionRecommendations(app, usage({
+      MICROPHONE: { lastAccessTime: 0, isRunning: false },
+    }));
+
+    expect(recommendations.map(recommendation => recommendation.permission)).toEqual(['MICROPHONE']);
+    expect(recommendations[0].message).toBe('Maps has no recorded microphone use.');
+  });
+
+  test('skips permissions in use, denied or without usage data', () => {
+    const recommendations = PermissionService.getUnusedPermissionRecommendations(
+      { ...app, permissionGrants: { MICROPHONE: false } },
+      usage({
+        CAMERA: { lastAccessTime: NOW - 60 * DAY, isRunning: true },
+        MICROPHONE: { lastAccessTime: 0, isRunning: false },
+      }),
+    );
+
+    expect(recommendations).toEqual([]);
+  });
+
+  test('ignores permissions the app does not request', () => {
+    const recommendations = PermissionService.getUnusedPermissionRecommendations(
+      { name: 'Maps', permissions: ['LOCATION'] },
+      usage({ CAMERA: { lastAccessTime: 0, isRunning: false } }),
+    );
+
+    expect(recommendations).toEqual([]);
+  });
+
+  test('returns nothing when permission usage is unavailable', () => {
+    expect(PermissionService.getUnusedPermissionRecommendations(app, null)).toEqual([]);
+    expect(PermissionService.getUnusedPermissionRecommendations(app, { available: false })).toEqual([]);
+  });
+});
+
+describe('PermissionService special access', () => {
+  test('scores special access as critical', () => {
+    const analysis = PermissionService.getPermissionAnalysis(['ACCESSIBILITY_SERVICE']);
+
+    expect(analysis.criticalCount).toBe(1);
+    expect(analysis.riskScore).toBe(5);
+    expect(analysis.riskLevel).toBe('MEDIUM_RISK');
+    expect(analysis.permissionDetails[0].recommendation).toMatch(/^🚨 Critical/);
+    expect(analysis.recommendations[0]).toMatchObject({ type: 'critical', title: 'Special Access Granted' });
+  });
+
+  test('counts special access towards the high risk threshold', () => {
+    const analysis = PermissionService.analyzeAppRisk(['ACCESSIBILITY_SERVICE', 'NOTIFICATION_LISTENER', 'CAMERA']);
+
+    expect(analysis.riskLevel).toBe('HIGH_RISK');
+  });
+
+  test('tells special access apart from runtime permissions', () => {
+    expect(PermissionService.isSpecialAccess('VPN_SERVICE')).toBe(true);
+    expect(PermissionService.isSpecialAccess('CAMERA')).toBe(false);
+  });
+});
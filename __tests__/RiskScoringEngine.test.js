@@ -0,0 +1,176 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { RiskScoringEngine } from '../src/services/RiskScoringEngine';
+
+const permissionRisks = {
+  CAMERA: { level: 'HIGH' },
+  MICROPHONE: { level: 'HIGH' },
+  SMS: { level: 'HIGH' },
+  BACKGROUND_LOCATION: { level: 'HIGH' },
+  CONTACTS: { level: 'MEDIUM' },
+  NOTIFICATIONS: { level: 'LOW' },
+};
+
+// Communication apps are expected to use all of these except BACKGROUND_LOCATION
+const app = (overrides = {}) => ({
+  packageName: 'com.example.chat',
+  name: 'Chat',
+  category: 'Communication',
+  installerPackageName: 'com.android.vending',
+  ...overrides,
+});
+
+const evaluate = (permissions, overrides = {}) => RiskScoringEngine.evaluate({
+  permissions,
+  app: app(overrides),
+  permissionRisks,
+});
+
+const ruleIds = (analysis) => analysis.breakdown.map(factor => factor.ruleId);
+
+describe('RiskScoringEngine.evaluate', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await RiskScoringEngine.resetOverrides();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('scores granted permissions by risk level', () => {
+    const analysis = evaluate(['CAMERA', 'CONTACTS', 'NOTIFICATIONS']);
+
+    expect(analysis.riskScore).toBe(3 + 2 + 1);
+    expect(analysis.riskLevel).toBe('MEDIUM_RISK');
+    expect(analysis.levelReason).toBe('threshold');
+  });
+
+  test('scores denied permissions lower', () => {
+    const analysis = evaluate(['CAMERA'], { permissionGrants: { CAMERA: false } });
+
+    expect(analysis.riskScore).toBe(1);
+    expect(analysis.deniedPermissions).toEqual(['CAMERA']);
+    expect(analysis.breakdown[0].label).toContain('denied');
+  });
+
+  test('escalates dangerous permission combinations to high risk', async () => {
+    // Leave only the combination so the score alone stays below high risk
+    await RiskScoringEngine.saveOverrides({ disabledRules: ['permission_weights', 'category_anomalies'] });
+
+    const analysis = evaluate(['SMS', 'BACKGROUND_LOCATION'], { hasInternetAccess: true });
+
+    expect(ruleIds(analysis)).toContain('sms_internet_background_location');
+    expect(analysis.riskLevel).toBe('HIGH_RISK');
+    expect(analysis.levelReason).toBe('combination');
+  });
+
+  test('does not match a combination without internet access', () => {
+    const analysis = evaluate(['SMS', 'BACKGROUND_LOCATION']);
+
+    expect(ruleIds(analysis)).not.toContain('sms_internet_background_location');
+  });
+
+  test('adds points for permissions unusual for the category', () => {
+    const analysis = evaluate(['SMS'], { category: 'Music' });
+
+    expect(ruleIds(analysis)).toContain('category_anomaly:SMS');
+    expect(analysis.anomalies).toEqual(['SMS']);
+  });
+
+  test('does not count denied permissions as unusual for the category', () => {
+    const analysis = evaluate(['SMS'], { category: 'Music', permissionGrants: { SMS: false } });
+
+    expect(ruleIds(analysis)).not.toContain('category_anomaly:SMS');
+    expect(analysis.anomalies).toEqual([]);
+  });
+
+  test('adds points for sideloaded apps', () => {
+    const analysis = evaluate([], { installerPackageName: 'com.google.android.packageinstaller' });
+
+    expect(ruleIds(analysis)).toEqual(['install_source:SIDELOADED']);
+    expect(analysis.riskScore).toBe(3);
+  });
+
+  test('adds points for embedded trackers', () => {
+    const trackers = [{ name: 'Ads SDK' }, { name: 'Analytics SDK' }];
+
+    const analysis = evaluate([], { trackers });
+
+    expect(ruleIds(analysis)).toEqual(['trackers']);
+    expect(analysis.breakdown[0].trackers).toEqual(['Ads SDK', 'Analytics SDK']);
+  });
+
+  test('does not score trackers of apps not scanned yet', () => {
+    expect(evaluate([], { trackers: null }).breakdown).toEqual([]);
+  });
+
+  test('does not score trackers of system apps', () => {
+    // System apps only get scanned when opened, which must not change their score
+    const analysis = evaluate([], { isSystemApp: true, trackers: [{ name: 'Ads SDK' }] });
+
+    expect(analysis.breakdown).toEqual([]);
+  });
+
+  test('lists rules that fail instead of stopping the evaluation', () => {
+    const trackersRule = RiskScoringEngine.evaluators.find(evaluator => evaluator.id === 'trackers');
+    jest.spyOn(trackersRule, 'evaluate').mockImplementation(() => {
+      throw new Error('Broken rule');
+    });
+
+    const analysis = evaluate(['CAMERA']);
+
+    expect(analysis.failedRules).toEqual(['trackers']);
+    expect(analysis.riskScore).toBe(3);
+  });
+
+  test('skips disabled rules', async () => {
+    await RiskScoringEngine.saveOverrides({ disabledRules: ['install_source'] });
+
+    const analysis = evaluate([], { installerPackageName: 'com.google.android.packageinstaller' });
+
+    expect(analysis.breakdown).toEqual([]);
+  });
+
+  test('uses overridden weights and thresholds', async () => {
+    await RiskScoringEngine.saveOverrides({
+      weights: { ...RiskScoringEngine.DEFAULT_RULESET.weights, MEDIUM: 5 },
+      thresholds: [{ level: 'HIGH_RISK', minScore: 5 }],
+    });
+
+    const analysis = evaluate(['CONTACTS']);
+
+    expect(analysis.riskScore).toBe(5);
+    expect(analysis.riskLevel).toBe('HIGH_RISK');
+  });
+});
+
+describe('RiskScoringEngine overrides', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  test('are loaded when saved for the current ruleset', async () => {
+    await AsyncStorage.setItem('riskScoringOverrides', JSON.stringify({
+      baseVersion: RiskScoringEngine.RULESET_VERSION,
+      weights: { HIGH: 9 },
+    }));
+
+    const ruleset = await RiskScoringEngine.loadOverrides();
+
+    expect(ruleset.weights.HIGH).toBe(9);
+    expect(RiskScoringEngine.overridesDiscarded).toBe(false);
+  });
+
+  test('are discarded when saved for another ruleset version', async () => {
+    await AsyncStorage.setItem('riskScoringOverrides', JSON.stringify({
+      baseVersion: RiskScoringEngine.RULESET_VERSION - 1,
+      weights: { HIGH: 9 },
+    }));
+
+    const ruleset = await RiskScoringEngine.loadOverrides();
+
+    expect(ruleset.weights.HIGH).toBe(RiskScoringEngine.DEFAULT_RULESET.weights.HIGH);
+    expect(RiskScoringEngine.overridesDiscarded).toBe(true);
+    expect(await RiskScoringEngine.getOverrides()).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ScanSnapshotService } from '../src/services/ScanSnapshotService';
+import { INSTALL_SOURCES } from '../src/utils/installSource';
+
+const app = (packageName, overrides = {}) => ({
+  packageName,
+  name: packageName,
+  version: '1.0',
+  hasLauncher: true,
+  permissions: [],
+  riskAnalysis: { riskLevel: 'NO_RISK', riskScore: 0 },
+  ...overrides,
+});
+
+const snapshot = (apps, overrides = {}) => ({
+  id: 'scan_1',
+  schemaVersion: ScanSnapshotService.SCHEMA_VERSION,
+  timestamp: 1,
+  apps,
+  ...overrides,
+});
+
+describe('ScanSnapshotService.diffSnapshots', () => {
+  test('lists added, removed and updated apps', () => {
+    const previous = snapshot([app('a'), app('b'), app('c')]);
+    const current = snapshot([
+      app('a'),
+      app('b', { version: '2.0' }),
+      app('d'),
+    ], { id: 'scan_2', timestamp: 2 });
+
+    const diff = ScanSnapshotService.diffSnapshots(previous, current);
+
+    expect(diff.added.map(entry => entry.packageName)).toEqual(['d']);
+    expect(diff.removed.map(entry => entry.packageName)).toEqual(['c']);
+    expect(diff.updated).toHaveLength(1);
+    expect(diff.updated[0].changes.version).toEqual({ from: '1.0', to: '2.0' });
+    expect(diff.summary).toMatchObject({ added: 1, removed: 1, updated: 1, hasChanges: true });
+  });
+
+  test('reports permission changes', () => {
+    const previous = snapshot([app('a', { permissions: ['CAMERA', 'INTERNET'] })]);
+    const current = snapshot([app('a', { permissions: ['INTERNET', 'READ_SMS'] })]);
+
+    const diff = ScanSnapshotService.diffSnapshots(previous, current);
+
+    expect(diff.permissionChanges).toEqual([
+      { packageName: 'a', name: 'a', added: ['READ_SMS'], removed: ['CAMERA'] },
+    ]);
+    expect(diff.updated[0].permissionsAdded).toEqual(['READ_SMS']);
+  });
+
+  test('reports risk level changes', () => {
+    const previous = snapshot([app('a')]);
+    const current = snapshot([app('a', { riskAnalysis: { riskLevel: 'HIGH_RISK', riskScore: 9 } })]);
+
+    const { changes } = ScanSnapshotService.diffSnapshots(previous, current).updated[0];
+
+    expect(changes.riskLevel).toEqual({ from: 'NO_RISK', to: 'HIGH_RISK' });
+    expect(changes.riskScore).toEqual({ from: 0, to: 9 });
+  });
+
+  test('has no changes for identical snapshots', () => {
+    const diff = ScanSnapshotService.diffSnapshots(snapshot([app('a')]), snapshot([app('a')]));
+
+    expect(diff.summary.hasChanges).toBe(false);
+  });
+
+  test('does not report packages without a launcher as new after a launcher-only scan', () => {
+    const previous = ScanSnapshotService.migrateSnapshot(snapshot([app('a')], { schemaVersion: 1 }));
+    const current = snapshot([app('a'), app('service', { hasLauncher: false }), app('b')]);
+
+    const diff = ScanSnapshotService.diffSnapshots(previous, current);
+
+    expect(diff.added.map(entry => entry.packageName)).toEqual(['b']);
+  });
+
+  test('does not report system components as added or removed when the setting changes', () => {
+    const component = app('component', { hasLauncher: false, isSystemApp: true });
+    const hidden = app('hidden', { hasLauncher: false, isSystemApp: false });
+    const withoutComponents = { metadata: { systemComponentsIncluded: false } };
+    const withComponents = { metadata: { systemComponentsIncluded: true } };
+
+    const shown = ScanSnapshotService.diffSnapshots(
+      snapshot([app('a')], withoutComponents),
+      snapshot([app('a'), component, hidden], withComponents)
+    );
+    const hiddenAgain = ScanSnapshotService.diffSnapshots(
+      snapshot([app('a'), component, hidden], withComponents),
+      snapshot([app('a')], withoutComponents)
+    );
+
+    expect(shown.added.map(entry => entry.packageName)).toEqual(['hidden']);
+    expect(hiddenAgain.removed.map(entry => entry.packageName)).toEqual(['hidden']);
+  });
+});
+
+describe('ScanSnapshotService.buildSnapshotApp', () => {
+  test('keeps where the app was installed from', () => {
+    const stored = ScanSnapshotService.buildSnapshotApp(app('a', {
+      installerPackageName: 'com.google.android.packageinstaller',
+      initiatingPackageName: 'com.example.browser',
+    }));
+
+    expect(stored.installSource).toBe(INSTALL_SOURCES.SIDELOADED);
+    expect(stored.installerPackageName).toBe('com.google.android.packageinstaller');
+    expect(stored.initiatingPackageName).toBe('com.example.browser');
+  });
+
+  test('keeps the inputs the risk score depends on', () => {
+    const stored = ScanSnapshotService.buildSnapshotApp(app('a', { hasInternetAccess: true }));
+
+    expect(stored.hasInternetAccess).toBe(true);
+  });
+});
+
+describe('ScanSnapshotService.migrateSnapshot', () => {
+  test('marks snapshots without risk scoring inputs', () => {
+    const legacy = ScanSnapshotService.migrateSnapshot(snapshot([app('a')], { schemaVersion: 2 }));
+    const current = ScanSnapshotService.migrateSnapshot(snapshot([app('a')]));
+
+    expect(legacy.riskInputsMissing).toBe(true);
+    expect(current.riskInputsMissing).toBe(false);
+  });
+
+  test('rejects snapshots from a newer schema', () => {
+    const stored = snapshot([], { schemaVersion: ScanSnapshotService.SCHEMA_VERSION + 1 });
+
+    expect(ScanSnapshotService.migrateSnapshot(stored)).toBeNull();
+  });
+});
+
+describe('ScanSnapshotService.saveSnapshot', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  test('keeps every index entry when scans are saved concurrently', async () => {
+    await Promise.all([
+      ScanSnapshotService.saveSnapshot([app('a')]),
+      ScanSnapshotService.saveSnapshot([app('b')]),
+      ScanSnapshotService.saveSnapshot([app('c')]),
+    ]);
+
+    const index = await ScanSnapshotService.getSnapshotIndex();
+    expect(index).toHaveLength(3);
+    expect(new Set(index.map(entry => entry.id)).size).toBe(3);
+  });
+
+  test('prunes the oldest snapshots beyond the limit', async () => {
+    for (let scan = 0; scan < ScanSnapshotService.MAX_SNAPSHOTS + 2; scan++) {
+      await ScanSnapshotService.saveSnapshot([app('a')]);
+    }
+
+    const index = await ScanSnapshotService.getSnapshotIndex();
+    const storedKeys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith('scanSnapshot:'));
+    expect(index).toHaveLength(ScanSnapshotService.MAX_SNAPSHOTS);
+    expect(storedKeys).toHaveLength(ScanSnapshotService.MAX_SNAPSHOTS);
+  });
+});
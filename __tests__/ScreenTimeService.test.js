@@ -0,0 +1,132 @@
+import { ScreenTimeService } from '../src/services/ScreenTimeService';
+import { NativeBridgeService } from '../src/services/NativeBridgeService';
+
+const MINUTE = 60 * 1000;
+const NOW = new Date(2026, 4, 15, 12).getTime();
+
+const hours = (values) => Array.from({ length: 24 }, (_, hour) => values[hour] || 0);
+
+const inventory = [
+  { packageName: 'com.instagram.android', name: 'Instagram' },
+  { packageName: 'com.whatsapp', name: 'WhatsApp' },
+  { packageName: 'com.spotify.music', name: 'Spotify' },
+];
+
+const current = {
+  available: true,
+  dayStarts: [1, 2],
+  apps: [
+    {
+      packageName: 'com.instagram.android',
+      totalTimeInForeground: 90 * MINUTE,
+      launchCount: 12,
+      hourlyByDay: [hours({ 9: 30 * MINUTE }), hours({ 9: 20 * MINUTE, 21: 40 * MINUTE })],
+    },
+    {
+      packageName: 'com.whatsapp',
+      totalTimeInForeground: 30 * MINUTE,
+      launchCount: 20,
+      hourlyByDay: [hours({ 9: 10 * MINUTE }), hours({ 21: 20 * MINUTE })],
+    },
+    { packageName: 'com.spotify.music', totalTimeInForeground: 0, launchCount: 0 },
+    { packageName: 'com.android.systemui', totalTimeInForeground: 300 * MINUTE, launchCount: 1 },
+  ],
+};
+
+const previous = {
+  available: true,
+  apps: [
+    { packageName: 'com.instagram.android', totalTimeInForeground: 60 * MINUTE, launchCount: 10 },
+    { packageName: 'com.android.systemui', totalTimeInForeground: 200 * MINUTE, launchCount: 1 },
+  ],
+};
+
+describe('ScreenTimeService.buildReport', () => {
+  const report = ScreenTimeService.buildReport(inventory, current, previous);
+
+  test('lists inventory apps with usage, most used first', () => {
+    expect(report.apps.map(app => app.packageName)).toEqual(['com.instagram.android', 'com.whatsapp']);
+    expect(report.apps[0]).toMatchObject({
+      name: 'Instagram',
+      previousForegroundTime: 60 * MINUTE,
+      previousLaunchCount: 10,
+      daily: [30 * MINUTE, 60 * MINUTE],
+    });
+  });
+
+  test('totals only inventory apps in both periods', () => {
+    expect(report.totals).toEqual({
+      foregroundTime: 120 * MINUTE,
+      launchCount: 32,
+      previousForegroundTime: 60 * MINUTE,
+      previousLaunchCount: 10,
+    });
+  });
+
+  test('groups screen time by category', () => {
+    expect(report.categories).toEqual([
+      { category: 'Social', appCount: 1, foregroundTime: 90 * MINUTE, previousForegroundTime: 60 * MINUTE },
+      { category: 'Communication', appCount: 1, foregroundTime: 30 * MINUTE, previousForegroundTime: 0 },
+    ]);
+  });
+
+  test('adds up every app in the hourly heatmap', () => {
+    expect(report.heatmap.map(day => day.date)).toEqual([1, 2]);
+    expect(report.heatmap[0].hours[9]).toBe(40 * MINUTE);
+    expect(report.heatmap[1].hours[9]).toBe(20 * MINUTE);
+    expect(report.heatmap[1].hours[21]).toBe(60 * MINUTE);
+  });
+});
+
+describe('ScreenTimeService.getUsageReport', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('compares with the same span one period earlier', async () => {
+    const summary = jest.spyOn(NativeBridgeService, 'getUsageSummary')
+      .mockResolvedValueOnce(current)
+      .mockResolvedValueOnce(previous);
+
+    const report = await ScreenTimeService.getUsageReport(inventory, ScreenTimeService.PERIODS.WEEK, NOW);
+
+    const startTime = new Date(2026, 4, 9).getTime();
+    const week = 7 * 24 * 60 * MINUTE;
+    expect(summary).toHaveBeenNthCalledWith(1, startTime, NOW);
+    expect(summary).toHaveBeenNthCalledWith(2, startTime - week, NOW - week);
+    expect(report).toMatchObject({ available: true, days: 7 });
+    expect(report.totals.previousForegroundTime).toBe(60 * MINUTE);
+  });
+
+  test('reports the current period without a previous one', async () => {
+    jest.spyOn(NativeBridgeService, 'getUsageSummary')
+      .mockResolvedValueOnce(current)
+      .mockResolvedValueOnce({ available: false, reason: 'ERROR', apps: [] });
+
+    const report = await ScreenTimeService.getUsageReport(inventory, ScreenTimeService.PERIODS.DAY, NOW);
+
+    expect(report.totals.foregroundTime).toBe(120 * MINUTE);
+    expect(report.totals.previousForegroundTime).toBe(0);
+  });
+
+  test('is unavailable without usage access', async () => {
+    jest.spyOn(NativeBridgeService, 'getUsageSummary').mockResolvedValue({ available: false, reason: 'NO_PERMISSION', apps: [] });
+
+    await expect(ScreenTimeService.getUsageReport(inventory)).resolves.toEqual({ available: false, reason: 'NO_PERMISSION' });
+  });
+});
+
+describe('ScreenTimeService helpers', () => {
+  test('getChange is null with nothing to compare with', () => {
+    expect(ScreenTimeService.getChange(30, 20)).toBe(0.5);
+    expect(ScreenTimeService.getChange(30, 0)).toBeNull();
+  });
+
+  test('formatDuration rounds to minutes', () => {
+    expect(ScreenTimeService.formatDuration(0)).toBe('0m');
+    expect(ScreenTimeService.formatDuration(20 * 1000)).toBe('<1m');
+    expect(ScreenTimeService.formatDuration(45 * MINUTE)).toBe('45m');
+    expect(ScreenTimeService.formatDuration(120 * MINUTE)).toBe('2h');
+    expect(ScreenTimeService.formatDuration(135 * MINUTE)).toBe('2h 15m');
+  });
+});
@@ -0,0 +1,134 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { SecurityMonitoringService } from '../src/services/SecurityMonitoringService';
+import { ScanSnapshotService } from '../src/services/ScanSnapshotService';
+
+const { ALERT_TYPES, SEVERITY } = SecurityMonitoringService;
+
+const alertFor = (key) => SecurityMonitoringService.createAlert({
+  type: ALERT_TYPES.SIGNING_CERTIFICATE,
+  severity: SEVERITY.HIGH,
+  app: { packageName: 'com.example', name: 'Example' },
+  key,
+  title: 'Title',
+  description: 'Description',
+  action: 'Action',
+  timestamp: 1000,
+});
+
+describe('SecurityMonitoringService alert ids', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  test('differ for alerts of one type raised for the same app in one scan', () => {
+    const changed = alertFor('SIGNING_CERTIFICATE:changed:com.example:aa');
+    const testKey = alertFor('SIGNING_CERTIFICATE:test_key:com.example:aa');
+
+    expect(changed.id).not.toBe(testKey.id);
+  });
+
+  test('only mark the chosen alert as read', async () => {
+    const changed = alertFor('SIGNING_CERTIFICATE:changed:com.example:aa');
+    const testKey = alertFor('SIGNING_CERTIFICATE:test_key:com.example:aa');
+    await SecurityMonitoringService.addAlerts([changed, testKey]);
+
+    await SecurityMonitoringService.markAsRead(changed.id);
+
+    const alerts = await SecurityMonitoringService.getAlerts();
+    expect(alerts.find(alert => alert.key === changed.key).isRead).toBe(true);
+    expect(alerts.find(alert => alert.key === testKey.key).isRead).toBe(false);
+  });
+
+  test('replace ids shared by stored alerts from older versions', async () => {
+    const legacyId = 'SIGNING_CERTIFICATE_com.example_1000';
+    await AsyncStorage.setItem('securityAlerts', JSON.stringify([
+      { ...alertFor('SIGNING_CERTIFICATE:changed:com.example:aa'), id: legacyId },
+      { ...alertFor('SIGNING_CERTIFICATE:test_key:com.example:aa'), id: legacyId },
+    ]));
+
+    const alerts = await SecurityMonitoringService.getAlerts();
+
+    expect(new Set(alerts.map(alert => alert.id)).size).toBe(2);
+  });
+});
+
+describe('SecurityMonitoringService.detectBackgroundDataHogs', () => {
+  const MB = 1024 * 1024;
+  const snapshot = (timestamp) => ({
+    timestamp,
+    apps: [
+      { packageName: 'com.example.backup', name: 'Backup', dataUsage: { total: 200 * MB, background: 150 * MB } },
+      { packageName: 'com.example.video', name: 'Video', dataUsage: { total: 900 * MB, background: 100 * MB } },
+    ],
+  });
+
+  test('raises a medium alert for apps using data mostly in the background', () => {
+    const alerts = SecurityMonitoringService.detectBackgroundDataHogs(snapshot(new Date(2026, 4, 15).getTime()));
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      type: ALERT_TYPES.BACKGROUND_DATA,
+      severity: SEVERITY.MEDIUM,
+      details: { backgroundBytes: 150 * MB, totalBytes: 200 * MB },
+    });
+  });
+
+  test('raises the alert once per app per month', () => {
+    const [early] = SecurityMonitoringService.detectBackgroundDataHogs(snapshot(new Date(2026, 4, 2).getTime()));
+    const [late] = SecurityMonitoringService.detectBackgroundDataHogs(snapshot(new Date(2026, 4, 30).getTime()));
+    const [nextMonth] = SecurityMonitoringService.detectBackgroundDataHogs(snapshot(new Date(2026, 5, 1).getTime()));
+
+    expect(early.key).toBe(late.key);
+    expect(nextMonth.key).not.toBe(early.key);
+  });
+});
+
+describe('SecurityMonitoringService signing certificate alerts', () => {
+  const signer = (sha256, subject = 'CN=Example') => ({ signingCertificates: [{ sha256, subject }] });
+  const app = (overrides) => ({ packageName: 'com.example', name: 'Example', permissions: [], ...overrides });
+
+  test('flags apps signed with a test key', () => {
+    const alerts = SecurityMonitoringService.detectTestKeySigners({
+      timestamp: 1000,
+      apps: [app(signer('AA', 'CN=Android Debug,O=Android,C=US')), app({ packageName: 'com.release', ...signer('BB') })],
+    });
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      type: ALERT_TYPES.SIGNING_CERTIFICATE,
+      severity: SEVERITY.HIGH,
+      key: 'SIGNING_CERTIFICATE:test_key:com.example:AA',
+      details: { keyId: 'android_debug' },
+    });
+  });
+
+  test('alerts when an update changes the signer', () => {
+    const previous = { timestamp: 1, apps: [app(signer('AA'))] };
+    const current = { timestamp: 2, apps: [app(signer('BB'))] };
+    const diff = ScanSnapshotService.diffSnapshots(previous, current);
+
+    const alerts = SecurityMonitoringService.generateAlerts(previous, current, diff);
+
+    expect(alerts).toEqual([expect.objectContaining({
+      type: ALERT_TYPES.SIGNING_CERTIFICATE,
+      key: 'SIGNING_CERTIFICATE:changed:com.example:BB',
+      details: { previousSigners: ['AA'], currentSigners: ['BB'] },
+    })]);
+  });
+});
+
+describe('SecurityMonitoringService special access alerts', () => {
+  test('alerts on new special access separately from new permissions', () => {
+    const before = { packageName: 'com.example', name: 'Example', version: '1.0', permissions: [] };
+    const after = { ...before, permissions: ['DISPLAY_OVER_APPS', 'CAMERA'] };
+    const previous = { timestamp: 1, apps: [before] };
+    const current = { timestamp: 2, apps: [after] };
+
+    const alerts = SecurityMonitoringService.generateAlerts(previous, current, ScanSnapshotService.diffSnapshots(previous, current));
+    const special = alerts.find(alert => alert.details?.specialAccessAdded);
+    const requested = alerts.find(alert => alert.details?.permissionsAdded);
+
+    expect(special).toMatchObject({ severity: SEVERITY.HIGH, details: { specialAccessAdded: ['DISPLAY_OVER_APPS'] } });
+    expect(requested.details.permissionsAdded).toEqual(['CAMERA']);
+  });
+});
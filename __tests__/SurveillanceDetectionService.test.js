@@ -0,0 +1,96 @@
+import { SurveillanceDetectionService } from '../src/services/SurveillanceDetectionService';
+import { INSTALL_SOURCES } from '../src/utils/installSource';
+import { THREAT_CATEGORIES } from '../src/utils/threatDatabase';
+
+const { LEVELS } = SurveillanceDetectionService;
+
+const SPY_ACCESS = ['ACCESSIBILITY_SERVICE', 'SMS', 'CALL_LOG', 'BACKGROUND_LOCATION'];
+
+const app = (overrides = {}) => ({
+  packageName: 'com.example.app',
+  name: 'Example',
+  hasLauncher: true,
+  permissions: [],
+  ...overrides,
+});
+
+const indicatorIds = (finding) => finding.indicators.map(indicator => indicator.id);
+
+describe('SurveillanceDetectionService.evaluateApp', () => {
+  test('ignores ordinary apps', () => {
+    expect(SurveillanceDetectionService.evaluateApp(app({ permissions: ['SMS'] }))).toBeNull();
+  });
+
+  test('rates full surveillance access as possible surveillance', () => {
+    const finding = SurveillanceDetectionService.evaluateApp(app({ permissions: SPY_ACCESS }));
+
+    expect(indicatorIds(finding)).toEqual(['FULL_SURVEILLANCE_ACCESS']);
+    expect(finding.score).toBe(6);
+    expect(finding.level).toBe(LEVELS.POSSIBLE);
+  });
+
+  test('only counts access that is granted', () => {
+    const finding = SurveillanceDetectionService.evaluateApp(app({
+      permissions: SPY_ACCESS,
+      permissionGrants: { SMS: false, CALL_LOG: false },
+    }));
+
+    expect(finding).toBeNull();
+  });
+
+  test('rates hidden apps with spy access and a system-like name as likely', () => {
+    const finding = SurveillanceDetectionService.evaluateApp(app({
+      name: 'System Update',
+      hasLauncher: false,
+      launcherHidden: true,
+      permissions: SPY_ACCESS.slice(1),
+      installSource: INSTALL_SOURCES.SIDELOADED,
+    }));
+
+    expect(indicatorIds(finding)).toEqual(['HIDDEN_LAUNCHER', 'SURVEILLANCE_ACCESS', 'SIDELOADED', 'DISGUISED_NAME']);
+    expect(finding.score).toBe(4 + 4 + 1 + 2);
+    expect(finding.level).toBe(LEVELS.LIKELY);
+  });
+
+  test('does not hold a missing launcher or system-like name against system apps', () => {
+    const finding = SurveillanceDetectionService.evaluateApp(app({
+      packageName: 'com.android.service',
+      name: 'System Services',
+      hasLauncher: false,
+      isSystemApp: true,
+    }));
+
+    expect(finding).toBeNull();
+  });
+
+  test('rates known stalkerware as likely', () => {
+    const entry = { category: THREAT_CATEGORIES.STALKERWARE, name: 'Known Spy' };
+
+    const finding = SurveillanceDetectionService.evaluateApp(app({ threatMatch: { entry } }));
+
+    expect(finding.level).toBe(LEVELS.LIKELY);
+    expect(finding.knownApp).toBe(entry);
+  });
+
+  test('does not treat other threat categories as stalkerware', () => {
+    const finding = SurveillanceDetectionService.evaluateApp(app({ threatMatch: { entry: { category: THREAT_CATEGORIES.ADWARE } } }));
+
+    expect(finding).toBeNull();
+  });
+});
+
+describe('SurveillanceDetectionService.buildReport', () => {
+  test('sorts findings by score and counts hidden user apps', () => {
+    const report = SurveillanceDetectionService.buildReport([
+      app({ packageName: 'com.example.spy', permissions: SPY_ACCESS }),
+      app({ packageName: 'com.example.hidden', hasLauncher: false, permissions: SPY_ACCESS }),
+      app({ packageName: 'com.android.component', hasLauncher: false, isSystemApp: true }),
+      app({ packageName: 'com.mobilemonitor', permissions: SPY_ACCESS }),
+    ], 1000);
+
+    expect(report.generatedAt).toBe(1000);
+    expect(report.scannedCount).toBe(3);
+    expect(report.hiddenCount).toBe(1);
+    expect(report.findings.map(finding => finding.app.packageName)).toEqual(['com.example.hidden', 'com.example.spy']);
+  });
+});
@@ -0,0 +1,68 @@
+import { ThreatIntelService } from '../src/services/ThreatIntelService';
+import { DataValidationService } from '../src/services/DataValidationService';
+
+const digest = (byte) => new Array(32).fill(byte).join(':');
+const BAD_SIGNER = digest('AB');
+const OTHER_SIGNER = digest('CD');
+
+// Entries go through validation first, as they do when a database is loaded
+const entry = (overrides = {}) => DataValidationService.validateThreatEntry({
+  packageName: 'com.example.bad',
+  name: 'Bad App',
+  ...overrides,
+});
+
+const app = (overrides = {}) => ({
+  packageName: 'com.example.bad',
+  versionCode: 10,
+  signingCertificates: [{ sha256: BAD_SIGNER }],
+  ...overrides,
+});
+
+describe('ThreatIntelService.matchesEntry', () => {
+  test('matches on package name', () => {
+    expect(ThreatIntelService.matchesEntry(app(), entry())).toBe(true);
+    expect(ThreatIntelService.matchesEntry(app({ packageName: 'com.example.good' }), entry())).toBe(false);
+  });
+
+  test('only matches the listed signer', () => {
+    const signed = entry({ signerDigest: BAD_SIGNER.toLowerCase() });
+
+    expect(ThreatIntelService.matchesEntry(app(), signed)).toBe(true);
+    expect(ThreatIntelService.matchesEntry(app({ signingCertificates: [{ sha256: OTHER_SIGNER }] }), signed)).toBe(false);
+  });
+
+  test('matches when the signer is unknown', () => {
+    const signed = entry({ signerDigest: BAD_SIGNER });
+
+    expect(ThreatIntelService.matchesEntry(app({ signingCertificates: null }), signed)).toBe(true);
+  });
+
+  test('only matches versions inside a bad version range', () => {
+    const ranged = entry({ badVersions: [{ minVersionCode: 5, maxVersionCode: 10 }, { minVersionCode: 20 }] });
+
+    expect(ThreatIntelService.matchesEntry(app({ versionCode: 5 }), ranged)).toBe(true);
+    expect(ThreatIntelService.matchesEntry(app({ versionCode: 10 }), ranged)).toBe(true);
+    expect(ThreatIntelService.matchesEntry(app({ versionCode: 15 }), ranged)).toBe(false);
+    expect(ThreatIntelService.matchesEntry(app({ versionCode: 99 }), ranged)).toBe(true);
+    expect(ThreatIntelService.matchesEntry(app({ versionCode: 4 }), ranged)).toBe(false);
+  });
+
+  test('does not match version ranges when the version is unknown', () => {
+    const ranged = entry({ badVersions: [{ maxVersionCode: 10 }] });
+
+    expect(ThreatIntelService.matchesEntry(app({ versionCode: undefined }), ranged)).toBe(false);
+  });
+});
+
+describe('ThreatIntelService.findThreat', () => {
+  test('reports the matching bundled entry with its source', () => {
+    ThreatIntelService.activeDatabase = ThreatIntelService.selectDatabase(null);
+
+    const match = ThreatIntelService.findThreat({ packageName: 'com.vvt.android.syncmanager' });
+
+    expect(match.entry.name).toBe('FlexiSPY');
+    expect(match.source).toBe(ThreatIntelService.SOURCES.BUNDLED);
+    expect(ThreatIntelService.findThreat({ packageName: 'com.example.good' })).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { buildSessions, summarizeSessions, TRANSITION_TYPES } from '../src/utils/sessionBuilder';
+
+const { FOREGROUND, BACKGROUND } = TRANSITION_TYPES;
+
+const event = (packageName, type, timestamp) => ({ packageName, type, timestamp });
+
+describe('buildSessions', () => {
+  test('pairs foreground and background events per app', () => {
+    const sessions = buildSessions([
+      event('a', FOREGROUND, 1000),
+      event('b', FOREGROUND, 2000),
+      event('a', BACKGROUND, 5000),
+      event('b', BACKGROUND, 9000),
+    ], { rangeEnd: 10000 });
+
+    expect(sessions).toEqual([
+      { packageName: 'a', start: 1000, end: 5000, duration: 4000, isOngoing: false },
+      { packageName: 'b', start: 2000, end: 9000, duration: 7000, isOngoing: false },
+    ]);
+  });
+
+  test('sorts events before pairing them', () => {
+    const sessions = buildSessions([
+      event('a', BACKGROUND, 5000),
+      event('a', FOREGROUND, 1000),
+    ], { rangeEnd: 10000 });
+
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].duration).toBe(4000);
+  });
+
+  test('merges sessions separated by a short gap', () => {
+    const sessions = buildSessions([
+      event('a', FOREGROUND, 1000),
+      event('a', BACKGROUND, 5000),
+      event('a', FOREGROUND, 6000),
+      event('a', BACKGROUND, 8000),
+    ], { rangeEnd: 10000 });
+
+    expect(sessions).toEqual([
+      { packageName: 'a', start: 1000, end: 8000, duration: 7000, isOngoing: false },
+    ]);
+  });
+
+  test('keeps sessions separated by a longer gap apart', () => {
+    const events = [
+      event('a', FOREGROUND, 1000),
+      event('a', BACKGROUND, 5000),
+      event('a', FOREGROUND, 6000),
+      event('a', BACKGROUND, 8000),
+    ];
+
+    expect(buildSessions(events, { rangeEnd: 10000, mergeGapMs: 500 })).toHaveLength(2);
+  });
+
+  test('starts sessions open before the range at rangeStart', () => {
+    const sessions = buildSessions([event('a', BACKGROUND, 5000)], { rangeStart: 0, rangeEnd: 10000 });
+
+    expect(sessions).toEqual([
+      { packageName: 'a', start: 0, end: 5000, duration: 5000, isOngoing: false },
+    ]);
+  });
+
+  test('ignores a leading background event without rangeStart', () => {
+    expect(buildSessions([event('a', BACKGROUND, 5000)], { rangeEnd: 10000 })).toEqual([]);
+  });
+
+  test('ends sessions still open at rangeEnd', () => {
+    const sessions = buildSessions([event('a', FOREGROUND, 7000)], { rangeEnd: 10000 });
+
+    expect(sessions).toEqual([
+      { packageName: 'a', start: 7000, end: 10000, duration: 3000, isOngoing: true },
+    ]);
+  });
+
+  test('ignores repeated foreground events and other event types', () => {
+    const sessions = buildSessions([
+      event('a', FOREGROUND, 1000),
+      event('a', FOREGROUND, 3000),
+      event('a', 'CONFIGURATION_CHANGE', 4000),
+      event('a', BACKGROUND, 5000),
+    ], { rangeEnd: 10000 });
+
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].start).toBe(1000);
+  });
+});
+
+describe('summarizeSessions', () => {
+  test('totals the sessions', () => {
+    const summary = summarizeSessions([
+      { start: 1000, end: 3000, duration: 2000 },
+      { start: 5000, end: 11000, duration: 6000 },
+    ]);
+
+    expect(summary).toEqual({
+      count: 2,
+      totalDuration: 8000,
+      longestDuration: 6000,
+      averageDuration: 4000,
+      firstStart: 1000,
+      lastEnd: 11000,
+    });
+  });
+
+  test('handles no sessions', () => {
+    expect(summarizeSessions([])).toMatchObject({ count: 0, averageDuration: 0, firstStart: null });
+  });
+});
@@ -0,0 +1,55 @@
+import { findTestKeySigner, getSignerChange, getSignerDigests, shortenDigest } from '../src/utils/signingCertificates';
+
+const OLD = 'AA:AA:AA:AA:AA:AA:AA:AA';
+const NEW = 'BB:BB:BB:BB:BB:BB:BB:BB';
+
+const signedBy = (digests, history = []) => ({
+  signingCertificates: digests.map(sha256 => ({ sha256, subject: 'CN=Example' })),
+  signingCertificateHistory: history,
+});
+
+describe('getSignerChange', () => {
+  test('reports a different signer', () => {
+    expect(getSignerChange(signedBy([OLD]), signedBy([NEW]))).toEqual({ from: [OLD], to: [NEW] });
+  });
+
+  test('ignores the order signers are reported in', () => {
+    expect(getSignerChange(signedBy([OLD, NEW]), signedBy([NEW, OLD]))).toBeNull();
+  });
+
+  test('accepts a key rotation that lists the previous signer', () => {
+    expect(getSignerChange(signedBy([OLD]), signedBy([NEW], [OLD]))).toBeNull();
+  });
+
+  test('is unknown when either version has no signers', () => {
+    expect(getSignerChange({}, signedBy([NEW]))).toBeNull();
+    expect(getSignerChange(signedBy([OLD]), { signingCertificates: [] })).toBeNull();
+    expect(getSignerDigests({ signingCertificates: null })).toBeNull();
+  });
+});
+
+describe('findTestKeySigner', () => {
+  test('matches the Android debug key', () => {
+    const app = { signingCertificates: [{ sha256: OLD, subject: 'CN=Android Debug,O=Android,C=US' }] };
+
+    expect(findTestKeySigner(app)).toMatchObject({ sha256: OLD, keyId: 'android_debug' });
+  });
+
+  test('matches the AOSP test key behind an encoded email attribute', () => {
+    const subject = '1.2.840.113549.1.9.1=#16146164726f6964406e64726f69642e636f6d,CN=Android,OU=Android,O=Android,L=Mountain View,ST=California,C=US';
+
+    expect(findTestKeySigner({ signingCertificates: [{ sha256: OLD, subject }] })).toMatchObject({ keyId: 'aosp_test_key' });
+  });
+
+  test('ignores release keys', () => {
+    expect(findTestKeySigner(signedBy([OLD]))).toBeNull();
+    expect(findTestKeySigner({ signingCertificates: [{ sha256: OLD, subject: 'CN=Android Debug Tools,O=Example,C=US' }] })).toBeNull();
+  });
+});
+
+describe('shortenDigest', () => {
+  test('keeps the first and last bytes', () => {
+    expect(shortenDigest('01:02:03:04:05:06:07')).toBe('01:02:03…05:06:07');
+    expect(shortenDigest('01:02:03')).toBe('01:02:03');
+  });
+});
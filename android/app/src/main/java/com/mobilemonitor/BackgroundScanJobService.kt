@@ -0,0 +1,103 @@
+package com.mobilemonitor
+
+import android.app.job.JobInfo
+import android.app.job.JobParameters
+import android.app.job.JobScheduler
+import android.app.job.JobService
+import android.content.ComponentName
+import android.content.Context
+import android.content.Intent
+import android.os.PersistableBundle
+import android.util.Log
+import com.facebook.react.HeadlessJsTaskService
+
+/**
+ * JobScheduler entry point for periodic scans and scans of newly installed packages.
+ * The job only hands off to the headless JS task, which does the actual scan.
+ */
+class BackgroundScanJobService : JobService() {
+
+    companion object {
+        const val PERIODIC_JOB_ID = 4101
+        const val PACKAGE_ADDED_JOB_ID = 4102
+
+        const val REASON_PERIODIC = "periodic"
+        const val REASON_PACKAGE_ADDED = "packageAdded"
+
+        private const val PREFS_NAME = "MonitorMateBackgroundScan"
+        private const val PREF_AUTO_SCAN = "autoScanEnabled"
+
+        fun schedulePeriodicScan(context: Context, intervalMinutes: Int): Boolean {
+            val extras = PersistableBundle().apply {
+                putString(BackgroundScanTaskService.EXTRA_REASON, REASON_PERIODIC)
+            }
+            val job = JobInfo.Builder(PERIODIC_JOB_ID, ComponentName(context, BackgroundScanJobService::class.java))
+                // JobScheduler enforces a minimum period of 15 minutes
+                .setPeriodic(maxOf(intervalMinutes, 15) * 60 * 1000L)
+                .setRequiresBatteryNotLow(true)
+                .setPersisted(true)
+                .setExtras(extras)
+                .build()
+            return getJobScheduler(context).schedule(job) == JobScheduler.RESULT_SUCCESS
+        }
+
+        /**
+         * The scan covers every installed app, so installs close together share
+         * one job: scheduling again replaces the pending one.
+         */
+        fun schedulePackageScan(context: Context): Boolean {
+            val extras = PersistableBundle().apply {
+                putString(BackgroundScanTaskService.EXTRA_REASON, REASON_PACKAGE_ADDED)
+            }
+            val job = JobInfo.Builder(PACKAGE_ADDED_JOB_ID, ComponentName(context, BackgroundScanJobService::class.java))
+                .setOverrideDeadline(0)
+                .setExtras(extras)
+                .build()
+            return getJobScheduler(context).schedule(job) == JobScheduler.RESULT_SUCCESS
+        }
+
+        fun cancelPeriodicScan(context: Context) {
+            getJobScheduler(context).cancel(PERIODIC_JOB_ID)
+        }
+
+        fun isPeriodicScanScheduled(context: Context): Boolean {
+            return getJobScheduler(context).allPendingJobs.any { it.id == PERIODIC_JOB_ID }
+        }
+
+        fun setAutoScanEnabled(context: Context, enabled: Boolean) {
+            context.getSharedPreferences(PREFS_NAME, Context.MODE_PRIVATE)
+                .edit()
+                .putBoolean(PREF_AUTO_SCAN, enabled)
+                .apply()
+        }
+
+        fun isAutoScanEnabled(context: Context): Boolean {
+            // Matches the autoScan default in SettingsScreen
+            return context.getSharedPreferences(PREFS_NAME, Context.MODE_PRIVATE)
+                .getBoolean(PREF_AUTO_SCAN, true)
+        }
+
+        private fun getJobScheduler(context: Context): JobScheduler {
+            return context.getSystemService(Context.JOB_SCHEDULER_SERVICE) as JobScheduler
+        }
+    }
+
+    override fun onStartJob(params: JobParameters): Boolean {
+        return try {
+            val intent = Intent(applicationContext, BackgroundScanTaskService::class.java).apply {
+                putExtra(BackgroundScanTaskService.EXTRA_REASON, params.extras.getString(BackgroundScanTaskService.EXTRA_REASON, REASON_PERIODIC))
+            }
+            HeadlessJsTaskService.acquireWakeLockNow(applicationContext)
+            applicationContext.startService(intent)
+            false
+        } catch (e: Exception) {
+            Log.w("BackgroundScanJobService", "Failed to start background scan task", e)
+            false
+        }
+    }
+
+    override fun onStopJob(params: JobParameters): Boolean {
+        // Retry periodic scans on the next interval rather than immediately
+        return params.jobId == PACKAGE_ADDED_JOB_ID
+    }
+}
@@ -0,0 +1,65 @@
+package com.mobilemonitor
+
+import com.facebook.react.bridge.*
+
+class BackgroundScanModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaModule(reactContext) {
+
+    override fun getName(): String {
+        return "BackgroundScan"
+    }
+
+    override fun getConstants(): Map<String, Any> {
+        return mapOf(
+            "TASK_NAME" to BackgroundScanTaskService.TASK_NAME,
+            "REASON_PERIODIC" to BackgroundScanJobService.REASON_PERIODIC,
+            "REASON_PACKAGE_ADDED" to BackgroundScanJobService.REASON_PACKAGE_ADDED
+        )
+    }
+
+    @ReactMethod
+    fun schedulePeriodicScan(intervalMinutes: Int, promise: Promise) {
+        try {
+            promise.resolve(BackgroundScanJobService.schedulePeriodicScan(reactApplicationContext, intervalMinutes))
+        } catch (e: Exception) {
+            promise.reject("SCHEDULE_SCAN_ERROR", "Failed to schedule background scan: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun cancelPeriodicScan(promise: Promise) {
+        try {
+            BackgroundScanJobService.cancelPeriodicScan(reactApplicationContext)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("CANCEL_SCAN_ERROR", "Failed to cancel background scan: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun isPeriodicScanScheduled(promise: Promise) {
+        try {
+            promise.resolve(BackgroundScanJobService.isPeriodicScanScheduled(reactApplicationContext))
+        } catch (e: Exception) {
+            promise.reject("SCAN_STATUS_ERROR", "Failed to check background scan: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun setAutoScanEnabled(enabled: Boolean, promise: Promise) {
+        try {
+            BackgroundScanJobService.setAutoScanEnabled(reactApplicationContext, enabled)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("AUTO_SCAN_ERROR", "Failed to update auto scan: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun isAutoScanEnabled(promise: Promise) {
+        try {
+            promise.resolve(BackgroundScanJobService.isAutoScanEnabled(reactApplicationContext))
+        } catch (e: Exception) {
+            promise.reject("AUTO_SCAN_ERROR", "Failed to read auto scan: ${e.message}", e)
+        }
+    }
+}
@@ -0,0 +1,30 @@
+package com.mobilemonitor
+
+import android.content.Intent
+import com.facebook.react.HeadlessJsTaskService
+import com.facebook.react.bridge.Arguments
+import com.facebook.react.jstasks.HeadlessJsTaskConfig
+
+/**
+ * Runs the JS background scan task registered in index.js
+ */
+class BackgroundScanTaskService : HeadlessJsTaskService() {
+
+    companion object {
+        const val TASK_NAME = "MonitorMateBackgroundScan"
+        const val EXTRA_REASON = "reason"
+
+        // Scanning every installed app can take a while on large devices
+        private const val TASK_TIMEOUT_MS = 5 * 60 * 1000L
+    }
+
+    override fun getTaskConfig(intent: Intent?): HeadlessJsTaskConfig? {
+        val extras = intent?.extras ?: return null
+        return HeadlessJsTaskConfig(
+            TASK_NAME,
+            Arguments.fromBundle(extras),
+            TASK_TIMEOUT_MS,
+            true
+        )
+    }
+}
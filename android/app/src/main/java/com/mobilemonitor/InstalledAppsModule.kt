@@ -22,23 +22,45 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
         return "InstalledApps"
     }
 
+    companion object {
+        const val SCAN_PROGRESS_EVENT = "InstalledAppsScanProgress"
+        private const val SCAN_PROGRESS_INTERVAL = 10
+
+        // Layout of the LongArray usage accumulators
+        private const val MOBILE_RX = 0
+        private const val MOBILE_TX = 1
+        private const val WIFI_RX = 2
+        private const val WIFI_TX = 3
+        private const val FOREGROUND_RX = 4
+        private const val FOREGROUND_TX = 5
+        private const val BACKGROUND_RX = 6
+        private const val BACKGROUND_TX = 7
+        private const val USAGE_FIELDS = 8
+    }
+
     @ReactMethod
     fun getInstalledApps(promise: Promise) {
         try {
             val packageManager = reactApplicationContext.packageManager
-            val installedPackages = packageManager.getInstalledPackages(PackageManager.GET_PERMISSIONS)
+            val installedPackages = packageManager.getInstalledPackages(
+                PackageManager.GET_PERMISSIONS or SigningCertificateReader.packageInfoFlags()
+            )
             val apps = WritableNativeArray()
+            val total = installedPackages.size
+            val specialAccessReader = SpecialAccessReader(reactApplicationContext)
+            val hiddenLauncherPackages = getHiddenLauncherPackages(packageManager)
+
+            for ((index, packageInfo) in installedPackages.withIndex()) {
+                val scanned = index + 1
+                if (scanned % SCAN_PROGRESS_INTERVAL == 0 || scanned == total) {
+                    emitScanProgress(scanned, total)
+                }
 
-            for (packageInfo in installedPackages) {
                 val appInfo = packageInfo.applicationInfo ?: continue
                 
-                // Include all apps (both system and user-installed)
-                // Filter out only if app has no launcher icon (background services/components)
-                val launcherIntent = packageManager.getLaunchIntentForPackage(packageInfo.packageName)
-                if (launcherIntent == null) {
-                    // Skip apps without launcher activity (system components, services)
-                    continue
-                }
+                // Include all apps (both system and user-installed), including
+                // background-only packages without a launcher icon
+                val hasLauncher = packageManager.getLaunchIntentForPackage(packageInfo.packageName) != null
                 
                 val appInfoMap = WritableNativeMap()
                 
@@ -46,6 +68,7 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
                     val appName = packageManager.getApplicationLabel(appInfo).toString()
                     appInfoMap.putString("appName", appName)
                     appInfoMap.putString("packageName", packageInfo.packageName)
+                    appInfoMap.putInt("uid", appInfo.uid)
                     appInfoMap.putString("versionName", packageInfo.versionName ?: "Unknown")
                     appInfoMap.putInt("versionCode", packageInfo.versionCode)
                     
@@ -56,25 +79,35 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
                     // Mark if it's a system app
                     val isSystemApp = (appInfo.flags and ApplicationInfo.FLAG_SYSTEM) != 0
                     appInfoMap.putBoolean("isSystemApp", isSystemApp)
+                    appInfoMap.putBoolean("hasLauncher", hasLauncher)
+                    // Icon-switching apps disable one launcher alias and keep another
+                    appInfoMap.putBoolean("launcherHidden", !hasLauncher && packageInfo.packageName in hiddenLauncherPackages)
+                    putInstallSource(appInfoMap, packageManager, packageInfo.packageName)
+                    SigningCertificateReader.putSigningCertificates(appInfoMap, packageInfo)
                     
                     // Get permissions
-                    val permissions = WritableNativeArray()
-                    packageInfo.requestedPermissions?.forEach { permission ->
-                        // Only include dangerous permissions that users should be aware of
-                        if (isDangerousPermission(permission)) {
-                            permissions.pushString(getSimplePermissionName(permission))
-                        }
-                    }
+                    val permissions = getDangerousPermissions(packageInfo)
                     appInfoMap.putArray("permissions", permissions)
+                    appInfoMap.putMap("permissionGrants", getPermissionGrants(packageInfo))
+                    appInfoMap.putBoolean("hasInternetAccess", hasInternetAccess(packageInfo))
+                    appInfoMap.putArray("specialAccess", specialAccessReader.read(packageInfo))
                     
+                    // Preinstalled services without a launcher icon are hidden by
+                    // default and never launched, so skip the icon and usage lookups
+                    val isSystemComponent = isSystemApp && !hasLauncher
+
                     // Get app icon as base64
-                    try {
-                        val drawable = packageManager.getApplicationIcon(appInfo)
-                        val bitmap = drawableToBitmap(drawable)
-                        val base64Icon = bitmapToBase64(bitmap)
-                        appInfoMap.putString("icon", base64Icon)
-                    } catch (e: Exception) {
+                    if (isSystemComponent) {
                         appInfoMap.putString("icon", "default")
+                    } else {
+                        try {
+                            val drawable = packageManager.getApplicationIcon(appInfo)
+                            val bitmap = drawableToBitmap(drawable)
+                            val base64Icon = bitmapToBase64(bitmap)
+                            appInfoMap.putString("icon", base64Icon)
+                        } catch (e: Exception) {
+                            appInfoMap.putString("icon", "default")
+                        }
                     }
                     
                     // Get app size information
@@ -94,7 +127,7 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
                     }
                     
                     // Try to get usage stats (requires special permission)
-                    val usageData = getUsageStatsDetailed(packageInfo.packageName)
+                    val usageData = if (isSystemComponent) Triple(0L, 0L, 0) else getUsageStatsDetailed(packageInfo.packageName)
                     var lastTimeUsed = usageData.first
                     
                     // If no usage data found, use lastUpdateTime as fallback
@@ -105,6 +138,7 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
                     }
                     
                     appInfoMap.putDouble("lastTimeUsed", lastTimeUsed.toDouble())
+                    appInfoMap.putBoolean("hasUsageStats", usageData.first != 0L)
                     appInfoMap.putDouble("totalTimeInForeground", usageData.second.toDouble())
                     appInfoMap.putInt("launchCount", usageData.third)
                     
@@ -127,7 +161,10 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
     fun getAppDetails(packageName: String, promise: Promise) {
         try {
             val packageManager = reactApplicationContext.packageManager
-            val packageInfo = packageManager.getPackageInfo(packageName, PackageManager.GET_PERMISSIONS)
+            val packageInfo = packageManager.getPackageInfo(
+                packageName,
+                PackageManager.GET_PERMISSIONS or SigningCertificateReader.packageInfoFlags()
+            )
             val applicationInfo = packageInfo.applicationInfo ?: throw Exception("Application info not found")
             
             val appInfo = WritableNativeMap()
@@ -139,6 +176,9 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
             appInfo.putInt("versionCode", packageInfo.versionCode)
             appInfo.putDouble("firstInstallTime", packageInfo.firstInstallTime.toDouble())
             appInfo.putDouble("lastUpdateTime", packageInfo.lastUpdateTime.toDouble())
+            appInfo.putBoolean("isSystemApp", (applicationInfo.flags and ApplicationInfo.FLAG_SYSTEM) != 0)
+            putInstallSource(appInfo, packageManager, packageName)
+            SigningCertificateReader.putSigningCertificates(appInfo, packageInfo)
             
             // Get detailed permissions
             val permissions = WritableNativeArray()
@@ -154,13 +194,7 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
                     permDetail.putString("description", getPermissionDescription(permission))
                     permDetail.putString("riskLevel", getPermissionRiskLevel(permission))
                     
-                    // Check if permission is granted
-                    val isGranted = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.M) {
-                        packageManager.checkPermission(permission, packageName) == PackageManager.PERMISSION_GRANTED
-                    } else {
-                        true // Pre-M permissions were granted at install time
-                    }
-                    permDetail.putBoolean("isGranted", isGranted)
+                    permDetail.putBoolean("isGranted", isPermissionGranted(packageInfo, index))
                     
                     permissionDetails.pushMap(permDetail)
                 }
@@ -168,6 +202,9 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
             
             appInfo.putArray("permissions", permissions)
             appInfo.putArray("permissionDetails", permissionDetails)
+            appInfo.putMap("permissionGrants", getPermissionGrants(packageInfo))
+            appInfo.putBoolean("hasInternetAccess", hasInternetAccess(packageInfo))
+            appInfo.putArray("specialAccess", SpecialAccessReader(reactApplicationContext).read(packageInfo))
             
             // Add network usage data
             try {
@@ -194,35 +231,54 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
     }
 
     @ReactMethod
-    fun getAllAppsNetworkUsage(promise: Promise) {
+    fun getNetworkUsageForRange(packageName: String, startTime: Double, endTime: Double, promise: Promise) {
+        try {
+            val networkUsage = getNetworkUsageForApp(packageName, startTime.toLong(), endTime.toLong())
+            promise.resolve(networkUsage)
+        } catch (e: Exception) {
+            promise.reject("NETWORK_USAGE_ERROR", "Failed to get network usage: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun getNetworkUsageHistory(packageName: String, startTime: Double, endTime: Double, promise: Promise) {
+        try {
+            val history = WritableNativeMap()
+            history.putString("packageName", packageName)
+            history.putDouble("startTime", startTime)
+            history.putDouble("endTime", endTime)
+            history.putArray("days", getDailyNetworkUsageForApp(packageName, startTime.toLong(), endTime.toLong()))
+            promise.resolve(history)
+        } catch (e: Exception) {
+            promise.reject("NETWORK_USAGE_HISTORY_ERROR", "Failed to get network usage history: ${e.message}", e)
+        }
+    }
+
+    /**
+     * Usage for every installed app from one summary query per network type,
+     * instead of a queryDetailsForUid call per package. Apps sharing a UID
+     * each report the UID's combined usage.
+     */
+    @ReactMethod
+    fun getAllAppsNetworkUsage(startTime: Double, endTime: Double, promise: Promise) {
         try {
             val allUsage = WritableNativeArray()
             val packageManager = reactApplicationContext.packageManager
             val installedPackages = packageManager.getInstalledPackages(0)
+            val usageByUid = getNetworkUsageByUid(startTime.toLong(), endTime.toLong())
             
             for (packageInfo in installedPackages) {
                 val appInfo = packageInfo.applicationInfo ?: continue
                 
-                // Only include apps with launcher intent
-                val launcherIntent = packageManager.getLaunchIntentForPackage(packageInfo.packageName)
-                if (launcherIntent == null) {
-                    continue
-                }
-                
-                try {
-                    val appUsage = WritableNativeMap()
-                    appUsage.putString("packageName", packageInfo.packageName)
-                    appUsage.putString("appName", packageManager.getApplicationLabel(appInfo).toString())
-                    
-                    val networkUsage = getNetworkUsageForApp(packageInfo.packageName)
-                    appUsage.putMap("networkUsage", networkUsage)
-                    
-                    allUsage.pushMap(appUsage)
-                } catch (e: Exception) {
-                    // Skip apps that we can't get usage for
-                    Log.w("InstalledAppsModule", "Error getting network usage for ${packageInfo.packageName}: ${e.message}")
-                    continue
-                }
+                val usage = usageByUid[appInfo.uid] ?: LongArray(USAGE_FIELDS)
+                val networkUsage = WritableNativeMap()
+                putUsageTotals(networkUsage, usage, summaryReportsState())
+
+                val appUsage = WritableNativeMap()
+                appUsage.putString("packageName", packageInfo.packageName)
+                appUsage.putInt("uid", appInfo.uid)
+                appUsage.putMap("networkUsage", networkUsage)
+                allUsage.pushMap(appUsage)
             }
             
             Log.d("InstalledAppsModule", "Total apps with network usage: ${allUsage.size()}")
@@ -232,6 +288,216 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
         }
     }
 
+    /**
+     * Usage of the whole device between startTime and endTime, including UIDs
+     * with no installed package such as removed apps and tethering
+     */
+    @ReactMethod
+    fun getDeviceNetworkUsage(startTime: Double, endTime: Double, promise: Promise) {
+        try {
+            val total = LongArray(USAGE_FIELDS)
+            for (usage in getNetworkUsageByUid(startTime.toLong(), endTime.toLong()).values) {
+                usage.forEachIndexed { index, bytes -> total[index] += bytes }
+            }
+            val networkUsage = WritableNativeMap()
+            putUsageTotals(networkUsage, total, summaryReportsState())
+            promise.resolve(networkUsage)
+        } catch (e: Exception) {
+            promise.reject("DEVICE_NETWORK_USAGE_ERROR", "Failed to get device network usage: ${e.message}", e)
+        }
+    }
+
+    /**
+     * Daily usage for every installed package with traffic in the range, from one
+     * summary query per day and network type.
+     */
+    @ReactMethod
+    fun getAllAppsNetworkUsageHistory(startTime: Double, endTime: Double, promise: Promise) {
+        try {
+            val dayStarts = getDayStarts(startTime.toLong(), endTime.toLong())
+            promise.resolve(getSlottedUsageHistory(dayStarts, endTime.toLong(), "days", "date"))
+        } catch (e: Exception) {
+            promise.reject("ALL_NETWORK_HISTORY_ERROR", "Failed to get network usage history: ${e.message}", e)
+        }
+    }
+
+    /**
+     * Hourly usage for every installed package with traffic in the range, from one
+     * summary query per hour and network type. Meant for windows of a few hours.
+     * Android records traffic in buckets of about two hours, so hours inside one
+     * bucket get a proportional share of it.
+     */
+    @ReactMethod
+    fun getAllAppsHourlyNetworkUsage(startTime: Double, endTime: Double, promise: Promise) {
+        try {
+            val hourStarts = getHourStarts(startTime.toLong(), endTime.toLong())
+            promise.resolve(getSlottedUsageHistory(hourStarts, endTime.toLong(), "hours", "startTime"))
+        } catch (e: Exception) {
+            promise.reject("HOURLY_NETWORK_USAGE_ERROR", "Failed to get hourly network usage: ${e.message}", e)
+        }
+    }
+
+    /**
+     * [{ packageName, uid, <listKey>: [{ <timeKey>, ...usage totals }] }] with one
+     * entry per slot. Each slot runs until the next one starts, the last until endTime.
+     */
+    private fun getSlottedUsageHistory(slotStarts: List<Long>, endTime: Long, listKey: String, timeKey: String): WritableArray {
+        val packageManager = reactApplicationContext.packageManager
+
+        // uid -> one usage accumulator per slot
+        val usageByUid = mutableMapOf<Int, Array<LongArray>>()
+        slotStarts.forEachIndexed { index, slotStart ->
+            val slotEnd = minOf(slotStarts.getOrNull(index + 1) ?: endTime, endTime)
+            forEachSummaryBucket(slotStart, slotEnd) { networkType, bucket ->
+                val slots = usageByUid.getOrPut(bucket.uid) { Array(slotStarts.size) { LongArray(USAGE_FIELDS) } }
+                addBucketUsage(slots[index], networkType, bucket)
+            }
+        }
+
+        val history = WritableNativeArray()
+        for (packageInfo in packageManager.getInstalledPackages(0)) {
+            val appInfo = packageInfo.applicationInfo ?: continue
+            val slots = usageByUid[appInfo.uid] ?: continue
+
+            val slotArray = WritableNativeArray()
+            slotStarts.forEachIndexed { index, slotStart ->
+                val slot = WritableNativeMap()
+                slot.putDouble(timeKey, slotStart.toDouble())
+                putUsageTotals(slot, slots[index], summaryReportsState())
+                slotArray.pushMap(slot)
+            }
+
+            val appHistory = WritableNativeMap()
+            appHistory.putString("packageName", packageInfo.packageName)
+            appHistory.putInt("uid", appInfo.uid)
+            appHistory.putArray(listKey, slotArray)
+            history.pushMap(appHistory)
+        }
+        return history
+    }
+
+    // Required by NativeEventEmitter on the JS side
+    @ReactMethod
+    fun addListener(eventName: String) {
+    }
+
+    @ReactMethod
+    fun removeListeners(count: Int) {
+    }
+
+    private fun emitScanProgress(scanned: Int, total: Int) {
+        try {
+            val progress = WritableNativeMap()
+            progress.putInt("scanned", scanned)
+            progress.putInt("total", total)
+            reactApplicationContext
+                .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter::class.java)
+                .emit(SCAN_PROGRESS_EVENT, progress)
+        } catch (e: Exception) {
+            Log.w("InstalledAppsModule", "Could not emit scan progress", e)
+        }
+    }
+
+    /**
+     * [mobileRx, mobileTx, wifiRx, wifiTx] per UID between startTime and endTime
+     */
+    private fun getNetworkUsageByUid(startTime: Long, endTime: Long): Map<Int, LongArray> {
+        val usageByUid = mutableMapOf<Int, LongArray>()
+        forEachSummaryBucket(startTime, endTime) { networkType, bucket ->
+            addBucketUsage(usageByUid.getOrPut(bucket.uid) { LongArray(USAGE_FIELDS) }, networkType, bucket)
+        }
+        return usageByUid
+    }
+
+    private fun isPermissionGranted(packageInfo: PackageInfo, index: Int): Boolean {
+        val flags = packageInfo.requestedPermissionsFlags ?: return false
+        if (index >= flags.size) {
+            return false
+        }
+        return (flags[index] and PackageInfo.REQUESTED_PERMISSION_GRANTED) != 0
+    }
+
+    // Grant state keyed by simple permission name. Several Android permissions share a
+    // simple name (e.g. fine and coarse LOCATION), which counts as granted if any of them is.
+    private fun getPermissionGrants(packageInfo: PackageInfo): WritableMap {
+        val grants = mutableMapOf<String, Boolean>()
+        packageInfo.requestedPermissions?.forEachIndexed { index, permission ->
+            if (isDangerousPermission(permission)) {
+                val name = getSimplePermissionName(permission)
+                grants[name] = (grants[name] ?: false) || isPermissionGranted(packageInfo, index)
+            }
+        }
+
+        val result = WritableNativeMap()
+        grants.forEach { (name, granted) -> result.putBoolean(name, granted) }
+        return result
+    }
+
+    /**
+     * Which package installed the app, and on Android 11+ which package asked
+     * for the install (e.g. a browser or file manager handing an APK to the
+     * package installer). Both are null when unknown, e.g. for adb installs.
+     */
+    private fun putInstallSource(map: WritableMap, packageManager: PackageManager, packageName: String) {
+        var installer: String? = null
+        var initiator: String? = null
+        try {
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.R) {
+                val sourceInfo = packageManager.getInstallSourceInfo(packageName)
+                installer = sourceInfo.installingPackageName
+                initiator = sourceInfo.initiatingPackageName
+            } else {
+                @Suppress("DEPRECATION")
+                installer = packageManager.getInstallerPackageName(packageName)
+            }
+        } catch (e: Exception) {
+            Log.w("InstalledAppsModule", "Could not get install source for $packageName: ${e.message}")
+        }
+        map.putString("installerPackageName", installer)
+        map.putString("initiatingPackageName", initiator)
+    }
+
+    // Only dangerous permissions that users should be aware of, by simplified name
+    private fun getDangerousPermissions(packageInfo: PackageInfo): WritableArray {
+        val permissions = WritableNativeArray()
+        packageInfo.requestedPermissions?.forEach { permission ->
+            if (isDangerousPermission(permission)) {
+                permissions.pushString(getSimplePermissionName(permission))
+            }
+        }
+        return permissions
+    }
+
+    /**
+     * Packages that declare a launcher activity but have it disabled
+     */
+    private fun getHiddenLauncherPackages(packageManager: PackageManager): Set<String> {
+        val intent = android.content.Intent(android.content.Intent.ACTION_MAIN)
+            .addCategory(android.content.Intent.CATEGORY_LAUNCHER)
+        return try {
+            packageManager.queryIntentActivities(intent, PackageManager.MATCH_DISABLED_COMPONENTS)
+                .filter { resolveInfo ->
+                    val activityInfo = resolveInfo.activityInfo
+                    val component = android.content.ComponentName(activityInfo.packageName, activityInfo.name)
+                    when (packageManager.getComponentEnabledSetting(component)) {
+                        PackageManager.COMPONENT_ENABLED_STATE_ENABLED -> false
+                        PackageManager.COMPONENT_ENABLED_STATE_DEFAULT -> !activityInfo.enabled
+                        else -> true
+                    }
+                }
+                .map { it.activityInfo.packageName }
+                .toSet()
+        } catch (e: Exception) {
+            Log.w("InstalledAppsModule", "Could not query launcher activities: ${e.message}")
+            emptySet()
+        }
+    }
+
+    // INTERNET is a normal permission, so it never shows up in the dangerous permission list
+    private fun hasInternetAccess(packageInfo: PackageInfo): Boolean {
+        return packageInfo.requestedPermissions?.contains(android.Manifest.permission.INTERNET) == true
+    }
+
     private fun isDangerousPermission(permission: String): Boolean {
         return when {
             permission.contains("CAMERA") -> true
@@ -617,107 +883,233 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
         return "data:image/png;base64," + android.util.Base64.encodeToString(byteArray, android.util.Base64.DEFAULT)
     }
 
-    private fun getNetworkUsageForApp(packageName: String): WritableMap {
+    private fun getNetworkUsageForApp(
+        packageName: String,
+        startTime: Long = defaultUsageStartTime(),
+        endTime: Long = System.currentTimeMillis()
+    ): WritableMap {
         val networkData = WritableNativeMap()
-        
+        val usage = LongArray(USAGE_FIELDS)
+
         try {
-            if (Build.VERSION.SDK_INT < Build.VERSION_CODES.M) {
-                // NetworkStatsManager not available before API 23
-                networkData.putDouble("mobileRx", 0.0)
-                networkData.putDouble("mobileTx", 0.0)
-                networkData.putDouble("wifiRx", 0.0)
-                networkData.putDouble("wifiTx", 0.0)
-                networkData.putDouble("totalRx", 0.0)
-                networkData.putDouble("totalTx", 0.0)
-                return networkData
+            val uid = getPackageUid(packageName)
+            if (uid != null) {
+                for (networkType in listOf(ConnectivityManager.TYPE_MOBILE, ConnectivityManager.TYPE_WIFI)) {
+                    forEachNetworkBucket(networkType, startTime, endTime, uid, packageName) { bucket ->
+                        addBucketUsage(usage, networkType, bucket)
+                    }
+                }
             }
+        } catch (e: Exception) {
+            Log.e("InstalledAppsModule", "Error getting network usage for $packageName", e)
+            usage.fill(0L)
+        }
 
-            val networkStatsManager = reactApplicationContext.getSystemService(Context.NETWORK_STATS_SERVICE) as? NetworkStatsManager
-            if (networkStatsManager == null) {
-                networkData.putDouble("mobileRx", 0.0)
-                networkData.putDouble("mobileTx", 0.0)
-                networkData.putDouble("wifiRx", 0.0)
-                networkData.putDouble("wifiTx", 0.0)
-                networkData.putDouble("totalRx", 0.0)
-                networkData.putDouble("totalTx", 0.0)
-                return networkData
-            }
+        putUsageTotals(networkData, usage, uidQueryReportsState())
+        return networkData
+    }
 
-            val packageManager = reactApplicationContext.packageManager
-            val packageInfo = packageManager.getPackageInfo(packageName, 0)
-            val uid = packageInfo.applicationInfo?.uid ?: return networkData
+    /**
+     * Splits an app's traffic between startTime and endTime into local calendar days.
+     * Every day in the range is present, with zeros when the app used no data.
+     */
+    private fun getDailyNetworkUsageForApp(packageName: String, startTime: Long, endTime: Long): WritableArray {
+        val dayStarts = getDayStarts(startTime, endTime)
+
+        val totals = Array(dayStarts.size) { LongArray(USAGE_FIELDS) }
+        val dayIndexFor = { timestamp: Long ->
+            val index = dayStarts.indexOfLast { it <= timestamp }
+            if (index < 0) 0 else index
+        }
+
+        if (dayStarts.isNotEmpty()) {
+            val uid = getPackageUid(packageName)
+            if (uid != null) {
+                for (networkType in listOf(ConnectivityManager.TYPE_MOBILE, ConnectivityManager.TYPE_WIFI)) {
+                    forEachNetworkBucket(networkType, startTime, endTime, uid, packageName) { bucket ->
+                        addBucketUsage(totals[dayIndexFor(bucket.startTimeStamp)], networkType, bucket)
+                    }
+                }
+            }
+        }
 
-            // Get usage for the last 30 days
-            val calendar = Calendar.getInstance()
-            val endTime = calendar.timeInMillis
-            calendar.add(Calendar.DAY_OF_YEAR, -30)
-            val startTime = calendar.timeInMillis
+        val days = WritableNativeArray()
+        dayStarts.forEachIndexed { index, dayStart ->
+            val day = WritableNativeMap()
+            day.putDouble("date", dayStart.toDouble())
+            putUsageTotals(day, totals[index], uidQueryReportsState())
+            days.pushMap(day)
+        }
+        return days
+    }
 
-            var mobileRx = 0L
-            var mobileTx = 0L
-            var wifiRx = 0L
-            var wifiTx = 0L
+    /**
+     * Every per-UID summary bucket for mobile and Wi-Fi between startTime and endTime
+     */
+    private fun forEachSummaryBucket(
+        startTime: Long,
+        endTime: Long,
+        onBucket: (networkType: Int, bucket: NetworkStats.Bucket) -> Unit
+    ) {
+        if (Build.VERSION.SDK_INT < Build.VERSION_CODES.M) {
+            // NetworkStatsManager not available before API 23
+            return
+        }
+        val networkStatsManager = reactApplicationContext.getSystemService(Context.NETWORK_STATS_SERVICE) as? NetworkStatsManager
+            ?: return
 
+        val networkTypes = listOf(
+            ConnectivityManager.TYPE_MOBILE to getSubscriberId(),
+            ConnectivityManager.TYPE_WIFI to null
+        )
+        for ((networkType, subscriberId) in networkTypes) {
             try {
-                // Mobile data usage
-                val mobileNetworkStats = networkStatsManager.queryDetailsForUid(
-                    ConnectivityManager.TYPE_MOBILE,
-                    getSubscriberId(),
-                    startTime,
-                    endTime,
-                    uid
-                )
-
-                while (mobileNetworkStats.hasNextBucket()) {
-                    val bucket = NetworkStats.Bucket()
-                    mobileNetworkStats.getNextBucket(bucket)
-                    mobileRx += bucket.rxBytes
-                    mobileTx += bucket.txBytes
+                readBuckets(networkStatsManager.querySummary(networkType, subscriberId, startTime, endTime)) { bucket ->
+                    onBucket(networkType, bucket)
                 }
-                mobileNetworkStats.close()
             } catch (e: Exception) {
-                Log.w("InstalledAppsModule", "Could not get mobile stats for $packageName", e)
+                val networkName = if (networkType == ConnectivityManager.TYPE_MOBILE) "mobile" else "WiFi"
+                Log.w("InstalledAppsModule", "Could not get $networkName summary stats", e)
             }
+        }
+    }
 
-            try {
-                // WiFi data usage
-                val wifiNetworkStats = networkStatsManager.queryDetailsForUid(
-                    ConnectivityManager.TYPE_WIFI,
-                    null,
-                    startTime,
-                    endTime,
-                    uid
-                )
+    /**
+     * Start of every clock hour overlapping startTime..endTime
+     */
+    private fun getHourStarts(startTime: Long, endTime: Long): List<Long> {
+        val hourStarts = mutableListOf<Long>()
+        val calendar = Calendar.getInstance()
+        calendar.timeInMillis = startTime
+        calendar.set(Calendar.MINUTE, 0)
+        calendar.set(Calendar.SECOND, 0)
+        calendar.set(Calendar.MILLISECOND, 0)
+        while (calendar.timeInMillis < endTime) {
+            hourStarts.add(calendar.timeInMillis)
+            calendar.add(Calendar.HOUR_OF_DAY, 1)
+        }
+        return hourStarts
+    }
+
+    /**
+     * Local midnight of every day overlapping startTime..endTime
+     */
+    private fun getDayStarts(startTime: Long, endTime: Long): List<Long> {
+        val dayStarts = mutableListOf<Long>()
+        val calendar = Calendar.getInstance()
+        calendar.timeInMillis = startTime
+        calendar.set(Calendar.HOUR_OF_DAY, 0)
+        calendar.set(Calendar.MINUTE, 0)
+        calendar.set(Calendar.SECOND, 0)
+        calendar.set(Calendar.MILLISECOND, 0)
+        while (calendar.timeInMillis < endTime) {
+            dayStarts.add(calendar.timeInMillis)
+            calendar.add(Calendar.DAY_OF_YEAR, 1)
+        }
+        return dayStarts
+    }
 
-                while (wifiNetworkStats.hasNextBucket()) {
-                    val bucket = NetworkStats.Bucket()
-                    wifiNetworkStats.getNextBucket(bucket)
-                    wifiRx += bucket.rxBytes
-                    wifiTx += bucket.txBytes
+    private fun forEachNetworkBucket(
+        networkType: Int,
+        startTime: Long,
+        endTime: Long,
+        uid: Int,
+        packageName: String,
+        onBucket: (NetworkStats.Bucket) -> Unit
+    ) {
+        if (Build.VERSION.SDK_INT < Build.VERSION_CODES.M) {
+            // NetworkStatsManager not available before API 23
+            return
+        }
+        val networkStatsManager = reactApplicationContext.getSystemService(Context.NETWORK_STATS_SERVICE) as? NetworkStatsManager
+            ?: return
+        val subscriberId = if (networkType == ConnectivityManager.TYPE_MOBILE) getSubscriberId() else null
+
+        try {
+            if (uidQueryReportsState()) {
+                // queryDetailsForUid merges states, so ask for each state separately
+                for (state in listOf(NetworkStats.Bucket.STATE_FOREGROUND, NetworkStats.Bucket.STATE_DEFAULT)) {
+                    readBuckets(
+                        networkStatsManager.queryDetailsForUidTagState(
+                            networkType, subscriberId, startTime, endTime, uid, NetworkStats.Bucket.TAG_NONE, state
+                        ),
+                        onBucket
+                    )
                 }
-                wifiNetworkStats.close()
-            } catch (e: Exception) {
-                Log.w("InstalledAppsModule", "Could not get WiFi stats for $packageName", e)
+            } else {
+                readBuckets(networkStatsManager.queryDetailsForUid(networkType, subscriberId, startTime, endTime, uid), onBucket)
+            }
+        } catch (e: Exception) {
+            val networkName = if (networkType == ConnectivityManager.TYPE_MOBILE) "mobile" else "WiFi"
+            Log.w("InstalledAppsModule", "Could not get $networkName stats for $packageName", e)
+        }
+    }
+
+    private fun readBuckets(networkStats: NetworkStats, onBucket: (NetworkStats.Bucket) -> Unit) {
+        try {
+            while (networkStats.hasNextBucket()) {
+                val bucket = NetworkStats.Bucket()
+                networkStats.getNextBucket(bucket)
+                onBucket(bucket)
             }
+        } finally {
+            networkStats.close()
+        }
+    }
 
-            networkData.putDouble("mobileRx", mobileRx.toDouble())
-            networkData.putDouble("mobileTx", mobileTx.toDouble())
-            networkData.putDouble("wifiRx", wifiRx.toDouble())
-            networkData.putDouble("wifiTx", wifiTx.toDouble())
-            networkData.putDouble("totalRx", (mobileRx + wifiRx).toDouble())
-            networkData.putDouble("totalTx", (mobileTx + wifiTx).toDouble())
+    /**
+     * Add a bucket to a usage accumulator laid out as MOBILE_RX..BACKGROUND_TX.
+     * Buckets without a known state only count toward the network totals.
+     */
+    private fun addBucketUsage(usage: LongArray, networkType: Int, bucket: NetworkStats.Bucket) {
+        val offset = if (networkType == ConnectivityManager.TYPE_MOBILE) MOBILE_RX else WIFI_RX
+        usage[offset] += bucket.rxBytes
+        usage[offset + 1] += bucket.txBytes
 
-        } catch (e: Exception) {
-            Log.e("InstalledAppsModule", "Error getting network usage for $packageName", e)
-            networkData.putDouble("mobileRx", 0.0)
-            networkData.putDouble("mobileTx", 0.0)
-            networkData.putDouble("wifiRx", 0.0)
-            networkData.putDouble("wifiTx", 0.0)
-            networkData.putDouble("totalRx", 0.0)
-            networkData.putDouble("totalTx", 0.0)
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.N) {
+            val stateOffset = when (bucket.state) {
+                NetworkStats.Bucket.STATE_FOREGROUND -> FOREGROUND_RX
+                // STATE_DEFAULT is traffic while the app was not in the foreground
+                NetworkStats.Bucket.STATE_DEFAULT -> BACKGROUND_RX
+                else -> return
+            }
+            usage[stateOffset] += bucket.rxBytes
+            usage[stateOffset + 1] += bucket.txBytes
         }
+    }
 
-        return networkData
+    // querySummary reports bucket state from API 24, per-UID queries from API 28
+    private fun summaryReportsState(): Boolean = Build.VERSION.SDK_INT >= Build.VERSION_CODES.N
+
+    private fun uidQueryReportsState(): Boolean = Build.VERSION.SDK_INT >= Build.VERSION_CODES.P
+
+    private fun getPackageUid(packageName: String): Int? {
+        val packageInfo = reactApplicationContext.packageManager.getPackageInfo(packageName, 0)
+        return packageInfo.applicationInfo?.uid
+    }
+
+    /**
+     * Write a usage accumulator to JS. hasStateBreakdown is false when the
+     * query could not tell foreground from background traffic.
+     */
+    private fun putUsageTotals(map: WritableMap, usage: LongArray, hasStateBreakdown: Boolean) {
+        map.putDouble("mobileRx", usage[MOBILE_RX].toDouble())
+        map.putDouble("mobileTx", usage[MOBILE_TX].toDouble())
+        map.putDouble("wifiRx", usage[WIFI_RX].toDouble())
+        map.putDouble("wifiTx", usage[WIFI_TX].toDouble())
+        map.putDouble("totalRx", (usage[MOBILE_RX] + usage[WIFI_RX]).toDouble())
+        map.putDouble("totalTx", (usage[MOBILE_TX] + usage[WIFI_TX]).toDouble())
+        map.putDouble("foregroundRx", usage[FOREGROUND_RX].toDouble())
+        map.putDouble("foregroundTx", usage[FOREGROUND_TX].toDouble())
+        map.putDouble("backgroundRx", usage[BACKGROUND_RX].toDouble())
+        map.putDouble("backgroundTx", usage[BACKGROUND_TX].toDouble())
+        map.putBoolean("hasStateBreakdown", hasStateBreakdown)
+    }
+
+    private fun defaultUsageStartTime(): Long {
+        val calendar = Calendar.getInstance()
+        calendar.add(Calendar.DAY_OF_YEAR, -30)
+        return calendar.timeInMillis
     }
 
     private fun getSubscriberId(): String? {
@@ -735,6 +1127,65 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
         }
     }
 
+    @ReactMethod
+    fun getPermissionUsage(packageName: String, promise: Promise) {
+        try {
+            promise.resolve(PermissionUsageReader(reactApplicationContext).read(packageName))
+        } catch (e: Exception) {
+            promise.reject("PERMISSION_USAGE_ERROR", "Failed to get permission usage: ${e.message}", e)
+        }
+    }
+
+    /**
+     * Ids of the tracker signatures ([{ id, prefixes }]) found in the package's
+     * dex files and manifest components
+     */
+    @ReactMethod
+    fun getTrackers(packageName: String, signatures: ReadableArray, promise: Promise) {
+        try {
+            val prefixesById = mutableMapOf<String, List<String>>()
+            for (index in 0 until signatures.size()) {
+                val signature = signatures.getMap(index) ?: continue
+                val id = signature.getString("id") ?: continue
+                val prefixes = signature.getArray("prefixes") ?: continue
+                prefixesById[id] = (0 until prefixes.size()).mapNotNull { prefixes.getString(it) }
+            }
+
+            val flags = PackageManager.GET_ACTIVITIES or PackageManager.GET_SERVICES or
+                PackageManager.GET_RECEIVERS or PackageManager.GET_PROVIDERS or
+                PackageManager.MATCH_DISABLED_COMPONENTS
+            val packageInfo = reactApplicationContext.packageManager.getPackageInfo(packageName, flags)
+
+            val trackers = WritableNativeArray()
+            TrackerScanner.scan(packageInfo, prefixesById).forEach { trackers.pushString(it) }
+            promise.resolve(trackers)
+        } catch (e: Exception) {
+            promise.reject("TRACKER_SCAN_ERROR", "Failed to scan trackers: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun getUsageSummary(startTime: Double, endTime: Double, promise: Promise) {
+        try {
+            promise.resolve(ScreenTimeReader(reactApplicationContext).read(startTime.toLong(), endTime.toLong()))
+        } catch (e: Exception) {
+            promise.reject("USAGE_SUMMARY_ERROR", "Failed to get usage summary: ${e.message}", e)
+        }
+    }
+
+    /**
+     * Foreground/background transitions for one app, or for every app when
+     * packageName is null
+     */
+    @ReactMethod
+    fun getUsageEvents(packageName: String?, startTime: Double, endTime: Double, promise: Promise) {
+        try {
+            promise.resolve(ScreenTimeReader(reactApplicationContext).readEvents(packageName, startTime.toLong(), endTime.toLong()))
+        } catch (e: Exception) {
+            promise.reject("USAGE_EVENTS_ERROR", "Failed to get usage events: ${e.message}", e)
+        }
+    }
+
     @ReactMethod
     fun hasUsageStatsPermission(promise: Promise) {
         try {
@@ -750,6 +1201,21 @@ class InstalledAppsModule(reactContext: ReactApplicationContext) : ReactContextB
         }
     }
 
+    @ReactMethod
+    fun openAppSettings(packageName: String, promise: Promise) {
+        try {
+            val intent = android.content.Intent(
+                android.provider.Settings.ACTION_APPLICATION_DETAILS_SETTINGS,
+                android.net.Uri.fromParts("package", packageName, null)
+            )
+            intent.addFlags(android.content.Intent.FLAG_ACTIVITY_NEW_TASK)
+            reactApplicationContext.startActivity(intent)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("OPEN_APP_SETTINGS_ERROR", "Failed to open app settings: ${e.message}", e)
+        }
+    }
+
     @ReactMethod
     fun requestUsageStatsPermission(promise: Promise) {
         try {
@@ -7,7 +7,11 @@ import com.facebook.react.uimanager.ViewManager
 
 class InstalledAppsPackage : ReactPackage {
     override fun createNativeModules(reactContext: ReactApplicationContext): List<NativeModule> {
-        return listOf(InstalledAppsModule(reactContext))
+        return listOf(
+            InstalledAppsModule(reactContext),
+            NotificationModule(reactContext),
+            BackgroundScanModule(reactContext)
+        )
     }
 
     override fun createViewManagers(reactContext: ReactApplicationContext): List<ViewManager<*, *>> {
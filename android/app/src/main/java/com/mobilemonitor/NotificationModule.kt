@@ -0,0 +1,178 @@
+package com.mobilemonitor
+
+import android.app.NotificationChannel
+import android.app.NotificationManager
+import android.app.PendingIntent
+import android.content.Context
+import android.content.Intent
+import android.net.Uri
+import android.os.Build
+import android.provider.Settings
+import android.util.Log
+import androidx.core.app.NotificationCompat
+import androidx.core.app.NotificationManagerCompat
+import com.facebook.react.bridge.*
+
+class NotificationModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaModule(reactContext) {
+
+    companion object {
+        const val CHANNEL_RISK_ALERTS = "risk_alerts"
+        const val CHANNEL_SCAN_COMPLETE = "scan_complete"
+        const val CHANNEL_DATA_USAGE = "data_usage"
+
+        fun ensureChannels(context: Context) {
+            if (Build.VERSION.SDK_INT < Build.VERSION_CODES.O) {
+                // Notification channels were introduced in API 26
+                return
+            }
+
+            val notificationManager = context.getSystemService(Context.NOTIFICATION_SERVICE) as NotificationManager
+            val channels = listOf(
+                NotificationChannel(CHANNEL_RISK_ALERTS, "Risk alerts", NotificationManager.IMPORTANCE_HIGH).apply {
+                    description = "Alerts about high-risk apps and permission changes"
+                },
+                NotificationChannel(CHANNEL_SCAN_COMPLETE, "Scan results", NotificationManager.IMPORTANCE_LOW).apply {
+                    description = "Summaries of completed app scans"
+                },
+                NotificationChannel(CHANNEL_DATA_USAGE, "Data usage", NotificationManager.IMPORTANCE_DEFAULT).apply {
+                    description = "Alerts about unusual or excessive data usage"
+                }
+            )
+            notificationManager.createNotificationChannels(channels)
+        }
+    }
+
+    override fun getName(): String {
+        return "MonitorNotifications"
+    }
+
+    override fun getConstants(): Map<String, Any> {
+        return mapOf(
+            "CHANNEL_RISK_ALERTS" to CHANNEL_RISK_ALERTS,
+            "CHANNEL_SCAN_COMPLETE" to CHANNEL_SCAN_COMPLETE,
+            "CHANNEL_DATA_USAGE" to CHANNEL_DATA_USAGE
+        )
+    }
+
+    @ReactMethod
+    fun createChannels(promise: Promise) {
+        try {
+            ensureChannels(reactApplicationContext)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("CREATE_CHANNELS_ERROR", "Failed to create notification channels: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun areNotificationsEnabled(promise: Promise) {
+        try {
+            promise.resolve(NotificationManagerCompat.from(reactApplicationContext).areNotificationsEnabled())
+        } catch (e: Exception) {
+            promise.reject("NOTIFICATION_CHECK_ERROR", "Failed to check notification state: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun showNotification(id: Int, channelId: String, title: String, body: String, deepLink: String?, promise: Promise) {
+        try {
+            val context = reactApplicationContext
+            ensureChannels(context)
+
+            val builder = NotificationCompat.Builder(context, channelId)
+                .setSmallIcon(R.mipmap.ic_launcher)
+                .setContentTitle(title)
+                .setContentText(body)
+                .setStyle(NotificationCompat.BigTextStyle().bigText(body))
+                .setAutoCancel(true)
+                .setPriority(
+                    if (channelId == CHANNEL_RISK_ALERTS) NotificationCompat.PRIORITY_HIGH
+                    else NotificationCompat.PRIORITY_DEFAULT
+                )
+
+            // Tapping the notification opens the app, following the deep link when one is given
+            val intent = if (deepLink != null) {
+                Intent(Intent.ACTION_VIEW, Uri.parse(deepLink)).setPackage(context.packageName)
+            } else {
+                context.packageManager.getLaunchIntentForPackage(context.packageName)
+            }
+            if (intent != null) {
+                intent.addFlags(Intent.FLAG_ACTIVITY_NEW_TASK or Intent.FLAG_ACTIVITY_SINGLE_TOP)
+                val pendingIntent = PendingIntent.getActivity(
+                    context,
+                    id,
+                    intent,
+                    PendingIntent.FLAG_UPDATE_CURRENT or PendingIntent.FLAG_IMMUTABLE
+                )
+                builder.setContentIntent(pendingIntent)
+            }
+
+            val notificationManager = NotificationManagerCompat.from(context)
+            if (!notificationManager.areNotificationsEnabled()) {
+                promise.resolve(false)
+                return
+            }
+            notificationManager.notify(id, builder.build())
+            promise.resolve(true)
+        } catch (e: SecurityException) {
+            // POST_NOTIFICATIONS was revoked between the check and the notify call
+            Log.w("NotificationModule", "Notification permission denied", e)
+            promise.resolve(false)
+        } catch (e: Exception) {
+            promise.reject("SHOW_NOTIFICATION_ERROR", "Failed to show notification: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun cancelNotification(id: Int, promise: Promise) {
+        try {
+            NotificationManagerCompat.from(reactApplicationContext).cancel(id)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("CANCEL_NOTIFICATION_ERROR", "Failed to cancel notification: ${e.message}", e)
+        }
+    }
+
+    /**
+     * Ids of this app's notifications still in the shade. Tapped or
+     * swiped-away notifications are no longer listed.
+     */
+    @ReactMethod
+    fun getActiveNotificationIds(promise: Promise) {
+        try {
+            val notificationManager = reactApplicationContext.getSystemService(Context.NOTIFICATION_SERVICE) as NotificationManager
+            val ids = WritableNativeArray()
+            notificationManager.activeNotifications.forEach { ids.pushInt(it.id) }
+            promise.resolve(ids)
+        } catch (e: Exception) {
+            promise.reject("ACTIVE_NOTIFICATIONS_ERROR", "Failed to get active notifications: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun cancelAllNotifications(promise: Promise) {
+        try {
+            NotificationManagerCompat.from(reactApplicationContext).cancelAll()
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("CANCEL_NOTIFICATIONS_ERROR", "Failed to cancel notifications: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun openNotificationSettings(promise: Promise) {
+        try {
+            val intent = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
+                Intent(Settings.ACTION_APP_NOTIFICATION_SETTINGS)
+                    .putExtra(Settings.EXTRA_APP_PACKAGE, reactApplicationContext.packageName)
+            } else {
+                Intent(Settings.ACTION_APPLICATION_DETAILS_SETTINGS, Uri.parse("package:${reactApplicationContext.packageName}"))
+            }
+            intent.addFlags(Intent.FLAG_ACTIVITY_NEW_TASK)
+            reactApplicationContext.startActivity(intent)
+            promise.resolve(true)
+        } catch (e: Exception) {
+            promise.reject("NOTIFICATION_SETTINGS_ERROR", "Failed to open notification settings: ${e.message}", e)
+        }
+    }
+}
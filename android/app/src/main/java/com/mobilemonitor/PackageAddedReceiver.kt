@@ -0,0 +1,48 @@
+package com.mobilemonitor
+
+import android.content.BroadcastReceiver
+import android.content.Context
+import android.content.Intent
+import android.content.IntentFilter
+import android.util.Log
+
+/**
+ * Queues a scan when a new app is installed and autoScan is on.
+ * PACKAGE_ADDED can't be received through a manifest receiver on Android 8+,
+ * so this is registered from MainApplication for as long as the process lives.
+ */
+class PackageAddedReceiver : BroadcastReceiver() {
+
+    companion object {
+        fun register(context: Context) {
+            val filter = IntentFilter(Intent.ACTION_PACKAGE_ADDED).apply {
+                addDataScheme("package")
+            }
+            context.registerReceiver(PackageAddedReceiver(), filter)
+        }
+    }
+
+    override fun onReceive(context: Context, intent: Intent) {
+        if (intent.action != Intent.ACTION_PACKAGE_ADDED) {
+            return
+        }
+        // Updates of an already installed app are picked up by the periodic scan
+        if (intent.getBooleanExtra(Intent.EXTRA_REPLACING, false)) {
+            return
+        }
+        if (!BackgroundScanJobService.isAutoScanEnabled(context)) {
+            return
+        }
+
+        val packageName = intent.data?.schemeSpecificPart ?: return
+        if (packageName == context.packageName) {
+            return
+        }
+
+        try {
+            BackgroundScanJobService.schedulePackageScan(context)
+        } catch (e: Exception) {
+            Log.w("PackageAddedReceiver", "Failed to queue scan for $packageName", e)
+        }
+    }
+}
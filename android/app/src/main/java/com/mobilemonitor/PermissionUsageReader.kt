@@ -0,0 +1,163 @@
+package com.mobilemonitor
+
+import android.app.AppOpsManager
+import android.content.Context
+import android.content.pm.PackageManager
+import android.os.Build
+import android.util.Log
+import com.facebook.react.bridge.WritableMap
+import com.facebook.react.bridge.WritableNativeMap
+
+/**
+ * Reads when sensitive AppOps were last used by another app.
+ *
+ * The AppOps query APIs are hidden, so they are called through reflection and
+ * need GET_APP_OPS_STATS, which can only be granted over adb:
+ *   adb shell pm grant com.mobilemonitor android.permission.GET_APP_OPS_STATS
+ * Any failure is reported as unavailable instead of an error.
+ */
+class PermissionUsageReader(private val context: Context) {
+
+    companion object {
+        const val REASON_PERMISSION_REQUIRED = "PERMISSION_REQUIRED"
+        const val REASON_UNSUPPORTED = "UNSUPPORTED"
+
+        private const val GET_APP_OPS_STATS = "android.permission.GET_APP_OPS_STATS"
+
+        // AppOpsManager.OP_FLAGS_ALL: accesses by the app itself and through proxies
+        private const val OP_FLAGS_ALL = 0x1F
+
+        // Op name -> simplified name used by the JS app model
+        private val TRACKED_OPS = mapOf(
+            "android:camera" to "CAMERA",
+            "android:record_audio" to "MICROPHONE",
+            "android:fine_location" to "LOCATION",
+            "android:coarse_location" to "LOCATION",
+            "android:read_contacts" to "CONTACTS",
+            "android:read_clipboard" to "CLIPBOARD"
+        )
+    }
+
+    fun read(packageName: String): WritableMap {
+        val result = WritableNativeMap()
+
+        if (context.checkSelfPermission(GET_APP_OPS_STATS) != PackageManager.PERMISSION_GRANTED) {
+            return unavailable(REASON_PERMISSION_REQUIRED, "GET_APP_OPS_STATS has not been granted")
+        }
+
+        val uid = try {
+            context.packageManager.getApplicationInfo(packageName, 0).uid
+        } catch (e: PackageManager.NameNotFoundException) {
+            return unavailable(REASON_UNSUPPORTED, "Package not found: $packageName")
+        }
+
+        val packageOps = try {
+            getOpsForPackage(uid, packageName)
+        } catch (e: SecurityException) {
+            return unavailable(REASON_PERMISSION_REQUIRED, e.message ?: "Access to app ops denied")
+        } catch (e: Exception) {
+            Log.w("PermissionUsageReader", "AppOps query not supported", e)
+            return unavailable(REASON_UNSUPPORTED, e.message ?: "AppOps query not supported")
+        }
+
+        val lastAccess = mutableMapOf<String, Long>()
+        val running = mutableMapOf<String, Boolean>()
+        TRACKED_OPS.values.forEach { lastAccess[it] = 0L }
+
+        packageOps?.forEach { ops ->
+            val entries = ops.javaClass.getMethod("getOps").invoke(ops) as? List<*> ?: return@forEach
+            entries.filterNotNull().forEach { entry ->
+                val name = TRACKED_OPS[getOpName(entry)] ?: return@forEach
+                lastAccess[name] = maxOf(lastAccess[name] ?: 0L, getLastAccessTime(entry))
+                running[name] = (running[name] ?: false) || isRunning(entry)
+            }
+        }
+
+        val ops = WritableNativeMap()
+        lastAccess.forEach { (name, time) ->
+            val op = WritableNativeMap()
+            op.putDouble("lastAccessTime", time.toDouble())
+            op.putBoolean("isRunning", running[name] ?: false)
+            ops.putMap(name, op)
+        }
+
+        result.putBoolean("available", true)
+        result.putMap("ops", ops)
+        return result
+    }
+
+    private fun unavailable(reason: String, message: String): WritableMap {
+        val result = WritableNativeMap()
+        result.putBoolean("available", false)
+        result.putString("reason", reason)
+        result.putString("message", message)
+        return result
+    }
+
+    private fun getOpsForPackage(uid: Int, packageName: String): List<*>? {
+        val appOpsManager = context.getSystemService(Context.APP_OPS_SERVICE) as AppOpsManager
+        val opNames = TRACKED_OPS.keys.toTypedArray()
+
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.Q) {
+            val method = AppOpsManager::class.java.getMethod(
+                "getOpsForPackage",
+                Int::class.javaPrimitiveType,
+                String::class.java,
+                Array<String>::class.java
+            )
+            return method.invoke(appOpsManager, uid, packageName, opNames) as? List<*>
+        }
+
+        // Before Android 10 ops are queried by their integer codes
+        val strOpToOp = AppOpsManager::class.java.getMethod("strOpToOp", String::class.java)
+        val opCodes = opNames.map { strOpToOp.invoke(null, it) as Int }.toIntArray()
+        val method = AppOpsManager::class.java.getMethod(
+            "getOpsForPackage",
+            Int::class.javaPrimitiveType,
+            String::class.java,
+            IntArray::class.java
+        )
+        return method.invoke(appOpsManager, uid, packageName, opCodes) as? List<*>
+    }
+
+    private fun getOpName(entry: Any): String? {
+        return try {
+            entry.javaClass.getMethod("getOpStr").invoke(entry) as? String
+        } catch (e: Exception) {
+            try {
+                val op = entry.javaClass.getMethod("getOp").invoke(entry) as Int
+                AppOpsManager::class.java.getMethod("opToPublicName", Int::class.javaPrimitiveType)
+                    .invoke(null, op) as? String
+            } catch (e: Exception) {
+                null
+            }
+        }
+    }
+
+    private fun getLastAccessTime(entry: Any): Long {
+        val attempts = listOf<() -> Any?>(
+            { entry.javaClass.getMethod("getLastAccessTime", Int::class.javaPrimitiveType).invoke(entry, OP_FLAGS_ALL) },
+            { entry.javaClass.getMethod("getLastAccessTime").invoke(entry) },
+            { entry.javaClass.getMethod("getTime").invoke(entry) }
+        )
+        for (attempt in attempts) {
+            try {
+                val time = attempt() as? Long
+                if (time != null) {
+                    return maxOf(time, 0L)
+                }
+            } catch (e: Exception) {
+                // Try the next API level's accessor
+            }
+        }
+        return 0L
+    }
+
+    private fun isRunning(entry: Any): Boolean {
+        return try {
+            entry.javaClass.getMethod("isRunning").invoke(entry) as? Boolean ?: false
+        } catch (e: Exception) {
+            false
+        }
+    }
+}
@@ -0,0 +1,220 @@
+package com.mobilemonitor
+
+import android.app.AppOpsManager
+import android.app.usage.UsageEvents
+import android.app.usage.UsageStatsManager
+import android.content.Context
+import com.facebook.react.bridge.WritableMap
+import com.facebook.react.bridge.WritableNativeArray
+import com.facebook.react.bridge.WritableNativeMap
+import java.util.Calendar
+
+/**
+ * Reads app foreground/background transitions from UsageEvents.
+ *
+ * An app is in the foreground from an ACTIVITY_RESUMED event until the next
+ * ACTIVITY_PAUSED. read() totals foreground time per app, split into local
+ * days and hours of the day, and each return to the foreground after
+ * LAUNCH_GAP_MS counts as a launch. readEvents() returns the raw transitions.
+ */
+class ScreenTimeReader(private val context: Context) {
+
+    companion object {
+        const val REASON_PERMISSION_REQUIRED = "PERMISSION_REQUIRED"
+
+        const val TRANSITION_FOREGROUND = "FOREGROUND"
+        const val TRANSITION_BACKGROUND = "BACKGROUND"
+
+        // Switching between activities of one app pauses it only briefly
+        private const val LAUNCH_GAP_MS = 2000L
+        private const val HOURS_PER_DAY = 24
+    }
+
+    private class ForegroundUsage(dayCount: Int) {
+        var totalTime = 0L
+        var launchCount = 0
+        var foregroundSince: Long? = null
+        var lastPausedAt = 0L
+        val hourlyByDay = Array(dayCount) { LongArray(HOURS_PER_DAY) }
+    }
+
+    fun read(startTime: Long, endTime: Long): WritableMap {
+        if (!hasUsageAccess()) {
+            return permissionRequired()
+        }
+
+        val end = minOf(endTime, System.currentTimeMillis())
+        val dayStarts = getDayStarts(startTime, end)
+        val usageByPackage = collectUsage(startTime, end, dayStarts)
+
+        val apps = WritableNativeArray()
+        usageByPackage.forEach { (packageName, usage) ->
+            if (usage.totalTime <= 0L && usage.launchCount == 0) {
+                return@forEach
+            }
+            val hourlyByDay = WritableNativeArray()
+            usage.hourlyByDay.forEach { hours ->
+                val hourArray = WritableNativeArray()
+                hours.forEach { hourArray.pushDouble(it.toDouble()) }
+                hourlyByDay.pushArray(hourArray)
+            }
+
+            val app = WritableNativeMap()
+            app.putString("packageName", packageName)
+            app.putDouble("totalTimeInForeground", usage.totalTime.toDouble())
+            app.putInt("launchCount", usage.launchCount)
+            app.putArray("hourlyByDay", hourlyByDay)
+            apps.pushMap(app)
+        }
+
+        val days = WritableNativeArray()
+        dayStarts.forEach { days.pushDouble(it.toDouble()) }
+
+        val result = WritableNativeMap()
+        result.putBoolean("available", true)
+        result.putDouble("startTime", startTime.toDouble())
+        result.putDouble("endTime", end.toDouble())
+        result.putArray("dayStarts", days)
+        result.putArray("apps", apps)
+        return result
+    }
+
+    /**
+     * Foreground/background transitions between startTime and endTime, oldest
+     * first. Pass a package name to only return that app's transitions.
+     */
+    fun readEvents(packageName: String?, startTime: Long, endTime: Long): WritableMap {
+        if (!hasUsageAccess()) {
+            return permissionRequired()
+        }
+
+        val usageStatsManager = context.getSystemService(Context.USAGE_STATS_SERVICE) as UsageStatsManager
+        val end = minOf(endTime, System.currentTimeMillis())
+        val events = usageStatsManager.queryEvents(startTime, end)
+        val event = UsageEvents.Event()
+        val transitions = WritableNativeArray()
+
+        while (events.hasNextEvent()) {
+            events.getNextEvent(event)
+            if (packageName != null && event.packageName != packageName) {
+                continue
+            }
+            val type = when (event.eventType) {
+                UsageEvents.Event.ACTIVITY_RESUMED -> TRANSITION_FOREGROUND
+                UsageEvents.Event.ACTIVITY_PAUSED -> TRANSITION_BACKGROUND
+                else -> continue
+            }
+            val transition = WritableNativeMap()
+            transition.putString("packageName", event.packageName)
+            transition.putString("className", event.className)
+            transition.putString("type", type)
+            transition.putDouble("timestamp", event.timeStamp.toDouble())
+            transitions.pushMap(transition)
+        }
+
+        val result = WritableNativeMap()
+        result.putBoolean("available", true)
+        result.putDouble("startTime", startTime.toDouble())
+        result.putDouble("endTime", end.toDouble())
+        result.putArray("events", transitions)
+        return result
+    }
+
+    private fun permissionRequired(): WritableMap {
+        val result = WritableNativeMap()
+        result.putBoolean("available", false)
+        result.putString("reason", REASON_PERMISSION_REQUIRED)
+        result.putString("message", "Usage access has not been granted")
+        return result
+    }
+
+    private fun collectUsage(startTime: Long, endTime: Long, dayStarts: List<Long>): Map<String, ForegroundUsage> {
+        val usageStatsManager = context.getSystemService(Context.USAGE_STATS_SERVICE) as UsageStatsManager
+        val usageByPackage = mutableMapOf<String, ForegroundUsage>()
+        val events = usageStatsManager.queryEvents(startTime, endTime)
+        val event = UsageEvents.Event()
+
+        while (events.hasNextEvent()) {
+            events.getNextEvent(event)
+            val packageName = event.packageName ?: continue
+            when (event.eventType) {
+                UsageEvents.Event.ACTIVITY_RESUMED -> {
+                    val usage = usageByPackage.getOrPut(packageName) { ForegroundUsage(dayStarts.size) }
+                    if (usage.foregroundSince == null) {
+                        if (usage.lastPausedAt == 0L || event.timeStamp - usage.lastPausedAt > LAUNCH_GAP_MS) {
+                            usage.launchCount++
+                        }
+                        usage.foregroundSince = event.timeStamp
+                    }
+                }
+                UsageEvents.Event.ACTIVITY_PAUSED -> {
+                    val isFirstEvent = !usageByPackage.containsKey(packageName)
+                    val usage = usageByPackage.getOrPut(packageName) { ForegroundUsage(dayStarts.size) }
+                    // A pause before any resume means the app was already open when the range began
+                    val since = usage.foregroundSince ?: if (isFirstEvent) startTime else null
+                    if (since != null) {
+                        addForegroundTime(usage, since, event.timeStamp, dayStarts)
+                    }
+                    usage.foregroundSince = null
+                    usage.lastPausedAt = event.timeStamp
+                }
+            }
+        }
+
+        // Apps still on screen count up to the end of the range
+        usageByPackage.values.forEach { usage ->
+            usage.foregroundSince?.let { addForegroundTime(usage, it, endTime, dayStarts) }
+        }
+        return usageByPackage
+    }
+
+    private fun addForegroundTime(usage: ForegroundUsage, from: Long, to: Long, dayStarts: List<Long>) {
+        val calendar = Calendar.getInstance()
+        var cursor = from
+        while (cursor < to) {
+            calendar.timeInMillis = cursor
+            val hour = calendar.get(Calendar.HOUR_OF_DAY)
+            calendar.set(Calendar.MINUTE, 0)
+            calendar.set(Calendar.SECOND, 0)
+            calendar.set(Calendar.MILLISECOND, 0)
+            calendar.add(Calendar.HOUR_OF_DAY, 1)
+            val sliceEnd = minOf(calendar.timeInMillis, to)
+
+            val dayIndex = dayStarts.indexOfLast { it <= cursor }
+            if (dayIndex >= 0) {
+                usage.hourlyByDay[dayIndex][hour] += sliceEnd - cursor
+                usage.totalTime += sliceEnd - cursor
+            }
+            cursor = sliceEnd
+        }
+    }
+
+    private fun getDayStarts(startTime: Long, endTime: Long): List<Long> {
+        val dayStarts = mutableListOf<Long>()
+        val calendar = Calendar.getInstance()
+        calendar.timeInMillis = startTime
+        calendar.set(Calendar.HOUR_OF_DAY, 0)
+        calendar.set(Calendar.MINUTE, 0)
+        calendar.set(Calendar.SECOND, 0)
+        calendar.set(Calendar.MILLISECOND, 0)
+        while (calendar.timeInMillis < endTime) {
+            dayStarts.add(calendar.timeInMillis)
+            calendar.add(Calendar.DAY_OF_YEAR, 1)
+        }
+        return dayStarts
+    }
+
+    private fun hasUsageAccess(): Boolean {
+        return try {
+            val appOpsManager = context.getSystemService(Context.APP_OPS_SERVICE) as AppOpsManager
+            val mode = appOpsManager.checkOpNoThrow(
+                AppOpsManager.OPSTR_GET_USAGE_STATS,
+                android.os.Process.myUid(),
+                context.packageName
+            )
+            mode == AppOpsManager.MODE_ALLOWED
+        } catch (e: Exception) {
+            false
+        }
+    }
+}
@@ -0,0 +1,98 @@
+package com.mobilemonitor
+
+import android.content.pm.PackageInfo
+import android.content.pm.PackageManager
+import android.content.pm.Signature
+import android.os.Build
+import android.util.Log
+import com.facebook.react.bridge.WritableMap
+import com.facebook.react.bridge.WritableNativeArray
+import com.facebook.react.bridge.WritableNativeMap
+import java.io.ByteArrayInputStream
+import java.security.MessageDigest
+import java.security.cert.CertificateFactory
+import java.security.cert.X509Certificate
+
+/**
+ * Reads the certificates a package is signed with as SHA-256 digests in the
+ * colon-separated form keytool and apksigner print.
+ *
+ * On Android 9+ the certificates of an APK Signature Scheme v3 rotation
+ * lineage are reported separately as history, so a rotated key can be told
+ * apart from a package that was re-signed by someone else.
+ */
+object SigningCertificateReader {
+
+    /**
+     * PackageManager flags that make PackageInfo carry signing data
+     */
+    fun packageInfoFlags(): Int {
+        return if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.P) {
+            PackageManager.GET_SIGNING_CERTIFICATES
+        } else {
+            @Suppress("DEPRECATION")
+            PackageManager.GET_SIGNATURES
+        }
+    }
+
+    /**
+     * Adds signingCertificates ([{ sha256, subject }]) and
+     * signingCertificateHistory ([sha256] of past signers) to the map
+     */
+    fun putSigningCertificates(map: WritableMap, packageInfo: PackageInfo) {
+        var signers = emptyArray<Signature>()
+        var history = emptyArray<Signature>()
+        try {
+            if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.P) {
+                val signingInfo = packageInfo.signingInfo
+                if (signingInfo != null) {
+                    signers = signingInfo.apkContentsSigners ?: emptyArray()
+                    if (!signingInfo.hasMultipleSigners()) {
+                        history = signingInfo.signingCertificateHistory ?: emptyArray()
+                    }
+                }
+            } else {
+                @Suppress("DEPRECATION")
+                signers = packageInfo.signatures ?: emptyArray()
+            }
+        } catch (e: Exception) {
+            Log.w("InstalledAppsModule", "Could not read signing info for ${packageInfo.packageName}: ${e.message}")
+        }
+
+        val certificates = WritableNativeArray()
+        val currentDigests = mutableSetOf<String>()
+        signers.forEach { signature ->
+            val digest = sha256(signature.toByteArray())
+            currentDigests.add(digest)
+
+            val certificate = WritableNativeMap()
+            certificate.putString("sha256", digest)
+            certificate.putString("subject", getSubject(signature))
+            certificates.pushMap(certificate)
+        }
+
+        val pastDigests = WritableNativeArray()
+        history.map { sha256(it.toByteArray()) }
+            .filter { it !in currentDigests }
+            .forEach { pastDigests.pushString(it) }
+
+        map.putArray("signingCertificates", certificates)
+        map.putArray("signingCertificateHistory", pastDigests)
+    }
+
+    private fun getSubject(signature: Signature): String? {
+        return try {
+            val factory = CertificateFactory.getInstance("X.509")
+            val certificate = factory.generateCertificate(ByteArrayInputStream(signature.toByteArray())) as X509Certificate
+            certificate.subjectX500Principal.name
+        } catch (e: Exception) {
+            null
+        }
+    }
+
+    private fun sha256(bytes: ByteArray): String {
+        return MessageDigest.getInstance("SHA-256")
+            .digest(bytes)
+            .joinToString(":") { "%02X".format(it) }
+    }
+}
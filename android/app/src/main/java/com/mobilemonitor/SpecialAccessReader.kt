@@ -0,0 +1,130 @@
+package com.mobilemonitor
+
+import android.app.AppOpsManager
+import android.app.admin.DevicePolicyManager
+import android.content.ComponentName
+import android.content.Context
+import android.content.Intent
+import android.content.pm.PackageInfo
+import android.content.pm.PackageManager
+import android.net.VpnService
+import android.os.Build
+import android.provider.Settings
+import android.provider.Telephony
+import android.telecom.TelecomManager
+import android.util.Log
+import com.facebook.react.bridge.WritableArray
+import com.facebook.react.bridge.WritableNativeArray
+
+/**
+ * Finds the special access grants that runtime permissions don't cover:
+ * enabled accessibility services, active device admins, notification
+ * listeners, drawing over other apps, the default SMS and dialer roles and
+ * apps that provide a VPN service.
+ *
+ * Device-wide grants are read once when the reader is created, so create one
+ * per scan and call read() for every package.
+ */
+class SpecialAccessReader(private val context: Context) {
+
+    companion object {
+        const val ACCESSIBILITY_SERVICE = "ACCESSIBILITY_SERVICE"
+        const val DEVICE_ADMIN = "DEVICE_ADMIN"
+        const val NOTIFICATION_LISTENER = "NOTIFICATION_LISTENER"
+        const val DISPLAY_OVER_APPS = "DISPLAY_OVER_APPS"
+        const val DEFAULT_SMS = "DEFAULT_SMS"
+        const val DEFAULT_DIALER = "DEFAULT_DIALER"
+        const val VPN_SERVICE = "VPN_SERVICE"
+
+        private const val ENABLED_NOTIFICATION_LISTENERS = "enabled_notification_listeners"
+    }
+
+    private val accessibilityPackages = readComponentSetting(Settings.Secure.ENABLED_ACCESSIBILITY_SERVICES)
+    private val notificationListenerPackages = readComponentSetting(ENABLED_NOTIFICATION_LISTENERS)
+    private val deviceAdminPackages = readDeviceAdmins()
+    private val vpnPackages = readVpnServices()
+    private val defaultSmsPackage = safely { Telephony.Sms.getDefaultSmsPackage(context) }
+    private val defaultDialerPackage = safely {
+        (context.getSystemService(Context.TELECOM_SERVICE) as TelecomManager).defaultDialerPackage
+    }
+    private val appOpsManager = context.getSystemService(Context.APP_OPS_SERVICE) as AppOpsManager
+
+    /**
+     * Special access ids held by the package. Needs PackageInfo with
+     * requested permissions for the overlay check.
+     */
+    fun read(packageInfo: PackageInfo): WritableArray {
+        val packageName = packageInfo.packageName
+        val grants = WritableNativeArray()
+        if (packageName in accessibilityPackages) grants.pushString(ACCESSIBILITY_SERVICE)
+        if (packageName in deviceAdminPackages) grants.pushString(DEVICE_ADMIN)
+        if (packageName in notificationListenerPackages) grants.pushString(NOTIFICATION_LISTENER)
+        if (canDrawOverlays(packageInfo)) grants.pushString(DISPLAY_OVER_APPS)
+        if (packageName == defaultSmsPackage) grants.pushString(DEFAULT_SMS)
+        if (packageName == defaultDialerPackage) grants.pushString(DEFAULT_DIALER)
+        if (packageName in vpnPackages) grants.pushString(VPN_SERVICE)
+        return grants
+    }
+
+    private fun canDrawOverlays(packageInfo: PackageInfo): Boolean {
+        if (packageInfo.requestedPermissions?.contains(android.Manifest.permission.SYSTEM_ALERT_WINDOW) != true) {
+            return false
+        }
+        val uid = packageInfo.applicationInfo?.uid ?: return false
+        return try {
+            @Suppress("DEPRECATION")
+            when (appOpsManager.checkOpNoThrow(AppOpsManager.OPSTR_SYSTEM_ALERT_WINDOW, uid, packageInfo.packageName)) {
+                AppOpsManager.MODE_ALLOWED -> true
+                // Default mode falls back to the permission grant
+                AppOpsManager.MODE_DEFAULT -> context.packageManager.checkPermission(
+                    android.Manifest.permission.SYSTEM_ALERT_WINDOW,
+                    packageInfo.packageName
+                ) == PackageManager.PERMISSION_GRANTED
+                else -> false
+            }
+        } catch (e: Exception) {
+            false
+        }
+    }
+
+    // Secure settings holding colon-separated flattened ComponentNames
+    private fun readComponentSetting(name: String): Set<String> {
+        val value = safely { Settings.Secure.getString(context.contentResolver, name) } ?: return emptySet()
+        return value.split(':')
+            .mapNotNull { ComponentName.unflattenFromString(it)?.packageName }
+            .toSet()
+    }
+
+    private fun readDeviceAdmins(): Set<String> {
+        return safely {
+            val devicePolicyManager = context.getSystemService(Context.DEVICE_POLICY_SERVICE) as DevicePolicyManager
+            devicePolicyManager.activeAdmins?.map { it.packageName }?.toSet()
+        } ?: emptySet()
+    }
+
+    // Apps declaring a VpnService; which one is connected isn't visible to other apps
+    private fun readVpnServices(): Set<String> {
+        return safely {
+            val intent = Intent(VpnService.SERVICE_INTERFACE)
+            val services = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU) {
+                context.packageManager.queryIntentServices(intent, PackageManager.ResolveInfoFlags.of(0))
+            } else {
+                @Suppress("DEPRECATION")
+                context.packageManager.queryIntentServices(intent, 0)
+            }
+            services
+                .filter { it.serviceInfo.permission == android.Manifest.permission.BIND_VPN_SERVICE }
+                .map { it.serviceInfo.packageName }
+                .toSet()
+        } ?: emptySet()
+    }
+
+    private fun <T> safely(read: () -> T?): T? {
+        return try {
+            read()
+        } catch (e: Exception) {
+            Log.w("InstalledAppsModule", "Could not read special access state: ${e.message}")
+            null
+        }
+    }
+}
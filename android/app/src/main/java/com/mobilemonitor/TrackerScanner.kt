@@ -0,0 +1,111 @@
+package com.mobilemonitor
+
+import android.content.pm.PackageInfo
+import android.util.Log
+import java.nio.ByteBuffer
+import java.nio.ByteOrder
+import java.util.zip.ZipFile
+
+/**
+ * Finds SDKs embedded in an app by matching class name prefixes against the
+ * classes named in its dex files and the components declared in its manifest.
+ *
+ * Only the dex type table is read, so classes the app merely references count
+ * too. That matches how tracker databases such as Exodus Privacy report SDKs.
+ */
+object TrackerScanner {
+
+    private val DEX_ENTRY = Regex("classes\\d*\\.dex")
+
+    // Skip dex files too large to read into memory in one go
+    private const val MAX_DEX_BYTES = 64L * 1024 * 1024
+
+    private const val DEX_HEADER_SIZE = 0x70
+    private const val STRING_IDS_OFF = 0x3C
+    private const val TYPE_IDS_SIZE = 0x40
+    private const val TYPE_IDS_OFF = 0x44
+
+    /**
+     * Ids of the signatures with a prefix matching one of the package's classes.
+     * Needs PackageInfo with activities, services, receivers and providers.
+     * @param signatures signature id -> class name prefixes, e.g. "com.appsflyer."
+     */
+    fun scan(packageInfo: PackageInfo, signatures: Map<String, List<String>>): Set<String> {
+        val matched = mutableSetOf<String>()
+        val checkedPackages = mutableSetOf<String>()
+
+        // Prefixes name packages, so each package only needs checking once
+        val check = { className: String ->
+            val packageName = className.substringBeforeLast('.', "")
+            if (packageName.isNotEmpty() && checkedPackages.add(packageName)) {
+                signatures.forEach { (id, prefixes) ->
+                    if (id !in matched && prefixes.any { "$packageName.".startsWith(it) }) {
+                        matched.add(id)
+                    }
+                }
+            }
+        }
+
+        getComponentNames(packageInfo).forEach(check)
+
+        val appInfo = packageInfo.applicationInfo ?: return matched
+        val apkPaths = listOfNotNull(appInfo.sourceDir) + (appInfo.splitSourceDirs?.toList() ?: emptyList())
+        apkPaths.forEach { path ->
+            try {
+                ZipFile(path).use { zip ->
+                    zip.entries().asSequence()
+                        .filter { DEX_ENTRY.matches(it.name) && it.size in 1..MAX_DEX_BYTES }
+                        .forEach { entry ->
+                            val dex = zip.getInputStream(entry).use { it.readBytes() }
+                            readClassNames(dex).forEach(check)
+                        }
+                }
+            } catch (e: Exception) {
+                Log.w("InstalledAppsModule", "Could not scan $path for trackers: ${e.message}")
+            }
+        }
+
+        return matched
+    }
+
+    private fun getComponentNames(packageInfo: PackageInfo): List<String> {
+        return listOfNotNull(
+            packageInfo.activities?.map { it.name },
+            packageInfo.services?.map { it.name },
+            packageInfo.receivers?.map { it.name },
+            packageInfo.providers?.map { it.name },
+        ).flatten()
+    }
+
+    /**
+     * Class names in the dex type table, in dotted form
+     */
+    private fun readClassNames(dex: ByteArray): List<String> {
+        if (dex.size < DEX_HEADER_SIZE || String(dex, 0, 3, Charsets.US_ASCII) != "dex") {
+            return emptyList()
+        }
+
+        val buffer = ByteBuffer.wrap(dex).order(ByteOrder.LITTLE_ENDIAN)
+        val stringIdsOff = buffer.getInt(STRING_IDS_OFF)
+        val typeIdsSize = buffer.getInt(TYPE_IDS_SIZE)
+        val typeIdsOff = buffer.getInt(TYPE_IDS_OFF)
+
+        val names = ArrayList<String>(typeIdsSize)
+        for (index in 0 until typeIdsSize) {
+            val stringIndex = buffer.getInt(typeIdsOff + index * 4)
+            var position = buffer.getInt(stringIdsOff + stringIndex * 4)
+
+            // string_data_item: ULEB128 UTF-16 length, then MUTF-8 bytes ending in 0
+            while (dex[position].toInt() and 0x80 != 0) position++
+            position++
+            var end = position
+            while (dex[end].toInt() != 0) end++
+
+            // Class descriptors look like Lcom/example/Foo;
+            if (dex[position] == 'L'.code.toByte() && end - position > 2) {
+                names.add(String(dex, position + 1, end - position - 2, Charsets.UTF_8).replace('/', '.'))
+            }
+        }
+        return names
+    }
+}
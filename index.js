@@ -6,6 +6,9 @@ import {AppRegistry} from 'react-native';
 import App from './App';
 import {name as appName} from './app.json';
 import 'react-native-gesture-handler';
+import BackgroundScanTask from './src/services/BackgroundScanTask';
+import {BackgroundScanService} from './src/services/BackgroundScanService';
 
 
 AppRegistry.registerComponent(appName, () => App);
+AppRegistry.registerHeadlessTask(BackgroundScanService.TASK_NAME, () => BackgroundScanTask);
@@ -1,4 +1,5 @@
 // jest.setup.js
+/* eslint-env jest */
 import 'react-native-gesture-handler/jestSetup';
 
 // Mock react-native-reanimated
@@ -12,23 +13,20 @@ jest.mock('react-native-reanimated', () => {
   return Reanimated;
 });
 
-// Mock the native module
-jest.mock('react-native/Libraries/BatchedBridge/NativeModules', () => ({
-  InstalledApps: {
-    getInstalledApps: jest.fn(() => Promise.resolve([])),
-    getAppDetails: jest.fn(() => Promise.resolve({})),
-  },
-  PlatformConstants: {
-    getConstants: () => ({
-      forceTouchAvailable: false,
-      osVersion: '14.0',
-      systemName: 'iOS',
-    }),
-  },
-}));
+// Add the app's native module to the ones mocked by the react-native preset
+const { NativeModules } = require('react-native');
+NativeModules.InstalledApps = {
+  getInstalledApps: jest.fn(() => Promise.resolve([])),
+  getAppDetails: jest.fn(() => Promise.resolve({})),
+};
 
 // Silence the warning: Animated: `useNativeDriver` is not supported
-jest.mock('react-native/Libraries/Animated/NativeAnimatedHelper');
+jest.mock('react-native/src/private/animated/NativeAnimatedHelper');
+
+// In-memory AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
 
 // Mock navigation
 jest.mock('@react-navigation/native', () => {
@@ -66,4 +64,22 @@ jest.mock('react-native-permissions', () => {
       BLOCKED: 'blocked',
     },
   };
-});
\ No newline at end of file
+});
+// Mock file system access
+jest.mock('react-native-fs', () => ({
+  DocumentDirectoryPath: '/documents',
+  DownloadDirectoryPath: '/downloads',
+  exists: jest.fn(() => Promise.resolve(false)),
+  readFile: jest.fn(() => Promise.resolve('')),
+  writeFile: jest.fn(() => Promise.resolve()),
+}));
+
+// Mock PDF generation
+jest.mock('react-native-html-to-pdf', () => ({
+  generatePDF: jest.fn(() => Promise.resolve({ filePath: '/documents/report.pdf' })),
+}));
+
+// Mock opening exported files
+jest.mock('react-native-file-viewer', () => ({
+  open: jest.fn(() => Promise.resolve()),
+}));
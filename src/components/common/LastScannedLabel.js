@@ -0,0 +1,43 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+/**
+ * Shows when the app inventory was last scanned, e.g. "Scanned 5 min ago"
+ *
+ * @param {number} lastScannedAt - Timestamp of the last scan, or null
+ * @param {boolean} isScanning - Whether a scan is running
+ * @param {object} style - Additional styles for the label
+ */
+const LastScannedLabel = ({ lastScannedAt, isScanning, style }) => {
+    const getLabel = () => {
+        if (isScanning) {
+            return 'Scanning...';
+        }
+        if (!lastScannedAt) {
+            return 'Not scanned yet';
+        }
+        const minutes = Math.floor((Date.now() - lastScannedAt) / (1000 * 60));
+        if (minutes < 1) {
+            return 'Scanned just now';
+        }
+        if (minutes < 60) {
+            return `Scanned ${minutes} min ago`;
+        }
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) {
+            return `Scanned ${hours}h ago`;
+        }
+        return `Scanned ${new Date(lastScannedAt).toLocaleDateString()}`;
+    };
+
+    return <Text style={[styles.label, style]}>{getLabel()}</Text>;
+};
+
+const styles = StyleSheet.create({
+    label: {
+        fontSize: 11,
+        color: '#888',
+    },
+});
+
+export default LastScannedLabel;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+
+/**
+ * Compact bar chart for daily values, drawn with plain views
+ *
+ * @param {Array} data - Values to plot, oldest first
+ * @param {number} height - Chart height in pixels
+ * @param {string} color - Bar color
+ * @param {object} style - Additional styles for the chart container
+ */
+const MiniBarChart = ({ data = [], height = 32, color = '#ff6347', style }) => {
+    const maxValue = Math.max(0, ...data);
+
+    // Keep non-zero days visible even when dwarfed by the busiest day
+    const getBarHeight = (value) => {
+        if (maxValue === 0 || value <= 0) {
+            return 0;
+        }
+        return Math.max((value / maxValue) * height, 1);
+    };
+
+    return (
+        <View style={[styles.chart, { height }, style]}>
+            {data.map((value, index) => (
+                <View key={index} style={styles.barSlot}>
+                    <View
+                        style={[
+                            styles.bar,
+                            {
+                                height: getBarHeight(value),
+                                backgroundColor: color,
+                            },
+                        ]}
+                    />
+                </View>
+            ))}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    chart: {
+        flexDirection: 'row',
+        alignItems: 'flex-end',
+    },
+    barSlot: {
+        flex: 1,
+        justifyContent: 'flex-end',
+        height: '100%',
+        paddingHorizontal: 0.5,
+    },
+    bar: {
+        borderTopLeftRadius: 1,
+        borderTopRightRadius: 1,
+    },
+});
+
+export default MiniBarChart;
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    Modal,
+    TextInput,
+    TouchableOpacity,
+} from 'react-native';
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Modal for editing a monthly mobile-data budget
+ *
+ * @param {boolean} visible - Whether the modal is shown
+ * @param {string} title - Heading, e.g. the app name or "All Apps"
+ * @param {number} limitBytes - Current budget, or null when none is set
+ * @param {number} cycleStartDay - Current billing-cycle start day; the field is hidden when omitted
+ * @param {function} onSave - Called with { limitBytes, cycleStartDay }; limitBytes is null to remove the budget
+ * @param {function} onClose - Called when the modal is dismissed
+ */
+const BudgetEditorModal = ({ visible, title, limitBytes, cycleStartDay, onSave, onClose }) => {
+    const [limitText, setLimitText] = useState('');
+    const [dayText, setDayText] = useState('');
+
+    useEffect(() => {
+        if (visible) {
+            setLimitText(limitBytes ? String(Math.round(limitBytes / BYTES_PER_MB)) : '');
+            setDayText(cycleStartDay ? String(cycleStartDay) : '');
+        }
+    }, [visible, limitBytes, cycleStartDay]);
+
+    const handleSave = () => {
+        const megabytes = parseFloat(limitText);
+        onSave({
+            limitBytes: megabytes > 0 ? Math.round(megabytes * BYTES_PER_MB) : null,
+            cycleStartDay: cycleStartDay ? parseInt(dayText, 10) || cycleStartDay : undefined,
+        });
+    };
+
+    return (
+        <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+            <View style={styles.overlay}>
+                <View style={styles.dialog}>
+                    <Text style={styles.title}>{title}</Text>
+
+                    <Text style={styles.label}>Monthly mobile data budget (MB)</Text>
+                    <TextInput
+                        style={styles.input}
+                        value={limitText}
+                        onChangeText={setLimitText}
+                        keyboardType="numeric"
+                        placeholder="e.g. 2048"
+                    />
+
+                    {cycleStartDay ? (
+                        <>
+                            <Text style={styles.label}>Billing cycle starts on day (1-28)</Text>
+                            <TextInput
+                                style={styles.input}
+                                value={dayText}
+                                onChangeText={setDayText}
+                                keyboardType="numeric"
+                                placeholder="1"
+                            />
+                        </>
+                    ) : null}
+
+                    <View style={styles.buttons}>
+                        {limitBytes ? (
+                            <TouchableOpacity
+                                style={styles.button}
+                                onPress={() => onSave({ limitBytes: null, cycleStartDay })}
+                            >
+                                <Text style={styles.removeText}>Remove</Text>
+                            </TouchableOpacity>
+                        ) : null}
+                        <TouchableOpacity style={styles.button} onPress={onClose}>
+                            <Text style={styles.cancelText}>Cancel</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.button, styles.saveButton]} onPress={handleSave}>
+                            <Text style={styles.saveText}>Save</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            </View>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    overlay: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+        justifyContent: 'center',
+        padding: 24,
+    },
+    dialog: {
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 20,
+    },
+    title: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 16,
+    },
+    label: {
+        fontSize: 13,
+        color: '#666',
+        marginBottom: 6,
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: '#e0e0e0',
+        borderRadius: 8,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        fontSize: 16,
+        color: '#333',
+        marginBottom: 16,
+    },
+    buttons: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+    },
+    button: {
+        paddingHorizontal: 14,
+        paddingVertical: 8,
+        borderRadius: 16,
+        marginLeft: 8,
+    },
+    saveButton: {
+        backgroundColor: '#ff6347',
+    },
+    saveText: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    cancelText: {
+        color: '#666',
+    },
+    removeText: {
+        color: '#ff4757',
+        fontWeight: 'bold',
+    },
+});
+
+export default BudgetEditorModal;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+const HOUR_LABELS = [0, 6, 12, 18];
+
+/**
+ * Day-by-hour grid where darker cells mean more screen time
+ *
+ * @param {Array} rows - [{ date, hours: [24 values] }], oldest first
+ * @param {string} color - Cell color at the busiest hour
+ * @param {object} style - Additional styles for the grid container
+ */
+const HourlyHeatmap = ({ rows = [], color = '#ff6347', style }) => {
+    const maxValue = Math.max(0, ...rows.flatMap(row => row.hours));
+
+    // Keep any activity visible next to the busiest hour
+    const getOpacity = (value) => {
+        if (maxValue === 0 || value <= 0) {
+            return 0.06;
+        }
+        return Math.max(value / maxValue, 0.15);
+    };
+
+    const formatDay = (date) => {
+        return new Date(date).toLocaleDateString(undefined, { weekday: 'short' });
+    };
+
+    return (
+        <View style={style}>
+            {rows.map(row => (
+                <View key={row.date} style={styles.row}>
+                    <Text style={styles.dayLabel}>{formatDay(row.date)}</Text>
+                    {row.hours.map((value, hour) => (
+                        <View key={hour} style={styles.cellSlot}>
+                            <View style={[styles.cell, { backgroundColor: color, opacity: getOpacity(value) }]} />
+                        </View>
+                    ))}
+                </View>
+            ))}
+            <View style={styles.row}>
+                <View style={styles.dayLabel} />
+                <View style={styles.hourLabels}>
+                    {HOUR_LABELS.map(hour => (
+                        <Text key={hour} style={styles.hourLabel}>{`${hour}:00`}</Text>
+                    ))}
+                </View>
+            </View>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 2,
+    },
+    dayLabel: {
+        width: 32,
+        fontSize: 10,
+        color: '#888',
+    },
+    cellSlot: {
+        flex: 1,
+        paddingHorizontal: 0.5,
+    },
+    cell: {
+        height: 12,
+        borderRadius: 2,
+    },
+    hourLabels: {
+        flex: 1,
+        flexDirection: 'row',
+    },
+    hourLabel: {
+        flex: 1,
+        fontSize: 9,
+        color: '#888',
+    },
+});
+
+export default HourlyHeatmap;
@@ -0,0 +1,103 @@
+import React, { createContext, useCallback, useMemo, useRef, useState } from 'react';
+import { AppDataService } from '../services/AppDataService';
+
+// Scans younger than this are served from memory
+export const INVENTORY_TTL_MS = 5 * 60 * 1000;
+
+export const AppInventoryContext = createContext(null);
+
+/**
+ * AppInventoryProvider - Holds the installed app list for the whole app so
+ * screens share one scan instead of each rescanning the device
+ */
+export const AppInventoryProvider = ({ children, ttl = INVENTORY_TTL_MS }) => {
+    const [appDataService] = useState(() => new AppDataService());
+    const [apps, setApps] = useState([]);
+    const [lastScannedAt, setLastScannedAt] = useState(null);
+    const [isScanning, setIsScanning] = useState(false);
+    const [scanProgress, setScanProgress] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Refs let the callbacks below stay stable while still seeing the latest scan
+    const appsRef = useRef([]);
+    const lastScannedAtRef = useRef(null);
+    const scanPromiseRef = useRef(null);
+
+    /**
+     * Rescan now. Concurrent callers share the scan already in flight.
+     */
+    const refresh = useCallback(() => {
+        if (scanPromiseRef.current) {
+            return scanPromiseRef.current;
+        }
+
+        const scan = (async () => {
+            setIsScanning(true);
+            setScanProgress(null);
+            setError(null);
+            try {
+                const scannedApps = (await appDataService.getInstalledApps({ onProgress: setScanProgress })) || [];
+                const scannedAt = Date.now();
+                appsRef.current = scannedApps;
+                lastScannedAtRef.current = scannedAt;
+                setApps(scannedApps);
+                setLastScannedAt(scannedAt);
+                return scannedApps;
+            } catch (err) {
+                setError(err.message || 'Failed to get installed apps');
+                throw err;
+            } finally {
+                scanPromiseRef.current = null;
+                setIsScanning(false);
+                setScanProgress(null);
+            }
+        })();
+
+        scanPromiseRef.current = scan;
+        return scan;
+    }, [appDataService]);
+
+    const isStale = useCallback(() => {
+        return !lastScannedAtRef.current || Date.now() - lastScannedAtRef.current > ttl;
+    }, [ttl]);
+
+    /**
+     * Resolve the cached apps, rescanning first if the cache has expired
+     */
+    const ensureFresh = useCallback(async () => {
+        if (isStale()) {
+            return refresh();
+        }
+        return appsRef.current;
+    }, [isStale, refresh]);
+
+    /**
+     * Mark the cache stale so the next focus or ensureFresh() rescans
+     */
+    const invalidate = useCallback(() => {
+        lastScannedAtRef.current = null;
+    }, []);
+
+    const value = useMemo(() => ({
+        apps,
+        lastScannedAt,
+        scanProgress,
+        error,
+        // No scan has finished yet, so there is nothing to show
+        isLoading: lastScannedAt === null && error === null,
+        // Rescan while cached apps are on screen
+        isRefreshing: isScanning && lastScannedAt !== null,
+        appDataService,
+        refresh,
+        ensureFresh,
+        invalidate,
+    }), [apps, lastScannedAt, scanProgress, error, isScanning, appDataService, refresh, ensureFresh, invalidate]);
+
+    return (
+        <AppInventoryContext.Provider value={value}>
+            {children}
+        </AppInventoryContext.Provider>
+    );
+};
+
+export default AppInventoryProvider;
@@ -5,6 +5,7 @@ import { PermissionService } from '../services/PermissionService';
 export const useAppInfo = () => {
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [scanProgress, setScanProgress] = useState(null);
     const [appDataService] = useState(() => new AppDataService());
 
     // Initialize permissions on hook creation
@@ -23,14 +24,17 @@ export const useAppInfo = () => {
     const getInstalledApps = useCallback(async () => {
         setLoading(true);
         setError(null);
+        setScanProgress(null);
 
         try {
-            const apps = await appDataService.getInstalledApps();
+            const apps = await appDataService.getInstalledApps({ onProgress: setScanProgress });
             setLoading(false);
+            setScanProgress(null);
             return apps;
         } catch (err) {
             setError(err.message || 'Failed to get installed apps');
             setLoading(false);
+            setScanProgress(null);
             throw err;
         }
     }, [appDataService]);
@@ -49,9 +53,45 @@ export const useAppInfo = () => {
         }
     }, [appDataService]);
 
+    // Function to get permission usage history
+    const getPermissionUsage = useCallback(async (packageName) => {
+        try {
+            return await appDataService.getPermissionUsage(packageName);
+        } catch (err) {
+            return { available: false, reason: 'ERROR', ops: {} };
+        }
+    }, [appDataService]);
+
+    // Function to get embedded tracker SDKs
+    const getAppTrackers = useCallback(async (app) => {
+        try {
+            return await appDataService.getAppTrackers(app);
+        } catch (err) {
+            return null;
+        }
+    }, [appDataService]);
+
+    // Function to get foreground sessions (today by default)
+    const getAppSessions = useCallback(async (packageName, range) => {
+        try {
+            return await appDataService.getAppSessions(packageName, range);
+        } catch (err) {
+            return { available: false, reason: 'ERROR', sessions: [], summary: null };
+        }
+    }, [appDataService]);
+
+    // Function to get data usage for a period (7/30/90 days)
+    const getAppsDataUsageForPeriod = useCallback(async (apps, days) => {
+        try {
+            return await appDataService.getAppsDataUsageForPeriod(apps, days);
+        } catch (err) {
+            return apps;
+        }
+    }, [appDataService]);
+
     // Function to get recent apps
-    const getRecentApps = useCallback((apps, limit = 5) => {
-        return appDataService.getRecentApps(apps, limit);
+    const getRecentApps = useCallback((apps, limit = 5, options) => {
+        return appDataService.getRecentApps(apps, limit, options);
     }, [appDataService]);
 
     // Function to search apps
@@ -102,8 +142,8 @@ export const useAppInfo = () => {
     }, []);
 
     // Function to analyze app permissions
-    const analyzeAppPermissions = useCallback((permissions) => {
-        return PermissionService.getPermissionAnalysis(permissions);
+    const analyzeAppPermissions = useCallback((permissions, app = {}) => {
+        return PermissionService.getPermissionAnalysis(permissions, app);
     }, []);
 
     // Function to get permission risk info
@@ -118,10 +158,15 @@ export const useAppInfo = () => {
     return {
         loading,
         error,
+        scanProgress,
         appDataService,
         getInstalledApps,
         categorizeAppsByRisk,
         getAppDetails,
+        getPermissionUsage,
+        getAppTrackers,
+        getAppSessions,
+        getAppsDataUsageForPeriod,
         getRecentApps,
         searchApps,
         getAppsByCategory,
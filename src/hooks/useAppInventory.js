@@ -0,0 +1,26 @@
+import { useCallback, useContext } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import { AppInventoryContext } from '../context/AppInventoryContext';
+
+/**
+ * Shared installed-app inventory. By default the screen rescans on focus
+ * when the cached scan has expired.
+ */
+export const useAppInventory = ({ refreshOnFocus = true } = {}) => {
+    const inventory = useContext(AppInventoryContext);
+    if (!inventory) {
+        throw new Error('useAppInventory must be used inside an AppInventoryProvider');
+    }
+
+    const { ensureFresh } = inventory;
+    useFocusEffect(
+        useCallback(() => {
+            if (refreshOnFocus) {
+                // Failures surface through inventory.error
+                ensureFresh().catch(() => { });
+            }
+        }, [refreshOnFocus, ensureFresh])
+    );
+
+    return inventory;
+};
@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
     View,
     Text,
@@ -9,35 +9,156 @@ import {
     ScrollView,
     StatusBar,
     Alert,
+    Platform,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { PermissionService } from '../services/PermissionService';
 import { useAppInfo } from '../hooks/useAppInfo';
+import { ScanSnapshotService } from '../services/ScanSnapshotService';
+import { RiskScoringEngine } from '../services/RiskScoringEngine';
+import { ScreenTimeService } from '../services/ScreenTimeService';
+import { getInstallSource, getInstallSourceLabel } from '../utils/installSource';
+import { findTestKeySigner } from '../utils/signingCertificates';
+import { getThreatCategoryLabel } from '../utils/threatDatabase';
+import { getTrackerCategoryLabel } from '../utils/trackerSignatures';
+import { TrackerService } from '../services/TrackerService';
+
+const PERMISSION_USAGE_LABELS = {
+    CAMERA: 'Camera',
+    MICROPHONE: 'Microphone',
+    LOCATION: 'Location',
+    CONTACTS: 'Contacts',
+    CLIPBOARD: 'Clipboard',
+};
+
+const RISK_LEVEL_LABELS = {
+    HIGH_RISK: 'High Risk',
+    MEDIUM_RISK: 'Medium Risk',
+    LOW_RISK: 'Low Risk',
+    NO_RISK: 'No Risk',
+};
 
 const AppDetailScreen = ({ route }) => {
     const navigation = useNavigation();
-    const { analyzeAppPermissions } = useAppInfo();
-
-    // Get app data from route params or use default data
-    const appData = route?.params?.appData || {
-        name: 'App Name',
-        version: 'X.X XX',
-        packageName: 'com.example.app',
-        riskLevel: 'Medium Risk',
-        lastUsed: 'Today, 10:30 AM',
-        dataUsage: '500 MB (last 30 days)',
-        category: 'Messaging',
-        permissions: ['Camera', 'Microphone', 'Contacts', 'Location'],
-        networkActivity: {
-            dataSent: '100 MB',
-            dataReceived: '400 MB',
-        },
-        storage: {
-            appSize: '150 MB',
-            dataSize: '350 MB',
-        },
-        icon: null,
-    };
+    const { analyzeAppPermissions, getPermissionUsage, getAppSessions, getAppTrackers } = useAppInfo();
+
+    // Deep links (e.g. from a notification) only carry the package name
+    const linkedPackageName = route?.params?.appData ? null : route?.params?.packageName;
+    const [linkedApp, setLinkedApp] = useState(null);
+
+    useEffect(() => {
+        if (!linkedPackageName) {
+            return;
+        }
+        let isActive = true;
+        ScanSnapshotService.getLatestSnapshot().then(snapshot => {
+            const app = snapshot?.apps.find(item => item.packageName === linkedPackageName);
+            if (isActive && app) {
+                setLinkedApp({
+                    ...app,
+                    // Rescoring without the missing inputs could contradict the alert
+                    storedRiskAnalysis: snapshot.riskInputsMissing ? app.riskAnalysis : null,
+                    riskLevel: RISK_LEVEL_LABELS[app.riskAnalysis?.riskLevel] || 'No Risk',
+                    dataUsageSummary: app.dataUsage?.total ? `${Math.round(app.dataUsage.total / (1024 * 1024))} MB (last 30 days)` : 'No data available',
+                });
+            }
+        });
+        return () => {
+            isActive = false;
+        };
+    }, [linkedPackageName]);
+
+    // Get app data from route params, a deep-linked package or use default data
+    const routeAppData = route?.params?.appData;
+    const appData = useMemo(() => {
+        if (routeAppData || linkedApp) {
+            return routeAppData || linkedApp;
+        }
+        if (linkedPackageName) {
+            // Package is not in the latest scan (yet)
+            return {
+                name: linkedPackageName,
+                version: 'Unknown',
+                packageName: linkedPackageName,
+                riskLevel: 'No Risk',
+                category: 'Unknown',
+                permissions: [],
+                icon: null,
+            };
+        }
+        return {
+            name: 'App Name',
+            version: 'X.X XX',
+            packageName: 'com.example.app',
+            riskLevel: 'Medium Risk',
+            lastUsed: 'Today, 10:30 AM',
+            dataUsage: '500 MB (last 30 days)',
+            category: 'Messaging',
+            permissions: ['Camera', 'Microphone', 'Contacts', 'Location'],
+            networkActivity: {
+                dataSent: '100 MB',
+                dataReceived: '400 MB',
+            },
+            storage: {
+                appSize: '150 MB',
+                dataSize: '350 MB',
+            },
+            icon: null,
+        };
+    }, [routeAppData, linkedApp, linkedPackageName]);
+
+    const [permissionUsage, setPermissionUsage] = useState(null);
+
+    useEffect(() => {
+        let isActive = true;
+        getPermissionUsage(appData.packageName).then(usage => {
+            if (isActive) {
+                setPermissionUsage(usage);
+            }
+        });
+        return () => {
+            isActive = false;
+        };
+    }, [appData.packageName, getPermissionUsage]);
+
+    const [trackers, setTrackers] = useState(null);
+
+    // Full scans skip system apps, so scan those when they are opened
+    useEffect(() => {
+        if (Platform.OS !== 'android') {
+            return undefined;
+        }
+        if (Array.isArray(appData.trackers)) {
+            setTrackers(appData.trackers);
+            return undefined;
+        }
+        let isActive = true;
+        getAppTrackers(appData).then(result => {
+            if (isActive) {
+                setTrackers(result);
+            }
+        });
+        return () => {
+            isActive = false;
+        };
+    }, [appData, getAppTrackers]);
+
+    const [todaySessions, setTodaySessions] = useState(null);
+
+    useEffect(() => {
+        if (Platform.OS !== 'android') {
+            return undefined;
+        }
+        let isActive = true;
+        getAppSessions(appData.packageName).then(result => {
+            if (isActive) {
+                setTodaySessions(result);
+            }
+        });
+        return () => {
+            isActive = false;
+        };
+    }, [appData.packageName, getAppSessions]);
 
     // Helper function to format last used time
     const formatLastUsed = (timestamp) => {
@@ -109,16 +230,60 @@ const AppDetailScreen = ({ route }) => {
         return usage.length > 0 ? usage.join(', ') : 'No usage data';
     };
 
+    const formatTime = (timestamp) => {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    };
+
+    // Position of a session on the 24-hour timeline, in percent
+    const getTimelineSegment = (session) => {
+        const dayStart = todaySessions.startTime;
+        const dayLength = 24 * 60 * 60 * 1000;
+        const left = ((session.start - dayStart) / dayLength) * 100;
+        const width = Math.max((session.duration / dayLength) * 100, 0.5);
+        return { left: `${left}%`, width: `${width}%` };
+    };
+
     // Get formatted data
     const lastUsedTimestamp = getLastUsedTimestamp(appData);
     const formattedLastUsed = formatLastUsed(lastUsedTimestamp);
     const formattedInstallDate = formatInstallDate(appData.firstInstallTime);
+    const testKeySigner = findTestKeySigner(appData);
     const formattedUsageStats = formatUsageStats(appData);
 
     // Analyze app permissions
+    // Deep-linked apps from older snapshots keep the level and score they were scanned with
     const permissionAnalysis = useMemo(() => {
-        return analyzeAppPermissions(appData.permissions || []);
-    }, [appData.permissions, analyzeAppPermissions]);
+        const analysis = analyzeAppPermissions(appData.permissions || [], { ...appData, trackers: trackers ?? appData.trackers });
+        if (!appData.storedRiskAnalysis) {
+            return analysis;
+        }
+        return {
+            ...analysis,
+            riskLevel: appData.storedRiskAnalysis.riskLevel,
+            riskScore: appData.storedRiskAnalysis.riskScore,
+            breakdown: [],
+        };
+    }, [appData, trackers, analyzeAppPermissions]);
+
+    const unusedPermissionRecommendations = useMemo(() => {
+        return PermissionService.getUnusedPermissionRecommendations(appData, permissionUsage);
+    }, [appData, permissionUsage]);
+
+    // Ops shown in the usage card: clipboard for every app, the rest only when requested
+    const permissionUsageRows = useMemo(() => {
+        if (!permissionUsage?.available) {
+            return [];
+        }
+        const permissions = appData.permissions || [];
+        return Object.entries(PERMISSION_USAGE_LABELS)
+            .filter(([op]) => op === 'CLIPBOARD' || permissions.includes(op))
+            .map(([op, label]) => ({ op, label, ...(permissionUsage.ops?.[op] || {}) }));
+    }, [appData.permissions, permissionUsage]);
+
+    // Rules that contributed to the risk level
+    const riskExplanation = useMemo(() => {
+        return RiskScoringEngine.explain(permissionAnalysis);
+    }, [permissionAnalysis]);
 
     const navigateBack = () => {
         navigation.goBack();
@@ -130,6 +295,8 @@ const AppDetailScreen = ({ route }) => {
 
     const getRiskColor = (riskLevel) => {
         switch (riskLevel) {
+            case 'CRITICAL':
+                return '#b71540';
             case 'HIGH_RISK':
             case 'HIGH':
                 return '#ff4757';
@@ -158,7 +325,7 @@ const AppDetailScreen = ({ route }) => {
     };
 
     const getRiskLevelColor = (riskLevel) => {
-        switch (riskLevel.toLowerCase()) {
+        switch ((riskLevel || '').toLowerCase()) {
             case 'high risk':
                 return '#ff4444';
             case 'medium risk':
@@ -185,9 +352,11 @@ const AppDetailScreen = ({ route }) => {
 
     const handlePermissionInfo = (permission) => {
         const risk = PermissionService.PERMISSION_RISKS[permission];
+        const detail = permissionAnalysis.permissionDetails?.find(item => item.name === permission);
+        const description = risk ? risk.description : 'System permission';
         Alert.alert(
             `${PermissionService.getPermissionIcon(permission)} ${PermissionService.formatPermissionName(permission)}`,
-            risk ? risk.description : 'System permission',
+            detail?.recommendation ? `${description}\n\n${detail.recommendation}` : description,
             [{ text: 'OK' }]
         );
     };
@@ -234,6 +403,20 @@ const AppDetailScreen = ({ route }) => {
                         </View>
                     </View>
                 </View>
+                {/* Threat Database Match */}
+                {appData.threatMatch && (
+                    <View style={[styles.card, styles.threatCard]}>
+                        <Text style={styles.usageRecommendationTitle}>
+                            Known {getThreatCategoryLabel(appData.threatMatch.entry.category).toLowerCase()}: {appData.threatMatch.entry.name}
+                        </Text>
+                        {appData.threatMatch.entry.notes && (
+                            <Text style={styles.permissionDescription}>{appData.threatMatch.entry.notes}</Text>
+                        )}
+                        <Text style={styles.permissionDescription}>
+                            Matched by the {appData.threatMatch.source === 'IMPORTED' ? 'imported' : 'built-in'} threat database (version {appData.threatMatch.databaseVersion}).
+                        </Text>
+                    </View>
+                )}
                 {/* Overview Card */}
                 <View style={styles.card}>
                     <Text style={styles.cardTitle}>Overview</Text>
@@ -252,6 +435,7 @@ const AppDetailScreen = ({ route }) => {
                     {formattedInstallDate !== 'Unknown' && (
                         <View style={styles.cardRowBetween}><Text style={styles.label}>Install Date</Text><Text style={styles.value}>{formattedInstallDate}</Text></View>
                     )}
+                    <View style={styles.cardRowBetween}><Text style={styles.label}>Installed From</Text><Text style={styles.value}>{getInstallSourceLabel(appData.installSource || getInstallSource(appData))}</Text></View>
                     <View style={styles.riskSummary}>
                         <Text style={styles.riskSummaryTitle}>Risk Assessment</Text>
                         <Text style={[
@@ -263,6 +447,28 @@ const AppDetailScreen = ({ route }) => {
                         <Text style={styles.riskScore}>
                             Risk Score: {permissionAnalysis.riskScore}
                         </Text>
+                        {permissionAnalysis.failedRules?.length > 0 && (
+                            <Text style={styles.riskRulesFailed}>
+                                Some rules could not be checked, so the score may be too low: {permissionAnalysis.failedRules.join(', ')}
+                            </Text>
+                        )}
+                        {riskExplanation.length > 0 && (
+                            <View style={styles.riskBreakdown}>
+                                <Text style={styles.riskBreakdownTitle}>
+                                    Why {getRiskLabel(permissionAnalysis.riskLevel)}?
+                                </Text>
+                                {riskExplanation.map(item => (
+                                    <View key={item.ruleId} style={styles.riskBreakdownRow}>
+                                        <Text style={[styles.riskBreakdownText, item.isEscalation && styles.riskBreakdownEscalation]}>
+                                            {item.text}
+                                        </Text>
+                                        <Text style={styles.riskBreakdownPoints}>
+                                            {item.points > 0 ? `+${item.points}` : item.points}
+                                        </Text>
+                                    </View>
+                                ))}
+                            </View>
+                        )}
                     </View>
                 </View>
                 {/* Permissions Card */}
@@ -289,6 +495,16 @@ const AppDetailScreen = ({ route }) => {
                                         <Text style={styles.permissionDescription}>
                                             {permissionRisk?.description || 'System permission'}
                                         </Text>
+                                        {appData.permissionGrants && (
+                                            <Text style={RiskScoringEngine.isGranted(appData, permission) ? styles.permissionGranted : styles.permissionDenied}>
+                                                {RiskScoringEngine.isGranted(appData, permission) ? 'Granted' : 'Declared, not granted'}
+                                            </Text>
+                                        )}
+                                        {permissionAnalysis.anomalies?.includes(permission) && (
+                                            <Text style={styles.permissionAnomaly}>
+                                                Unusual for a {permissionAnalysis.category} app
+                                            </Text>
+                                        )}
                                     </View>
                                     {/* <View style={[styles.riskIndicator, { backgroundColor: getRiskColorForLevel(riskLevel) }]}>
                                         <Text style={styles.riskIndicatorText}>{riskLevel}</Text>
@@ -301,6 +517,109 @@ const AppDetailScreen = ({ route }) => {
                         <Text style={styles.viewAllButtonTextModern}>View All Permissions</Text>
                     </TouchableOpacity> */}
                 </View>
+                {/* Permission Usage Card */}
+                {permissionUsage && Platform.OS === 'android' && (
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>Permission Usage</Text>
+                        {permissionUsage.available ? (
+                            permissionUsageRows.map(row => (
+                                <View key={row.op} style={styles.cardRowBetween}>
+                                    <Text style={styles.label}>{row.label}</Text>
+                                    <Text style={styles.value}>
+                                        {row.isRunning
+                                            ? 'In use now'
+                                            : row.lastAccessTime > 0 ? `Used ${formatLastUsed(row.lastAccessTime).toLowerCase()}` : 'No recorded use'}
+                                    </Text>
+                                </View>
+                            ))
+                        ) : (
+                            <Text style={styles.permissionDescription}>
+                                {permissionUsage.reason === 'PERMISSION_REQUIRED'
+                                    ? 'Usage history needs the GET_APP_OPS_STATS permission, which can only be granted over adb.'
+                                    : 'Usage history is not available on this device.'}
+                            </Text>
+                        )}
+                        {unusedPermissionRecommendations.map(recommendation => (
+                            <View key={recommendation.permission} style={styles.usageRecommendation}>
+                                <Text style={styles.usageRecommendationTitle}>{recommendation.title}</Text>
+                                <Text style={styles.permissionDescription}>{recommendation.message}</Text>
+                                <Text style={styles.permissionDescription}>{recommendation.action}</Text>
+                            </View>
+                        ))}
+                    </View>
+                )}
+                {/* Trackers Card */}
+                {trackers && (
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>Trackers ({trackers.length})</Text>
+                        {trackers.length === 0 ? (
+                            <Text style={styles.permissionDescription}>No known analytics or advertising SDKs were found in this app.</Text>
+                        ) : (
+                            <>
+                                <Text style={styles.permissionDescription}>
+                                    {Object.entries(TrackerService.countByCategory(trackers))
+                                        .map(([category, count]) => `${count} ${getTrackerCategoryLabel(category).toLowerCase()}`)
+                                        .join(', ')}
+                                </Text>
+                                {trackers.map(tracker => (
+                                    <View key={tracker.id} style={styles.cardRowBetween}>
+                                        <Text style={styles.label}>{tracker.name}</Text>
+                                        <Text style={styles.value}>{getTrackerCategoryLabel(tracker.category)}</Text>
+                                    </View>
+                                ))}
+                            </>
+                        )}
+                    </View>
+                )}
+                {/* Today's Activity Card */}
+                {todaySessions && (
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>Today's Activity</Text>
+                        {todaySessions.available ? (
+                            <>
+                                <Text style={styles.sessionSummary}>
+                                    {todaySessions.summary.count > 0
+                                        ? `Opened ${todaySessions.summary.count} time${todaySessions.summary.count !== 1 ? 's' : ''} today, longest session ${ScreenTimeService.formatDuration(todaySessions.summary.longestDuration)}`
+                                        : 'Not opened today'}
+                                </Text>
+                                {todaySessions.summary.count > 0 && (
+                                    <Text style={styles.permissionDescription}>
+                                        {ScreenTimeService.formatDuration(todaySessions.summary.totalDuration)} on screen in total
+                                    </Text>
+                                )}
+                                <View style={styles.timelineTrack}>
+                                    {todaySessions.sessions.map(session => (
+                                        <View
+                                            key={session.start}
+                                            style={[styles.timelineSegment, getTimelineSegment(session)]}
+                                        />
+                                    ))}
+                                </View>
+                                <View style={styles.timelineLabels}>
+                                    <Text style={styles.timelineLabel}>0:00</Text>
+                                    <Text style={styles.timelineLabel}>6:00</Text>
+                                    <Text style={styles.timelineLabel}>12:00</Text>
+                                    <Text style={styles.timelineLabel}>18:00</Text>
+                                    <Text style={styles.timelineLabel}>24:00</Text>
+                                </View>
+                                {[...todaySessions.sessions].reverse().slice(0, 5).map(session => (
+                                    <View key={session.start} style={styles.cardRowBetween}>
+                                        <Text style={styles.label}>
+                                            {formatTime(session.start)} – {session.isOngoing ? 'now' : formatTime(session.end)}
+                                        </Text>
+                                        <Text style={styles.value}>{ScreenTimeService.formatDuration(session.duration)}</Text>
+                                    </View>
+                                ))}
+                            </>
+                        ) : (
+                            <Text style={styles.permissionDescription}>
+                                {todaySessions.reason === 'PERMISSION_REQUIRED'
+                                    ? 'Grant usage access to see when this app was used today.'
+                                    : 'Session history is not available on this device.'}
+                            </Text>
+                        )}
+                    </View>
+                )}
                 {/* Network Activity Card */}
                 <View style={styles.card}>
                     <Text style={styles.cardTitle}>Network Activity</Text>
@@ -345,6 +664,36 @@ const AppDetailScreen = ({ route }) => {
                         </View>
                     )}
                 </View>
+                {/* Signing Certificate Card */}
+                {appData.signingCertificates?.length > 0 && (
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>
+                            Signing Certificate{appData.signingCertificates.length > 1 ? 's' : ''}
+                        </Text>
+                        {appData.signingCertificates.map(certificate => (
+                            <View key={certificate.sha256} style={styles.certificate}>
+                                <Text style={styles.label}>SHA-256</Text>
+                                <Text style={styles.certificateDigest} selectable>{certificate.sha256}</Text>
+                                {certificate.subject && (
+                                    <Text style={styles.permissionDescription}>{certificate.subject}</Text>
+                                )}
+                            </View>
+                        ))}
+                        {appData.signingCertificateHistory?.length > 0 && (
+                            <Text style={styles.permissionDescription}>
+                                Rotated from {appData.signingCertificateHistory.length} earlier signing key{appData.signingCertificateHistory.length !== 1 ? 's' : ''}.
+                            </Text>
+                        )}
+                        {testKeySigner && (
+                            <View style={styles.certificateWarning}>
+                                <Text style={styles.usageRecommendationTitle}>Signed with the {testKeySigner.keyLabel}</Text>
+                                <Text style={styles.permissionDescription}>
+                                    Anyone can sign apps with this key. Store releases never use it, so this copy may have been modified.
+                                </Text>
+                            </View>
+                        )}
+                    </View>
+                )}
             </ScrollView>
             {/* Modern Bottom Navigation Bar */}
             <View style={styles.bottomNavBarModern}>
@@ -549,6 +898,23 @@ const styles = StyleSheet.create({
         color: '#6c757d',
         lineHeight: 18,
     },
+    permissionGranted: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#333',
+        marginTop: 2,
+    },
+    permissionDenied: {
+        fontSize: 12,
+        color: '#2ed573',
+        marginTop: 2,
+    },
+    permissionAnomaly: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#ff4757',
+        marginTop: 2,
+    },
     riskIndicator: {
         paddingHorizontal: 8,
         paddingVertical: 4,
@@ -610,6 +976,100 @@ const styles = StyleSheet.create({
         fontWeight: 'bold',
         color: '#666',
     },
+    certificate: {
+        marginBottom: 8,
+    },
+    certificateDigest: {
+        fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+        fontSize: 12,
+        color: '#333',
+        marginVertical: 2,
+    },
+    threatCard: {
+        backgroundColor: '#fff5f5',
+    },
+    certificateWarning: {
+        marginTop: 8,
+        padding: 10,
+        borderRadius: 8,
+        backgroundColor: '#fff5f5',
+    },
+    usageRecommendation: {
+        marginTop: 8,
+        padding: 10,
+        borderRadius: 8,
+        backgroundColor: '#f1f8ff',
+    },
+    usageRecommendationTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 2,
+    },
+    sessionSummary: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#222',
+        marginBottom: 4,
+    },
+    timelineTrack: {
+        height: 14,
+        backgroundColor: '#f0f1f5',
+        borderRadius: 4,
+        marginTop: 12,
+        overflow: 'hidden',
+    },
+    timelineSegment: {
+        position: 'absolute',
+        top: 0,
+        bottom: 0,
+        backgroundColor: '#007AFF',
+    },
+    timelineLabels: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginTop: 4,
+        marginBottom: 8,
+    },
+    timelineLabel: {
+        fontSize: 10,
+        color: '#888',
+    },
+    riskBreakdown: {
+        marginTop: 12,
+    },
+    riskBreakdownTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginBottom: 6,
+    },
+    riskBreakdownRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        paddingVertical: 4,
+    },
+    riskBreakdownText: {
+        flex: 1,
+        fontSize: 13,
+        color: '#555',
+        marginRight: 8,
+    },
+    riskBreakdownEscalation: {
+        color: '#ff4757',
+        fontWeight: '600',
+    },
+    riskBreakdownPoints: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#666',
+    },
+    riskRulesFailed: {
+        fontSize: 12,
+        color: '#92400e',
+        marginTop: 4,
+    },
     // Modern Bottom NavBar
     bottomNavBarModern: {
         flexDirection: 'row',
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
     View,
     Text,
@@ -11,27 +11,62 @@ import {
     FlatList,
     TextInput,
     ActivityIndicator,
+    RefreshControl,
+    Alert,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { useAppInfo } from '../hooks/useAppInfo';
+import { useAppInventory } from '../hooks/useAppInventory';
+import LastScannedLabel from '../components/common/LastScannedLabel';
+import { INSTALL_SOURCES, getInstallSource, getInstallSourceLabel } from '../utils/installSource';
 
 const AppListScreen = ({ route }) => {
     const navigation = useNavigation();
-    const { getInstalledApps, categorizeAppsByRisk } = useAppInfo();
+    const { categorizeAppsByRisk } = useAppInfo();
+    const { apps, lastScannedAt, isLoading: loading, isRefreshing, refresh, appDataService } = useAppInventory();
 
     // Get the risk level filter from navigation params
     const riskLevel = route?.params?.riskLevel;
 
-    const [allApps, setAllApps] = useState([]);
     const [filteredApps, setFilteredApps] = useState([]);
-    const [loading, setLoading] = useState(true);
     const [searchQuery, setSearchQuery] = useState('');
     const [selectedCategory, setSelectedCategory] = useState('all');
+    const [selectedSource, setSelectedSource] = useState('all');
     const [sortBy, setSortBy] = useState('name'); // name, lastUsed, category, riskLevel
+    const [scanChanges, setScanChanges] = useState(null);
+    const [showChangedOnly, setShowChangedOnly] = useState(false);
+
+    // Compare each new scan with the previous one
+    useEffect(() => {
+        if (!lastScannedAt) {
+            return;
+        }
+        appDataService.getLatestScanChanges().then(changes => {
+            setScanChanges(changes?.summary?.hasChanges ? changes : null);
+        });
+    }, [lastScannedAt, appDataService]);
+
+    // packageName -> 'New' or 'Updated' for apps changed since the previous scan
+    const changeLabels = useMemo(() => {
+        const labels = new Map();
+        scanChanges?.added.forEach(app => labels.set(app.packageName, 'New'));
+        scanChanges?.updated.forEach(update => labels.set(update.packageName, 'Updated'));
+        return labels;
+    }, [scanChanges]);
 
     // Filter categories
     const categories = ['all', 'Social', 'Communication', 'Productivity', 'Entertainment', 'Music'];
 
+    // Install source filters
+    const installSources = [
+        'all',
+        INSTALL_SOURCES.PLAY_STORE,
+        INSTALL_SOURCES.GALAXY_STORE,
+        INSTALL_SOURCES.SIDELOADED,
+        INSTALL_SOURCES.PREINSTALLED,
+        INSTALL_SOURCES.UNKNOWN,
+    ];
+
     // Sort options
     const sortOptions = [
         { key: 'name', label: 'Name' },
@@ -40,47 +75,38 @@ const AppListScreen = ({ route }) => {
         { key: 'riskLevel', label: 'Risk Level' },
     ];
 
-    useEffect(() => {
-        const fetchApps = async () => {
-        try {
-            setLoading(true);
-            const apps = await getInstalledApps();
-
-            if (!apps || apps.length === 0) {
-                setAllApps([]);
-                return;
+    // Add risk level to each app
+    const allApps = useMemo(() => {
+        const categorizedApps = categorizeAppsByRisk(apps);
+        return apps.map(app => {
+            let risk = 'No Risk';
+            if (categorizedApps.highRisk.find(a => a.id === app.id)) {
+                risk = 'High Risk';
+            } else if (categorizedApps.mediumRisk.find(a => a.id === app.id)) {
+                risk = 'Medium Risk';
+            } else if (categorizedApps.lowRisk.find(a => a.id === app.id)) {
+                risk = 'Low Risk';
             }
 
-            // Add risk level to each app
-            const categorizedApps = categorizeAppsByRisk(apps);
-            const appsWithRisk = apps.map(app => {
-                let risk = 'No Risk';
-                if (categorizedApps.highRisk.find(a => a.id === app.id)) {
-                    risk = 'High Risk';
-                } else if (categorizedApps.mediumRisk.find(a => a.id === app.id)) {
-                    risk = 'Medium Risk';
-                } else if (categorizedApps.lowRisk.find(a => a.id === app.id)) {
-                    risk = 'Low Risk';
-                }
-
-                return { ...app, riskLevel: risk };
-            });
-
-            setAllApps(appsWithRisk);
-        } catch (error) {
-            // Error fetching apps - will show empty state
-        } finally {
-            setLoading(false);
-        }
-        };
+            return { ...app, riskLevel: risk };
+        });
+    }, [apps, categorizeAppsByRisk]);
 
-        fetchApps();
-    }, [getInstalledApps, categorizeAppsByRisk]);
+    const handleRefresh = () => {
+        refresh().catch(() => {
+            Alert.alert('Error', 'Failed to refresh apps. Please try again.');
+        });
+    };
 
     useEffect(() => {
         const filterAndSortApps = () => {
             let filtered = [...allApps];
 
+        // Only apps installed or changed since the previous scan
+        if (showChangedOnly) {
+            filtered = filtered.filter(app => changeLabels.has(app.packageName));
+        }
+
         // Filter by risk level if specified
         if (riskLevel) {
             const riskMap = {
@@ -105,6 +131,11 @@ const AppListScreen = ({ route }) => {
             filtered = filtered.filter(app => app.category === selectedCategory);
         }
 
+        // Filter by install source
+        if (selectedSource !== 'all') {
+            filtered = filtered.filter(app => (app.installSource || getInstallSource(app)) === selectedSource);
+        }
+
         // Sort apps
         filtered.sort((a, b) => {
             switch (sortBy) {
@@ -126,7 +157,7 @@ const AppListScreen = ({ route }) => {
         };
 
         filterAndSortApps();
-    }, [allApps, searchQuery, selectedCategory, sortBy, riskLevel]);
+    }, [allApps, searchQuery, selectedCategory, selectedSource, sortBy, riskLevel, showChangedOnly, changeLabels]);
 
     const navigateToAppDetail = (app) => {
         const formatAppSize = (bytes) => {
@@ -223,8 +254,15 @@ const AppListScreen = ({ route }) => {
                 )}
             </View>
             <View style={styles.appInfo}>
-                <Text style={styles.appName}>{item.name}</Text>
-                <Text style={styles.appCategory}>{item.category}</Text>
+                <Text style={styles.appName}>
+                    {item.name}
+                    {changeLabels.has(item.packageName) && (
+                        <Text style={styles.changeTag}>  {changeLabels.get(item.packageName)}</Text>
+                    )}
+                </Text>
+                <Text style={styles.appCategory}>
+                    {item.category}{item.hasLauncher === false ? ' · No launcher icon' : ''}
+                </Text>
                 <Text style={styles.appLastUsed}>{formatLastUsed(item.lastUsedTimestamp)}</Text>
             </View>
             <View style={styles.appMeta}>
@@ -265,6 +303,33 @@ const AppListScreen = ({ route }) => {
         </ScrollView>
     );
 
+    const renderSourceFilter = () => (
+        <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.categoryFilter}
+            contentContainerStyle={styles.categoryFilterContent}
+        >
+            {installSources.map((source) => (
+                <TouchableOpacity
+                    key={source}
+                    style={[
+                        styles.categoryButton,
+                        selectedSource === source && styles.categoryButtonActive,
+                    ]}
+                    onPress={() => setSelectedSource(source)}
+                >
+                    <Text style={[
+                        styles.categoryButtonText,
+                        selectedSource === source && styles.categoryButtonTextActive,
+                    ]}>
+                        {source === 'all' ? 'Any Source' : getInstallSourceLabel(source)}
+                    </Text>
+                </TouchableOpacity>
+            ))}
+        </ScrollView>
+    );
+
     const renderSortOptions = () => (
         <ScrollView
             horizontal
@@ -319,7 +384,10 @@ const AppListScreen = ({ route }) => {
                 <TouchableOpacity onPress={navigateBack} style={styles.backButton}>
                     <Text style={styles.backButtonText}>‹ Back</Text>
                 </TouchableOpacity>
-                <Text style={styles.headerTitle}>{getHeaderTitle()}</Text>
+                <View style={styles.headerCenter}>
+                    <Text style={styles.headerTitle}>{getHeaderTitle()}</Text>
+                    <LastScannedLabel lastScannedAt={lastScannedAt} isScanning={isRefreshing} />
+                </View>
                 <View style={styles.placeholder} />
             </View>
 
@@ -337,8 +405,24 @@ const AppListScreen = ({ route }) => {
 
                 {/* Category Filter */}
                 {renderCategoryFilter()}
+
+                {/* Install Source Filter */}
+                {renderSourceFilter()}
             </View>
 
+            {/* Changes Since Previous Scan */}
+            {scanChanges && (
+                <TouchableOpacity
+                    style={[styles.scanChangesBar, showChangedOnly && styles.scanChangesBarActive]}
+                    onPress={() => setShowChangedOnly(!showChangedOnly)}
+                >
+                    <Text style={styles.scanChangesText}>
+                        Since last scan: {scanChanges.summary.added} new, {scanChanges.summary.updated} updated, {scanChanges.summary.removed} removed
+                    </Text>
+                    <Text style={styles.scanChangesAction}>{showChangedOnly ? 'Show all' : 'Show changed'}</Text>
+                </TouchableOpacity>
+            )}
+
             {/* Sort Options */}
             <View style={styles.sortContainer}>
                 <View style={styles.sortLeft}>
@@ -366,6 +450,9 @@ const AppListScreen = ({ route }) => {
                     style={styles.appsList}
                     contentContainerStyle={styles.appsListContent}
                     showsVerticalScrollIndicator={false}
+                    refreshControl={
+                        <RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} colors={['#007AFF']} />
+                    }
                 />
             )}
 
@@ -417,6 +504,9 @@ const styles = StyleSheet.create({
         color: '#007AFF',
         fontWeight: '500',
     },
+    headerCenter: {
+        alignItems: 'center',
+    },
     headerTitle: {
         fontSize: 18,
         fontWeight: 'bold',
@@ -498,6 +588,28 @@ const styles = StyleSheet.create({
     categoryButtonTextActive: {
         color: '#fff',
     },
+    scanChangesBar: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        backgroundColor: '#eaf1ff',
+        paddingHorizontal: 16,
+        paddingVertical: 8,
+    },
+    scanChangesBarActive: {
+        backgroundColor: '#cfe0ff',
+    },
+    scanChangesText: {
+        flex: 1,
+        fontSize: 13,
+        color: '#1e3a8a',
+    },
+    scanChangesAction: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#007AFF',
+        marginLeft: 8,
+    },
     sortContainer: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -607,6 +719,11 @@ const styles = StyleSheet.create({
         color: '#000',
         marginBottom: 2,
     },
+    changeTag: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#007AFF',
+    },
     appCategory: {
         fontSize: 14,
         color: '#666',
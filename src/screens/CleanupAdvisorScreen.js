@@ -0,0 +1,324 @@
+import React, { useState, useMemo } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    SafeAreaView,
+    StatusBar,
+    Alert,
+    ActivityIndicator,
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { useAppInventory } from '../hooks/useAppInventory';
+import { CleanupAdvisorService } from '../services/CleanupAdvisorService';
+import { NativeBridgeService } from '../services/NativeBridgeService';
+import { PermissionService } from '../services/PermissionService';
+
+const RISK_LABELS = {
+    HIGH_RISK: 'High Risk',
+    MEDIUM_RISK: 'Medium Risk',
+    LOW_RISK: 'Low Risk',
+    NO_RISK: 'No Risk',
+};
+
+/**
+ * CleanupAdvisorScreen - Lists dormant apps that still hold high-risk
+ * permissions, with shortcuts to revoke them or uninstall the app
+ */
+const CleanupAdvisorScreen = () => {
+    const navigation = useNavigation();
+    const { apps, isLoading } = useAppInventory();
+    const [dormantDays, setDormantDays] = useState(CleanupAdvisorService.DEFAULT_DORMANT_DAYS);
+
+    const advice = useMemo(() => {
+        return CleanupAdvisorService.getRecommendations(apps, { dormantDays });
+    }, [apps, dormantDays]);
+
+    const openAppSettings = async (packageName) => {
+        try {
+            await NativeBridgeService.openAppSettings(packageName);
+        } catch (error) {
+            Alert.alert('Error', 'Could not open the settings page for this app.');
+        }
+    };
+
+    const formatDaysUnused = (daysUnused) => {
+        return `Unused for ${daysUnused} day${daysUnused !== 1 ? 's' : ''}`;
+    };
+
+    const renderRecommendation = ({ item }) => (
+        <View style={styles.appItem}>
+            <View style={styles.appHeader}>
+                <View style={styles.appTitle}>
+                    <Text style={styles.appName}>{item.app.name}</Text>
+                    <Text style={styles.appMeta}>{formatDaysUnused(item.daysUnused)}</Text>
+                </View>
+                <Text style={styles.riskLabel}>{RISK_LABELS[item.currentRisk.riskLevel]}</Text>
+            </View>
+            <Text style={styles.permissionList}>
+                {item.highRiskPermissions.map(permission => PermissionService.formatPermissionName(permission)).join(', ')}
+            </Text>
+            <Text style={styles.impactText}>
+                Revoking these lowers its risk score by {item.revokeImpact.scoreReduction} ({RISK_LABELS[item.revokeImpact.riskLevel]} after)
+            </Text>
+            {item.uninstallImpact.available && (
+                <Text style={styles.impactText}>
+                    Uninstalling removes {item.uninstallImpact.scoreReduction} risk points
+                </Text>
+            )}
+            <TouchableOpacity
+                style={styles.settingsButton}
+                onPress={() => openAppSettings(item.app.packageName)}
+            >
+                <Text style={styles.settingsButtonText}>Open App Settings</Text>
+            </TouchableOpacity>
+        </View>
+    );
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#f0f0f0" />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()}>
+                    <Text style={styles.backButton}>‹ Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Cleanup Advisor</Text>
+                <View style={styles.headerSpacer} />
+            </View>
+
+            {/* Dormancy Filter */}
+            <View style={styles.filterContainer}>
+                <Text style={styles.filterLabel}>Unused for at least</Text>
+                <View style={styles.filterOptions}>
+                    {CleanupAdvisorService.DORMANT_DAY_OPTIONS.map(days => (
+                        <TouchableOpacity
+                            key={days}
+                            style={[styles.filterOption, dormantDays === days && styles.filterOptionActive]}
+                            onPress={() => setDormantDays(days)}
+                        >
+                            <Text style={[styles.filterOptionText, dormantDays === days && styles.filterOptionTextActive]}>
+                                {days} days
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            </View>
+
+            {/* Summary */}
+            <View style={styles.summaryContainer}>
+                <View style={styles.summaryItem}>
+                    <Text style={styles.summaryNumber}>{advice.summary.appCount}</Text>
+                    <Text style={styles.summaryLabel}>Dormant Apps</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                    <Text style={styles.summaryNumber}>-{advice.summary.revokeScoreReduction}</Text>
+                    <Text style={styles.summaryLabel}>If Revoked</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                    <Text style={styles.summaryNumber}>-{advice.summary.uninstallScoreReduction}</Text>
+                    <Text style={styles.summaryLabel}>If Uninstalled</Text>
+                </View>
+            </View>
+
+            {isLoading ? (
+                <View style={styles.emptyContainer}>
+                    <ActivityIndicator size="large" color="#ff6347" />
+                </View>
+            ) : (
+                <FlatList
+                    data={advice.recommendations}
+                    renderItem={renderRecommendation}
+                    keyExtractor={item => item.app.packageName}
+                    contentContainerStyle={styles.list}
+                    ListFooterComponent={advice.unknownUsageCount > 0 ? (
+                        <Text style={styles.footerText}>
+                            {advice.unknownUsageCount} app{advice.unknownUsageCount !== 1 ? 's' : ''} with high-risk permissions {advice.unknownUsageCount !== 1 ? 'have' : 'has'} no usage history and {advice.unknownUsageCount !== 1 ? 'are' : 'is'} not listed.
+                        </Text>
+                    ) : null}
+                    ListEmptyComponent={(
+                        <View style={styles.emptyContainer}>
+                            <Text style={styles.emptyIcon}>🧹</Text>
+                            <Text style={styles.emptyTitle}>Nothing to Clean Up</Text>
+                            <Text style={styles.emptyText}>
+                                No app unused for {dormantDays} days still holds high-risk permissions.
+                            </Text>
+                        </View>
+                    )}
+                />
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f0f0f0',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e0e0e0',
+    },
+    backButton: {
+        fontSize: 18,
+        color: '#ff6347',
+        fontWeight: 'bold',
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    headerSpacer: {
+        width: 50,
+    },
+    filterContainer: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        marginBottom: 8,
+    },
+    filterLabel: {
+        fontSize: 12,
+        color: '#666',
+        marginBottom: 8,
+    },
+    filterOptions: {
+        flexDirection: 'row',
+    },
+    filterOption: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        backgroundColor: '#f0f0f0',
+        marginRight: 8,
+    },
+    filterOptionActive: {
+        backgroundColor: '#ff6347',
+    },
+    filterOptionText: {
+        fontSize: 13,
+        color: '#666',
+    },
+    filterOptionTextActive: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    summaryContainer: {
+        flexDirection: 'row',
+        backgroundColor: '#fff',
+        paddingVertical: 16,
+        marginBottom: 8,
+    },
+    summaryItem: {
+        flex: 1,
+        alignItems: 'center',
+    },
+    summaryNumber: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    summaryLabel: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 4,
+    },
+    list: {
+        paddingBottom: 20,
+    },
+    appItem: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    appHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 6,
+    },
+    appTitle: {
+        flex: 1,
+    },
+    appName: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    appMeta: {
+        fontSize: 11,
+        color: '#999',
+        marginTop: 2,
+    },
+    riskLabel: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#ff4757',
+        marginLeft: 8,
+    },
+    permissionList: {
+        fontSize: 13,
+        color: '#666',
+        marginBottom: 4,
+    },
+    impactText: {
+        fontSize: 12,
+        color: '#2ed573',
+        marginBottom: 2,
+    },
+    settingsButton: {
+        alignSelf: 'flex-end',
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        backgroundColor: '#ff6347',
+        borderRadius: 4,
+        marginTop: 6,
+    },
+    settingsButtonText: {
+        fontSize: 12,
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        paddingVertical: 40,
+        paddingHorizontal: 20,
+    },
+    emptyIcon: {
+        fontSize: 48,
+        marginBottom: 16,
+    },
+    emptyTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 8,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+        lineHeight: 20,
+    },
+    footerText: {
+        fontSize: 12,
+        color: '#999',
+        textAlign: 'center',
+        padding: 16,
+    },
+});
+
+export default CleanupAdvisorScreen;
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
     View,
     Text,
@@ -9,70 +9,75 @@ import {
     StatusBar,
     ActivityIndicator,
     Alert,
+    RefreshControl,
 } from 'react-native';
 import { useAppInfo } from '../hooks/useAppInfo';
+import { useAppInventory } from '../hooks/useAppInventory';
 import RecentApps from '../components/dashboard/RecentApps';
 import { useNavigation } from '@react-navigation/native';
 import RiskCategoryButton from '../components/common/RiskCategoryButton';
 import DebugInfo from '../components/common/DebugInfo';
+import LastScannedLabel from '../components/common/LastScannedLabel';
+import { CleanupAdvisorService } from '../services/CleanupAdvisorService';
 
 const DashboardScreen = () => {
     const navigation = useNavigation();
-    const { getInstalledApps, categorizeAppsByRisk, getRecentApps, loading, error, appDataService } = useAppInfo();
-    const [appCategories, setAppCategories] = useState({
-        highRisk: [],
-        mediumRisk: [],
-        lowRisk: [],
-        noRisk: [],
-    });
-    const [recentApps, setRecentApps] = useState([]);
-    const [isLoading, setIsLoading] = useState(true);
+    const { categorizeAppsByRisk, getRecentApps } = useAppInfo();
+    const {
+        apps,
+        lastScannedAt,
+        scanProgress,
+        error,
+        isLoading,
+        isRefreshing,
+        refresh,
+        appDataService,
+    } = useAppInventory();
     const [showPermissionPrompt, setShowPermissionPrompt] = useState(false);
+    const [scanChanges, setScanChanges] = useState(null);
 
-    useEffect(() => {
-        const checkPermissionAndFetchApps = async () => {
-            try {
-                setIsLoading(true);
-                // Check usage stats permission
-                const hasPermission = await appDataService.checkUsageStatsPermission();
-                if (!hasPermission) {
-                    setShowPermissionPrompt(true);
-                }
-                const apps = await getInstalledApps();
+    const appCategories = useMemo(() => categorizeAppsByRisk(apps), [apps, categorizeAppsByRisk]);
 
-                if (apps && apps.length > 0) {
-                    const categorizedApps = categorizeAppsByRisk(apps);
-                    setAppCategories(categorizedApps);
+    // Get most recently used apps using the service method
+    const recentApps = useMemo(() => getRecentApps(apps, 5), [apps, getRecentApps]);
 
-                    // Get most recently used apps using the service method
-                    const recent = getRecentApps(apps, 5);
-                    setRecentApps(recent);
-                } else {
-                    // Handle empty apps case
-                    setAppCategories({
-                        highRisk: [],
-                        mediumRisk: [],
-                        lowRisk: [],
-                        noRisk: [],
-                    });
-                    setRecentApps([]);
-                }
-            } catch (fetchError) {
-                Alert.alert(
-                    'Error',
-                    'Failed to load apps. Please check permissions and try again.',
-                    [
-                        { text: 'OK', onPress: () => { } },
-                    ]
-                );
-            } finally {
-                setIsLoading(false);
+    // Dormant apps still holding high-risk permissions
+    const cleanupCount = useMemo(() => {
+        return CleanupAdvisorService.getRecommendations(apps).recommendations.length;
+    }, [apps]);
+
+    useEffect(() => {
+        const checkPermission = async () => {
+            // Check usage stats permission
+            const hasPermission = await appDataService.checkUsageStatsPermission();
+            if (!hasPermission) {
+                setShowPermissionPrompt(true);
             }
         };
+        checkPermission();
+    }, [appDataService]);
 
-        checkPermissionAndFetchApps();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, []); // Intentionally empty - functions are stable via useCallback
+    // Compare each new scan with the previous one
+    useEffect(() => {
+        if (!lastScannedAt) {
+            return;
+        }
+        appDataService.getLatestScanChanges().then(changes => {
+            setScanChanges(changes?.summary?.hasChanges ? changes : null);
+        });
+    }, [lastScannedAt, appDataService]);
+
+    const handleRefresh = () => {
+        refresh().catch(() => {
+            Alert.alert(
+                'Error',
+                'Failed to load apps. Please check permissions and try again.',
+                [
+                    { text: 'OK', onPress: () => { } },
+                ]
+            );
+        });
+    };
 
     const handleRequestUsagePermission = async () => {
         try {
@@ -90,13 +95,7 @@ const DashboardScreen = () => {
                                 if (hasPermission) {
                                     setShowPermissionPrompt(false);
                                     // Refresh the app data
-                                    const apps = await getInstalledApps();
-                                    if (apps && apps.length > 0) {
-                                        const categorizedApps = categorizeAppsByRisk(apps);
-                                        setAppCategories(categorizedApps);
-                                        const recent = getRecentApps(apps, 5);
-                                        setRecentApps(recent);
-                                    }
+                                    handleRefresh();
                                 }
                             }, 1000);
                         },
@@ -133,20 +132,24 @@ const DashboardScreen = () => {
     };
 
     // Show loading state
-    if (loading || isLoading) {
+    if (isLoading) {
         return (
             <SafeAreaView style={styles.container}>
                 <StatusBar barStyle="dark-content" backgroundColor="#f0f0f0" />
                 <View style={styles.loadingContainer}>
                     <ActivityIndicator size="large" color="#ff6347" />
-                    <Text style={styles.loadingText}>Loading your apps...</Text>
+                    <Text style={styles.loadingText}>
+                        {scanProgress
+                            ? `${scanProgress.phase === 'analyzing' ? 'Analyzed' : 'Scanned'} ${scanProgress.scanned}/${scanProgress.total} apps`
+                            : 'Loading your apps...'}
+                    </Text>
                 </View>
             </SafeAreaView>
         );
     }
 
-    // Show error state
-    if (error) {
+    // Show error state when there is no earlier scan to fall back on
+    if (error && !lastScannedAt) {
         return (
             <SafeAreaView style={styles.container}>
                 <StatusBar barStyle="dark-content" backgroundColor="#f0f0f0" />
@@ -155,20 +158,7 @@ const DashboardScreen = () => {
                     <Text style={styles.errorText}>{error}</Text>
                     <TouchableOpacity
                         style={styles.retryButton}
-                        onPress={() => {
-                            setIsLoading(true);
-                            getInstalledApps().then(apps => {
-                                if (apps) {
-                                    const categorizedApps = categorizeAppsByRisk(apps);
-                                    setAppCategories(categorizedApps);
-                                    const recent = getRecentApps(apps, 5);
-                                    setRecentApps(recent);
-                                }
-                                setIsLoading(false);
-                            }).catch(() => {
-                                setIsLoading(false);
-                            });
-                        }}
+                        onPress={handleRefresh}
                     >
                         <Text style={styles.retryButtonText}>Retry</Text>
                     </TouchableOpacity>
@@ -185,6 +175,7 @@ const DashboardScreen = () => {
             <View style={styles.header}>
                 <View style={styles.headerLeft}>
                     <Text style={styles.headerTitle}>Monitor Mate</Text>
+                    <LastScannedLabel lastScannedAt={lastScannedAt} isScanning={isRefreshing} />
                 </View>
                 <TouchableOpacity onPress={navigateToSettings} style={styles.profileIconContainer}>
                     <View style={styles.profileIcon}>
@@ -209,6 +200,16 @@ const DashboardScreen = () => {
                 </View>
             )}
 
+            {/* Changes Since Previous Scan */}
+            {scanChanges && (
+                <View style={styles.scanChangesCard}>
+                    <Text style={styles.scanChangesTitle}>Changes since last scan</Text>
+                    <Text style={styles.scanChangesText}>
+                        {scanChanges.summary.added} new, {scanChanges.summary.removed} removed, {scanChanges.summary.permissionChanges} with permission changes
+                    </Text>
+                </View>
+            )}
+
             {/* Modern Dashboard Cards */}
             <View style={styles.dashboardCards}>
                 <View style={styles.statsCard}>
@@ -237,7 +238,13 @@ const DashboardScreen = () => {
                 </View>
             </View>
 
-            <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+            <ScrollView
+                style={styles.content}
+                showsVerticalScrollIndicator={false}
+                refreshControl={
+                    <RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} colors={['#ff6347']} />
+                }
+            >
                 {/* Risk Categories Grid */}
                 <View style={styles.riskCategoriesContainer}>
                     <View style={styles.riskCategoriesRow}>
@@ -271,6 +278,37 @@ const DashboardScreen = () => {
                     </View>
                 </View>
 
+                {/* Cleanup Advisor */}
+                {cleanupCount > 0 && (
+                    <TouchableOpacity
+                        style={styles.cleanupCard}
+                        onPress={() => navigation.navigate('CleanupAdvisorScreen')}
+                    >
+                        <Text style={styles.cleanupTitle}>🧹 Cleanup Advisor</Text>
+                        <Text style={styles.cleanupText}>
+                            {cleanupCount} unused app{cleanupCount !== 1 ? 's' : ''} still hold{cleanupCount === 1 ? 's' : ''} high-risk permissions
+                        </Text>
+                    </TouchableOpacity>
+                )}
+
+                {/* Screen Time */}
+                <TouchableOpacity
+                    style={styles.usageCard}
+                    onPress={() => navigation.navigate('UsageScreen')}
+                >
+                    <Text style={styles.usageTitle}>⏱️ Screen Time</Text>
+                    <Text style={styles.usageText}>See how long and when you use each app</Text>
+                </TouchableOpacity>
+
+                {/* Surveillance Check */}
+                <TouchableOpacity
+                    style={styles.surveillanceCard}
+                    onPress={() => navigation.navigate('SurveillanceReportScreen')}
+                >
+                    <Text style={styles.surveillanceTitle}>🕵️ Surveillance Check</Text>
+                    <Text style={styles.surveillanceText}>Look for hidden apps and stalkerware</Text>
+                </TouchableOpacity>
+
                 {/* Recent Apps Section */}
                 <View style={styles.recentAppsContainer}>
                     <View style={styles.recentAppsHeader}>
@@ -699,6 +737,71 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         fontSize: 14,
     },
+    scanChangesCard: {
+        backgroundColor: '#eaf1ff',
+        borderRadius: 12,
+        padding: 12,
+        marginHorizontal: 16,
+        marginTop: 8,
+    },
+    scanChangesTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#1e3a8a',
+        marginBottom: 4,
+    },
+    scanChangesText: {
+        fontSize: 13,
+        color: '#1e3a8a',
+    },
+    cleanupCard: {
+        backgroundColor: '#fef3c7',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 16,
+    },
+    cleanupTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#92400e',
+        marginBottom: 4,
+    },
+    cleanupText: {
+        fontSize: 13,
+        color: '#92400e',
+    },
+    usageCard: {
+        backgroundColor: '#e0f2fe',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 16,
+    },
+    usageTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#075985',
+        marginBottom: 4,
+    },
+    usageText: {
+        fontSize: 13,
+        color: '#075985',
+    },
+    surveillanceCard: {
+        backgroundColor: '#fce7f3',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 16,
+    },
+    surveillanceTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#9d174d',
+        marginBottom: 4,
+    },
+    surveillanceText: {
+        fontSize: 13,
+        color: '#9d174d',
+    },
 });
 
 export default DashboardScreen;
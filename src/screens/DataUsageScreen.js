@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import {
     View,
     Text,
@@ -10,38 +10,122 @@ import {
     StatusBar,
     FlatList,
     Alert,
+    ActivityIndicator,
+    RefreshControl,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { useAppInfo } from '../hooks/useAppInfo.js';
+import { useAppInventory } from '../hooks/useAppInventory.js';
 import LoadingIndicator from '../components/common/LoadingIndicator.js';
 import RiskBadge from '../components/common/RiskBadge.js';
+import MiniBarChart from '../components/common/MiniBarChart.js';
+import LastScannedLabel from '../components/common/LastScannedLabel.js';
+import BudgetEditorModal from '../components/dataUsage/BudgetEditorModal.js';
+import { NetworkUsageService } from '../services/NetworkUsageService.js';
+import { DataBudgetService } from '../services/DataBudgetService.js';
 
 const DataUsageScreen = () => {
     const navigation = useNavigation();
-    const { getInstalledApps } = useAppInfo();
+    const { getAppsDataUsageForPeriod } = useAppInfo();
+    const {
+        apps: installedApps,
+        lastScannedAt,
+        error: inventoryError,
+        isLoading: isInventoryLoading,
+        isRefreshing,
+        refresh,
+    } = useAppInventory();
     const [apps, setApps] = useState([]);
     const [filteredApps, setFilteredApps] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
+    const [isPeriodLoading, setIsPeriodLoading] = useState(false);
     const [sortBy, setSortBy] = useState('dataUsage'); // 'dataUsage', 'name', 'lastUsed'
     const [filterPeriod, setFilterPeriod] = useState('30'); // '7', '30', '90' days
+    const [viewMode, setViewMode] = useState('all'); // 'all', 'background'
     const [totalDataUsage, setTotalDataUsage] = useState(0);
+    const [budgetOverview, setBudgetOverview] = useState(null);
+    const [editingBudget, setEditingBudget] = useState(null); // { app } or {} for the global budget
 
-    useEffect(() => {
-        fetchAppsWithDataUsage();
-    }, []);
+    const loadBudgets = useCallback(async () => {
+        try {
+            setBudgetOverview(await DataBudgetService.getOverview(installedApps));
+        } catch (error) {
+            console.error('Error loading data budgets:', error);
+        }
+    }, [installedApps]);
 
     useEffect(() => {
-        applyFiltersAndSort();
-    }, [apps, sortBy, filterPeriod]);
+        if (!isInventoryLoading) {
+            loadBudgets();
+        }
+    }, [isInventoryLoading, loadBudgets]);
+
+    const appBudgetStatuses = useMemo(() => {
+        return new Map((budgetOverview?.status.apps || []).map(status => [status.packageName, status]));
+    }, [budgetOverview]);
 
-    const fetchAppsWithDataUsage = async () => {
+    const saveBudget = async ({ limitBytes, cycleStartDay }) => {
+        const budget = editingBudget;
+        setEditingBudget(null);
         try {
-            setIsLoading(true);
-            const installedApps = await getInstalledApps();
-            
-            // TODO: Implement real data usage monitoring
-            // For now, use only real data from the apps (if available)
-            const appsWithDataUsage = installedApps.map(app => ({
+            if (budget.app) {
+                await DataBudgetService.setAppBudget(budget.app.packageName, limitBytes);
+            } else {
+                const budgets = await DataBudgetService.getBudgets();
+                await DataBudgetService.saveBudgets({ ...budgets, globalLimitBytes: limitBytes, cycleStartDay });
+            }
+            await loadBudgets();
+            // Alert straight away if the new budget is already past a threshold
+            await DataBudgetService.checkBudgets(installedApps);
+        } catch (error) {
+            Alert.alert('Error', 'Failed to save the data budget.');
+        }
+    };
+
+    const formatResetDate = (timestamp) => {
+        return new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    };
+
+    const renderBudgetBar = (measurement) => (
+        <View style={styles.budgetBarContainer}>
+            <View
+                style={[
+                    styles.budgetBarFill,
+                    measurement.ratio >= 1 ? styles.budgetBarOver : measurement.ratio >= 0.8 && styles.budgetBarWarning,
+                    { width: `${Math.min(measurement.ratio * 100, 100)}%` },
+                ]}
+            />
+        </View>
+    );
+
+    useEffect(() => {
+        if (inventoryError && !lastScannedAt) {
+            console.error('Error fetching apps with data usage:', inventoryError);
+            Alert.alert('Error', 'Failed to load app data usage information. Data usage monitoring requires native implementation.');
+            setIsLoading(false);
+        }
+    }, [inventoryError, lastScannedAt]);
+
+    const handleRefresh = () => {
+        refresh().catch(() => {
+            Alert.alert('Error', 'Failed to refresh data usage. Please try again.');
+        });
+    };
+
+    // Re-query daily buckets whenever the period changes
+    useEffect(() => {
+        if (isInventoryLoading) {
+            return undefined;
+        }
+        let cancelled = false;
+
+        const fetchPeriodUsage = async () => {
+            setIsPeriodLoading(true);
+            const appsWithUsage = await getAppsDataUsageForPeriod(installedApps, Number(filterPeriod));
+            if (cancelled) {
+                return;
+            }
+            const appsWithDataUsage = appsWithUsage.map(app => ({
                 ...app,
                 dataUsage: app.dataUsage || {
                     total: 0,
@@ -49,25 +133,31 @@ const DataUsageScreen = () => {
                     wifi: 0,
                     sent: 0,
                     received: 0,
+                    foreground: null,
+                    background: null,
                 },
                 dailyUsage: app.dailyUsage || [],
             }));
 
             setApps(appsWithDataUsage);
-            // Calculate total data usage from real data only
-            const total = appsWithDataUsage.reduce((sum, app) => sum + (app.dataUsage?.total || 0), 0);
-            setTotalDataUsage(total);
-        } catch (error) {
-            console.error('Error fetching apps with data usage:', error);
-            Alert.alert('Error', 'Failed to load app data usage information. Data usage monitoring requires native implementation.');
-        } finally {
+            setTotalDataUsage(NetworkUsageService.sumByUid(appsWithDataUsage));
+            setIsPeriodLoading(false);
             setIsLoading(false);
-        }
-    };
+        };
 
+        fetchPeriodUsage();
+        return () => {
+            cancelled = true;
+        };
+    }, [installedApps, isInventoryLoading, filterPeriod, getAppsDataUsageForPeriod]);
 
+    const applyFiltersAndSort = useCallback(() => {
+        if (viewMode === 'background') {
+            // Already ordered by background bytes
+            setFilteredApps(NetworkUsageService.getBackgroundHogs(apps));
+            return;
+        }
 
-    const applyFiltersAndSort = () => {
         let filtered = [...apps];
 
         // Sort apps
@@ -84,7 +174,20 @@ const DataUsageScreen = () => {
         }
 
         setFilteredApps(filtered);
-    };
+    }, [apps, sortBy, viewMode]);
+
+    // Devices that can't split foreground from background report null
+    const hasBackgroundData = useMemo(() => {
+        return apps.some(app => typeof app.dataUsage?.background === 'number');
+    }, [apps]);
+
+    useEffect(() => {
+        applyFiltersAndSort();
+    }, [applyFiltersAndSort]);
+
+    const dailyTotals = useMemo(() => {
+        return NetworkUsageService.combineDailyUsage(apps).map(day => day.total);
+    }, [apps]);
 
     const formatDataSize = (bytes) => {
         if (bytes === 0) return '0 MB';
@@ -93,14 +196,6 @@ const DataUsageScreen = () => {
         return parseFloat((bytes / Math.pow(1024, i)).toFixed(1)) + ' ' + sizes[i];
     };
 
-    const formatDataUsage = (mb) => {
-        if (mb < 1024) {
-            return `${mb.toFixed(1)} MB`;
-        } else {
-            return `${(mb / 1024).toFixed(2)} GB`;
-        }
-    };
-
     const getRiskLevel = (app) => {
         const uniquePermissions = [...new Set(app.permissions || [])];
         const permissionsCount = uniquePermissions.length;
@@ -126,12 +221,12 @@ const DataUsageScreen = () => {
             packageName: app.packageName,
             riskLevel: getRiskLevel(app),
             lastUsed: formatLastUsed(app.lastUsedTimestamp),
-            dataUsage: formatDataUsage(app.dataUsage.total),
+            dataUsage: formatDataSize(app.dataUsage.total),
             category: app.category,
             permissions: app.permissions || [],
             networkActivity: {
-                dataSent: formatDataUsage(app.dataUsage.sent),
-                dataReceived: formatDataUsage(app.dataUsage.received),
+                dataSent: formatDataSize(app.dataUsage.sent),
+                dataReceived: formatDataSize(app.dataUsage.received),
             },
             storage: {
                 appSize: formatDataSize(app.size),
@@ -162,6 +257,7 @@ const DataUsageScreen = () => {
         <TouchableOpacity
             style={styles.appItem}
             onPress={() => handleAppPress(item)}
+            onLongPress={() => setEditingBudget({ app: item })}
         >
             <View style={styles.appIconContainer}>
                 {item.icon ? (
@@ -185,12 +281,33 @@ const DataUsageScreen = () => {
                 </View>
                 <View style={styles.dataUsageInfo}>
                     <Text style={styles.dataUsageText}>
-                        Total: {formatDataUsage(item.dataUsage.total)}
+                        Total: {formatDataSize(item.dataUsage.total)}
                     </Text>
                     <Text style={styles.dataBreakdown}>
-                        Mobile: {formatDataUsage(item.dataUsage.mobile)} |
-                        WiFi: {formatDataUsage(item.dataUsage.wifi)}
+                        Mobile: {formatDataSize(item.dataUsage.mobile)} |
+                        WiFi: {formatDataSize(item.dataUsage.wifi)}
                     </Text>
+                    {typeof item.dataUsage.background === 'number' && (
+                        <Text style={[styles.dataBreakdown, viewMode === 'background' && styles.backgroundHighlight]}>
+                            Foreground: {formatDataSize(item.dataUsage.foreground)} |
+                            Background: {formatDataSize(item.dataUsage.background)}
+                        </Text>
+                    )}
+                    {item.dailyUsage.length > 0 && (
+                        <MiniBarChart
+                            data={item.dailyUsage.map(day => day.total)}
+                            height={20}
+                            style={styles.appChart}
+                        />
+                    )}
+                    {appBudgetStatuses.has(item.packageName) && (
+                        <View style={styles.appBudget}>
+                            {renderBudgetBar(appBudgetStatuses.get(item.packageName))}
+                            <Text style={styles.budgetText}>
+                                Mobile budget: {formatDataSize(appBudgetStatuses.get(item.packageName).usedBytes)} of {formatDataSize(appBudgetStatuses.get(item.packageName).limitBytes)}
+                            </Text>
+                        </View>
+                    )}
                 </View>
             </View>
             <View style={styles.dataUsageBar}>
@@ -229,6 +346,23 @@ const DataUsageScreen = () => {
         </TouchableOpacity>
     );
 
+    const renderViewButton = (mode, label) => (
+        <TouchableOpacity
+            style={[
+                styles.sortButton,
+                viewMode === mode && styles.sortButtonActive
+            ]}
+            onPress={() => setViewMode(mode)}
+        >
+            <Text style={[
+                styles.sortButtonText,
+                viewMode === mode && styles.sortButtonTextActive
+            ]}>
+                {label}
+            </Text>
+        </TouchableOpacity>
+    );
+
     const renderSortButton = (sort, label) => (
         <TouchableOpacity
             style={[
@@ -267,17 +401,51 @@ const DataUsageScreen = () => {
                 <TouchableOpacity onPress={navigateBack} style={styles.backButton}>
                     <Text style={styles.backButtonText}>‹ Back</Text>
                 </TouchableOpacity>
-                <Text style={styles.headerTitle}>Data Usage</Text>
+                <View style={styles.headerCenter}>
+                    <Text style={styles.headerTitle}>Data Usage</Text>
+                    <LastScannedLabel lastScannedAt={lastScannedAt} isScanning={isRefreshing} />
+                </View>
                 <View style={styles.headerSpace} />
             </View>
 
             {/* Summary Card */}
             <View style={styles.summaryCard}>
                 <Text style={styles.summaryTitle}>Total Data Usage</Text>
-                <Text style={styles.summaryValue}>{formatDataUsage(totalDataUsage)}</Text>
+                <Text style={styles.summaryValue}>{formatDataSize(totalDataUsage)}</Text>
                 <Text style={styles.summaryPeriod}>Last {filterPeriod} days</Text>
+                {isPeriodLoading ? (
+                    <ActivityIndicator size="small" color="#ff6347" style={styles.summaryChart} />
+                ) : dailyTotals.length > 0 && (
+                    <MiniBarChart data={dailyTotals} height={48} style={styles.summaryChart} />
+                )}
             </View>
 
+            {/* Mobile Data Budget */}
+            {budgetOverview && (
+                <View style={styles.budgetCard}>
+                    <View style={styles.budgetHeader}>
+                        <Text style={styles.budgetTitle}>Mobile Data Budget</Text>
+                        <TouchableOpacity onPress={() => setEditingBudget({})}>
+                            <Text style={styles.budgetEditText}>
+                                {budgetOverview.status.global ? 'Edit' : 'Set Budget'}
+                            </Text>
+                        </TouchableOpacity>
+                    </View>
+                    {budgetOverview.status.global ? (
+                        <>
+                            {renderBudgetBar(budgetOverview.status.global)}
+                            <Text style={styles.budgetText}>
+                                {formatDataSize(budgetOverview.status.global.usedBytes)} of {formatDataSize(budgetOverview.status.global.limitBytes)} this cycle · resets {formatResetDate(budgetOverview.status.cycle.endTime)}
+                            </Text>
+                        </>
+                    ) : (
+                        <Text style={styles.budgetText}>
+                            {formatDataSize(budgetOverview.status.totalMobile)} of mobile data used this cycle. Long-press an app to give it its own budget.
+                        </Text>
+                    )}
+                </View>
+            )}
+
             {/* Filter Period Buttons */}
             <View style={styles.filterContainer}>
                 <Text style={styles.filterLabel}>Period:</Text>
@@ -288,16 +456,27 @@ const DataUsageScreen = () => {
                 </View>
             </View>
 
-            {/* Sort Buttons */}
+            {/* View Buttons */}
             <View style={styles.sortContainer}>
-                <Text style={styles.sortLabel}>Sort by:</Text>
+                <Text style={styles.sortLabel}>Show:</Text>
                 <View style={styles.sortButtons}>
-                    {renderSortButton('dataUsage', 'Data Usage')}
-                    {renderSortButton('name', 'Name')}
-                    {renderSortButton('lastUsed', 'Last Used')}
+                    {renderViewButton('all', 'All Apps')}
+                    {renderViewButton('background', 'Background Data Hogs')}
                 </View>
             </View>
 
+            {/* Sort Buttons */}
+            {viewMode === 'all' && (
+                <View style={styles.sortContainer}>
+                    <Text style={styles.sortLabel}>Sort by:</Text>
+                    <View style={styles.sortButtons}>
+                        {renderSortButton('dataUsage', 'Data Usage')}
+                        {renderSortButton('name', 'Name')}
+                        {renderSortButton('lastUsed', 'Last Used')}
+                    </View>
+                </View>
+            )}
+
             {/* Apps List */}
             <FlatList
                 data={filteredApps}
@@ -305,6 +484,27 @@ const DataUsageScreen = () => {
                 keyExtractor={(item) => item.packageName}
                 style={styles.appsList}
                 showsVerticalScrollIndicator={false}
+                ListEmptyComponent={viewMode === 'background' ? (
+                    <Text style={styles.emptyText}>
+                        {hasBackgroundData
+                            ? `No app used most of its data in the background in the last ${filterPeriod} days.`
+                            : 'This device does not report foreground and background data separately.'}
+                    </Text>
+                ) : null}
+                refreshControl={
+                    <RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} colors={['#ff6347']} />
+                }
+            />
+
+            <BudgetEditorModal
+                visible={editingBudget !== null}
+                title={editingBudget?.app ? `${editingBudget.app.name} Budget` : 'All Apps Budget'}
+                limitBytes={editingBudget?.app
+                    ? budgetOverview?.budgets.appLimits[editingBudget.app.packageName]
+                    : budgetOverview?.budgets.globalLimitBytes}
+                cycleStartDay={editingBudget && !editingBudget.app ? budgetOverview?.budgets.cycleStartDay : undefined}
+                onSave={saveBudget}
+                onClose={() => setEditingBudget(null)}
             />
         </SafeAreaView>
     );
@@ -333,6 +533,9 @@ const styles = StyleSheet.create({
         color: '#007AFF',
         fontWeight: '500',
     },
+    headerCenter: {
+        alignItems: 'center',
+    },
     headerTitle: {
         fontSize: 18,
         fontWeight: 'bold',
@@ -371,6 +574,58 @@ const styles = StyleSheet.create({
         fontSize: 14,
         color: '#888',
     },
+    summaryChart: {
+        alignSelf: 'stretch',
+        marginTop: 12,
+    },
+    budgetCard: {
+        backgroundColor: '#fff',
+        marginHorizontal: 16,
+        marginBottom: 12,
+        padding: 12,
+        borderRadius: 12,
+    },
+    budgetHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    budgetTitle: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    budgetEditText: {
+        fontSize: 13,
+        color: '#ff6347',
+        fontWeight: 'bold',
+    },
+    budgetBarContainer: {
+        height: 6,
+        backgroundColor: '#e0e0e0',
+        borderRadius: 3,
+        overflow: 'hidden',
+        marginBottom: 4,
+    },
+    budgetBarFill: {
+        height: '100%',
+        backgroundColor: '#2ed573',
+        borderRadius: 3,
+    },
+    budgetBarWarning: {
+        backgroundColor: '#ffa502',
+    },
+    budgetBarOver: {
+        backgroundColor: '#ff4757',
+    },
+    budgetText: {
+        fontSize: 12,
+        color: '#666',
+    },
+    appBudget: {
+        marginTop: 6,
+    },
     filterContainer: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -405,6 +660,17 @@ const styles = StyleSheet.create({
         color: '#fff',
         fontWeight: 'bold',
     },
+    backgroundHighlight: {
+        color: '#ff6347',
+        fontWeight: '600',
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#888',
+        textAlign: 'center',
+        paddingHorizontal: 32,
+        paddingVertical: 24,
+    },
     sortContainer: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -512,6 +778,9 @@ const styles = StyleSheet.create({
         fontSize: 12,
         color: '#666',
     },
+    appChart: {
+        marginTop: 6,
+    },
     dataUsageBar: {
         width: 60,
         marginLeft: 12,
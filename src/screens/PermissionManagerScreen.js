@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useMemo, useState } from 'react';
 import {
     View,
     Text,
@@ -9,35 +9,45 @@ import {
     StatusBar,
     Alert,
     ActivityIndicator,
+    RefreshControl,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { useAppInfo } from '../hooks/useAppInfo';
+import { useAppInventory } from '../hooks/useAppInventory';
+import LastScannedLabel from '../components/common/LastScannedLabel';
 import { PermissionService } from '../services/PermissionService';
 
 const PermissionManagerScreen = () => {
     const navigation = useNavigation();
-    const { getInstalledApps, analyzeAppPermissions, loading } = useAppInfo();
-    const [apps, setApps] = useState([]);
+    const { analyzeAppPermissions } = useAppInfo();
+    const { apps, lastScannedAt, isLoading: loading, isRefreshing, refresh } = useAppInventory();
     const [selectedApp, setSelectedApp] = useState(null);
     const [permissionAnalysis, setPermissionAnalysis] = useState(null);
 
-    useEffect(() => {
-        loadApps();
-    }, [loadApps]);
+    // Every special access grant on the device with the apps holding it
+    const specialAccessGroups = useMemo(() => (
+        PermissionService.SPECIAL_ACCESS
+            .map(access => ({
+                access,
+                apps: apps.filter(app => app.specialAccess?.includes(access)),
+            }))
+            .filter(group => group.apps.length > 0)
+    ), [apps]);
 
-    const loadApps = useCallback(async () => {
-        try {
-            const installedApps = await getInstalledApps();
-            setApps(installedApps || []);
-        } catch (error) {
+    const permissionDetails = permissionAnalysis?.permissionDetails || [];
+    const specialAccessDetails = permissionDetails.filter(item => PermissionService.isSpecialAccess(item.name));
+    const runtimePermissionDetails = permissionDetails.filter(item => !PermissionService.isSpecialAccess(item.name));
+
+    const handleRefresh = () => {
+        refresh().catch((error) => {
             console.error('Error loading apps:', error);
             Alert.alert('Error', 'Failed to load apps');
-        }
-    }, [getInstalledApps]);
+        });
+    };
 
     const handleAppPress = async (app) => {
         setSelectedApp(app);
-        const analysis = analyzeAppPermissions(app.permissions || []);
+        const analysis = analyzeAppPermissions(app.permissions || [], app);
         setPermissionAnalysis(analysis);
     };
 
@@ -89,6 +99,11 @@ const PermissionManagerScreen = () => {
                 <Text style={styles.permissionDescription}>
                     {item.description}
                 </Text>
+                {selectedApp?.permissionGrants && (
+                    <Text style={item.isGranted ? styles.permissionGranted : styles.permissionDenied}>
+                        {item.isGranted ? 'Granted' : 'Declared, not granted'}
+                    </Text>
+                )}
             </View>
             <View style={[
                 styles.riskBadge,
@@ -99,8 +114,63 @@ const PermissionManagerScreen = () => {
         </TouchableOpacity>
     );
 
+    const renderSpecialAccessOverview = () => (
+        <View style={styles.specialAccessSection}>
+            <Text style={styles.sectionTitle}>Special Access</Text>
+            {specialAccessGroups.length === 0 ? (
+                <Text style={styles.permissionDescription}>
+                    No app holds accessibility, device admin, notification, overlay, SMS, dialer or VPN access.
+                </Text>
+            ) : (
+                specialAccessGroups.map(group => (
+                    <View key={group.access} style={styles.specialAccessGroup}>
+                        <TouchableOpacity
+                            style={styles.specialAccessHeader}
+                            onPress={() => handlePermissionInfo(group.access)}
+                        >
+                            <Text style={styles.permissionIcon}>{PermissionService.getPermissionIcon(group.access)}</Text>
+                            <Text style={styles.permissionName}>
+                                {PermissionService.formatPermissionName(group.access)} ({group.apps.length})
+                            </Text>
+                        </TouchableOpacity>
+                        <View style={styles.specialAccessApps}>
+                            {group.apps.map(app => (
+                                <TouchableOpacity
+                                    key={app.id}
+                                    style={styles.specialAccessApp}
+                                    onPress={() => handleAppPress(app)}
+                                >
+                                    <Text style={styles.specialAccessAppText}>{app.name}</Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                    </View>
+                ))
+            )}
+            <Text style={[styles.sectionTitle, styles.appsTitle]}>Apps by Risk Level</Text>
+        </View>
+    );
+
+    const renderSpecialAccessDetails = () => (
+        specialAccessDetails.length > 0 ? (
+            <View>
+                <Text style={styles.sectionTitle}>Special Access ({specialAccessDetails.length})</Text>
+                {specialAccessDetails.map(item => (
+                    <View key={item.name}>{renderPermission({ item })}</View>
+                ))}
+                <Text style={[styles.sectionTitle, styles.appsTitle]}>
+                    Permissions ({runtimePermissionDetails.length})
+                </Text>
+            </View>
+        ) : (
+            <Text style={styles.sectionTitle}>Permissions ({runtimePermissionDetails.length})</Text>
+        )
+    );
+
     const getRiskColor = (riskLevel) => {
         switch (riskLevel) {
+            case 'CRITICAL':
+                return '#b71540';
             case 'HIGH_RISK':
             case 'HIGH':
                 return '#ff4757';
@@ -149,20 +219,26 @@ const PermissionManagerScreen = () => {
                 <TouchableOpacity onPress={() => navigation.goBack()}>
                     <Text style={styles.backButton}>‹ Back</Text>
                 </TouchableOpacity>
-                <Text style={styles.headerTitle}>Permission Manager</Text>
+                <View style={styles.headerCenter}>
+                    <Text style={styles.headerTitle}>Permission Manager</Text>
+                    <LastScannedLabel lastScannedAt={lastScannedAt} isScanning={isRefreshing} />
+                </View>
                 <View style={styles.spacer} />
             </View>
 
             {!selectedApp ? (
                 // App List View
                 <View style={styles.content}>
-                    <Text style={styles.sectionTitle}>Apps by Risk Level</Text>
                     <FlatList
                         data={apps}
                         renderItem={renderApp}
+                        ListHeaderComponent={renderSpecialAccessOverview()}
                         keyExtractor={(item) => item.id}
                         showsVerticalScrollIndicator={false}
                         contentContainerStyle={styles.appList}
+                        refreshControl={
+                            <RefreshControl refreshing={isRefreshing} onRefresh={handleRefresh} colors={['#ff6347']} />
+                        }
                     />
                 </View>
             ) : (
@@ -198,10 +274,10 @@ const PermissionManagerScreen = () => {
                         </View>
                     )}
 
-                    <Text style={styles.sectionTitle}>Permissions ({[...new Set(selectedApp.permissions || [])].length})</Text>
                     <FlatList
-                        data={permissionAnalysis?.permissionDetails || []}
+                        data={runtimePermissionDetails}
                         renderItem={renderPermission}
+                        ListHeaderComponent={renderSpecialAccessDetails()}
                         keyExtractor={(item, index) => `${item.name}-${index}`}
                         showsVerticalScrollIndicator={false}
                         contentContainerStyle={styles.permissionList}
@@ -242,6 +318,9 @@ const styles = StyleSheet.create({
         color: '#ff6347',
         fontWeight: 'bold',
     },
+    headerCenter: {
+        alignItems: 'center',
+    },
     headerTitle: {
         fontSize: 18,
         fontWeight: 'bold',
@@ -377,6 +456,50 @@ const styles = StyleSheet.create({
         color: '#666',
         marginTop: 2,
     },
+    permissionGranted: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#333',
+        marginTop: 2,
+    },
+    permissionDenied: {
+        fontSize: 12,
+        color: '#2ed573',
+        marginTop: 2,
+    },
+    specialAccessSection: {
+        marginBottom: 8,
+    },
+    specialAccessGroup: {
+        backgroundColor: '#fff',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 8,
+    },
+    specialAccessHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    specialAccessApps: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginTop: 8,
+    },
+    specialAccessApp: {
+        paddingHorizontal: 10,
+        paddingVertical: 4,
+        borderRadius: 12,
+        backgroundColor: '#fdecea',
+        marginRight: 6,
+        marginBottom: 6,
+    },
+    specialAccessAppText: {
+        fontSize: 12,
+        color: '#b71540',
+    },
+    appsTitle: {
+        marginTop: 8,
+    },
     riskBadge: {
         paddingHorizontal: 8,
         paddingVertical: 4,
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    SafeAreaView,
+    ScrollView,
+    StatusBar,
+    Switch,
+    Alert,
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { useAppInventory } from '../hooks/useAppInventory';
+import { RiskScoringEngine } from '../services/RiskScoringEngine';
+
+const WEIGHT_LABELS = {
+    CRITICAL: 'Critical permission',
+    HIGH: 'High-risk permission',
+    MEDIUM: 'Medium-risk permission',
+    LOW: 'Low-risk permission',
+};
+
+const THRESHOLD_LABELS = {
+    HIGH_RISK: 'High risk from score',
+    MEDIUM_RISK: 'Medium risk from score',
+    LOW_RISK: 'Low risk from score',
+};
+
+const MAX_POINTS = 20;
+
+const SectionHeader = ({ title }) => (
+    <View style={styles.sectionHeader}>
+        <Text style={styles.sectionHeaderText}>{title}</Text>
+    </View>
+);
+
+const StepperItem = ({ title, subtitle, value, onChange, min = 0, max = MAX_POINTS }) => (
+    <View style={styles.ruleItem}>
+        <View style={styles.ruleTextContainer}>
+            <Text style={styles.ruleTitle}>{title}</Text>
+            {subtitle && <Text style={styles.ruleSubtitle}>{subtitle}</Text>}
+        </View>
+        <TouchableOpacity
+            style={[styles.stepperButton, value <= min && styles.stepperButtonDisabled]}
+            disabled={value <= min}
+            onPress={() => onChange(value - 1)}
+        >
+            <Text style={styles.stepperButtonText}>−</Text>
+        </TouchableOpacity>
+        <Text style={styles.stepperValue}>{value}</Text>
+        <TouchableOpacity
+            style={[styles.stepperButton, value >= max && styles.stepperButtonDisabled]}
+            disabled={value >= max}
+            onPress={() => onChange(value + 1)}
+        >
+            <Text style={styles.stepperButtonText}>+</Text>
+        </TouchableOpacity>
+    </View>
+);
+
+const SwitchItem = ({ title, subtitle, value, onToggle }) => (
+    <View style={styles.ruleItem}>
+        <View style={styles.ruleTextContainer}>
+            <Text style={styles.ruleTitle}>{title}</Text>
+            {subtitle && <Text style={styles.ruleSubtitle}>{subtitle}</Text>}
+        </View>
+        <Switch
+            value={value}
+            onValueChange={onToggle}
+            trackColor={{ false: '#ddd', true: '#ff6347' }}
+            thumbColor={value ? '#fff' : '#f4f3f4'}
+        />
+    </View>
+);
+
+/**
+ * RiskRulesScreen - Lets the user override the weights, thresholds and
+ * rules of the risk scoring engine. Apps are rescored on the next scan.
+ */
+const RiskRulesScreen = () => {
+    const navigation = useNavigation();
+    const { invalidate } = useAppInventory({ refreshOnFocus: false });
+    const [ruleset, setRuleset] = useState(RiskScoringEngine.activeRuleset);
+    const [overridesDiscarded, setOverridesDiscarded] = useState(false);
+
+    useEffect(() => {
+        RiskScoringEngine.ensureLoaded()
+            .then(loaded => {
+                setRuleset(loaded);
+                setOverridesDiscarded(RiskScoringEngine.overridesDiscarded);
+            })
+            .catch(() => { });
+    }, []);
+
+    const applyOverrides = async (overrides) => {
+        try {
+            setRuleset(await RiskScoringEngine.saveOverrides(overrides));
+            setOverridesDiscarded(false);
+            // Rescore with the new rules next time an app list is shown
+            invalidate();
+        } catch (error) {
+            Alert.alert('Error', 'Could not save the risk rules. Please try again.');
+        }
+    };
+
+    const setWeight = (level, points) => {
+        applyOverrides({ weights: { ...ruleset.weights, [level]: points } });
+    };
+
+    const setThreshold = (level, minScore) => {
+        applyOverrides({
+            thresholds: ruleset.thresholds.map(threshold => (
+                threshold.level === level ? { ...threshold, minScore } : threshold
+            )),
+        });
+    };
+
+    const toggleRule = (ruleId) => {
+        const disabledRules = ruleset.disabledRules.includes(ruleId)
+            ? ruleset.disabledRules.filter(id => id !== ruleId)
+            : [...ruleset.disabledRules, ruleId];
+        applyOverrides({ disabledRules });
+    };
+
+    const handleReset = () => {
+        Alert.alert(
+            'Reset Risk Rules',
+            'Restore the default weights, thresholds and rules?',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Reset',
+                    style: 'destructive',
+                    onPress: async () => {
+                        setRuleset(await RiskScoringEngine.resetOverrides());
+                        setOverridesDiscarded(false);
+                        invalidate();
+                    },
+                },
+            ]
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#f0f0f0" />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+                    <Text style={styles.backButtonText}>‹ Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Risk Scoring Rules</Text>
+                <View style={styles.headerSpacer} />
+            </View>
+
+            <ScrollView style={styles.content}>
+                {overridesDiscarded && (
+                    <View style={styles.noticeCard}>
+                        <Text style={styles.noticeText}>
+                            The risk rules were updated, so your earlier changes were reset to the new defaults.
+                        </Text>
+                    </View>
+                )}
+
+                <SectionHeader title="Points per Granted Permission" />
+                <View style={styles.section}>
+                    {Object.keys(WEIGHT_LABELS).map(level => (
+                        <StepperItem
+                            key={level}
+                            title={WEIGHT_LABELS[level]}
+                            value={ruleset.weights[level] ?? 0}
+                            onChange={points => setWeight(level, points)}
+                        />
+                    ))}
+                </View>
+
+                <SectionHeader title="Risk Levels" />
+                <View style={styles.section}>
+                    {ruleset.thresholds
+                        .filter(threshold => threshold.minScore !== undefined && THRESHOLD_LABELS[threshold.level])
+                        .map(threshold => (
+                            <StepperItem
+                                key={threshold.level}
+                                title={THRESHOLD_LABELS[threshold.level]}
+                                subtitle={threshold.minHighRiskCount !== undefined
+                                    ? `Or ${threshold.minHighRiskCount}+ granted high-risk permissions`
+                                    : null}
+                                value={threshold.minScore}
+                                min={1}
+                                onChange={minScore => setThreshold(threshold.level, minScore)}
+                            />
+                        ))}
+                </View>
+
+                <SectionHeader title="Permission Combinations" />
+                <View style={styles.section}>
+                    {ruleset.combinations.map(rule => (
+                        <SwitchItem
+                            key={rule.id}
+                            title={rule.label}
+                            subtitle={`+${rule.points || 0} points${rule.escalateTo ? ', always high risk' : ''}`}
+                            value={!ruleset.disabledRules.includes(rule.id)}
+                            onToggle={() => toggleRule(rule.id)}
+                        />
+                    ))}
+                </View>
+
+                <SectionHeader title="Other Rules" />
+                <View style={styles.section}>
+                    {RiskScoringEngine.evaluators
+                        .filter(evaluator => evaluator.label)
+                        .map(evaluator => (
+                            <SwitchItem
+                                key={evaluator.id}
+                                title={evaluator.label}
+                                value={!ruleset.disabledRules.includes(evaluator.id)}
+                                onToggle={() => toggleRule(evaluator.id)}
+                            />
+                        ))}
+                </View>
+
+                <TouchableOpacity style={styles.resetButton} onPress={handleReset}>
+                    <Text style={styles.resetButtonText}>Reset to Defaults</Text>
+                </TouchableOpacity>
+
+                <Text style={styles.footerText}>
+                    Rules version {ruleset.version}. Changes apply from the next scan.
+                </Text>
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f0f0f0',
+    },
+    header: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e0e0e0',
+    },
+    backButton: {
+        padding: 4,
+    },
+    backButtonText: {
+        fontSize: 16,
+        color: '#007AFF',
+        fontWeight: '500',
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+        marginLeft: 12,
+        flex: 1,
+    },
+    headerSpacer: {
+        width: 32,
+    },
+    content: {
+        flex: 1,
+    },
+    noticeCard: {
+        backgroundColor: '#fef3c7',
+        borderRadius: 12,
+        padding: 12,
+        margin: 16,
+        marginBottom: 0,
+    },
+    noticeText: {
+        fontSize: 13,
+        color: '#92400e',
+    },
+    sectionHeader: {
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#f0f0f0',
+    },
+    sectionHeaderText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#666',
+        textTransform: 'uppercase',
+        letterSpacing: 0.5,
+    },
+    section: {
+        backgroundColor: '#fff',
+        marginBottom: 1,
+    },
+    ruleItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    ruleTextContainer: {
+        flex: 1,
+        marginRight: 12,
+    },
+    ruleTitle: {
+        fontSize: 15,
+        fontWeight: '500',
+        color: '#333',
+    },
+    ruleSubtitle: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+    },
+    stepperButton: {
+        width: 32,
+        height: 32,
+        borderRadius: 16,
+        backgroundColor: '#ff6347',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    stepperButtonDisabled: {
+        backgroundColor: '#ddd',
+    },
+    stepperButtonText: {
+        fontSize: 18,
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    stepperValue: {
+        width: 36,
+        textAlign: 'center',
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+    },
+    resetButton: {
+        backgroundColor: '#fff',
+        paddingVertical: 14,
+        alignItems: 'center',
+        marginTop: 16,
+    },
+    resetButtonText: {
+        fontSize: 16,
+        color: '#ff4757',
+        fontWeight: '600',
+    },
+    footerText: {
+        fontSize: 12,
+        color: '#999',
+        textAlign: 'center',
+        padding: 16,
+    },
+});
+
+export default RiskRulesScreen;
@@ -11,17 +11,15 @@ import {
     Switch,
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
+import { SecurityMonitoringService } from '../services/SecurityMonitoringService';
+import { NightActivityService } from '../services/NightActivityService';
+import MiniBarChart from '../components/common/MiniBarChart';
 
 const SecurityAlertsScreen = () => {
     const navigation = useNavigation();
     const [alerts, setAlerts] = useState([]);
-    const [alertSettings, setAlertSettings] = useState({
-        highRiskApps: true,
-        newPermissions: true,
-        suspiciousActivity: true,
-        dataUsageSpikes: false,
-        backgroundActivity: true,
-    });
+    const [alertSettings, setAlertSettings] = useState(SecurityMonitoringService.DEFAULT_ALERT_SETTINGS);
+    const [quietHours, setQuietHours] = useState(NightActivityService.DEFAULT_QUIET_HOURS);
 
     useEffect(() => {
         loadSecurityAlerts().catch(error => {
@@ -31,14 +29,14 @@ const SecurityAlertsScreen = () => {
 
     const loadSecurityAlerts = async () => {
         try {
-            // TODO: Implement real security monitoring service
-            // For now, start with empty alerts until proper monitoring is implemented
-            console.log('Loading security alerts...');
-            
-            // This would connect to a real security monitoring service
-            // const realAlerts = await SecurityMonitoringService.getAlerts();
-            
-            setAlerts([]);
+            const [storedAlerts, storedSettings, storedQuietHours] = await Promise.all([
+                SecurityMonitoringService.getAlerts(),
+                SecurityMonitoringService.getAlertSettings(),
+                NightActivityService.getQuietHours(),
+            ]);
+            setAlerts(storedAlerts);
+            setAlertSettings(storedSettings);
+            setQuietHours(storedQuietHours);
         } catch (error) {
             console.error('Error loading security alerts:', error);
             setAlerts([]);
@@ -46,40 +44,47 @@ const SecurityAlertsScreen = () => {
     };
 
     const handleAlertPress = (alert) => {
+        const buttons = [
+            {
+                text: 'Dismiss',
+                onPress: () => markAsRead(alert.id)
+            },
+        ];
+        // Device-wide alerts such as the global data budget have no app to open
+        if (alert.packageName) {
+            buttons.push({
+                text: 'View App Details',
+                onPress: () => {
+                    markAsRead(alert.id);
+                    navigation.navigate('AppDetailScreen', {
+                        packageName: alert.packageName,
+                    });
+                }
+            });
+        }
         Alert.alert(
             alert.title,
             `${alert.description}\n\nApp: ${alert.appName}\nRecommended Action: ${alert.action}`,
-            [
-                {
-                    text: 'Dismiss',
-                    onPress: () => markAsRead(alert.id)
-                },
-                {
-                    text: 'View App Details',
-                    onPress: () => {
-                        markAsRead(alert.id);
-                        navigation.navigate('AppDetailScreen', { 
-                            app: { 
-                                name: alert.appName, 
-                                packageName: alert.packageName 
-                            } 
-                        });
-                    }
-                }
-            ]
+            buttons
         );
     };
 
     const markAsRead = (alertId) => {
-        setAlerts(prevAlerts => 
-            prevAlerts.map(alert => 
+        setAlerts(prevAlerts =>
+            prevAlerts.map(alert =>
                 alert.id === alertId ? { ...alert, isRead: true } : alert
             )
         );
+        SecurityMonitoringService.markAsRead(alertId).catch(error => {
+            console.error('Failed to mark alert as read:', error);
+        });
     };
 
     const dismissAlert = (alertId) => {
         setAlerts(prevAlerts => prevAlerts.filter(alert => alert.id !== alertId));
+        SecurityMonitoringService.dismissAlert(alertId).catch(error => {
+            console.error('Failed to dismiss alert:', error);
+        });
     };
 
     const clearAllAlerts = () => {
@@ -88,15 +93,39 @@ const SecurityAlertsScreen = () => {
             'Are you sure you want to clear all security alerts?',
             [
                 { text: 'Cancel', style: 'cancel' },
-                { 
-                    text: 'Clear All', 
-                    onPress: () => setAlerts([]),
+                {
+                    text: 'Clear All',
+                    onPress: () => {
+                        setAlerts([]);
+                        SecurityMonitoringService.clearAlerts().catch(error => {
+                            console.error('Failed to clear alerts:', error);
+                        });
+                    },
                     style: 'destructive'
                 }
             ]
         );
     };
 
+    const updateAlertSetting = (key, value) => {
+        const newSettings = { ...alertSettings, [key]: value };
+        setAlertSettings(newSettings);
+        SecurityMonitoringService.saveAlertSettings(newSettings).catch(error => {
+            console.error('Failed to save alert settings:', error);
+        });
+    };
+
+    const shiftQuietHour = (key, step) => {
+        const hour = (quietHours[key] + step + 24) % 24;
+        const other = key === 'startHour' ? 'endHour' : 'startHour';
+        // Skip over the other end so the window never becomes empty
+        const next = { ...quietHours, [key]: hour === quietHours[other] ? (hour + step + 24) % 24 : hour };
+        setQuietHours(next);
+        NightActivityService.saveQuietHours(next).catch(error => {
+            console.error('Failed to save quiet hours:', error);
+        });
+    };
+
     const getSeverityColor = (severity) => {
         switch (severity) {
             case 'HIGH':
@@ -118,6 +147,12 @@ const SecurityAlertsScreen = () => {
                 return '⚠️';
             case 'DATA_USAGE_SPIKE':
                 return '📊';
+            case 'DATA_BUDGET':
+                return '📶';
+            case 'BACKGROUND_DATA':
+                return '🌙';
+            case 'SIGNING_CERTIFICATE':
+                return '🔏';
             case 'NEW_APP_INSTALLED':
                 return '📱';
             case 'PERMISSION_CHANGE':
@@ -175,6 +210,7 @@ const SecurityAlertsScreen = () => {
             </View>
             <Text style={styles.alertDescription}>{item.description}</Text>
             <Text style={styles.alertApp}>App: {item.appName}</Text>
+            {item.details?.hourly?.length > 0 && renderHourlyChart(item.details)}
             
             <TouchableOpacity
                 style={styles.dismissButton}
@@ -188,6 +224,36 @@ const SecurityAlertsScreen = () => {
         </TouchableOpacity>
     );
 
+    // Data per hour of the flagged window, or time on screen when nothing was transferred
+    const renderHourlyChart = ({ hourly, window }) => {
+        const showsBytes = hourly.some(hour => hour.bytes > 0);
+        const formatHour = (timestamp) => `${new Date(timestamp).getHours()}:00`;
+        return (
+            <View style={styles.hourlyChart}>
+                <MiniBarChart
+                    data={hourly.map(hour => (showsBytes ? hour.bytes : hour.foregroundMs))}
+                    height={28}
+                />
+                <Text style={styles.hourlyChartLabel}>
+                    {showsBytes ? 'Data per hour' : 'Time on screen per hour'}, {formatHour(window.startTime)}–{formatHour(window.endTime)}
+                </Text>
+            </View>
+        );
+    };
+
+    const renderHourStepper = (key, label) => (
+        <View style={styles.hourStepper}>
+            <Text style={styles.settingDescription}>{label}</Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftQuietHour(key, -1)}>
+                <Text style={styles.stepButtonText}>‹</Text>
+            </TouchableOpacity>
+            <Text style={styles.stepValue}>{quietHours[key]}:00</Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftQuietHour(key, 1)}>
+                <Text style={styles.stepButtonText}>›</Text>
+            </TouchableOpacity>
+        </View>
+    );
+
     const renderAlertSetting = (key, title, description) => (
         <View style={styles.settingItem} key={key}>
             <View style={styles.settingInfo}>
@@ -196,9 +262,7 @@ const SecurityAlertsScreen = () => {
             </View>
             <Switch
                 value={alertSettings[key]}
-                onValueChange={(value) =>
-                    setAlertSettings(prev => ({ ...prev, [key]: value }))
-                }
+                onValueChange={(value) => updateAlertSetting(key, value)}
                 trackColor={{ false: '#767577', true: '#ff6347' }}
                 thumbColor={alertSettings[key] ? '#fff' : '#f4f3f4'}
             />
@@ -241,9 +305,23 @@ const SecurityAlertsScreen = () => {
                 <Text style={styles.sectionTitle}>Alert Settings</Text>
                 {renderAlertSetting('highRiskApps', 'High-Risk Apps', 'Alert when apps request dangerous permissions')}
                 {renderAlertSetting('newPermissions', 'New Permissions', 'Alert when apps request additional permissions')}
-                {renderAlertSetting('suspiciousActivity', 'Suspicious Activity', 'Alert for unusual app behavior')}
-                {renderAlertSetting('dataUsageSpikes', 'Data Usage Spikes', 'Alert for unusual data consumption')}
-                {renderAlertSetting('backgroundActivity', 'Background Activity', 'Alert for excessive background usage')}
+                {renderAlertSetting('suspiciousActivity', 'Suspicious Activity', 'Alert for unusual app behavior, including apps active during quiet hours while the device is idle')}
+                {alertSettings.suspiciousActivity && (
+                    <View style={styles.settingItem}>
+                        <View style={styles.settingInfo}>
+                            <Text style={styles.settingTitle}>Quiet Hours</Text>
+                            <Text style={styles.settingDescription}>
+                                Usually {NightActivityService.formatQuietHours(quietHours)}, when the phone is not in use
+                            </Text>
+                        </View>
+                        <View>
+                            {renderHourStepper('startHour', 'From')}
+                            {renderHourStepper('endHour', 'To')}
+                        </View>
+                    </View>
+                )}
+                {renderAlertSetting('dataUsageSpikes', 'Data Usage Spikes', 'Alert when an app uses far more data than its usual daily amount, and when data budgets reach 50, 80 and 100%')}
+                {renderAlertSetting('backgroundActivity', 'Background Activity', 'Alert when an app uses most of its data while running in the background')}
             </View>
 
             {/* Alerts List */}
@@ -354,6 +432,31 @@ const styles = StyleSheet.create({
         color: '#666',
         marginTop: 2,
     },
+    hourStepper: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'flex-end',
+        marginVertical: 2,
+    },
+    stepButton: {
+        paddingHorizontal: 10,
+        paddingVertical: 2,
+        marginLeft: 6,
+        backgroundColor: '#f0f0f0',
+        borderRadius: 4,
+    },
+    stepButtonText: {
+        fontSize: 16,
+        color: '#ff6347',
+        fontWeight: 'bold',
+    },
+    stepValue: {
+        width: 44,
+        marginLeft: 6,
+        fontSize: 14,
+        color: '#333',
+        textAlign: 'center',
+    },
     alertsContainer: {
         flex: 1,
         backgroundColor: '#fff',
@@ -425,6 +528,15 @@ const styles = StyleSheet.create({
         marginLeft: 28,
         marginBottom: 8,
     },
+    hourlyChart: {
+        marginLeft: 28,
+        marginBottom: 8,
+    },
+    hourlyChartLabel: {
+        fontSize: 11,
+        color: '#999',
+        marginTop: 4,
+    },
     dismissButton: {
         alignSelf: 'flex-end',
         paddingHorizontal: 12,
@@ -149,7 +149,12 @@ const ServiceStatusScreen = ({ navigation }) => {
                 {renderCapability(
                     'Real-time Monitoring',
                     serviceStatus.capabilities.realTimeMonitoring,
-                    'Live monitoring of app activities (requires implementation)'
+                    'Scans new apps as soon as they are installed'
+                )}
+                {renderCapability(
+                    'Background Scanning',
+                    serviceStatus.capabilities.backgroundScanning,
+                    'Periodic scans while the app is closed'
                 )}
             </View>
 
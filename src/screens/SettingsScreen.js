@@ -16,8 +16,11 @@ import {
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useNavigation } from '@react-navigation/native';
 import NotificationService from '../services/NotificationService';
+import { BackgroundScanService } from '../services/BackgroundScanService';
 import PDFReportService from '../services/PDFReportService';
-import { AppDataService } from '../services/AppDataService';
+import { useAppInventory } from '../hooks/useAppInventory';
+import { ScanSnapshotService } from '../services/ScanSnapshotService';
+import { ThreatIntelService } from '../services/ThreatIntelService';
 import FileViewer from 'react-native-file-viewer';
 
 // Components defined outside to avoid re-renders
@@ -51,6 +54,7 @@ const SectionHeader = ({ title }) => (
 
 const SettingsScreen = () => {
     const navigation = useNavigation();
+    const { ensureFresh, invalidate } = useAppInventory({ refreshOnFocus: false });
 
     // Settings state
     const [settings, setSettings] = useState({
@@ -60,11 +64,16 @@ const SettingsScreen = () => {
         riskAlerts: true,
         backgroundScanning: false,
         analyticsSharing: false,
+        showNonLaunchableApps: false,
     });
+    const [threatDatabaseInfo, setThreatDatabaseInfo] = useState(null);
 
     // Load settings from storage on component mount
     useEffect(() => {
         loadSettings();
+        ThreatIntelService.ensureLoaded()
+            .then(() => setThreatDatabaseInfo(ThreatIntelService.getDatabaseInfo()))
+            .catch(() => { });
     }, []);
 
     const loadSettings = async () => {
@@ -110,12 +119,21 @@ const SettingsScreen = () => {
             showAlert('Notifications Enabled', 'You will now receive security alerts and updates.');
         }
 
+        if (settingKey === 'backgroundScanning' || settingKey === 'autoScan') {
+            await BackgroundScanService.applySettings(newSettings);
+        }
+
+        // The inventory is filtered when it is loaded, so rescan with the new setting
+        if (settingKey === 'showNonLaunchableApps') {
+            invalidate();
+        }
+
         // Handle background scanning
         if (settingKey === 'backgroundScanning') {
             if (!settings.backgroundScanning) {
                 showAlert(
                     'Background Scanning Enabled',
-                    'The app will now continuously monitor app behavior. This may affect battery life.'
+                    'The app will now scan your apps periodically, even when closed. This may affect battery life.'
                 );
             } else {
                 showAlert(
@@ -249,14 +267,13 @@ const SettingsScreen = () => {
                     onPress: async () => {
                         try {
                             showAlert('Generating Report', 'Please wait while we generate your PDF report...');
-                            const appDataService = new AppDataService();
                             let apps = [];
                             try {
-                                apps = await appDataService.getInstalledApps();
+                                apps = await ensureFresh();
                             } catch (error) {
-                                const storedApps = await AsyncStorage.getItem('installedApps');
-                                if (storedApps) {
-                                    apps = JSON.parse(storedApps);
+                                const latestSnapshot = await ScanSnapshotService.getLatestSnapshot();
+                                if (latestSnapshot) {
+                                    apps = latestSnapshot.apps;
                                 }
                             }
                             const result = await PDFReportService.generateReport(apps);
@@ -362,6 +379,45 @@ const SettingsScreen = () => {
         );
     };
 
+    const handleThreatDatabaseUpdate = () => {
+        Alert.alert(
+            'Update Threat Database',
+            `Import a newer threat database from ${ThreatIntelService.getImportPath()}?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                ...(threatDatabaseInfo?.source === ThreatIntelService.SOURCES.IMPORTED ? [{
+                    text: 'Use Built-in',
+                    onPress: async () => {
+                        setThreatDatabaseInfo(await ThreatIntelService.resetToBundled());
+                        invalidate();
+                    },
+                }] : []),
+                {
+                    text: 'Import',
+                    onPress: async () => {
+                        try {
+                            const info = await ThreatIntelService.importFromFile();
+                            setThreatDatabaseInfo(info);
+                            // Rescan so apps are checked against the new entries
+                            invalidate();
+                            showAlert('Threat Database Updated', `Version ${info.version} with ${info.entryCount} entries is now in use.`);
+                        } catch (error) {
+                            showAlert('Import Failed', error.message);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const formatThreatDatabaseInfo = () => {
+        if (!threatDatabaseInfo) {
+            return 'Check apps against known threats';
+        }
+        const source = threatDatabaseInfo.source === ThreatIntelService.SOURCES.IMPORTED ? 'Imported' : 'Built-in';
+        return `${source} version ${threatDatabaseInfo.version}, ${threatDatabaseInfo.entryCount} entries`;
+    };
+
     const handleResetSettings = () => {
         Alert.alert(
             'Reset Settings',
@@ -379,13 +435,17 @@ const SettingsScreen = () => {
                             riskAlerts: true,
                             backgroundScanning: false,
                             analyticsSharing: false,
+                            showNonLaunchableApps: false,
                         };
                         setSettings(defaultSettings);
                         await saveSettings(defaultSettings);
+                        await BackgroundScanService.applySettings(defaultSettings);
                         // Also clear any other stored data if needed
                         try {
-                            await AsyncStorage.removeItem('scanResults');
+                            await ScanSnapshotService.clearSnapshots();
                             await AsyncStorage.removeItem('userPreferences');
+                            // Rescan next time an app list is shown
+                            invalidate();
                         } catch (error) {
                             // Error clearing additional data
                         }
@@ -429,6 +489,12 @@ const SettingsScreen = () => {
                         value={settings.backgroundScanning}
                         onToggle={() => toggleSetting('backgroundScanning')}
                     />
+                    <SettingItem
+                        title="Risk Scoring Rules"
+                        subtitle="Adjust how permissions and other findings are scored"
+                        type="button"
+                        onToggle={() => navigation.navigate('RiskRulesScreen')}
+                    />
                     <SettingItem
                         title="Data Collection"
                         subtitle="Allow collection of anonymous usage data"
@@ -458,6 +524,12 @@ const SettingsScreen = () => {
                         value={settings.analyticsSharing}
                         onToggle={() => toggleSetting('analyticsSharing')}
                     />
+                    <SettingItem
+                        title="Show System Components"
+                        subtitle="Include preinstalled services with no launcher icon. Installed apps without an icon are always shown."
+                        value={settings.showNonLaunchableApps}
+                        onToggle={() => toggleSetting('showNonLaunchableApps')}
+                    />
                 </View>
 
                 {/* Data Management Section */}
@@ -469,6 +541,12 @@ const SettingsScreen = () => {
                         type="button"
                         onToggle={handleDataExport}
                     />
+                    <SettingItem
+                        title="Threat Database"
+                        subtitle={formatThreatDatabaseInfo()}
+                        type="button"
+                        onToggle={handleThreatDatabaseUpdate}
+                    />
                     <SettingItem
                         title="Reset Settings"
                         subtitle="Restore all settings to default"
@@ -0,0 +1,262 @@
+import React, { useMemo } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    SafeAreaView,
+    StatusBar,
+    Alert,
+    ActivityIndicator,
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { useAppInventory } from '../hooks/useAppInventory';
+import { SurveillanceDetectionService } from '../services/SurveillanceDetectionService';
+import { NativeBridgeService } from '../services/NativeBridgeService';
+
+const LEVEL_LABELS = {
+    LIKELY: 'Likely',
+    POSSIBLE: 'Possible',
+};
+
+/**
+ * SurveillanceReportScreen - Lists apps that look like stalkerware, including
+ * packages without a launcher icon
+ */
+const SurveillanceReportScreen = () => {
+    const navigation = useNavigation();
+    const { apps, isLoading } = useAppInventory();
+
+    const report = useMemo(() => {
+        return SurveillanceDetectionService.buildReport(apps);
+    }, [apps]);
+
+    const likelyCount = report.findings.filter(finding => finding.level === SurveillanceDetectionService.LEVELS.LIKELY).length;
+
+    const openAppSettings = async (packageName) => {
+        try {
+            await NativeBridgeService.openAppSettings(packageName);
+        } catch (error) {
+            Alert.alert('Error', 'Could not open the settings page for this app.');
+        }
+    };
+
+    const renderFinding = ({ item }) => (
+        <TouchableOpacity
+            style={styles.appItem}
+            onPress={() => navigation.navigate('AppDetailScreen', { appData: item.app })}
+        >
+            <View style={styles.appHeader}>
+                <View style={styles.appTitle}>
+                    <Text style={styles.appName}>{item.app.name || item.app.packageName}</Text>
+                    <Text style={styles.appMeta}>{item.app.packageName}</Text>
+                </View>
+                <Text style={[styles.levelLabel, item.level === 'LIKELY' && styles.levelLikely]}>
+                    {LEVEL_LABELS[item.level]}
+                </Text>
+            </View>
+            {item.knownApp && (
+                <Text style={styles.knownAppText}>
+                    Matches {item.knownApp.name}{item.knownApp.notes ? `: ${item.knownApp.notes}` : ''}
+                </Text>
+            )}
+            {item.indicators.map(indicator => (
+                <Text key={indicator.id} style={styles.indicatorText}>• {indicator.label}</Text>
+            ))}
+            <TouchableOpacity
+                style={styles.settingsButton}
+                onPress={() => openAppSettings(item.app.packageName)}
+            >
+                <Text style={styles.settingsButtonText}>Open App Settings</Text>
+            </TouchableOpacity>
+        </TouchableOpacity>
+    );
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#f0f0f0" />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()}>
+                    <Text style={styles.backButton}>‹ Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Surveillance Check</Text>
+                <View style={styles.headerSpacer} />
+            </View>
+
+            {/* Summary */}
+            <View style={styles.summaryContainer}>
+                <View style={styles.summaryItem}>
+                    <Text style={styles.summaryNumber}>{likelyCount}</Text>
+                    <Text style={styles.summaryLabel}>Likely</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                    <Text style={styles.summaryNumber}>{report.findings.length - likelyCount}</Text>
+                    <Text style={styles.summaryLabel}>Possible</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                    <Text style={styles.summaryNumber}>{report.hiddenCount}</Text>
+                    <Text style={styles.summaryLabel}>Without Icon</Text>
+                </View>
+            </View>
+
+            {isLoading ? (
+                <View style={styles.emptyContainer}>
+                    <ActivityIndicator size="large" color="#ff6347" />
+                </View>
+            ) : (
+                <FlatList
+                    data={report.findings}
+                    renderItem={renderFinding}
+                    keyExtractor={item => item.app.packageName}
+                    contentContainerStyle={styles.list}
+                    ListEmptyComponent={(
+                        <View style={styles.emptyContainer}>
+                            <Text style={styles.emptyIcon}>🕵️</Text>
+                            <Text style={styles.emptyTitle}>No Surveillance Apps Found</Text>
+                            <Text style={styles.emptyText}>
+                                None of the {report.scannedCount} apps checked look like stalkerware.
+                            </Text>
+                        </View>
+                    )}
+                />
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f0f0f0',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e0e0e0',
+    },
+    backButton: {
+        fontSize: 18,
+        color: '#ff6347',
+        fontWeight: 'bold',
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    headerSpacer: {
+        width: 50,
+    },
+    summaryContainer: {
+        flexDirection: 'row',
+        backgroundColor: '#fff',
+        paddingVertical: 16,
+        marginBottom: 8,
+    },
+    summaryItem: {
+        flex: 1,
+        alignItems: 'center',
+    },
+    summaryNumber: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    summaryLabel: {
+        fontSize: 12,
+        color: '#666',
+        marginTop: 4,
+    },
+    list: {
+        paddingBottom: 20,
+    },
+    appItem: {
+        backgroundColor: '#fff',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    appHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: 6,
+    },
+    appTitle: {
+        flex: 1,
+    },
+    appName: {
+        fontSize: 14,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    appMeta: {
+        fontSize: 11,
+        color: '#999',
+        marginTop: 2,
+    },
+    levelLabel: {
+        fontSize: 12,
+        fontWeight: 'bold',
+        color: '#ffa502',
+        marginLeft: 8,
+    },
+    levelLikely: {
+        color: '#ff4757',
+    },
+    knownAppText: {
+        fontSize: 13,
+        color: '#ff4757',
+        marginBottom: 4,
+    },
+    indicatorText: {
+        fontSize: 13,
+        color: '#666',
+        marginBottom: 2,
+    },
+    settingsButton: {
+        alignSelf: 'flex-end',
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        backgroundColor: '#ff6347',
+        borderRadius: 4,
+        marginTop: 6,
+    },
+    settingsButtonText: {
+        fontSize: 12,
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        paddingVertical: 40,
+        paddingHorizontal: 20,
+    },
+    emptyIcon: {
+        fontSize: 48,
+        marginBottom: 16,
+    },
+    emptyTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 8,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+        lineHeight: 20,
+    },
+});
+
+export default SurveillanceReportScreen;
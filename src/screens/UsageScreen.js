@@ -0,0 +1,392 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    SafeAreaView,
+    StatusBar,
+    ActivityIndicator,
+    RefreshControl,
+    Alert,
+} from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { useAppInventory } from '../hooks/useAppInventory';
+import { ScreenTimeService } from '../services/ScreenTimeService';
+import { NativeBridgeService } from '../services/NativeBridgeService';
+import { getCategoryColor } from '../utils/appCategorization';
+import MiniBarChart from '../components/common/MiniBarChart';
+import HourlyHeatmap from '../components/usage/HourlyHeatmap';
+
+const PERIOD_OPTIONS = [
+    { days: ScreenTimeService.PERIODS.DAY, label: 'Today', previousLabel: 'yesterday' },
+    { days: ScreenTimeService.PERIODS.WEEK, label: '7 Days', previousLabel: 'previous 7 days' },
+];
+
+/**
+ * UsageScreen - Screen time, launches and hour-of-day activity per app and
+ * per category, with trends against the previous period
+ */
+const UsageScreen = () => {
+    const navigation = useNavigation();
+    const { apps, isLoading: isInventoryLoading } = useAppInventory();
+    const [period, setPeriod] = useState(PERIOD_OPTIONS[0]);
+    const [report, setReport] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const loadReport = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            setReport(await ScreenTimeService.getUsageReport(apps, period.days));
+        } catch (error) {
+            console.error('Error loading screen time:', error);
+            setReport({ available: false, reason: 'ERROR' });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [apps, period]);
+
+    useEffect(() => {
+        if (!isInventoryLoading) {
+            loadReport();
+        }
+    }, [isInventoryLoading, loadReport]);
+
+    const requestUsageAccess = async () => {
+        try {
+            await NativeBridgeService.requestUsageStatsPermission();
+        } catch (error) {
+            Alert.alert('Error', 'Could not open the usage access settings.');
+        }
+    };
+
+    const renderChange = (current, previous) => {
+        const change = ScreenTimeService.getChange(current, previous);
+        if (change === null) {
+            return <Text style={styles.changeNeutral}>No data for {period.previousLabel}</Text>;
+        }
+        const percent = Math.round(Math.abs(change) * 100);
+        return (
+            <Text style={change > 0 ? styles.changeUp : styles.changeDown}>
+                {change > 0 ? '▲' : '▼'} {percent}% vs {period.previousLabel}
+            </Text>
+        );
+    };
+
+    const renderPeriodSelector = () => (
+        <View style={styles.periodSelector}>
+            {PERIOD_OPTIONS.map(option => (
+                <TouchableOpacity
+                    key={option.days}
+                    style={[styles.periodOption, period.days === option.days && styles.periodOptionActive]}
+                    onPress={() => setPeriod(option)}
+                >
+                    <Text style={[styles.periodOptionText, period.days === option.days && styles.periodOptionTextActive]}>
+                        {option.label}
+                    </Text>
+                </TouchableOpacity>
+            ))}
+        </View>
+    );
+
+    const renderUnavailable = () => (
+        report?.reason === 'PERMISSION_REQUIRED' ? (
+            <View style={styles.emptyContainer}>
+                <Text style={styles.emptyIcon}>⏱️</Text>
+                <Text style={styles.emptyTitle}>Usage Access Needed</Text>
+                <Text style={styles.emptyText}>
+                    Screen time is read from Android usage statistics. Grant Monitor Mate usage access to see it here.
+                </Text>
+                <TouchableOpacity style={styles.accessButton} onPress={requestUsageAccess}>
+                    <Text style={styles.accessButtonText}>Grant Usage Access</Text>
+                </TouchableOpacity>
+            </View>
+        ) : (
+            <View style={styles.emptyContainer}>
+                <Text style={styles.emptyIcon}>⏱️</Text>
+                <Text style={styles.emptyTitle}>Screen Time Unavailable</Text>
+                <Text style={styles.emptyText}>Usage statistics could not be read on this device.</Text>
+            </View>
+        )
+    );
+
+    const renderReport = () => {
+        const maxCategoryTime = Math.max(1, ...report.categories.map(category => category.foregroundTime));
+
+        return (
+            <>
+                {/* Summary */}
+                <View style={styles.card}>
+                    <Text style={styles.summaryLabel}>Screen Time</Text>
+                    <Text style={styles.summaryValue}>
+                        {ScreenTimeService.formatDuration(report.totals.foregroundTime)}
+                    </Text>
+                    {renderChange(report.totals.foregroundTime, report.totals.previousForegroundTime)}
+                    <Text style={styles.summaryMeta}>
+                        {report.totals.launchCount} launches ({report.totals.previousLaunchCount} {period.previousLabel})
+                    </Text>
+                </View>
+
+                {/* Hourly Heatmap */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>Activity by Hour</Text>
+                    <HourlyHeatmap rows={report.heatmap} />
+                </View>
+
+                {/* Categories */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>By Category</Text>
+                    {report.categories.map(category => (
+                        <View key={category.category} style={styles.categoryRow}>
+                            <View style={styles.rowHeader}>
+                                <Text style={styles.rowTitle}>{category.category}</Text>
+                                <Text style={styles.rowValue}>
+                                    {ScreenTimeService.formatDuration(category.foregroundTime)}
+                                </Text>
+                            </View>
+                            <View style={styles.barContainer}>
+                                <View
+                                    style={[
+                                        styles.barFill,
+                                        {
+                                            width: `${(category.foregroundTime / maxCategoryTime) * 100}%`,
+                                            backgroundColor: getCategoryColor(category.category),
+                                        },
+                                    ]}
+                                />
+                            </View>
+                            {renderChange(category.foregroundTime, category.previousForegroundTime)}
+                        </View>
+                    ))}
+                </View>
+
+                {/* Apps */}
+                <View style={styles.card}>
+                    <Text style={styles.sectionTitle}>By App</Text>
+                    {report.apps.length === 0 && (
+                        <Text style={styles.emptyText}>No app was used in this period.</Text>
+                    )}
+                    {report.apps.map(app => (
+                        <View key={app.packageName} style={styles.appRow}>
+                            <View style={styles.rowHeader}>
+                                <Text style={styles.rowTitle} numberOfLines={1}>{app.name}</Text>
+                                <Text style={styles.rowValue}>{ScreenTimeService.formatDuration(app.foregroundTime)}</Text>
+                            </View>
+                            <Text style={styles.summaryMeta}>
+                                {app.launchCount} launch{app.launchCount !== 1 ? 'es' : ''}
+                            </Text>
+                            {renderChange(app.foregroundTime, app.previousForegroundTime)}
+                            {app.daily.length > 1 && (
+                                <MiniBarChart data={app.daily} height={20} style={styles.appChart} />
+                            )}
+                        </View>
+                    ))}
+                </View>
+            </>
+        );
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#f0f0f0" />
+
+            {/* Header */}
+            <View style={styles.header}>
+                <TouchableOpacity onPress={() => navigation.goBack()}>
+                    <Text style={styles.backButton}>‹ Back</Text>
+                </TouchableOpacity>
+                <Text style={styles.headerTitle}>Screen Time</Text>
+                <View style={styles.headerSpacer} />
+            </View>
+
+            {renderPeriodSelector()}
+
+            {isLoading && !report ? (
+                <View style={styles.emptyContainer}>
+                    <ActivityIndicator size="large" color="#ff6347" />
+                </View>
+            ) : (
+                <ScrollView
+                    contentContainerStyle={styles.content}
+                    refreshControl={
+                        <RefreshControl refreshing={isLoading} onRefresh={loadReport} colors={['#ff6347']} />
+                    }
+                >
+                    {report?.available ? renderReport() : renderUnavailable()}
+                </ScrollView>
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f0f0f0',
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#e0e0e0',
+    },
+    backButton: {
+        fontSize: 18,
+        color: '#ff6347',
+        fontWeight: 'bold',
+    },
+    headerTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    headerSpacer: {
+        width: 50,
+    },
+    periodSelector: {
+        flexDirection: 'row',
+        backgroundColor: '#fff',
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+    },
+    periodOption: {
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 16,
+        backgroundColor: '#f0f0f0',
+        marginRight: 8,
+    },
+    periodOptionActive: {
+        backgroundColor: '#ff6347',
+    },
+    periodOptionText: {
+        fontSize: 13,
+        color: '#666',
+    },
+    periodOptionTextActive: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+    content: {
+        padding: 16,
+    },
+    card: {
+        backgroundColor: '#fff',
+        borderRadius: 12,
+        padding: 16,
+        marginBottom: 16,
+    },
+    summaryLabel: {
+        fontSize: 14,
+        color: '#666',
+    },
+    summaryValue: {
+        fontSize: 32,
+        fontWeight: 'bold',
+        color: '#333',
+        marginVertical: 4,
+    },
+    summaryMeta: {
+        fontSize: 12,
+        color: '#888',
+        marginTop: 2,
+    },
+    sectionTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 12,
+    },
+    categoryRow: {
+        marginBottom: 12,
+    },
+    appRow: {
+        paddingVertical: 10,
+        borderBottomWidth: 1,
+        borderBottomColor: '#f0f0f0',
+    },
+    rowHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    rowTitle: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginRight: 8,
+    },
+    rowValue: {
+        fontSize: 14,
+        color: '#333',
+    },
+    barContainer: {
+        height: 6,
+        backgroundColor: '#f0f0f0',
+        borderRadius: 3,
+        marginVertical: 4,
+        overflow: 'hidden',
+    },
+    barFill: {
+        height: '100%',
+        borderRadius: 3,
+    },
+    changeUp: {
+        fontSize: 12,
+        color: '#ff4757',
+        marginTop: 2,
+    },
+    changeDown: {
+        fontSize: 12,
+        color: '#2ed573',
+        marginTop: 2,
+    },
+    changeNeutral: {
+        fontSize: 12,
+        color: '#888',
+        marginTop: 2,
+    },
+    appChart: {
+        marginTop: 6,
+    },
+    emptyContainer: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: 32,
+    },
+    emptyIcon: {
+        fontSize: 48,
+        marginBottom: 12,
+    },
+    emptyTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 8,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+        textAlign: 'center',
+    },
+    accessButton: {
+        marginTop: 16,
+        backgroundColor: '#ff6347',
+        borderRadius: 20,
+        paddingHorizontal: 20,
+        paddingVertical: 10,
+    },
+    accessButtonText: {
+        color: '#fff',
+        fontWeight: 'bold',
+    },
+});
+
+export default UsageScreen;
@@ -1,8 +1,19 @@
 import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import appCategorization from '../utils/appCategorization';
+import { buildSessions, summarizeSessions } from '../utils/sessionBuilder';
+import { getInstallSource } from '../utils/installSource';
 import { PermissionService } from './PermissionService';
 import { DataValidationService } from './DataValidationService';
 import { NativeBridgeService } from './NativeBridgeService';
+import { ScanSnapshotService } from './ScanSnapshotService';
+import { SecurityMonitoringService } from './SecurityMonitoringService';
+import { BackgroundScanService } from './BackgroundScanService';
+import { RiskScoringEngine } from './RiskScoringEngine';
+import { ThreatIntelService } from './ThreatIntelService';
+import { TrackerService } from './TrackerService';
+import { NetworkUsageService } from './NetworkUsageService';
+import { DataBudgetService } from './DataBudgetService';
 
 export class AppDataService {
     constructor() {
@@ -10,46 +21,130 @@ export class AppDataService {
         this.platformInfo = NativeBridgeService.getPlatformInfo();
     }
 
-    async getInstalledApps() {
+    /**
+     * Get installed apps. `onProgress` receives { phase, scanned, total } while
+     * apps are read natively ('reading') and then analyzed ('analyzing').
+     */
+    async getInstalledApps({ onProgress } = {}) {
         if (!this.isNativeModuleAvailable) {
             throw new Error('Native module not available. App monitoring features require platform-specific implementations.');
         }
 
+        const options = {
+            onProgress,
+            includeSystemComponents: await this.shouldIncludeSystemComponents(),
+        };
+
+        let apps;
         if (Platform.OS === 'android') {
-            return await this.getAndroidApps();
+            apps = await this.getAndroidApps(options);
         } else if (Platform.OS === 'ios') {
-            return await this.getIOSApps();
+            apps = await this.getIOSApps(options);
         } else {
             throw new Error(`Unsupported platform: ${Platform.OS}`);
         }
+
+        await this.recordScan(apps, options);
+        return apps;
     }
 
-    async getAndroidApps() {
+    /**
+     * Whether preinstalled packages without a launcher icon belong in the
+     * inventory, from the showNonLaunchableApps setting
+     */
+    async shouldIncludeSystemComponents() {
+        try {
+            const stored = await AsyncStorage.getItem('appSettings');
+            return !!(stored && JSON.parse(stored).showNonLaunchableApps);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Preinstalled packages without a launcher icon. User-installed packages
+     * without one are always kept since hiding the icon is a stalkerware trait.
+     */
+    isSystemComponent(app) {
+        return !!app.isSystemApp && app.hasLauncher === false;
+    }
+
+    /**
+     * Persist a scan snapshot, diff it against the previous one and raise
+     * security alerts. Storage failures never block the app list from loading.
+     */
+    async recordScan(apps, { includeSystemComponents = false } = {}) {
+        try {
+            const previous = await ScanSnapshotService.getLatestSnapshot();
+            const snapshot = await ScanSnapshotService.saveSnapshot(apps, {
+                platform: Platform.OS,
+                systemComponentsIncluded: includeSystemComponents,
+            });
+            const diff = previous ? ScanSnapshotService.diffSnapshots(previous, snapshot) : null;
+            const alerts = await SecurityMonitoringService.processScan(previous, snapshot, diff);
+            const budgetAlerts = await DataBudgetService.checkBudgets(apps);
+            return { snapshot, diff, alerts: [...alerts, ...budgetAlerts] };
+        } catch (error) {
+            this.handleError(error, 'recordScan');
+            return { snapshot: null, diff: null, alerts: [] };
+        }
+    }
+
+    /**
+     * Get the changes between the two most recent scans
+     */
+    async getLatestScanChanges() {
+        try {
+            return await ScanSnapshotService.diffLatest();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async getAndroidApps({ onProgress, includeSystemComponents } = {}) {
+        const subscription = onProgress
+            ? NativeBridgeService.addScanProgressListener(({ scanned, total }) => {
+                onProgress({ phase: 'reading', scanned, total });
+            })
+            : null;
         try {
             const rawApps = await NativeBridgeService.getInstalledApps();
-            return await this.processAppData(rawApps || []);
+            return await this.processAppData(rawApps || [], { onProgress, includeSystemComponents });
         } catch (error) {
             throw new Error(`Failed to retrieve Android apps: ${error.message}`);
+        } finally {
+            subscription?.remove();
         }
     }
 
-    async getIOSApps() {
+    async getIOSApps({ onProgress, includeSystemComponents } = {}) {
         try {
             const apps = await NativeBridgeService.getInstalledApps();
-            return await this.processAppData(apps || []);
+            return await this.processAppData(apps || [], { onProgress, includeSystemComponents });
         } catch (error) {
             // iOS has limited app monitoring capabilities due to platform restrictions
             throw new Error(`Failed to retrieve iOS apps: ${error.message}`);
         }
     }
 
-    async processAppData(rawApps) {
-        // Validate and sanitize the raw app data
-        const validatedApps = DataValidationService.validateAppArray(rawApps);
+    async processAppData(rawApps, { onProgress, includeSystemComponents = false } = {}) {
+        // Validate and sanitize the raw app data. Every screen, report and
+        // detector works from this list, so the setting is applied only here.
+        const validatedApps = DataValidationService.validateAppArray(rawApps)
+            .filter(app => includeSystemComponents || !this.isSystemComponent(app));
+
+        // Pick up any user overrides to the risk scoring rules
+        await RiskScoringEngine.ensureLoaded();
+        await ThreatIntelService.ensureLoaded();
+        await TrackerService.ensureLoaded();
+
+        // Network usage for every app in one native query, joined by package
+        const usageByPackage = await this.getNetworkUsageByPackage();
 
         // Process apps and enhance with network usage data
         const enhancedApps = [];
-        for (const app of validatedApps) {
+        for (const [index, app] of validatedApps.entries()) {
+            onProgress?.({ phase: 'analyzing', scanned: index + 1, total: validatedApps.length });
             try {
                 // Normalize timestamp field names (Android uses lastTimeUsed, we want lastUsedTimestamp)
                 if (app.lastTimeUsed && !app.lastUsedTimestamp) {
@@ -67,11 +162,37 @@ export class AppDataService {
                     app.category = appCategorization.categorizeApp(app.packageName, app.name);
                 }
 
+                app.installSource = getInstallSource(app);
+
+                // Entry from the offline threat database, with where it came from
+                app.threatMatch = ThreatIntelService.findThreat(app);
+
+                // Only user apps are scanned during a full scan; system apps are
+                // scanned when their details are opened and their trackers are
+                // listed but not scored
+                app.trackers = app.isSystemApp
+                    ? TrackerService.getCachedTrackers(app)
+                    : await TrackerService.getTrackers(app);
+
+                // Special access is scored like a permission that is always granted
+                if (app.specialAccess?.length > 0) {
+                    app.permissions = [...new Set([...app.permissions, ...app.specialAccess])];
+                    if (app.permissionGrants) {
+                        app.permissionGrants = {
+                            ...app.permissionGrants,
+                            ...Object.fromEntries(app.specialAccess.map(access => [access, true])),
+                        };
+                    }
+                }
+
                 // Add risk analysis
-                app.riskAnalysis = PermissionService.analyzeAppRisk(app.permissions);
+                app.riskAnalysis = PermissionService.analyzeAppRisk(app.permissions, app);
 
-                // Enhance with network usage data
-                const enhancedApp = await NativeBridgeService.enhanceAppWithNetworkUsage(app);
+                // Enhance with network usage data, one native call per app only
+                // when the batch query isn't available
+                const enhancedApp = usageByPackage
+                    ? NativeBridgeService.applyNetworkUsage(app, usageByPackage.get(app.packageName))
+                    : await NativeBridgeService.enhanceAppWithNetworkUsage(app);
                 enhancedApps.push(enhancedApp);
             } catch (error) {
                 // Add the app without enhancement if network data fails
@@ -79,9 +200,26 @@ export class AppDataService {
             }
         }
 
+        await TrackerService.saveCache(validatedApps.map(app => app.packageName));
+
         return enhancedApps;
     }
 
+    /**
+     * Map of packageName to native network usage for the default period,
+     * or null when the batch query can't be used
+     */
+    async getNetworkUsageByPackage() {
+        const { startTime, endTime } = NetworkUsageService.getPeriodRange(NetworkUsageService.DEFAULT_PERIOD_DAYS);
+        const allUsage = await NativeBridgeService.getAllAppsNetworkUsage(startTime, endTime);
+        if (!allUsage) {
+            return null;
+        }
+        return new Map(allUsage
+            .filter(entry => entry && entry.packageName)
+            .map(entry => [entry.packageName, entry.networkUsage || {}]));
+    }
+
     async getAppDetails(packageName) {
         if (!this.isNativeModuleAvailable) {
             throw new Error('Native module not available - cannot retrieve app details');
@@ -99,13 +237,67 @@ export class AppDataService {
 
             return {
                 ...appDetails,
-                permissionDetails: PermissionService.getPermissionAnalysis(appDetails.permissions || []),
+                permissionDetails: PermissionService.getPermissionAnalysis(appDetails.permissions || [], appDetails),
             };
         } catch (error) {
             throw new Error(`Failed to retrieve app details for ${packageName}: ${error.message}`);
         }
     }
 
+    /**
+     * Get the tracker SDKs embedded in an app, or null when it can't be scanned
+     */
+    async getAppTrackers(app) {
+        if (!this.isNativeModuleAvailable) {
+            return null;
+        }
+        const trackers = await TrackerService.getTrackers(app);
+        await TrackerService.saveCache();
+        return trackers;
+    }
+
+    /**
+     * Get when an app last used its sensitive permissions
+     */
+    async getPermissionUsage(packageName) {
+        if (!this.isNativeModuleAvailable) {
+            return { available: false, reason: 'UNSUPPORTED', ops: {} };
+        }
+        return NativeBridgeService.getPermissionUsage(packageName);
+    }
+
+    /**
+     * Get an app's foreground sessions between startTime and endTime (today by default)
+     */
+    async getAppSessions(packageName, { startTime, endTime = Date.now() } = {}) {
+        if (!this.isNativeModuleAvailable) {
+            return { available: false, reason: 'UNSUPPORTED', sessions: [], summary: summarizeSessions([]) };
+        }
+        const rangeStart = startTime ?? new Date(endTime).setHours(0, 0, 0, 0);
+        const result = await NativeBridgeService.getUsageEvents(packageName, rangeStart, endTime);
+        if (!result.available) {
+            return { available: false, reason: result.reason, sessions: [], summary: summarizeSessions([]) };
+        }
+        const sessions = buildSessions(result.events, { rangeStart, rangeEnd: result.endTime || endTime });
+        return {
+            available: true,
+            startTime: rangeStart,
+            endTime: result.endTime || endTime,
+            sessions,
+            summary: summarizeSessions(sessions),
+        };
+    }
+
+    /**
+     * Get data usage totals and daily buckets for the last `days` days
+     */
+    async getAppsDataUsageForPeriod(apps, days) {
+        if (!this.isNativeModuleAvailable) {
+            return apps;
+        }
+        return NetworkUsageService.getAppsUsageForPeriod(apps, days);
+    }
+
     /**
      * Get apps categorized by risk level
      */
@@ -137,10 +329,12 @@ export class AppDataService {
     }
 
     /**
-     * Get recently used apps
+     * Get recently used apps. Packages without a launcher icon are left out
+     * unless `includeNonLaunchable` is set.
      */
-    getRecentApps(apps, limit = 5) {
+    getRecentApps(apps, limit = 5, { includeNonLaunchable = false } = {}) {
         const filtered = apps
+            .filter(app => includeNonLaunchable || app.hasLauncher !== false)
             .filter(app => {
                 const lastUsed = app.lastUsedTimestamp || app.lastTimeUsed || 0;
                 const hasUsageData = app.totalTimeInForeground > 0 || app.launchCount > 0;
@@ -273,6 +467,7 @@ export class AppDataService {
      */
     async getServiceStatus() {
         const hasUsagePermission = await this.checkUsageStatsPermission();
+        const backgroundScan = await BackgroundScanService.getStatus();
         return {
             isNativeModuleAvailable: this.isNativeModuleAvailable,
             platform: Platform.OS,
@@ -286,8 +481,10 @@ export class AppDataService {
                 riskAssessment: true,
                 dataUsageMonitoring: this.isNativeModuleAvailable,
                 usageStatsMonitoring: hasUsagePermission,
-                realTimeMonitoring: false,   // TODO: Implement when real-time monitoring is added
+                realTimeMonitoring: backgroundScan.autoScanEnabled,
+                backgroundScanning: backgroundScan.periodicScanScheduled,
             },
+            lastBackgroundScan: backgroundScan.lastScan,
             lastError: null, // TODO: Track last error for monitoring
         };
     }
@@ -0,0 +1,119 @@
+import { NativeModules, Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const { BackgroundScan } = NativeModules;
+
+const LAST_BACKGROUND_SCAN_KEY = 'lastBackgroundScan';
+
+/**
+ * BackgroundScanService - Keeps the native background scan scheduler in
+ * sync with the backgroundScanning and autoScan settings
+ */
+export class BackgroundScanService {
+    static TASK_NAME = 'MonitorMateBackgroundScan';
+
+    static REASONS = {
+        PERIODIC: 'periodic',
+        PACKAGE_ADDED: 'packageAdded',
+    };
+
+    static DEFAULT_INTERVAL_MINUTES = 6 * 60;
+
+    static isAvailable() {
+        return Platform.OS === 'android' && !!BackgroundScan;
+    }
+
+    /**
+     * Schedule or cancel native jobs to match the given app settings
+     */
+    static async applySettings(settings = {}) {
+        if (!this.isAvailable()) {
+            return false;
+        }
+
+        try {
+            if (settings.backgroundScanning) {
+                await BackgroundScan.schedulePeriodicScan(this.DEFAULT_INTERVAL_MINUTES);
+            } else {
+                await BackgroundScan.cancelPeriodicScan();
+            }
+            await BackgroundScan.setAutoScanEnabled(settings.autoScan !== false);
+            return true;
+        } catch (error) {
+            console.log('Background scan scheduling error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Re-apply the stored settings on app start. Jobs are dropped by a
+     * reinstall, a data clear or some OS updates while the settings say they
+     * are on. A periodic job that is still scheduled is kept so its interval
+     * doesn't restart on every launch.
+     */
+    static async restoreSchedule() {
+        if (!this.isAvailable()) {
+            return false;
+        }
+
+        try {
+            const stored = await AsyncStorage.getItem('appSettings');
+            const settings = stored ? JSON.parse(stored) : {};
+            if (settings.backgroundScanning && await BackgroundScan.isPeriodicScanScheduled()) {
+                await BackgroundScan.setAutoScanEnabled(settings.autoScan !== false);
+                return true;
+            }
+            return await this.applySettings(settings);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Current scheduler state and the outcome of the last background scan
+     */
+    static async getStatus() {
+        const lastScan = await this.getLastBackgroundScan();
+        if (!this.isAvailable()) {
+            return { available: false, periodicScanScheduled: false, autoScanEnabled: false, lastScan };
+        }
+
+        try {
+            const [periodicScanScheduled, autoScanEnabled] = await Promise.all([
+                BackgroundScan.isPeriodicScanScheduled(),
+                BackgroundScan.isAutoScanEnabled(),
+            ]);
+            return { available: true, periodicScanScheduled, autoScanEnabled, lastScan };
+        } catch (error) {
+            return { available: true, periodicScanScheduled: false, autoScanEnabled: false, lastScan };
+        }
+    }
+
+    static async getLastBackgroundScan() {
+        try {
+            const stored = await AsyncStorage.getItem(LAST_BACKGROUND_SCAN_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async saveLastBackgroundScan(result) {
+        await AsyncStorage.setItem(LAST_BACKGROUND_SCAN_KEY, JSON.stringify(result));
+    }
+
+    /**
+     * Whether a task started for the given reason is still allowed by the settings.
+     * Settings can change after a job was queued.
+     */
+    static async isTaskEnabled(reason) {
+        const stored = await AsyncStorage.getItem('appSettings');
+        const settings = stored ? JSON.parse(stored) : {};
+        if (reason === this.REASONS.PACKAGE_ADDED) {
+            return settings.autoScan !== false;
+        }
+        return !!settings.backgroundScanning;
+    }
+}
+
+export default BackgroundScanService;
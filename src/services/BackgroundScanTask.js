@@ -0,0 +1,41 @@
+import { AppDataService } from './AppDataService';
+import { BackgroundScanService } from './BackgroundScanService';
+
+/**
+ * Headless JS task started by the native background scan scheduler.
+ * Runs the regular scan pipeline, which stores a snapshot and raises alerts.
+ */
+const BackgroundScanTask = async (taskData = {}) => {
+    const reason = taskData.reason || BackgroundScanService.REASONS.PERIODIC;
+    const startedAt = Date.now();
+
+    try {
+        if (!(await BackgroundScanService.isTaskEnabled(reason))) {
+            return;
+        }
+
+        const appDataService = new AppDataService();
+        const apps = await appDataService.getInstalledApps();
+        const changes = await appDataService.getLatestScanChanges();
+
+        await BackgroundScanService.saveLastBackgroundScan({
+            reason,
+            startedAt,
+            completedAt: Date.now(),
+            appCount: apps.length,
+            changes: changes?.summary || null,
+            error: null,
+        });
+    } catch (error) {
+        await BackgroundScanService.saveLastBackgroundScan({
+            reason,
+            startedAt,
+            completedAt: Date.now(),
+            appCount: 0,
+            changes: null,
+            error: error.message,
+        });
+    }
+};
+
+export default BackgroundScanTask;
@@ -0,0 +1,117 @@
+import { PermissionService } from './PermissionService';
+import { RiskScoringEngine } from './RiskScoringEngine';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * CleanupAdvisorService - Finds dormant apps that still hold high-risk
+ * permissions and estimates how much risk removing them would take away
+ */
+export class CleanupAdvisorService {
+    static DEFAULT_DORMANT_DAYS = 30;
+
+    static DORMANT_DAY_OPTIONS = [7, 30, 90];
+
+    /**
+     * Build cleanup suggestions for apps unused for at least `dormantDays`
+     */
+    static getRecommendations(apps = [], { dormantDays = this.DEFAULT_DORMANT_DAYS, now = Date.now() } = {}) {
+        // System apps can't be uninstalled and most have no usage history
+        const candidates = (apps || [])
+            .filter(app => app && app.packageName && !app.isSystemApp)
+            .filter(app => this.getHighRiskPermissions(app).length > 0);
+        const recommendations = candidates
+            .map(app => this.buildRecommendation(app, dormantDays, now))
+            .filter(recommendation => recommendation !== null)
+            .sort((a, b) => b.uninstallImpact.scoreReduction - a.uninstallImpact.scoreReduction);
+
+        return {
+            dormantDays,
+            recommendations,
+            // Apps with no usage history can't be called dormant, so they are left out
+            unknownUsageCount: candidates.filter(app => this.getDaysUnused(app, now) === null).length,
+            summary: this.summarize(recommendations),
+        };
+    }
+
+    /**
+     * Granted high-risk permissions of an app
+     */
+    static getHighRiskPermissions(app) {
+        return [...new Set(app.permissions || [])]
+            .filter(permission => PermissionService.PERMISSION_RISKS[permission]?.level === PermissionService.RISK_LEVELS.HIGH)
+            .filter(permission => RiskScoringEngine.isGranted(app, permission));
+    }
+
+    static buildRecommendation(app, dormantDays, now) {
+        const daysUnused = this.getDaysUnused(app, now);
+        if (daysUnused === null || daysUnused < dormantDays) {
+            return null;
+        }
+
+        const highRiskPermissions = this.getHighRiskPermissions(app);
+        if (highRiskPermissions.length === 0) {
+            return null;
+        }
+
+        const current = app.riskAnalysis?.breakdown
+            ? app.riskAnalysis
+            : PermissionService.analyzeAppRisk(app.permissions, app);
+
+        // Re-score the app as if its high-risk permissions were revoked
+        const revoked = PermissionService.analyzeAppRisk(app.permissions, {
+            ...app,
+            permissionGrants: {
+                ...(app.permissionGrants || {}),
+                ...Object.fromEntries(highRiskPermissions.map(permission => [permission, false])),
+            },
+        });
+
+        return {
+            app,
+            daysUnused,
+            highRiskPermissions,
+            currentRisk: {
+                riskLevel: current.riskLevel,
+                riskScore: current.riskScore,
+            },
+            revokeImpact: {
+                riskLevel: revoked.riskLevel,
+                riskScore: revoked.riskScore,
+                scoreReduction: Math.max(0, current.riskScore - revoked.riskScore),
+            },
+            uninstallImpact: {
+                // System apps can only be disabled, not uninstalled
+                available: !app.isSystemApp,
+                scoreReduction: current.riskScore,
+            },
+        };
+    }
+
+    /**
+     * Whole days since the app was last used, or null when it has no recorded
+     * use. Without usage stats the native scan reports the last update time
+     * as the last use, which says nothing about dormancy.
+     */
+    static getDaysUnused(app, now = Date.now()) {
+        const lastUsed = app.lastUsedTimestamp || app.lastTimeUsed || 0;
+        if (!lastUsed || app.hasUsageStats === false) {
+            return null;
+        }
+        return Math.max(0, Math.floor((now - lastUsed) / DAY_MS));
+    }
+
+    static summarize(recommendations) {
+        return {
+            appCount: recommendations.length,
+            highRiskAppCount: recommendations.filter(item => item.currentRisk.riskLevel === 'HIGH_RISK').length,
+            revokeScoreReduction: recommendations.reduce((total, item) => total + item.revokeImpact.scoreReduction, 0),
+            uninstallScoreReduction: recommendations
+                .filter(item => item.uninstallImpact.available)
+                .reduce((total, item) => total + item.uninstallImpact.scoreReduction, 0),
+            highRiskAppsAfterRevoke: recommendations.filter(item => item.revokeImpact.riskLevel === 'HIGH_RISK').length,
+        };
+    }
+}
+
+export default CleanupAdvisorService;
@@ -0,0 +1,265 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NativeBridgeService } from './NativeBridgeService';
+import { NetworkUsageService } from './NetworkUsageService';
+import { SecurityMonitoringService } from './SecurityMonitoringService';
+import NotificationService from './NotificationService';
+
+const BUDGETS_KEY = 'dataBudgets';
+
+/**
+ * DataBudgetService - Monthly mobile-data budgets for the whole device and
+ * for individual apps, tracked per billing cycle with threshold alerts
+ */
+export class DataBudgetService {
+    // Percent of a budget at which an alert is raised
+    static THRESHOLDS = [50, 80, 100];
+
+    // Keeps every cycle start valid in short months
+    static MAX_CYCLE_START_DAY = 28;
+
+    static DEFAULT_BUDGETS = {
+        globalLimitBytes: null,
+        cycleStartDay: 1,
+        appLimits: {},
+    };
+
+    /**
+     * Get the stored budgets merged over the defaults
+     */
+    static async getBudgets() {
+        try {
+            const stored = await AsyncStorage.getItem(BUDGETS_KEY);
+            return this.normalizeBudgets(stored ? JSON.parse(stored) : {});
+        } catch (error) {
+            return this.normalizeBudgets({});
+        }
+    }
+
+    static async saveBudgets(budgets) {
+        const normalized = this.normalizeBudgets(budgets);
+        await AsyncStorage.setItem(BUDGETS_KEY, JSON.stringify(normalized));
+        return normalized;
+    }
+
+    /**
+     * Set the device-wide monthly mobile budget, or remove it with null
+     */
+    static async setGlobalBudget(limitBytes) {
+        const budgets = await this.getBudgets();
+        return this.saveBudgets({ ...budgets, globalLimitBytes: limitBytes });
+    }
+
+    /**
+     * Set an app's monthly mobile budget, or remove it with null
+     */
+    static async setAppBudget(packageName, limitBytes) {
+        const budgets = await this.getBudgets();
+        const appLimits = { ...budgets.appLimits };
+        if (limitBytes > 0) {
+            appLimits[packageName] = limitBytes;
+        } else {
+            delete appLimits[packageName];
+        }
+        return this.saveBudgets({ ...budgets, appLimits });
+    }
+
+    static async setCycleStartDay(cycleStartDay) {
+        const budgets = await this.getBudgets();
+        return this.saveBudgets({ ...budgets, cycleStartDay });
+    }
+
+    static normalizeBudgets(stored = {}) {
+        const budgets = { ...this.DEFAULT_BUDGETS, ...stored };
+        const day = parseInt(budgets.cycleStartDay, 10);
+        const appLimits = Object.fromEntries(
+            Object.entries(budgets.appLimits || {}).filter(([, limit]) => typeof limit === 'number' && limit > 0)
+        );
+        return {
+            globalLimitBytes: budgets.globalLimitBytes > 0 ? budgets.globalLimitBytes : null,
+            cycleStartDay: Math.min(Math.max(Number.isNaN(day) ? 1 : day, 1), this.MAX_CYCLE_START_DAY),
+            appLimits,
+        };
+    }
+
+    /**
+     * The billing cycle containing `now`, from local midnight on the start day
+     */
+    static getCycleRange(cycleStartDay = 1, now = Date.now()) {
+        const today = new Date(now);
+        const start = new Date(today.getFullYear(), today.getMonth(), cycleStartDay);
+        if (start.getTime() > now) {
+            start.setMonth(start.getMonth() - 1);
+        }
+        const end = new Date(start);
+        end.setMonth(end.getMonth() + 1);
+        return { startTime: start.getTime(), endTime: end.getTime() };
+    }
+
+    /**
+     * Attach each app's usage since the cycle started as `dataUsage`
+     */
+    static async getCycleUsage(apps = [], cycle, now = Date.now()) {
+        const endTime = Math.min(now, cycle.endTime);
+        const allUsage = await NativeBridgeService.getAllAppsNetworkUsage(cycle.startTime, endTime);
+        if (allUsage) {
+            const usageByPackage = new Map(allUsage.map(entry => [entry.packageName, entry.networkUsage || {}]));
+            return apps.map(app => NativeBridgeService.applyNetworkUsage(app, usageByPackage.get(app.packageName)));
+        }
+
+        const results = [];
+        for (const app of apps) {
+            const usage = await NativeBridgeService.getNetworkUsage(app.packageName, { startTime: cycle.startTime, endTime });
+            results.push(NativeBridgeService.applyNetworkUsage(app, usage));
+        }
+        return results;
+    }
+
+    /**
+     * Mobile bytes used by the whole device this cycle, or null when the
+     * device total can't be read
+     */
+    static async getDeviceMobileUsage(cycle, now = Date.now()) {
+        const usage = await NativeBridgeService.getDeviceNetworkUsage(cycle.startTime, Math.min(now, cycle.endTime));
+        return usage ? (usage.mobileRx || 0) + (usage.mobileTx || 0) : null;
+    }
+
+    /**
+     * Compare cycle mobile usage (`dataUsage.mobile`) against the budgets.
+     * The global budget uses `deviceMobile` when known, otherwise the apps'
+     * usage with shared UIDs counted once.
+     */
+    static getBudgetStatus(apps = [], budgets, now = Date.now(), deviceMobile = null) {
+        const cycle = this.getCycleRange(budgets.cycleStartDay, now);
+        const totalMobile = deviceMobile ?? NetworkUsageService.sumByUid(apps, app => app.dataUsage?.mobile || 0);
+
+        const appStatuses = apps
+            .filter(app => budgets.appLimits[app.packageName])
+            .map(app => ({
+                packageName: app.packageName,
+                name: app.name,
+                ...this.measure(app.dataUsage?.mobile || 0, budgets.appLimits[app.packageName]),
+            }))
+            .sort((a, b) => b.ratio - a.ratio);
+
+        return {
+            cycle,
+            totalMobile,
+            global: budgets.globalLimitBytes ? this.measure(totalMobile, budgets.globalLimitBytes) : null,
+            apps: appStatuses,
+        };
+    }
+
+    static measure(usedBytes, limitBytes) {
+        const ratio = limitBytes > 0 ? usedBytes / limitBytes : 0;
+        return {
+            usedBytes,
+            limitBytes,
+            ratio,
+            threshold: this.getThresholdReached(ratio),
+        };
+    }
+
+    /**
+     * Highest alert threshold reached, or null below the first one
+     */
+    static getThresholdReached(ratio) {
+        const percent = ratio * 100;
+        const reached = this.THRESHOLDS.filter(threshold => percent >= threshold);
+        return reached.length > 0 ? reached[reached.length - 1] : null;
+    }
+
+    /**
+     * Load budgets and cycle usage for display
+     */
+    static async getOverview(apps = [], now = Date.now()) {
+        const budgets = await this.getBudgets();
+        const cycle = this.getCycleRange(budgets.cycleStartDay, now);
+        const cycleApps = await this.getCycleUsage(apps, cycle, now);
+        const deviceMobile = await this.getDeviceMobileUsage(cycle, now);
+        return {
+            budgets,
+            status: this.getBudgetStatus(cycleApps, budgets, now, deviceMobile),
+        };
+    }
+
+    /**
+     * Raise an alert the first time each budget passes 50, 80 and 100% in a cycle.
+     * Gated by the same toggle as data usage spike alerts.
+     */
+    static async checkBudgets(apps = [], now = Date.now()) {
+        const budgets = await this.getBudgets();
+        if (!budgets.globalLimitBytes && Object.keys(budgets.appLimits).length === 0) {
+            return [];
+        }
+
+        const settings = await SecurityMonitoringService.getAlertSettings();
+        const settingKey = SecurityMonitoringService.ALERT_SETTING_FOR_TYPE.DATA_BUDGET;
+        if (settings[settingKey] === false) {
+            return [];
+        }
+
+        const cycle = this.getCycleRange(budgets.cycleStartDay, now);
+        const cycleApps = await this.getCycleUsage(apps, cycle, now);
+        const deviceMobile = budgets.globalLimitBytes ? await this.getDeviceMobileUsage(cycle, now) : null;
+        const status = this.getBudgetStatus(cycleApps, budgets, now, deviceMobile);
+
+        const newAlerts = await SecurityMonitoringService.addAlerts(this.buildAlerts(status, now));
+        for (const alert of newAlerts) {
+            await NotificationService.scheduleDataUsageAlert(alert.appName, alert.description, alert.packageName);
+        }
+        return newAlerts;
+    }
+
+    static buildAlerts(status, now = Date.now()) {
+        const cycleKey = new Date(status.cycle.startTime).toISOString().split('T')[0];
+        const alerts = [];
+
+        if (status.global?.threshold) {
+            alerts.push(this.createBudgetAlert({ name: 'Mobile data', packageName: null }, status.global, cycleKey, now));
+        }
+        status.apps
+            .filter(appStatus => appStatus.threshold)
+            .forEach(appStatus => {
+                alerts.push(this.createBudgetAlert(appStatus, appStatus, cycleKey, now));
+            });
+
+        return alerts;
+    }
+
+    static createBudgetAlert(app, measurement, cycleKey, timestamp) {
+        const { threshold, usedBytes, limitBytes } = measurement;
+        const type = SecurityMonitoringService.ALERT_TYPES.DATA_BUDGET;
+        const subject = app.packageName ? app.name : 'Your device';
+
+        return SecurityMonitoringService.createAlert({
+            type,
+            severity: this.getSeverityForThreshold(threshold),
+            app,
+            key: `${type}:${app.packageName || 'global'}:${cycleKey}:${threshold}`,
+            title: threshold >= 100 ? 'Data Budget Exceeded' : `${threshold}% of Data Budget Used`,
+            description: `${subject} used ${this.formatMegabytes(usedBytes)} of its ${this.formatMegabytes(limitBytes)} monthly mobile data budget.`,
+            action: threshold >= 100
+                ? 'Restrict background data or switch to Wi-Fi until the cycle resets'
+                : 'Keep an eye on mobile data for the rest of the cycle',
+            timestamp,
+            details: { threshold, usedBytes, limitBytes, cycleStart: cycleKey },
+        });
+    }
+
+    static getSeverityForThreshold(threshold) {
+        if (threshold >= 100) {
+            return SecurityMonitoringService.SEVERITY.HIGH;
+        }
+        if (threshold >= 80) {
+            return SecurityMonitoringService.SEVERITY.MEDIUM;
+        }
+        return SecurityMonitoringService.SEVERITY.LOW;
+    }
+
+    static formatMegabytes(bytes) {
+        const megabytes = bytes / (1024 * 1024);
+        return megabytes >= 1024 ? `${(megabytes / 1024).toFixed(2)} GB` : `${Math.round(megabytes)} MB`;
+    }
+}
+
+export default DataBudgetService;
@@ -0,0 +1,184 @@
+import { NativeBridgeService } from './NativeBridgeService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+/**
+ * DataUsageAnomalyService - Finds days where an app moved far more data than
+ * its own recent history, using a median/MAD baseline per app
+ */
+export class DataUsageAnomalyService {
+    // Days before the evaluated day that make up the baseline
+    static BASELINE_DAYS = 28;
+    static MIN_BASELINE_DAYS = 7;
+
+    // Yesterday and today are checked on every scan
+    static EVALUATED_DAYS = 2;
+
+    // Scales MAD to a standard deviation for normally distributed usage
+    static MAD_SCALE = 1.4826;
+
+    // How many deviations above the median a day must be
+    static THRESHOLD_DEVIATIONS = 6;
+    static UNATTENDED_THRESHOLD_DEVIATIONS = 3;
+
+    // Keeps apps with a flat baseline from alerting on small bumps
+    static MIN_DEVIATION_BYTES = 5 * MB;
+
+    // The excess over the median must also be at least this large
+    static MIN_EXCESS_BYTES = 50 * MB;
+    static UNATTENDED_MIN_EXCESS_BYTES = 20 * MB;
+
+    static METRICS = {
+        TOTAL: 'total',
+        MOBILE: 'mobile',
+        BACKGROUND: 'background',
+    };
+
+    /**
+     * Check recent days of every app against its baseline.
+     * Resolves [] when daily history is unavailable.
+     */
+    static async detectAnomalies(apps = [], now = Date.now()) {
+        const todayStart = this.getDayStart(now);
+        const startTime = todayStart - (this.BASELINE_DAYS + this.EVALUATED_DAYS - 1) * DAY_MS;
+        const history = await NativeBridgeService.getAllAppsNetworkUsageHistory(startTime, now);
+        if (!history) {
+            return [];
+        }
+
+        const appsByPackage = new Map(apps.map(app => [app.packageName, app]));
+        const findings = [];
+        history.forEach(entry => {
+            const app = appsByPackage.get(entry.packageName);
+            if (app) {
+                findings.push(...this.detectAppAnomalies(app, (entry.days || []).map(day => this.normalizeDay(day))));
+            }
+        });
+        return findings;
+    }
+
+    /**
+     * Evaluate the last EVALUATED_DAYS of an app's daily history, oldest first
+     */
+    static detectAppAnomalies(app, days) {
+        const findings = [];
+        for (let index = Math.max(days.length - this.EVALUATED_DAYS, 0); index < days.length; index++) {
+            const baseline = days.slice(Math.max(index - this.BASELINE_DAYS, 0), index);
+            if (baseline.length < this.MIN_BASELINE_DAYS) {
+                continue;
+            }
+            const finding = this.evaluateDay(app, days[index], baseline);
+            if (finding) {
+                findings.push(finding);
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * The most significant anomaly on a day, or null. Mobile and background
+     * traffic get a stricter baseline when the app was not opened that day.
+     */
+    static evaluateDay(app, day, baseline) {
+        const unattended = this.wasNotOpenedOn(app, day.date);
+        const metrics = unattended
+            ? [this.METRICS.TOTAL, this.METRICS.MOBILE, this.METRICS.BACKGROUND]
+            : [this.METRICS.TOTAL];
+
+        let strongest = null;
+        metrics.forEach(metric => {
+            const strict = unattended && metric !== this.METRICS.TOTAL;
+            const result = this.compareToBaseline(day[metric], baseline.map(entry => entry[metric]), strict);
+            if (result && (!strongest || result.score > strongest.score)) {
+                strongest = { metric, ...result };
+            }
+        });
+
+        if (!strongest) {
+            return null;
+        }
+        return {
+            app,
+            date: day.date,
+            metric: strongest.metric,
+            observedBytes: strongest.observedBytes,
+            expectedBytes: strongest.expectedBytes,
+            thresholdBytes: strongest.thresholdBytes,
+            score: strongest.score,
+            baselineDays: baseline.length,
+            totalBytes: day.total,
+            mobileBytes: day.mobile,
+            backgroundBytes: day.background,
+            unattended,
+        };
+    }
+
+    /**
+     * Compare an observed value to median + k * scaled MAD of the baseline
+     */
+    static compareToBaseline(observedBytes, baselineValues, strict = false) {
+        const expectedBytes = this.median(baselineValues);
+        const deviation = Math.max(
+            this.MAD_SCALE * this.medianAbsoluteDeviation(baselineValues, expectedBytes),
+            this.MIN_DEVIATION_BYTES
+        );
+        const deviations = strict ? this.UNATTENDED_THRESHOLD_DEVIATIONS : this.THRESHOLD_DEVIATIONS;
+        const minExcess = strict ? this.UNATTENDED_MIN_EXCESS_BYTES : this.MIN_EXCESS_BYTES;
+        const thresholdBytes = Math.max(expectedBytes + deviations * deviation, expectedBytes + minExcess);
+
+        if (observedBytes <= thresholdBytes) {
+            return null;
+        }
+        return {
+            observedBytes,
+            expectedBytes: Math.round(expectedBytes),
+            thresholdBytes: Math.round(thresholdBytes),
+            score: (observedBytes - expectedBytes) / deviation,
+        };
+    }
+
+    static median(values) {
+        if (values.length === 0) {
+            return 0;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    static medianAbsoluteDeviation(values, center = this.median(values)) {
+        return this.median(values.map(value => Math.abs(value - center)));
+    }
+
+    /**
+     * True only when the app's last use is known to predate the day. Without
+     * usage stats the last use is really the last update time.
+     */
+    static wasNotOpenedOn(app, dayStart) {
+        if (app.hasUsageStats === false) {
+            return false;
+        }
+        return app.lastUsedTimestamp > 0 && app.lastUsedTimestamp < dayStart;
+    }
+
+    static normalizeDay(day) {
+        const mobile = (day.mobileRx || 0) + (day.mobileTx || 0);
+        const wifi = (day.wifiRx || 0) + (day.wifiTx || 0);
+        return {
+            date: day.date,
+            mobile,
+            wifi,
+            background: (day.backgroundRx || 0) + (day.backgroundTx || 0),
+            total: mobile + wifi,
+        };
+    }
+
+    static getDayStart(timestamp) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+}
+
+export default DataUsageAnomalyService;
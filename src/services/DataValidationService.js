@@ -21,14 +21,32 @@ export class DataValidationService {
             id: appData.packageName || appData.bundleId || `app_${Date.now()}`,
             name: this.sanitizeString(appData.appName || appData.name) || 'Unknown App',
             packageName: appData.packageName || appData.bundleId,
+            // Linux user id; packages with a shared user id have the same one
+            uid: this.validateNumber(appData.uid),
             icon: this.validateIcon(appData.icon),
             version: this.sanitizeString(appData.versionName || appData.version) || 'Unknown',
+            versionCode: this.validateNumber(appData.versionCode),
             category: this.sanitizeString(appData.category) || 'Other',
             installDate: this.validateDate(appData.firstInstallTime || appData.installDate),
             lastUsedTimestamp: this.validateTimestamp(appData.lastTimeUsed || appData.lastUsedTimestamp),
             permissions: this.validatePermissions(appData.permissions),
+            permissionGrants: this.validatePermissionGrants(appData.permissionGrants),
+            specialAccess: this.validatePermissions(appData.specialAccess),
             size: this.validateNumber(appData.size),
             totalTimeInForeground: this.validateNumber(appData.totalTimeInForeground) || 0,
+            // False when lastUsedTimestamp is only the last update time
+            hasUsageStats: appData.hasUsageStats !== false,
+            hasInternetAccess: appData.hasInternetAccess === true,
+            isSystemApp: appData.isSystemApp === true,
+            hasLauncher: appData.hasLauncher !== false,
+            launcherHidden: appData.launcherHidden === true,
+            // Null means no installer; undefined means the platform didn't report one
+            installerPackageName: appData.installerPackageName === undefined
+                ? undefined
+                : this.sanitizeString(appData.installerPackageName),
+            initiatingPackageName: this.sanitizeString(appData.initiatingPackageName),
+            signingCertificates: this.validateSigningCertificates(appData.signingCertificates),
+            signingCertificateHistory: this.validateDigests(appData.signingCertificateHistory),
         };
 
         return validatedApp;
@@ -47,6 +65,119 @@ export class DataValidationService {
             .map(permission => permission.trim());
     }
 
+    /**
+     * Validate the permission grant map ({ CAMERA: true, SMS: false }).
+     * Returns null when grant state is unknown, e.g. on iOS.
+     */
+    static validatePermissionGrants(grants) {
+        if (!grants || typeof grants !== 'object' || Array.isArray(grants)) {
+            return null;
+        }
+
+        const validated = {};
+        Object.entries(grants).forEach(([permission, granted]) => {
+            if (typeof permission === 'string' && permission.length > 0 && typeof granted === 'boolean') {
+                validated[permission.trim()] = granted;
+            }
+        });
+        return validated;
+    }
+
+    /**
+     * Validate signing certificates ([{ sha256, subject }]).
+     * Returns null when they weren't reported, e.g. on iOS.
+     */
+    static validateSigningCertificates(certificates) {
+        if (!Array.isArray(certificates)) {
+            return null;
+        }
+
+        return certificates
+            .filter(certificate => certificate && this.isDigest(certificate.sha256))
+            .map(certificate => ({
+                sha256: certificate.sha256.toUpperCase(),
+                subject: this.sanitizeString(certificate.subject),
+            }));
+    }
+
+    /**
+     * Validate an array of colon-separated SHA-256 digests
+     */
+    static validateDigests(digests) {
+        if (!Array.isArray(digests)) {
+            return [];
+        }
+
+        return digests
+            .filter(digest => this.isDigest(digest))
+            .map(digest => digest.toUpperCase());
+    }
+
+    static isDigest(value) {
+        return typeof value === 'string' && /^([0-9A-F]{2}:){31}[0-9A-F]{2}$/i.test(value);
+    }
+
+    /**
+     * Validate a threat database ({ version, updatedAt, entries }).
+     * Invalid entries are dropped; returns null when the database itself is malformed.
+     */
+    static validateThreatDatabase(database) {
+        if (!database || typeof database !== 'object' || !Array.isArray(database.entries)) {
+            return null;
+        }
+
+        const version = this.validateNumber(database.version);
+        if (version === null) {
+            return null;
+        }
+
+        return {
+            version,
+            updatedAt: this.sanitizeString(database.updatedAt),
+            entries: database.entries
+                .map(entry => this.validateThreatEntry(entry))
+                .filter(entry => entry !== null),
+        };
+    }
+
+    static validateThreatEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return null;
+        }
+
+        const packageName = this.sanitizeString(entry.packageName);
+        if (!packageName) {
+            return null;
+        }
+        // Fields that don't parse would otherwise widen the entry to every signer or version
+        if (entry.signerDigest !== undefined && entry.signerDigest !== null && !this.isDigest(entry.signerDigest)) {
+            return null;
+        }
+
+        const badVersions = Array.isArray(entry.badVersions)
+            ? entry.badVersions
+                .filter(range => range && typeof range === 'object')
+                .map(range => ({
+                    minVersionCode: this.validateNumber(range.minVersionCode),
+                    maxVersionCode: this.validateNumber(range.maxVersionCode),
+                }))
+                .filter(range => range.minVersionCode === null || range.maxVersionCode === null ||
+                    range.minVersionCode <= range.maxVersionCode)
+            : [];
+        if (Array.isArray(entry.badVersions) && entry.badVersions.length > 0 && badVersions.length === 0) {
+            return null;
+        }
+
+        return {
+            packageName,
+            name: this.sanitizeString(entry.name) || packageName,
+            category: this.sanitizeString(entry.category) || 'malware',
+            notes: this.sanitizeString(entry.notes),
+            signerDigest: entry.signerDigest ? entry.signerDigest.toUpperCase() : null,
+            badVersions,
+        };
+    }
+
     /**
      * Validate and sanitize string fields
      */
@@ -1,5 +1,7 @@
-import { NativeModules, Platform } from 'react-native';
+import { NativeModules, NativeEventEmitter, Platform } from 'react-native';
 const { InstalledApps } = NativeModules;
+
+const SCAN_PROGRESS_EVENT = 'InstalledAppsScanProgress';
 /**
  * Native Bridge Service - Handles communication with native modules
  * Provides cross-platform compatibility and error handling
@@ -47,9 +49,10 @@ export class NativeBridgeService {
         }
     }
     /**
-     * Get network usage data for a specific app
+     * Get network usage data for a specific app.
+     * Pass { startTime, endTime } (ms) to query a range instead of the last 30 days.
      */
-    static async getNetworkUsage(packageName) {
+    static async getNetworkUsage(packageName, { startTime, endTime } = {}) {
         if (!this.isAvailable()) {
             throw new Error('Native module InstalledApps not available');
         }
@@ -70,6 +73,10 @@ export class NativeBridgeService {
                 };
             }
 
+            if (startTime && endTime && typeof InstalledApps.getNetworkUsageForRange === 'function') {
+                return await InstalledApps.getNetworkUsageForRange(packageName, startTime, endTime);
+            }
+
             const usage = await InstalledApps.getNetworkUsage(packageName);
             return usage;
         } catch (error) {
@@ -86,20 +93,188 @@ export class NativeBridgeService {
         }
     }
     /**
-     * Get network usage for all apps (Android only)
+     * Get an app's network usage split into local calendar days (Android only).
+     * Resolves { days: [{ date, mobileRx, mobileTx, wifiRx, wifiTx, totalRx, totalTx }] }
      */
-    static async getAllAppsNetworkUsage() {
+    static async getNetworkUsageHistory(packageName, startTime, endTime) {
         if (!this.isAvailable()) {
             throw new Error('Native module InstalledApps not available');
         }
-        if (Platform.OS !== 'android') {
-            return [];
+        if (!packageName) {
+            throw new Error('Package name is required');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getNetworkUsageHistory !== 'function') {
+            return { packageName, startTime, endTime, days: [] };
+        }
+        try {
+            const history = await InstalledApps.getNetworkUsageHistory(packageName, startTime, endTime);
+            return { days: [], ...history };
+        } catch (error) {
+            return { packageName, startTime, endTime, days: [], error: error.message };
+        }
+    }
+    /**
+     * Get network usage for all apps between startTime and endTime in one
+     * native query (Android only). Resolves null when the batch query is
+     * unavailable or fails, so callers can fall back to per-app lookups.
+     */
+    static async getAllAppsNetworkUsage(startTime, endTime) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getAllAppsNetworkUsage !== 'function') {
+            return null;
         }
         try {
-            const usage = await InstalledApps.getAllAppsNetworkUsage();
+            const usage = await InstalledApps.getAllAppsNetworkUsage(startTime, endTime);
             return usage || [];
         } catch (error) {
-            return [];
+            return null;
+        }
+    }
+    /**
+     * Get network usage for the whole device between startTime and endTime,
+     * counting traffic shared by several packages once (Android only).
+     * Resolves null when unavailable or on failure.
+     */
+    static async getDeviceNetworkUsage(startTime, endTime) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getDeviceNetworkUsage !== 'function') {
+            return null;
+        }
+        try {
+            return await InstalledApps.getDeviceNetworkUsage(startTime, endTime);
+        } catch (error) {
+            return null;
+        }
+    }
+    /**
+     * Get daily usage, including background bytes, for every app with traffic
+     * between startTime and endTime in one native call (Android only).
+     * Resolves null when the batch query is unavailable or fails.
+     */
+    static async getAllAppsNetworkUsageHistory(startTime, endTime) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getAllAppsNetworkUsageHistory !== 'function') {
+            return null;
+        }
+        try {
+            const history = await InstalledApps.getAllAppsNetworkUsageHistory(startTime, endTime);
+            return history || [];
+        } catch (error) {
+            return null;
+        }
+    }
+    /**
+     * Get per-hour network usage for every app with traffic (Android only).
+     * Resolves [{ packageName, uid, hours: [{ startTime, ...usage }] }], or null when
+     * unavailable. Meant for windows of a few hours.
+     */
+    static async getAllAppsHourlyNetworkUsage(startTime, endTime) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getAllAppsHourlyNetworkUsage !== 'function') {
+            return null;
+        }
+        try {
+            const usage = await InstalledApps.getAllAppsHourlyNetworkUsage(startTime, endTime);
+            return usage || [];
+        } catch (error) {
+            return null;
+        }
+    }
+    /**
+     * Listen for { scanned, total } progress while getInstalledApps runs natively.
+     * Returns a subscription with remove().
+     */
+    static addScanProgressListener(listener) {
+        if (!this.isAvailable() || Platform.OS !== 'android') {
+            return { remove: () => {} };
+        }
+        const emitter = new NativeEventEmitter(InstalledApps);
+        return emitter.addListener(SCAN_PROGRESS_EVENT, listener);
+    }
+    /**
+     * Get when sensitive app ops (camera, microphone, location, contacts,
+     * clipboard) were last used by an app (Android only).
+     * Resolves { available: false, reason } when the data can't be read.
+     */
+    static async getPermissionUsage(packageName) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (!packageName) {
+            throw new Error('Package name is required');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getPermissionUsage !== 'function') {
+            return { available: false, reason: 'UNSUPPORTED', ops: {} };
+        }
+        try {
+            const usage = await InstalledApps.getPermissionUsage(packageName);
+            return { ops: {}, ...usage };
+        } catch (error) {
+            return { available: false, reason: 'ERROR', message: error.message, ops: {} };
+        }
+    }
+    /**
+     * Get the ids of the tracker signatures ([{ id, prefixes }]) whose class
+     * prefixes appear in an app's code or manifest (Android only).
+     * Resolves null when the package can't be scanned.
+     */
+    static async getTrackers(packageName, signatures) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getTrackers !== 'function') {
+            return null;
+        }
+        try {
+            return await InstalledApps.getTrackers(packageName, signatures);
+        } catch (error) {
+            return null;
+        }
+    }
+    /**
+     * Get foreground time and launch counts per app between startTime and
+     * endTime, with foreground time split by day and hour (Android only).
+     * Resolves { available: false, reason } when usage access is missing.
+     */
+    static async getUsageSummary(startTime, endTime) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getUsageSummary !== 'function') {
+            return { available: false, reason: 'UNSUPPORTED', apps: [] };
+        }
+        try {
+            const summary = await InstalledApps.getUsageSummary(startTime, endTime);
+            return { apps: [], dayStarts: [], ...summary };
+        } catch (error) {
+            return { available: false, reason: 'ERROR', message: error.message, apps: [] };
+        }
+    }
+    /**
+     * Get foreground/background transitions between startTime and endTime,
+     * oldest first (Android only). Pass null as packageName for every app.
+     * Resolves { available: false, reason } when usage access is missing.
+     */
+    static async getUsageEvents(packageName, startTime, endTime) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (Platform.OS !== 'android' || typeof InstalledApps.getUsageEvents !== 'function') {
+            return { available: false, reason: 'UNSUPPORTED', events: [] };
+        }
+        try {
+            const result = await InstalledApps.getUsageEvents(packageName || null, startTime, endTime);
+            return { events: [], ...result };
+        } catch (error) {
+            return { available: false, reason: 'ERROR', message: error.message, events: [] };
         }
     }
     /**
@@ -133,6 +308,26 @@ export class NativeBridgeService {
             throw new Error(`Failed to request usage stats permission: ${error.message}`);
         }
     }
+    /**
+     * Open the system settings page for an app, where permissions can be
+     * revoked or the app uninstalled (Android only)
+     */
+    static async openAppSettings(packageName) {
+        if (!this.isAvailable()) {
+            throw new Error('Native module InstalledApps not available');
+        }
+        if (!packageName) {
+            throw new Error('Package name is required');
+        }
+        if (Platform.OS !== 'android') {
+            return false;
+        }
+        try {
+            return await InstalledApps.openAppSettings(packageName);
+        } catch (error) {
+            throw new Error(`Failed to open app settings: ${error.message}`);
+        }
+    }
     /**
      * Format network usage data for display
      */
@@ -233,21 +428,30 @@ export class NativeBridgeService {
         }
         try {
             const networkUsage = await this.getNetworkUsage(app.packageName);
-            const formattedUsage = this.formatNetworkUsage(networkUsage);
-            return {
-                ...app,
-                networkUsage,
-                formattedNetworkUsage: formattedUsage,
-                dataUsage: {
-                    total: (networkUsage.totalRx || 0) + (networkUsage.totalTx || 0),
-                    mobile: (networkUsage.mobileRx || 0) + (networkUsage.mobileTx || 0),
-                    wifi: (networkUsage.wifiRx || 0) + (networkUsage.wifiTx || 0),
-                    sent: (networkUsage.mobileTx || 0) + (networkUsage.wifiTx || 0),
-                    received: (networkUsage.mobileRx || 0) + (networkUsage.wifiRx || 0),
-                },
-            };
+            return this.applyNetworkUsage(app, networkUsage);
         } catch (error) {
             return app;
         }
     }
+    /**
+     * Attach raw native network usage and the derived dataUsage totals to an app.
+     * foreground and background are null when the device can't split them.
+     */
+    static applyNetworkUsage(app, networkUsage = {}) {
+        const hasStateBreakdown = networkUsage.hasStateBreakdown === true;
+        return {
+            ...app,
+            networkUsage,
+            formattedNetworkUsage: this.formatNetworkUsage(networkUsage),
+            dataUsage: {
+                total: (networkUsage.totalRx || 0) + (networkUsage.totalTx || 0),
+                mobile: (networkUsage.mobileRx || 0) + (networkUsage.mobileTx || 0),
+                wifi: (networkUsage.wifiRx || 0) + (networkUsage.wifiTx || 0),
+                sent: (networkUsage.mobileTx || 0) + (networkUsage.wifiTx || 0),
+                received: (networkUsage.mobileRx || 0) + (networkUsage.wifiRx || 0),
+                foreground: hasStateBreakdown ? (networkUsage.foregroundRx || 0) + (networkUsage.foregroundTx || 0) : null,
+                background: hasStateBreakdown ? (networkUsage.backgroundRx || 0) + (networkUsage.backgroundTx || 0) : null,
+            },
+        };
+    }
 }
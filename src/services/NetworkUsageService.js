@@ -0,0 +1,161 @@
+import { NativeBridgeService } from './NativeBridgeService';
+
+/**
+ * NetworkUsageService - Per-app network usage over a chosen period,
+ * built from the native daily rx/tx buckets
+ */
+export class NetworkUsageService {
+    static PERIOD_OPTIONS = [7, 30, 90];
+
+    static DEFAULT_PERIOD_DAYS = 30;
+
+    /**
+     * Range covering the last `days` calendar days, including today
+     */
+    static getPeriodRange(days, now = Date.now()) {
+        const start = new Date(now);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - (days - 1));
+        return { startTime: start.getTime(), endTime: now };
+    }
+
+    /**
+     * Get an app's daily usage between startTime and endTime
+     */
+    static async getDailyUsage(packageName, startTime, endTime) {
+        const history = await NativeBridgeService.getNetworkUsageHistory(packageName, startTime, endTime);
+        return (history.days || []).map(day => this.normalizeDay(day));
+    }
+
+    /**
+     * Add `dataUsage` totals and `dailyUsage` buckets for the last `days` days to each app.
+     * Uses one native query for all apps, falling back to one per app when the
+     * batch query is unavailable. Apps missing from the batch had no traffic.
+     */
+    static async getAppsUsageForPeriod(apps = [], days = 30, now = Date.now()) {
+        const { startTime, endTime } = this.getPeriodRange(days, now);
+        const period = { days, startTime, endTime };
+        const withUsage = (app, dailyUsage) => ({
+            ...app,
+            dataUsage: this.summarizeDays(dailyUsage),
+            dailyUsage,
+            dataUsagePeriod: period,
+        });
+
+        const validApps = apps.filter(app => app?.packageName);
+        const history = await NativeBridgeService.getAllAppsNetworkUsageHistory(startTime, endTime);
+        if (history) {
+            const daysByPackage = new Map(history
+                .filter(entry => entry && entry.packageName)
+                .map(entry => [entry.packageName, entry.days || []]));
+            return validApps.map(app => withUsage(
+                app,
+                (daysByPackage.get(app.packageName) || []).map(day => this.normalizeDay(day))
+            ));
+        }
+
+        const results = [];
+        for (const app of validApps) {
+            try {
+                results.push(withUsage(app, await this.getDailyUsage(app.packageName, startTime, endTime)));
+            } catch (error) {
+                results.push({ ...app, dailyUsage: [] });
+            }
+        }
+        return results;
+    }
+
+    static normalizeDay(day) {
+        const mobileRx = day.mobileRx || 0;
+        const mobileTx = day.mobileTx || 0;
+        const wifiRx = day.wifiRx || 0;
+        const wifiTx = day.wifiTx || 0;
+        const hasStateBreakdown = day.hasStateBreakdown === true;
+        return {
+            date: day.date,
+            mobile: mobileRx + mobileTx,
+            wifi: wifiRx + wifiTx,
+            sent: mobileTx + wifiTx,
+            received: mobileRx + wifiRx,
+            total: mobileRx + mobileTx + wifiRx + wifiTx,
+            foreground: hasStateBreakdown ? (day.foregroundRx || 0) + (day.foregroundTx || 0) : null,
+            background: hasStateBreakdown ? (day.backgroundRx || 0) + (day.backgroundTx || 0) : null,
+        };
+    }
+
+    /**
+     * Sum daily buckets into the `dataUsage` shape used across the app
+     */
+    static summarizeDays(dailyUsage = []) {
+        return dailyUsage.reduce((totals, day) => ({
+            total: totals.total + day.total,
+            mobile: totals.mobile + day.mobile,
+            wifi: totals.wifi + day.wifi,
+            sent: totals.sent + day.sent,
+            received: totals.received + day.received,
+            foreground: this.addKnown(totals.foreground, day.foreground),
+            background: this.addKnown(totals.background, day.background),
+        }), { total: 0, mobile: 0, wifi: 0, sent: 0, received: 0, foreground: 0, background: 0 });
+    }
+
+    // Sum that stays null once any part is unknown
+    static addKnown(total, value) {
+        return total === null || value === null || value === undefined ? null : total + value;
+    }
+
+    /**
+     * Sum a usage figure across apps. Packages sharing a UID each report the
+     * UID's combined usage, so each UID is counted once.
+     */
+    static sumByUid(apps = [], getBytes = app => app.dataUsage?.total || 0) {
+        const countedUids = new Set();
+        return apps.reduce((sum, app) => {
+            if (typeof app.uid === 'number') {
+                if (countedUids.has(app.uid)) {
+                    return sum;
+                }
+                countedUids.add(app.uid);
+            }
+            return sum + getBytes(app);
+        }, 0);
+    }
+
+    // Background traffic must pass both limits for an app to count as a hog
+    static BACKGROUND_HOG_MIN_BYTES = 50 * 1024 * 1024;
+    static BACKGROUND_HOG_MIN_SHARE = 0.5;
+
+    /**
+     * Apps that moved most of their data while not on screen, heaviest first.
+     * Apps without a foreground/background split are left out.
+     */
+    static getBackgroundHogs(apps = []) {
+        return apps
+            .filter(app => this.isBackgroundHog(app.dataUsage))
+            .sort((a, b) => b.dataUsage.background - a.dataUsage.background);
+    }
+
+    static isBackgroundHog(dataUsage) {
+        if (!dataUsage || typeof dataUsage.background !== 'number' || dataUsage.total <= 0) {
+            return false;
+        }
+        return dataUsage.background >= this.BACKGROUND_HOG_MIN_BYTES
+            && dataUsage.background / dataUsage.total >= this.BACKGROUND_HOG_MIN_SHARE;
+    }
+
+    /**
+     * Total usage per day across several apps
+     */
+    static combineDailyUsage(apps = []) {
+        const byDate = new Map();
+        apps.forEach(app => {
+            (app.dailyUsage || []).forEach(day => {
+                byDate.set(day.date, (byDate.get(day.date) || 0) + day.total);
+            });
+        });
+        return [...byDate.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([date, total]) => ({ date, total }));
+    }
+}
+
+export default NetworkUsageService;
@@ -0,0 +1,252 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NativeBridgeService } from './NativeBridgeService';
+import { buildSessions } from '../utils/sessionBuilder';
+
+const QUIET_HOURS_KEY = 'quietHours';
+const OWN_PACKAGE = 'com.mobilemonitor';
+const MB = 1024 * 1024;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * NightActivityService - Finds apps that were on screen or moved data during
+ * the user's quiet hours while nothing else on the device was in use
+ */
+export class NightActivityService {
+    static DEFAULT_QUIET_HOURS = {
+        startHour: 1,
+        endHour: 5,
+    };
+
+    // An app must pass one of these within the idle quiet hours to be flagged
+    static MIN_IDLE_BYTES = 5 * MB;
+    static MIN_IDLE_FOREGROUND_MS = 5 * MINUTE_MS;
+
+    // Uploads while no app at all was on screen. Sync and backup traffic of a
+    // few megabytes a night is normal, so only larger uploads count.
+    static MIN_UNATTENDED_SENT_BYTES = 20 * MB;
+
+    /**
+     * Get the stored quiet hours merged over the defaults
+     */
+    static async getQuietHours() {
+        try {
+            const stored = await AsyncStorage.getItem(QUIET_HOURS_KEY);
+            return this.normalizeQuietHours(stored ? JSON.parse(stored) : {});
+        } catch (error) {
+            return this.normalizeQuietHours({});
+        }
+    }
+
+    static async saveQuietHours(quietHours) {
+        const normalized = this.normalizeQuietHours(quietHours);
+        await AsyncStorage.setItem(QUIET_HOURS_KEY, JSON.stringify(normalized));
+        return normalized;
+    }
+
+    static normalizeQuietHours(quietHours = {}) {
+        const toHour = (value, fallback) => (
+            Number.isInteger(value) && value >= 0 && value < 24 ? value : fallback
+        );
+        const startHour = toHour(quietHours.startHour, this.DEFAULT_QUIET_HOURS.startHour);
+        const endHour = toHour(quietHours.endHour, this.DEFAULT_QUIET_HOURS.endHour);
+        // An empty window can't be evaluated
+        return startHour === endHour ? { ...this.DEFAULT_QUIET_HOURS } : { startHour, endHour };
+    }
+
+    /**
+     * e.g. "1:00–5:00"
+     */
+    static formatQuietHours({ startHour, endHour }) {
+        return `${startHour}:00–${endHour}:00`;
+    }
+
+    /**
+     * The most recent quiet-hours window that has already ended, as
+     * { startTime, endTime }. Windows may cross midnight.
+     */
+    static getLastQuietWindow(quietHours, now = Date.now()) {
+        const { startHour, endHour } = this.normalizeQuietHours(quietHours);
+        const durationHours = (endHour - startHour + 24) % 24;
+
+        const start = new Date(now);
+        start.setHours(startHour, 0, 0, 0);
+        const end = new Date(start);
+        end.setHours(startHour + durationHours);
+
+        while (end.getTime() > now) {
+            start.setDate(start.getDate() - 1);
+            end.setTime(start.getTime());
+            end.setHours(startHour + durationHours);
+        }
+        return { startTime: start.getTime(), endTime: end.getTime() };
+    }
+
+    /**
+     * Check the last quiet-hours window for apps active while the device was
+     * otherwise idle. Resolves [] when usage events can't be read, since idle
+     * time can't be told apart without them.
+     */
+    static async detectNightActivity(apps = [], now = Date.now()) {
+        const quietHours = await this.getQuietHours();
+        const window = this.getLastQuietWindow(quietHours, now);
+
+        const usageEvents = await NativeBridgeService.getUsageEvents(null, window.startTime, window.endTime);
+        if (!usageEvents.available) {
+            return [];
+        }
+        const networkUsage = await NativeBridgeService.getAllAppsHourlyNetworkUsage(window.startTime, window.endTime);
+
+        const hourStarts = this.getHourStarts(window.startTime, window.endTime);
+        const sessions = buildSessions(usageEvents.events, { rangeStart: window.startTime, rangeEnd: window.endTime });
+        const foregroundByPackage = this.getForegroundByHour(sessions, hourStarts, window.endTime);
+        const trafficByPackage = this.getTrafficByHour(networkUsage || [], hourStarts);
+
+        // Packages sharing a UID all report the UID's traffic, so keep one finding per UID
+        const findingsByUid = new Map();
+        const findings = [];
+        apps.forEach(app => {
+            // System components sync and update themselves overnight
+            if (app.packageName === OWN_PACKAGE || app.isSystemApp) {
+                return;
+            }
+            const finding = this.evaluateApp(app, {
+                window,
+                quietHours,
+                hourStarts,
+                foregroundByPackage,
+                trafficByPackage,
+            });
+            if (!finding) {
+                return;
+            }
+            if (typeof app.uid !== 'number') {
+                findings.push(finding);
+                return;
+            }
+            const current = findingsByUid.get(app.uid);
+            if (!current || finding.idleForegroundMs > current.idleForegroundMs) {
+                findingsByUid.set(app.uid, finding);
+            }
+        });
+        return [...findings, ...findingsByUid.values()];
+    }
+
+    /**
+     * A finding for the app, or null. Only hours in which no other app was on
+     * screen count towards the thresholds.
+     */
+    static evaluateApp(app, { window, quietHours, hourStarts, foregroundByPackage, trafficByPackage }) {
+        const foreground = foregroundByPackage.get(app.packageName);
+        const traffic = trafficByPackage.get(app.packageName);
+        if (!foreground && !traffic) {
+            return null;
+        }
+
+        let idleForegroundMs = 0;
+        let idleBytes = 0;
+        let idleSentBytes = 0;
+        let unattendedSentBytes = 0;
+
+        const hourly = hourStarts.map((startTime, index) => {
+            const foregroundMs = foreground ? foreground[index] : 0;
+            const hourTraffic = traffic ? traffic[index] : { sent: 0, received: 0 };
+            const othersInUse = this.isOtherAppInUse(foregroundByPackage, app.packageName, index);
+
+            if (!othersInUse) {
+                idleForegroundMs += foregroundMs;
+                idleBytes += hourTraffic.sent + hourTraffic.received;
+                idleSentBytes += hourTraffic.sent;
+                if (foregroundMs === 0) {
+                    unattendedSentBytes += hourTraffic.sent;
+                }
+            }
+            return {
+                startTime,
+                bytes: hourTraffic.sent + hourTraffic.received,
+                sentBytes: hourTraffic.sent,
+                foregroundMs,
+                deviceIdle: !othersInUse,
+            };
+        });
+
+        if (idleBytes < this.MIN_IDLE_BYTES && idleForegroundMs < this.MIN_IDLE_FOREGROUND_MS) {
+            return null;
+        }
+
+        return {
+            app,
+            quietHours,
+            windowStart: window.startTime,
+            windowEnd: window.endTime,
+            idleForegroundMs,
+            idleBytes,
+            idleSentBytes,
+            unattendedSentBytes,
+            // Sending data while nothing at all was on screen points to an unattended upload
+            unattended: unattendedSentBytes >= this.MIN_UNATTENDED_SENT_BYTES,
+            hourly,
+        };
+    }
+
+    static isOtherAppInUse(foregroundByPackage, packageName, hourIndex) {
+        for (const [otherPackage, hours] of foregroundByPackage) {
+            if (otherPackage !== packageName && hours[hourIndex] > 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * packageName -> foreground milliseconds per hour of the window
+     */
+    static getForegroundByHour(sessions, hourStarts, windowEnd) {
+        const foregroundByPackage = new Map();
+        sessions.forEach(session => {
+            if (!foregroundByPackage.has(session.packageName)) {
+                foregroundByPackage.set(session.packageName, hourStarts.map(() => 0));
+            }
+            const hours = foregroundByPackage.get(session.packageName);
+            hourStarts.forEach((hourStart, index) => {
+                const hourEnd = hourStarts[index + 1] ?? windowEnd;
+                const overlap = Math.min(session.end, hourEnd) - Math.max(session.start, hourStart);
+                if (overlap > 0) {
+                    hours[index] += overlap;
+                }
+            });
+        });
+        return foregroundByPackage;
+    }
+
+    /**
+     * packageName -> [{ sent, received }] per hour of the window
+     */
+    static getTrafficByHour(networkUsage, hourStarts) {
+        const trafficByPackage = new Map();
+        networkUsage.forEach(entry => {
+            const byStart = new Map((entry.hours || []).map(hour => [hour.startTime, hour]));
+            trafficByPackage.set(entry.packageName, hourStarts.map(startTime => {
+                const hour = byStart.get(startTime) || {};
+                return {
+                    sent: (hour.mobileTx || 0) + (hour.wifiTx || 0),
+                    received: (hour.mobileRx || 0) + (hour.wifiRx || 0),
+                };
+            }));
+        });
+        return trafficByPackage;
+    }
+
+    // Start of every clock hour in the window, matching the native hourly buckets
+    static getHourStarts(startTime, endTime) {
+        const hourStarts = [];
+        const cursor = new Date(startTime);
+        cursor.setMinutes(0, 0, 0);
+        while (cursor.getTime() < endTime) {
+            hourStarts.push(cursor.getTime());
+            cursor.setHours(cursor.getHours() + 1);
+        }
+        return hourStarts;
+    }
+}
+
+export default NightActivityService;
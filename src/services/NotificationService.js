@@ -1,17 +1,47 @@
-import { Alert, Platform } from 'react-native';
+import { Alert, Linking, NativeModules, PermissionsAndroid, Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
+const { MonitorNotifications } = NativeModules;
+
+const ACTIVE_NOTIFICATIONS_KEY = 'activeNotifications';
+const NEXT_NOTIFICATION_ID_KEY = 'nextNotificationId';
+
 class NotificationService {
+    static CHANNELS = {
+        RISK_ALERTS: 'risk_alerts',
+        SCAN_COMPLETE: 'scan_complete',
+        DATA_USAGE: 'data_usage',
+    };
+
+    static DEEP_LINK_PREFIX = 'monitormate://';
+
+    // Entries kept when the notification shade can't be read
+    static MAX_TRACKED_NOTIFICATIONS = 50;
+
+    static isAvailable() {
+        return !!MonitorNotifications;
+    }
+
+    /**
+     * Deep link that opens AppDetailScreen for a package
+     */
+    static getAppDeepLink(packageName) {
+        return `${this.DEEP_LINK_PREFIX}app/${encodeURIComponent(packageName)}`;
+    }
+
     static async checkPermission() {
         try {
-            if (Platform.OS === 'android') {
-                // For Android, we would typically use react-native-permissions
-                // For now, we'll simulate permission checking
-                return true;
-            } else {
-                // For iOS, we would use react-native-permissions
-                return true;
+            if (!this.isAvailable()) {
+                return false;
             }
+            if (Platform.OS === 'android' && Platform.Version >= 33) {
+                const granted = await PermissionsAndroid.check(PermissionsAndroid.PERMISSIONS.POST_NOTIFICATIONS);
+                if (!granted) {
+                    return false;
+                }
+            }
+            // Notifications can also be switched off from system settings
+            return await MonitorNotifications.areNotificationsEnabled();
         } catch (error) {
             console.log('Permission check error:', error);
             return false;
@@ -20,6 +50,22 @@ class NotificationService {
 
     static async requestPermission() {
         try {
+            if (!this.isAvailable()) {
+                Alert.alert(
+                    'Notifications Unavailable',
+                    'Notifications are not supported on this device yet.',
+                    [{ text: 'OK' }]
+                );
+                return false;
+            }
+
+            if (Platform.OS === 'android' && Platform.Version >= 33) {
+                const result = await PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.POST_NOTIFICATIONS);
+                if (result === PermissionsAndroid.RESULTS.DENIED) {
+                    return false;
+                }
+            }
+
             const hasPermission = await this.checkPermission();
             if (!hasPermission) {
                 Alert.alert(
@@ -27,14 +73,13 @@ class NotificationService {
                     'Please enable notifications in your device settings to receive security alerts.',
                     [
                         { text: 'Cancel', style: 'cancel' },
-                        { text: 'Settings', onPress: () => {
-                            // In a real app, this would open device settings
-                            console.log('Open device settings');
-                        }},
+                        { text: 'Settings', onPress: () => this.openNotificationSettings() },
                     ]
                 );
                 return false;
             }
+
+            await MonitorNotifications.createChannels();
             return true;
         } catch (error) {
             console.log('Permission request error:', error);
@@ -42,53 +87,210 @@ class NotificationService {
         }
     }
 
-    static async scheduleRiskAlert(appName, riskLevel) {
+    static async openNotificationSettings() {
+        try {
+            if (this.isAvailable()) {
+                await MonitorNotifications.openNotificationSettings();
+            } else {
+                await Linking.openSettings();
+            }
+        } catch (error) {
+            console.log('Open notification settings error:', error);
+        }
+    }
+
+    static async getSettings() {
+        const settings = await AsyncStorage.getItem('appSettings');
+        return settings ? JSON.parse(settings) : {};
+    }
+
+    /**
+     * Show a notification and remember its id so it can be cancelled later.
+     * Returns the notification id, or null when nothing was shown.
+     */
+    static async showNotification({ channelId, title, body, packageName = null }) {
+        if (!(await this.checkPermission())) {
+            return null;
+        }
+
+        const id = await this.getNextNotificationId();
+        const deepLink = packageName ? this.getAppDeepLink(packageName) : null;
+        const shown = await MonitorNotifications.showNotification(id, channelId, title, body, deepLink);
+        if (!shown) {
+            return null;
+        }
+
+        const active = await this.pruneActiveNotifications();
+        active.push({ id, channelId, packageName, createdAt: Date.now() });
+        await AsyncStorage.setItem(ACTIVE_NOTIFICATIONS_KEY, JSON.stringify(active));
+        return id;
+    }
+
+    static async getNextNotificationId() {
+        const stored = await AsyncStorage.getItem(NEXT_NOTIFICATION_ID_KEY);
+        const id = stored ? parseInt(stored, 10) : 1;
+        // Notification ids are Java ints on Android
+        const nextId = id >= 2147483647 ? 1 : id + 1;
+        await AsyncStorage.setItem(NEXT_NOTIFICATION_ID_KEY, String(nextId));
+        return id;
+    }
+
+    static async getActiveNotifications() {
+        try {
+            const stored = await AsyncStorage.getItem(ACTIVE_NOTIFICATIONS_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Forget notifications that were tapped or dismissed, returning the rest.
+     * When the shade can't be read, only the newest entries are kept.
+     */
+    static async pruneActiveNotifications() {
+        const active = await this.getActiveNotifications();
+        let remaining;
+        try {
+            const shownIds = new Set(await MonitorNotifications.getActiveNotificationIds());
+            remaining = active.filter(notification => shownIds.has(notification.id));
+        } catch (error) {
+            remaining = active.slice(-this.MAX_TRACKED_NOTIFICATIONS);
+        }
+        if (remaining.length !== active.length) {
+            await AsyncStorage.setItem(ACTIVE_NOTIFICATIONS_KEY, JSON.stringify(remaining));
+        }
+        return remaining;
+    }
+
+    static async scheduleRiskAlert(appName, riskLevel, packageName = null) {
         try {
-            const settings = await AsyncStorage.getItem('appSettings');
-            const parsedSettings = settings ? JSON.parse(settings) : {};
+            const parsedSettings = await this.getSettings();
             if (!parsedSettings.notifications || !parsedSettings.riskAlerts) {
                 return false;
             }
 
-            // In a real app, this would schedule a local notification
-            console.log(`Risk alert scheduled for ${appName} (${riskLevel} risk)`);
-            // Simulate notification for demo
-            setTimeout(() => {
-                Alert.alert(
-                    '🚨 Security Alert',
-                    `${appName} has been flagged as ${riskLevel} risk. Review its permissions and data usage.`,
-                    [{ text: 'Review', onPress: () => console.log('Review app') }]
-                );
-            }, 2000);
-
-            return true;
+            const id = await this.showNotification({
+                channelId: this.CHANNELS.RISK_ALERTS,
+                title: '🚨 Security Alert',
+                body: `${appName} has been flagged as ${riskLevel} risk. Review its permissions and data usage.`,
+                packageName,
+            });
+            return id !== null;
         } catch (error) {
             console.log('Schedule notification error:', error);
             return false;
         }
     }
 
+    /**
+     * Show a security alert with its own title and description
+     */
+    static async scheduleSecurityAlert(alert) {
+        try {
+            const parsedSettings = await this.getSettings();
+            if (!parsedSettings.notifications || !parsedSettings.riskAlerts) {
+                return false;
+            }
+
+            const id = await this.showNotification({
+                channelId: this.CHANNELS.RISK_ALERTS,
+                title: `🚨 ${alert.title}`,
+                body: alert.description,
+                packageName: alert.packageName,
+            });
+            return id !== null;
+        } catch (error) {
+            console.log('Schedule security alert error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Notify about newly raised high-severity security alerts
+     */
+    static async notifySecurityAlerts(alerts = []) {
+        const highSeverity = alerts.filter(alert => alert.severity === 'HIGH');
+        for (const alert of highSeverity) {
+            await this.scheduleSecurityAlert(alert);
+        }
+        return highSeverity.length;
+    }
+
     static async scheduleScanComplete(appsScanned) {
         try {
-            const settings = await AsyncStorage.getItem('appSettings');
-            const parsedSettings = settings ? JSON.parse(settings) : {};
+            const parsedSettings = await this.getSettings();
             if (!parsedSettings.notifications) {
                 return false;
             }
 
-            // In a real app, this would schedule a local notification
-            console.log(`Scan complete notification: ${appsScanned} apps scanned`);
-            return true;
+            const id = await this.showNotification({
+                channelId: this.CHANNELS.SCAN_COMPLETE,
+                title: 'Scan Complete',
+                body: `${appsScanned} apps scanned.`,
+            });
+            return id !== null;
         } catch (error) {
             console.log('Schedule scan notification error:', error);
             return false;
         }
     }
 
+    static async scheduleDataUsageAlert(appName, message, packageName = null) {
+        try {
+            const parsedSettings = await this.getSettings();
+            if (!parsedSettings.notifications) {
+                return false;
+            }
+
+            const id = await this.showNotification({
+                channelId: this.CHANNELS.DATA_USAGE,
+                title: `📊 ${appName}`,
+                body: message,
+                packageName,
+            });
+            return id !== null;
+        } catch (error) {
+            console.log('Schedule data usage notification error:', error);
+            return false;
+        }
+    }
+
+    static async cancelNotification(id) {
+        try {
+            if (this.isAvailable()) {
+                await MonitorNotifications.cancelNotification(id);
+            }
+            const active = await this.getActiveNotifications();
+            await AsyncStorage.setItem(
+                ACTIVE_NOTIFICATIONS_KEY,
+                JSON.stringify(active.filter(notification => notification.id !== id))
+            );
+            return true;
+        } catch (error) {
+            console.log('Cancel notification error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Cancel every notification that links to the given package
+     */
+    static async cancelNotificationsForApp(packageName) {
+        const active = await this.pruneActiveNotifications();
+        const matching = active.filter(notification => notification.packageName === packageName);
+        for (const notification of matching) {
+            await this.cancelNotification(notification.id);
+        }
+        return matching.length;
+    }
+
     static async cancelAllNotifications() {
         try {
-            // In a real app, this would cancel all scheduled notifications
-            console.log('All notifications cancelled');
+            if (this.isAvailable()) {
+                await MonitorNotifications.cancelAllNotifications();
+            }
+            await AsyncStorage.removeItem(ACTIVE_NOTIFICATIONS_KEY);
             return true;
         } catch (error) {
             console.log('Cancel notifications error:', error);
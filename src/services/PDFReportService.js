@@ -2,6 +2,10 @@ import { generatePDF } from 'react-native-html-to-pdf';
 import { Platform, PermissionsAndroid } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import RNFS from 'react-native-fs';
+import { ScanSnapshotService } from './ScanSnapshotService';
+import { NetworkUsageService } from './NetworkUsageService';
+import { TrackerService } from './TrackerService';
+import { getTrackerCategoryLabel } from '../utils/trackerSignatures';
 
 export class PDFReportService {
 
@@ -79,14 +83,14 @@ export class PDFReportService {
 
     static async prepareReportData(apps) {
         const settingsData = await AsyncStorage.getItem('appSettings');
-        const scanData = await AsyncStorage.getItem('scanResults');
         const settings = settingsData ? JSON.parse(settingsData) : {};
-        const scanResults = scanData ? JSON.parse(scanData) : {};
+        const scanHistory = await this.summarizeScanHistory();
         const stats = this.calculateStatistics(apps);
         const riskCategories = this.categorizeByRisk(apps);
         const topRiskyApps = this.getTopRiskyApps(apps, 10);
         const permissionAnalysis = this.analyzePermissions(apps);
         const dataUsageSummary = this.summarizeDataUsage(apps);
+        const trackerSummary = this.summarizeTrackers(apps);
         return {
             generatedDate: new Date(),
             appVersion: '1.0.0',
@@ -100,11 +104,27 @@ export class PDFReportService {
             topRiskyApps,
             permissionAnalysis,
             dataUsageSummary,
+            trackerSummary,
             apps,
-            scanResults,
+            scanHistory,
         };
     }
 
+    static async summarizeScanHistory() {
+        try {
+            const index = await ScanSnapshotService.getSnapshotIndex();
+            const changes = await ScanSnapshotService.diffLatest();
+            return {
+                scanCount: index.length,
+                firstScanDate: index.length > 0 ? new Date(index[0].timestamp) : null,
+                lastScanDate: index.length > 0 ? new Date(index[index.length - 1].timestamp) : null,
+                changes,
+            };
+        } catch (error) {
+            return { scanCount: 0, firstScanDate: null, lastScanDate: null, changes: null };
+        }
+    }
+
     static calculateStatistics(apps) {
         const totalApps = apps.length;
 
@@ -114,7 +134,6 @@ export class PDFReportService {
         let noRisk = 0;
 
         let totalPermissions = 0;
-        let totalDataUsage = 0;
 
         apps.forEach(app => {
             const riskLevel = app.riskAnalysis?.riskLevel || 'NO_RISK';
@@ -134,9 +153,8 @@ export class PDFReportService {
 
             const uniquePermissions = [...new Set(app.permissions || [])];
             totalPermissions += uniquePermissions.length;
-
-            totalDataUsage += (app.dataUsage?.total || 0);
         });
+        const totalDataUsage = NetworkUsageService.sumByUid(apps);
 
         return {
             totalApps,
@@ -170,6 +188,7 @@ export class PDFReportService {
     static analyzePermissions(apps) {
         const permissionCount = {};
         const permissionByRisk = {
+            CRITICAL: [],
             HIGH: [],
             MEDIUM: [],
             LOW: [],
@@ -195,6 +214,7 @@ export class PDFReportService {
         return {
             permissionCount,
             mostCommon,
+            criticalPermissions: permissionByRisk.CRITICAL.length,
             highRiskPermissions: permissionByRisk.HIGH.length,
             mediumRiskPermissions: permissionByRisk.MEDIUM.length,
             lowRiskPermissions: permissionByRisk.LOW.length,
@@ -203,8 +223,6 @@ export class PDFReportService {
 
 
     static summarizeDataUsage(apps) {
-        let totalWifi = 0;
-        let totalMobile = 0;
         const topDataConsumers = apps
             .filter(app => app.dataUsage && app.dataUsage.total > 0)
             .map(app => ({
@@ -216,12 +234,8 @@ export class PDFReportService {
             }))
             .sort((a, b) => b.total - a.total)
             .slice(0, 10);
-        apps.forEach(app => {
-            if (app.dataUsage) {
-                totalWifi += app.dataUsage.wifi || 0;
-                totalMobile += app.dataUsage.mobile || 0;
-            }
-        });
+        const totalWifi = NetworkUsageService.sumByUid(apps, app => app.dataUsage?.wifi || 0);
+        const totalMobile = NetworkUsageService.sumByUid(apps, app => app.dataUsage?.mobile || 0);
         return {
             totalWifi: this.formatBytes(totalWifi),
             totalMobile: this.formatBytes(totalMobile),
@@ -230,6 +244,38 @@ export class PDFReportService {
         };
     }
 
+    /**
+     * Tracker SDKs across the apps that have been scanned for them
+     */
+    static summarizeTrackers(apps) {
+        const scannedApps = apps.filter(app => Array.isArray(app.trackers));
+        const trackerCount = {};
+        scannedApps.forEach(app => {
+            app.trackers.forEach(tracker => {
+                trackerCount[tracker.id] = trackerCount[tracker.id] || { ...tracker, count: 0 };
+                trackerCount[tracker.id].count++;
+            });
+        });
+        const appsWithTrackers = scannedApps
+            .filter(app => app.trackers.length > 0)
+            .map(app => ({
+                name: app.name || app.appName || 'Unknown',
+                packageName: app.packageName,
+                trackers: app.trackers,
+            }))
+            .sort((a, b) => b.trackers.length - a.trackers.length);
+        return {
+            scannedCount: scannedApps.length,
+            appsWithTrackersCount: appsWithTrackers.length,
+            totalTrackers: scannedApps.reduce((total, app) => total + app.trackers.length, 0),
+            byCategory: TrackerService.countByCategory(scannedApps.flatMap(app => app.trackers)),
+            mostCommon: Object.values(trackerCount)
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 10),
+            topApps: appsWithTrackers.slice(0, 10),
+        };
+    }
+
     static formatBytes(bytes) {
         if (bytes === 0) {
             return '0 Bytes';
@@ -243,7 +289,7 @@ export class PDFReportService {
 
     static generateHTMLContent(data) {
         const { generatedDate, appVersion, deviceInfo, stats,
-                topRiskyApps, permissionAnalysis, dataUsageSummary, apps } = data;
+                topRiskyApps, permissionAnalysis, dataUsageSummary, trackerSummary, apps, scanHistory } = data;
         return `
 <!DOCTYPE html>
 <html>
@@ -669,6 +715,10 @@ export class PDFReportService {
             <div class="section-title">🔐 Permission Analysis</div>
             
             <div class="info-grid">
+                <div class="info-item">
+                    <div class="info-label">Special Access Grants</div>
+                    <div class="info-value">${permissionAnalysis.criticalPermissions}</div>
+                </div>
                 <div class="info-item">
                     <div class="info-label">High Risk Permissions</div>
                     <div class="info-value">${permissionAnalysis.highRiskPermissions}</div>
@@ -809,6 +859,137 @@ export class PDFReportService {
         </div>
     </div>
     
+    ${trackerSummary?.scannedCount > 0 ? `
+    <!-- Trackers Page -->
+    <div class="page">
+        <div class="section">
+            <div class="section-title">🛰️ Embedded Trackers</div>
+            <p style="margin-bottom: 20px;">Analytics and advertising SDKs found in the code of ${trackerSummary.scannedCount} scanned apps.</p>
+            
+            <div class="info-grid">
+                <div class="info-item">
+                    <div class="info-label">Apps with Trackers</div>
+                    <div class="info-value">${trackerSummary.appsWithTrackersCount}</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Trackers Found</div>
+                    <div class="info-value">${trackerSummary.totalTrackers}</div>
+                </div>
+                ${Object.entries(trackerSummary.byCategory).map(([category, count]) => `
+                    <div class="info-item">
+                        <div class="info-label">${getTrackerCategoryLabel(category)}</div>
+                        <div class="info-value">${count}</div>
+                    </div>
+                `).join('')}
+            </div>
+            
+            ${trackerSummary.mostCommon.length > 0 ? `
+                <div class="subsection-title">Most Common Trackers</div>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Tracker</th>
+                            <th>Type</th>
+                            <th>Apps Using</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${trackerSummary.mostCommon.map(tracker => `
+                            <tr>
+                                <td><strong>${this.escapeHtml(tracker.name)}</strong></td>
+                                <td>${getTrackerCategoryLabel(tracker.category)}</td>
+                                <td>${tracker.count}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                
+                <div class="subsection-title">Apps with the Most Trackers</div>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>App Name</th>
+                            <th>Count</th>
+                            <th>Trackers</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${trackerSummary.topApps.map(app => `
+                            <tr>
+                                <td>
+                                    <strong>${this.escapeHtml(app.name)}</strong><br>
+                                    <small style="color: #666; font-family: monospace;">${app.packageName}</small>
+                                </td>
+                                <td><strong>${app.trackers.length}</strong></td>
+                                <td>${app.trackers.map(tracker => this.escapeHtml(tracker.name)).join(', ')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p>No known trackers were found.</p>'}
+        </div>
+    </div>
+    ` : ''}
+    
+    ${scanHistory?.changes ? `
+    <!-- Scan History Page -->
+    <div class="page">
+        <div class="section">
+            <div class="section-title">🕒 Changes Since Previous Scan</div>
+            
+            <div class="info-grid">
+                <div class="info-item">
+                    <div class="info-label">Scans Recorded</div>
+                    <div class="info-value">${scanHistory.scanCount}</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">New Apps</div>
+                    <div class="info-value">${scanHistory.changes.summary.added}</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Removed Apps</div>
+                    <div class="info-value">${scanHistory.changes.summary.removed}</div>
+                </div>
+                <div class="info-item">
+                    <div class="info-label">Permission Changes</div>
+                    <div class="info-value">${scanHistory.changes.summary.permissionChanges}</div>
+                </div>
+            </div>
+            
+            ${scanHistory.changes.added.length > 0 ? `
+                <div class="subsection-title">Newly Installed</div>
+                <ul style="margin-left: 20px;">
+                    ${scanHistory.changes.added.map(app => `
+                        <li style="margin: 4px 0;">${this.escapeHtml(app.name)} <small style="color: #666; font-family: monospace;">${this.escapeHtml(app.packageName)}</small></li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            
+            ${scanHistory.changes.permissionChanges.length > 0 ? `
+                <div class="subsection-title">Permission Changes</div>
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>App Name</th>
+                            <th>Added</th>
+                            <th>Removed</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${scanHistory.changes.permissionChanges.map(change => `
+                            <tr>
+                                <td><strong>${this.escapeHtml(change.name)}</strong></td>
+                                <td>${change.added.map(p => this.escapeHtml(p)).join(', ') || '-'}</td>
+                                <td>${change.removed.map(p => this.escapeHtml(p)).join(', ') || '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+        </div>
+    </div>
+    ` : ''}
+    
     <!-- Complete App Inventory Page -->
     <div class="page">
         <div class="section">
@@ -1049,6 +1230,7 @@ export class PDFReportService {
 
     static getRiskBadgeClass(level) {
         switch (level) {
+            case 'CRITICAL':
             case 'HIGH':
                 return 'risk-high';
             case 'MEDIUM':
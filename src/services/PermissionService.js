@@ -1,8 +1,11 @@
 import { PermissionsAndroid, Platform, Alert, Linking } from 'react-native';
+import { RiskScoringEngine } from './RiskScoringEngine';
+import { getExpectedPermissionReason, isPermissionExpected } from '../utils/categoryPermissionProfiles';
 
 export class PermissionService {
     // Permission risk levels
     static RISK_LEVELS = {
+        CRITICAL: 'CRITICAL',
         HIGH: 'HIGH',
         MEDIUM: 'MEDIUM',
         LOW: 'LOW',
@@ -155,86 +158,77 @@ export class PermissionService {
             description: 'Can use precise device positioning using ultra-wideband',
             category: 'Device Access',
         },
+        // Special access, granted in system settings rather than at runtime
+        ACCESSIBILITY_SERVICE: {
+            level: PermissionService.RISK_LEVELS.CRITICAL,
+            description: 'Can read everything on screen and tap or type on your behalf',
+            category: 'Special Access',
+        },
+        DEVICE_ADMIN: {
+            level: PermissionService.RISK_LEVELS.CRITICAL,
+            description: 'Can lock or wipe the device and may block its own uninstall',
+            category: 'Special Access',
+        },
+        NOTIFICATION_LISTENER: {
+            level: PermissionService.RISK_LEVELS.CRITICAL,
+            description: 'Can read all notifications, including messages and login codes',
+            category: 'Special Access',
+        },
+        DISPLAY_OVER_APPS: {
+            level: PermissionService.RISK_LEVELS.CRITICAL,
+            description: 'Can draw over other apps, e.g. fake login screens',
+            category: 'Special Access',
+        },
+        DEFAULT_SMS: {
+            level: PermissionService.RISK_LEVELS.CRITICAL,
+            description: 'Is the default SMS app and receives every text message',
+            category: 'Special Access',
+        },
+        DEFAULT_DIALER: {
+            level: PermissionService.RISK_LEVELS.CRITICAL,
+            description: 'Is the default phone app and handles every call',
+            category: 'Special Access',
+        },
+        VPN_SERVICE: {
+            level: PermissionService.RISK_LEVELS.CRITICAL,
+            description: 'Can act as a VPN and see all network traffic while connected',
+            category: 'Special Access',
+        },
     };
 
+    // Ids of the special access grants reported by the native module
+    static SPECIAL_ACCESS = [
+        'ACCESSIBILITY_SERVICE',
+        'DEVICE_ADMIN',
+        'NOTIFICATION_LISTENER',
+        'DISPLAY_OVER_APPS',
+        'DEFAULT_SMS',
+        'DEFAULT_DIALER',
+        'VPN_SERVICE',
+    ];
+
+    static isSpecialAccess(permission) {
+        return this.SPECIAL_ACCESS.includes(permission);
+    }
+
     /**
-     * Analyze the risk level of an app based on its permissions
+     * Analyze the risk level of an app based on its permissions.
+     * Scoring rules live in RiskScoringEngine; `app` supplies extra context
+     * such as hasInternetAccess for combination rules.
      */
-    static analyzeAppRisk(permissions = []) {
-        if (!Array.isArray(permissions) || permissions.length === 0) {
-            return {
-                riskLevel: 'NO_RISK',
-                riskScore: 0,
-                highRiskCount: 0,
-                mediumRiskCount: 0,
-                lowRiskCount: 0,
-                riskFactors: [],
-            };
-        }
-
-        let riskScore = 0;
-        let highRiskCount = 0;
-        let mediumRiskCount = 0;
-        let lowRiskCount = 0;
-        const riskFactors = [];
-
-        const uniquePermissions = [...new Set(permissions)];
-
-        uniquePermissions.forEach(permission => {
-            const risk = this.PERMISSION_RISKS[permission];
-            if (risk) {
-                riskFactors.push({
-                    permission,
-                    ...risk,
-                });
-
-                switch (risk.level) {
-                    case this.RISK_LEVELS.HIGH:
-                        riskScore += 3;
-                        highRiskCount++;
-                        break;
-                    case this.RISK_LEVELS.MEDIUM:
-                        riskScore += 2;
-                        mediumRiskCount++;
-                        break;
-                    case this.RISK_LEVELS.LOW:
-                        riskScore += 1;
-                        lowRiskCount++;
-                        break;
-                }
-            }
+    static analyzeAppRisk(permissions = [], app = {}) {
+        return RiskScoringEngine.evaluate({
+            permissions,
+            app,
+            permissionRisks: this.PERMISSION_RISKS,
         });
-
-        // Determine overall risk level
-        let overallRiskLevel;
-        if (highRiskCount >= 3 || riskScore >= 8) {
-            overallRiskLevel = 'HIGH_RISK';
-        } else if (highRiskCount >= 1 || riskScore >= 4) {
-            overallRiskLevel = 'MEDIUM_RISK';
-        } else if (riskScore >= 1) {
-            overallRiskLevel = 'LOW_RISK';
-        } else {
-            overallRiskLevel = 'NO_RISK';
-        }
-
-        return {
-            riskLevel: overallRiskLevel,
-            riskScore,
-            highRiskCount,
-            mediumRiskCount,
-            lowRiskCount,
-            riskFactors: riskFactors.sort((a, b) => {
-                const levelOrder = { HIGH: 3, MEDIUM: 2, LOW: 1 };
-                return levelOrder[b.level] - levelOrder[a.level];
-            }),
-        };
     }
 
     /**
      * Get detailed permission analysis for an app
      */
-    static getPermissionAnalysis(permissions = []) {
-        const riskAnalysis = this.analyzeAppRisk(permissions);
+    static getPermissionAnalysis(permissions = [], app = {}) {
+        const riskAnalysis = this.analyzeAppRisk(permissions, app);
         const permissionDetails = permissions.map(permission => {
             const risk = this.PERMISSION_RISKS[permission] || {
                 level: this.RISK_LEVELS.LOW,
@@ -245,7 +239,9 @@ export class PermissionService {
             return {
                 name: permission,
                 ...risk,
-                recommendation: this.getPermissionRecommendation(permission, risk.level),
+                isGranted: RiskScoringEngine.isGranted(app, permission),
+                isExpected: isPermissionExpected(riskAnalysis.category, permission),
+                recommendation: this.getPermissionRecommendation(permission, risk.level, riskAnalysis.category),
             };
         });
 
@@ -256,11 +252,63 @@ export class PermissionService {
         };
     }
 
+    // Granted permissions not used for this long are suggested for removal
+    static UNUSED_PERMISSION_DAYS = 30;
+
+    // Permission usage ops that correspond to a requested permission
+    static USAGE_OP_PERMISSIONS = ['CAMERA', 'MICROPHONE', 'LOCATION', 'CONTACTS'];
+
     /**
-     * Get recommendation for specific permission
+     * Suggest revoking granted permissions the app has not used recently
      */
-    static getPermissionRecommendation(permission, riskLevel) {
+    static getUnusedPermissionRecommendations(app = {}, permissionUsage = null) {
+        if (!permissionUsage?.available) {
+            return [];
+        }
+
+        const cutoff = Date.now() - this.UNUSED_PERMISSION_DAYS * 24 * 60 * 60 * 1000;
+        const permissions = [...new Set(app.permissions || [])];
+
+        return this.USAGE_OP_PERMISSIONS
+            .filter(permission => permissions.includes(permission) && RiskScoringEngine.isGranted(app, permission))
+            .filter(permission => {
+                const op = permissionUsage.ops?.[permission];
+                return op && !op.isRunning && (op.lastAccessTime || 0) < cutoff;
+            })
+            .map(permission => {
+                const lastAccessTime = permissionUsage.ops[permission].lastAccessTime || 0;
+                const name = this.formatPermissionName(permission).toLowerCase();
+                return {
+                    type: 'info',
+                    permission,
+                    title: `Unused Permission: ${this.formatPermissionName(permission)}`,
+                    message: lastAccessTime > 0
+                        ? `${app.name || 'This app'} has not used ${name} access in over ${this.UNUSED_PERMISSION_DAYS} days.`
+                        : `${app.name || 'This app'} has no recorded ${name} use.`,
+                    action: 'Revoke it in the app\'s system settings',
+                };
+            });
+    }
+
+    /**
+     * Get recommendation for specific permission, tailored to the app's category when known
+     */
+    static getPermissionRecommendation(permission, riskLevel, category = null) {
+        const permissionName = this.formatPermissionName(permission).toLowerCase();
+        const expected = isPermissionExpected(category, permission);
+
+        if (expected === true) {
+            const reason = getExpectedPermissionReason(category, permission);
+            return `ℹ️ Expected: ${category} apps typically use ${permissionName} access for: ${reason.charAt(0).toLowerCase()}${reason.slice(1)}.`;
+        }
+
+        if (expected === false && riskLevel !== this.RISK_LEVELS.LOW) {
+            return `⚠️ Unexpected: ${category} apps don't usually need ${permissionName} access. Deny it unless you use a specific feature that requires it.`;
+        }
+
         switch (riskLevel) {
+            case this.RISK_LEVELS.CRITICAL:
+                return `🚨 Critical: ${permissionName} gives this app control beyond normal permissions. Turn it off in system settings unless you rely on it.`;
             case this.RISK_LEVELS.HIGH:
                 return `⚠️ High Risk: Review why this app needs ${permission.toLowerCase()} access. Consider alternatives or disable if not essential.`;
             case this.RISK_LEVELS.MEDIUM:
@@ -278,6 +326,15 @@ export class PermissionService {
     static getAppRecommendations(riskAnalysis) {
         const recommendations = [];
 
+        if (riskAnalysis.criticalCount >= 1) {
+            recommendations.push({
+                type: 'critical',
+                title: 'Special Access Granted',
+                message: 'This app holds special access that can be abused to spy on or control the device.',
+                action: 'Review it under Special app access in device settings',
+            });
+        }
+
         if (riskAnalysis.highRiskCount >= 3) {
             recommendations.push({
                 type: 'critical',
@@ -296,6 +353,15 @@ export class PermissionService {
             });
         }
 
+        if (riskAnalysis.anomalies?.length > 0) {
+            recommendations.push({
+                type: 'warning',
+                title: 'Unusual Permissions',
+                message: `${riskAnalysis.anomalies.map(permission => this.formatPermissionName(permission)).join(', ')} ${riskAnalysis.anomalies.length === 1 ? 'is' : 'are'} not typical for a ${riskAnalysis.category} app.`,
+                action: 'Deny permissions the app does not need',
+            });
+        }
+
         if (riskAnalysis.riskScore === 0) {
             recommendations.push({
                 type: 'safe',
@@ -438,6 +504,13 @@ export class PermissionService {
             case 'BACKGROUND_LOCATION': return '🗺️';
             case 'SENSORS_BACKGROUND': return '⌚';
             case 'UWB': return '📡';
+            case 'ACCESSIBILITY_SERVICE': return '♿';
+            case 'DEVICE_ADMIN': return '🛡️';
+            case 'NOTIFICATION_LISTENER': return '🔔';
+            case 'DISPLAY_OVER_APPS': return '🪟';
+            case 'DEFAULT_SMS': return '💬';
+            case 'DEFAULT_DIALER': return '📞';
+            case 'VPN_SERVICE': return '🔐';
             default: return '⚙️';
         }
     }
@@ -0,0 +1,471 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { categorizeApp } from '../utils/appCategorization';
+import { getUnexpectedPermissions } from '../utils/categoryPermissionProfiles';
+import { INSTALL_SOURCES, getInstallSource, getInstallSourceLabel } from '../utils/installSource';
+
+const OVERRIDES_KEY = 'riskScoringOverrides';
+
+const LEVEL_ORDER = {
+    NO_RISK: 0,
+    LOW_RISK: 1,
+    MEDIUM_RISK: 2,
+    HIGH_RISK: 3,
+};
+
+/**
+ * RiskScoringEngine - Rule-based app risk scoring.
+ *
+ * Weights, thresholds and combination rules live in a versioned ruleset that
+ * users can override. Every evaluation returns a breakdown of the rules that
+ * fired so screens can explain a risk level.
+ */
+export class RiskScoringEngine {
+    // Bump when DEFAULT_RULESET changes. Overrides saved against another
+    // version are discarded, since their values were chosen for other rules.
+    static RULESET_VERSION = 6;
+
+    static DEFAULT_RULESET = {
+        version: RiskScoringEngine.RULESET_VERSION,
+        // Points per granted permission risk level
+        weights: {
+            CRITICAL: 5,
+            HIGH: 3,
+            MEDIUM: 2,
+            LOW: 1,
+        },
+        // Points for permissions the app declares but the user has denied
+        deniedWeights: {
+            HIGH: 1,
+            MEDIUM: 1,
+            LOW: 0,
+        },
+        // Per-permission point overrides, e.g. { NOTIFICATIONS: 0 }
+        permissionWeights: {},
+        // Extra points for a permission the app's category does not usually need
+        categoryAnomalyWeights: {
+            HIGH: 2,
+            MEDIUM: 1,
+            LOW: 0,
+        },
+        // Points for where the app was installed from, keyed by INSTALL_SOURCES
+        installSourceWeights: {
+            SIDELOADED: 3,
+        },
+        // Points per embedded analytics or advertising SDK, up to maxPoints
+        trackerWeights: {
+            perTracker: 1,
+            maxPoints: 3,
+        },
+        // Checked in order; the first threshold an app meets sets its level.
+        // minHighRiskCount only counts granted high-risk and critical permissions.
+        thresholds: [
+            { level: 'HIGH_RISK', minHighRiskCount: 3, minScore: 8 },
+            { level: 'MEDIUM_RISK', minHighRiskCount: 1, minScore: 4 },
+            { level: 'LOW_RISK', minScore: 1 },
+        ],
+        // Permissions that are far more dangerous together than apart.
+        // INTERNET is not a user-visible permission, it is derived from hasInternetAccess.
+        combinations: [
+            {
+                id: 'sms_internet_background_location',
+                label: 'Can read messages and track location in the background with internet access',
+                permissions: ['SMS', 'INTERNET', 'BACKGROUND_LOCATION'],
+                points: 6,
+                escalateTo: 'HIGH_RISK',
+            },
+            {
+                id: 'microphone_background_location_internet',
+                label: 'Can record audio and track location in the background with internet access',
+                permissions: ['MICROPHONE', 'BACKGROUND_LOCATION', 'INTERNET'],
+                points: 5,
+                escalateTo: 'HIGH_RISK',
+            },
+            {
+                id: 'call_log_sms_internet',
+                label: 'Can read call history and messages with internet access',
+                permissions: ['CALL_LOG', 'SMS', 'INTERNET'],
+                points: 4,
+                escalateTo: 'HIGH_RISK',
+            },
+            {
+                id: 'camera_microphone_internet',
+                label: 'Can capture photos, video and audio with internet access',
+                permissions: ['CAMERA', 'MICROPHONE', 'INTERNET'],
+                points: 2,
+            },
+        ],
+        // Rule ids (combinations or evaluators) to skip
+        disabledRules: [],
+    };
+
+    // Ruleset used by evaluate(); defaults until loadOverrides() runs
+    static activeRuleset = RiskScoringEngine.DEFAULT_RULESET;
+
+    static overridesLoaded = false;
+
+    // Set when the last load dropped overrides saved for another ruleset version
+    static overridesDiscarded = false;
+
+    // Evaluators run in order. Each returns a list of factors:
+    // { ruleId, type, label, points, permissions?, escalateTo? }
+    // Evaluators with a label can be switched off by the user.
+    static evaluators = [
+        {
+            id: 'permission_weights',
+            evaluate: (context, ruleset) => RiskScoringEngine.evaluatePermissionWeights(context, ruleset),
+        },
+        {
+            id: 'permission_combinations',
+            evaluate: (context, ruleset) => RiskScoringEngine.evaluateCombinations(context, ruleset),
+        },
+        {
+            id: 'category_anomalies',
+            label: 'Permissions unusual for the app category',
+            evaluate: (context, ruleset) => RiskScoringEngine.evaluateCategoryAnomalies(context, ruleset),
+        },
+        {
+            id: 'install_source',
+            label: 'Installed from outside an app store',
+            evaluate: (context, ruleset) => RiskScoringEngine.evaluateInstallSource(context, ruleset),
+        },
+        {
+            id: 'trackers',
+            label: 'Embedded tracker SDKs',
+            evaluate: (context, ruleset) => RiskScoringEngine.evaluateTrackers(context, ruleset),
+        },
+    ];
+
+    /**
+     * Load user overrides from storage and make them active
+     */
+    static async loadOverrides() {
+        try {
+            const stored = await AsyncStorage.getItem(OVERRIDES_KEY);
+            let overrides = stored ? JSON.parse(stored) : null;
+            if (overrides && overrides.baseVersion !== this.RULESET_VERSION) {
+                await AsyncStorage.removeItem(OVERRIDES_KEY);
+                this.overridesDiscarded = true;
+                overrides = null;
+            }
+            this.activeRuleset = this.buildRuleset(overrides);
+        } catch (error) {
+            this.activeRuleset = this.DEFAULT_RULESET;
+        }
+        this.overridesLoaded = true;
+        return this.activeRuleset;
+    }
+
+    /**
+     * Load overrides once per session
+     */
+    static async ensureLoaded() {
+        if (!this.overridesLoaded) {
+            await this.loadOverrides();
+        }
+        return this.activeRuleset;
+    }
+
+    static async getOverrides() {
+        try {
+            const stored = await AsyncStorage.getItem(OVERRIDES_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Persist user overrides. Only the keys present in `overrides` change.
+     */
+    static async saveOverrides(overrides = {}) {
+        const stored = await this.getOverrides();
+        const current = stored?.baseVersion === this.RULESET_VERSION ? stored : {};
+        const merged = {
+            ...current,
+            ...overrides,
+            baseVersion: this.RULESET_VERSION,
+        };
+        await AsyncStorage.setItem(OVERRIDES_KEY, JSON.stringify(merged));
+        this.activeRuleset = this.buildRuleset(merged);
+        this.overridesLoaded = true;
+        this.overridesDiscarded = false;
+        return this.activeRuleset;
+    }
+
+    static async resetOverrides() {
+        await AsyncStorage.removeItem(OVERRIDES_KEY);
+        this.activeRuleset = this.DEFAULT_RULESET;
+        this.overridesDiscarded = false;
+        this.overridesLoaded = true;
+        return this.activeRuleset;
+    }
+
+    /**
+     * Merge overrides over the default ruleset
+     */
+    static buildRuleset(overrides) {
+        const defaults = this.DEFAULT_RULESET;
+        if (!overrides || typeof overrides !== 'object') {
+            return defaults;
+        }
+
+        // Combination overrides replace default rules with the same id
+        const customCombinations = Array.isArray(overrides.combinations) ? overrides.combinations : [];
+        const customIds = new Set(customCombinations.map(rule => rule.id));
+
+        return {
+            version: defaults.version,
+            overridesBaseVersion: overrides.baseVersion || null,
+            weights: { ...defaults.weights, ...(overrides.weights || {}) },
+            deniedWeights: { ...defaults.deniedWeights, ...(overrides.deniedWeights || {}) },
+            permissionWeights: { ...defaults.permissionWeights, ...(overrides.permissionWeights || {}) },
+            categoryAnomalyWeights: { ...defaults.categoryAnomalyWeights, ...(overrides.categoryAnomalyWeights || {}) },
+            installSourceWeights: { ...defaults.installSourceWeights, ...(overrides.installSourceWeights || {}) },
+            trackerWeights: { ...defaults.trackerWeights, ...(overrides.trackerWeights || {}) },
+            thresholds: Array.isArray(overrides.thresholds) ? overrides.thresholds : defaults.thresholds,
+            combinations: [
+                ...defaults.combinations.filter(rule => !customIds.has(rule.id)),
+                ...customCombinations,
+            ],
+            disabledRules: [
+                ...defaults.disabledRules,
+                ...(Array.isArray(overrides.disabledRules) ? overrides.disabledRules : []),
+            ],
+        };
+    }
+
+    /**
+     * Score an app
+     */
+    static evaluate({ permissions = [], app = {}, permissionRisks = {} } = {}) {
+        const ruleset = this.activeRuleset;
+        const uniquePermissions = [...new Set(Array.isArray(permissions) ? permissions : [])];
+        const grantedPermissions = uniquePermissions.filter(permission => this.isGranted(app, permission));
+        const context = {
+            app: app || {},
+            category: app?.category && app.category !== 'Other'
+                ? app.category
+                : categorizeApp(app?.packageName, app?.name || ''),
+            permissions: uniquePermissions,
+            grantedPermissions,
+            capabilities: this.getCapabilities(grantedPermissions, app || {}),
+            permissionRisks,
+        };
+
+        const breakdown = [];
+        // A rule that throws adds no points; listed so the score isn't silently low
+        const failedRules = [];
+        this.evaluators
+            .filter(evaluator => !ruleset.disabledRules.includes(evaluator.id))
+            .forEach(evaluator => {
+                try {
+                    const factors = evaluator.evaluate(context, ruleset) || [];
+                    factors
+                        .filter(factor => !ruleset.disabledRules.includes(factor.ruleId))
+                        .forEach(factor => breakdown.push({ evaluator: evaluator.id, ...factor }));
+                } catch (error) {
+                    failedRules.push(evaluator.id);
+                }
+            });
+
+        const riskScore = Math.max(0, breakdown.reduce((total, factor) => total + (factor.points || 0), 0));
+        const riskFactors = uniquePermissions
+            .filter(permission => permissionRisks[permission])
+            .map(permission => ({ permission, ...permissionRisks[permission], isGranted: this.isGranted(app, permission) }))
+            .sort((a, b) => {
+                const levelOrder = { CRITICAL: 4, HIGH: 3, MEDIUM: 2, LOW: 1 };
+                return levelOrder[b.level] - levelOrder[a.level];
+            });
+        const counts = this.countByLevel(riskFactors);
+        const grantedCounts = this.countByLevel(riskFactors.filter(factor => factor.isGranted));
+
+        const thresholdLevel = this.getThresholdLevel(ruleset.thresholds, riskScore, grantedCounts);
+        const escalation = breakdown
+            .filter(factor => factor.escalateTo)
+            .reduce((highest, factor) => this.maxLevel(highest, factor.escalateTo), 'NO_RISK');
+        const riskLevel = this.maxLevel(thresholdLevel, escalation);
+
+        return {
+            riskLevel,
+            riskScore,
+            criticalCount: counts.CRITICAL,
+            highRiskCount: counts.HIGH,
+            mediumRiskCount: counts.MEDIUM,
+            lowRiskCount: counts.LOW,
+            grantedHighRiskCount: grantedCounts.HIGH,
+            deniedPermissions: riskFactors.filter(factor => !factor.isGranted).map(factor => factor.permission),
+            riskFactors,
+            anomalies: breakdown
+                .filter(factor => factor.type === 'anomaly')
+                .map(factor => factor.permissions[0]),
+            category: context.category,
+            breakdown: breakdown.sort((a, b) => (b.points || 0) - (a.points || 0)),
+            failedRules,
+            levelReason: escalation !== 'NO_RISK' && LEVEL_ORDER[escalation] > LEVEL_ORDER[thresholdLevel]
+                ? 'combination'
+                : 'threshold',
+            rulesetVersion: ruleset.version,
+        };
+    }
+
+    /**
+     * Whether a permission is granted. Apps without grant state (iOS, older
+     * scans) are treated as having every declared permission granted.
+     */
+    static isGranted(app, permission) {
+        const grants = app?.permissionGrants;
+        if (!grants || grants[permission] === undefined) {
+            return true;
+        }
+        return grants[permission] === true;
+    }
+
+    /**
+     * Granted permissions plus derived capabilities that rules can match on
+     */
+    static getCapabilities(permissions, app) {
+        const capabilities = new Set(permissions);
+        if (app.hasInternetAccess) {
+            capabilities.add('INTERNET');
+        }
+        return capabilities;
+    }
+
+    static evaluatePermissionWeights(context, ruleset) {
+        return context.permissions
+            .filter(permission => context.permissionRisks[permission])
+            .map(permission => {
+                const risk = context.permissionRisks[permission];
+                const granted = context.grantedPermissions.includes(permission);
+                const points = granted
+                    ? ruleset.permissionWeights[permission] ?? ruleset.weights[risk.level] ?? 0
+                    : ruleset.deniedWeights[risk.level] ?? 0;
+                return {
+                    ruleId: `permission:${permission}`,
+                    type: 'permission',
+                    label: `${this.formatName(permission)} (${risk.level.toLowerCase()} risk permission${granted ? '' : ', denied'})`,
+                    points,
+                    permissions: [permission],
+                };
+            })
+            .filter(factor => factor.points !== 0);
+    }
+
+    static evaluateCombinations(context, ruleset) {
+        return ruleset.combinations
+            .filter(rule => Array.isArray(rule.permissions) && rule.permissions.length > 0)
+            .filter(rule => rule.permissions.every(permission => context.capabilities.has(permission)))
+            .map(rule => ({
+                ruleId: rule.id,
+                type: 'combination',
+                label: rule.label,
+                points: rule.points || 0,
+                permissions: rule.permissions,
+                escalateTo: rule.escalateTo,
+            }));
+    }
+
+    // Denied permissions can't be used, so only granted ones count as unusual
+    static evaluateCategoryAnomalies(context, ruleset) {
+        return getUnexpectedPermissions(context.category, context.grantedPermissions)
+            .filter(permission => context.permissionRisks[permission])
+            .map(permission => {
+                const risk = context.permissionRisks[permission];
+                return {
+                    ruleId: `category_anomaly:${permission}`,
+                    type: 'anomaly',
+                    label: `${this.formatName(permission)} is unusual for a ${context.category} app`,
+                    points: ruleset.categoryAnomalyWeights[risk.level] ?? 0,
+                    permissions: [permission],
+                };
+            })
+            .filter(factor => factor.points !== 0);
+    }
+
+    // Apps from outside an app store skip its malware review
+    static evaluateInstallSource(context, ruleset) {
+        const source = context.app.installSource || getInstallSource(context.app);
+        const points = ruleset.installSourceWeights[source] ?? 0;
+        if (points === 0) {
+            return [];
+        }
+        return [{
+            ruleId: `install_source:${source}`,
+            type: 'install_source',
+            label: source === INSTALL_SOURCES.SIDELOADED
+                ? 'Sideloaded from outside an app store'
+                : `Installed from: ${getInstallSourceLabel(source)}`,
+            points,
+        }];
+    }
+
+    /**
+     * Points for the tracker SDKs found in the app; apps not scanned yet score none.
+     * System apps are only scanned when their details are opened, so they score
+     * none either, or their score would change between otherwise identical scans.
+     */
+    static evaluateTrackers(context, ruleset) {
+        const trackers = context.app.trackers;
+        if (context.app.isSystemApp || !Array.isArray(trackers) || trackers.length === 0) {
+            return [];
+        }
+        const { perTracker, maxPoints } = ruleset.trackerWeights;
+        const points = Math.min(trackers.length * perTracker, maxPoints);
+        if (points <= 0) {
+            return [];
+        }
+        return [{
+            ruleId: 'trackers',
+            type: 'trackers',
+            label: `Embeds ${trackers.length} tracker SDK${trackers.length !== 1 ? 's' : ''}`,
+            points,
+            trackers: trackers.map(tracker => tracker.name),
+        }];
+    }
+
+    static formatName(permission) {
+        return permission.toLowerCase().replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    }
+
+    static countByLevel(riskFactors) {
+        const counts = { CRITICAL: 0, HIGH: 0, MEDIUM: 0, LOW: 0 };
+        riskFactors.forEach(factor => {
+            if (counts[factor.level] !== undefined) {
+                counts[factor.level]++;
+            }
+        });
+        return counts;
+    }
+
+    static getThresholdLevel(thresholds, riskScore, counts) {
+        const match = thresholds.find(threshold => {
+            const meetsCount = threshold.minHighRiskCount !== undefined
+                && counts.HIGH + counts.CRITICAL >= threshold.minHighRiskCount;
+            const meetsScore = threshold.minScore !== undefined && riskScore >= threshold.minScore;
+            return meetsCount || meetsScore;
+        });
+        return match ? match.level : 'NO_RISK';
+    }
+
+    static maxLevel(a, b) {
+        return (LEVEL_ORDER[b] || 0) > (LEVEL_ORDER[a] || 0) ? b : a;
+    }
+
+    /**
+     * Human readable explanation of a risk analysis
+     */
+    static explain(riskAnalysis) {
+        if (!riskAnalysis?.breakdown || riskAnalysis.breakdown.length === 0) {
+            return [];
+        }
+        return riskAnalysis.breakdown.map(factor => ({
+            ruleId: factor.ruleId,
+            type: factor.type,
+            text: factor.label,
+            points: factor.points,
+            isEscalation: !!factor.escalateTo,
+        }));
+    }
+}
+
+export default RiskScoringEngine;
@@ -0,0 +1,308 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getSignerChange } from '../utils/signingCertificates';
+import { getInstallSource } from '../utils/installSource';
+
+const SNAPSHOT_INDEX_KEY = 'scanSnapshots';
+const SNAPSHOT_KEY_PREFIX = 'scanSnapshot:';
+
+// Snapshots saved with the showNonLaunchableApps setting off leave out
+// preinstalled packages without a launcher icon. Older records have no
+// isSystemApp, so those packages count as possibly preinstalled.
+const excludesSystemComponents = (snapshot) => snapshot?.metadata?.systemComponentsIncluded === false;
+const isPossibleSystemComponent = (app) => app.hasLauncher === false && app.isSystemApp !== false;
+
+/**
+ * ScanSnapshotService - Persists every app scan as a versioned snapshot
+ * and computes differences between any two snapshots
+ */
+export class ScanSnapshotService {
+    // Bump when the stored snapshot shape changes and add a step to migrateSnapshot
+    static SCHEMA_VERSION = 3;
+
+    // Oldest snapshots are pruned once this many are stored
+    static MAX_SNAPSHOTS = 20;
+
+    // Index updates run one at a time so a background scan and a UI scan
+    // finishing together can't drop each other's entries
+    static writeQueue = Promise.resolve();
+
+    /**
+     * Run a read-modify-write of the index after any write already queued
+     */
+    static enqueueWrite(task) {
+        const write = this.writeQueue.then(task);
+        this.writeQueue = write.catch(() => { });
+        return write;
+    }
+
+    /**
+     * Save a scan of the given apps as a new snapshot
+     */
+    static saveSnapshot(apps = [], metadata = {}) {
+        return this.enqueueWrite(() => this.writeSnapshot(apps, metadata));
+    }
+
+    static async writeSnapshot(apps, metadata) {
+        const index = await this.getSnapshotIndex();
+        // Keep ids unique when two scans finish within the same millisecond
+        const lastTimestamp = index.length > 0 ? index[index.length - 1].timestamp : 0;
+        const timestamp = Math.max(Date.now(), lastTimestamp + 1);
+        const snapshot = {
+            id: `scan_${timestamp}`,
+            schemaVersion: this.SCHEMA_VERSION,
+            timestamp,
+            metadata,
+            apps: (apps || [])
+                .filter(app => app && app.packageName)
+                .map(app => this.buildSnapshotApp(app)),
+        };
+
+        await AsyncStorage.setItem(`${SNAPSHOT_KEY_PREFIX}${snapshot.id}`, JSON.stringify(snapshot));
+
+        index.push({
+            id: snapshot.id,
+            timestamp,
+            appCount: snapshot.apps.length,
+        });
+        index.splice(0, Math.max(0, index.length - this.MAX_SNAPSHOTS));
+        await AsyncStorage.setItem(SNAPSHOT_INDEX_KEY, JSON.stringify(index));
+
+        // Also drops snapshots orphaned by writes that raced before this was serialized
+        const kept = new Set(index.map(entry => `${SNAPSHOT_KEY_PREFIX}${entry.id}`));
+        const allKeys = await AsyncStorage.getAllKeys();
+        const expired = allKeys.filter(key => key.startsWith(SNAPSHOT_KEY_PREFIX) && !kept.has(key));
+        if (expired.length > 0) {
+            await AsyncStorage.multiRemove(expired);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Reduce an app to the fields worth keeping in scan history.
+     * Icons are deliberately left out to keep snapshots small.
+     */
+    static buildSnapshotApp(app) {
+        return {
+            packageName: app.packageName,
+            name: app.name || app.appName || app.packageName,
+            version: app.version || app.versionName || null,
+            category: app.category || null,
+            hasLauncher: app.hasLauncher !== false,
+            isSystemApp: app.isSystemApp === true,
+            uid: app.uid ?? null,
+            installDate: app.installDate || null,
+            // Undefined when the platform doesn't report an installer
+            installerPackageName: app.installerPackageName,
+            initiatingPackageName: app.initiatingPackageName || null,
+            installSource: app.installSource || getInstallSource(app),
+            lastUsedTimestamp: app.lastUsedTimestamp || null,
+            // False when lastUsedTimestamp is only the last update time
+            hasUsageStats: app.hasUsageStats !== false,
+            permissions: [...new Set(app.permissions || [])].sort(),
+            hasInternetAccess: app.hasInternetAccess === true,
+            permissionGrants: app.permissionGrants || null,
+            signingCertificates: app.signingCertificates || null,
+            signingCertificateHistory: app.signingCertificateHistory || [],
+            riskAnalysis: {
+                riskLevel: app.riskAnalysis?.riskLevel || 'NO_RISK',
+                riskScore: app.riskAnalysis?.riskScore || 0,
+            },
+            dataUsage: {
+                total: app.dataUsage?.total || 0,
+                mobile: app.dataUsage?.mobile || 0,
+                wifi: app.dataUsage?.wifi || 0,
+                sent: app.dataUsage?.sent || 0,
+                received: app.dataUsage?.received || 0,
+                background: app.dataUsage?.background ?? null,
+            },
+        };
+    }
+
+    /**
+     * Get the list of stored snapshots (oldest first), without app data
+     */
+    static async getSnapshotIndex() {
+        try {
+            const stored = await AsyncStorage.getItem(SNAPSHOT_INDEX_KEY);
+            const index = stored ? JSON.parse(stored) : [];
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Load a single snapshot by id
+     */
+    static async getSnapshot(id) {
+        if (!id) {
+            return null;
+        }
+        try {
+            const stored = await AsyncStorage.getItem(`${SNAPSHOT_KEY_PREFIX}${id}`);
+            return stored ? this.migrateSnapshot(JSON.parse(stored)) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Load the most recent snapshots, newest first
+     */
+    static async getRecentSnapshots(count = 2) {
+        const index = await this.getSnapshotIndex();
+        const ids = index.slice(-count).reverse().map(entry => entry.id);
+        const snapshots = await Promise.all(ids.map(id => this.getSnapshot(id)));
+        return snapshots.filter(snapshot => snapshot !== null);
+    }
+
+    /**
+     * Load the most recent snapshot
+     */
+    static async getLatestSnapshot() {
+        const [latest] = await this.getRecentSnapshots(1);
+        return latest || null;
+    }
+
+    /**
+     * Diff the two most recent snapshots
+     */
+    static async diffLatest() {
+        const [current, previous] = await this.getRecentSnapshots(2);
+        if (!current || !previous) {
+            return null;
+        }
+        return this.diffSnapshots(previous, current);
+    }
+
+    /**
+     * Remove all stored snapshots
+     */
+    static clearSnapshots() {
+        return this.enqueueWrite(async () => {
+            const allKeys = await AsyncStorage.getAllKeys();
+            await AsyncStorage.multiRemove([
+                SNAPSHOT_INDEX_KEY,
+                ...allKeys.filter(key => key.startsWith(SNAPSHOT_KEY_PREFIX)),
+            ]);
+        });
+    }
+
+    /**
+     * Upgrade snapshots written by older schema versions
+     */
+    static migrateSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            return null;
+        }
+        if (!snapshot.schemaVersion || snapshot.schemaVersion > this.SCHEMA_VERSION) {
+            return null;
+        }
+        return {
+            ...snapshot,
+            // Version 1 scans skipped packages without a launcher icon
+            launcherAppsOnly: snapshot.schemaVersion < 2,
+            // Version 2 and older scans left out inputs the risk score depends
+            // on, such as internet access and the install source
+            riskInputsMissing: snapshot.schemaVersion < 3,
+            apps: Array.isArray(snapshot.apps) ? snapshot.apps : [],
+        };
+    }
+
+    /**
+     * Compare two snapshots and list added, removed and updated apps
+     */
+    static diffSnapshots(previous, current) {
+        const previousApps = new Map((previous?.apps || []).map(app => [app.packageName, app]));
+        const currentApps = new Map((current?.apps || []).map(app => [app.packageName, app]));
+
+        const added = [];
+        const removed = [];
+        const updated = [];
+        const permissionChanges = [];
+
+        currentApps.forEach((app, packageName) => {
+            const before = previousApps.get(packageName);
+            if (!before) {
+                // Background packages weren't scanned before, so they aren't new installs
+                if (previous?.launcherAppsOnly && app.hasLauncher === false) {
+                    return;
+                }
+                // Nor are components that the previous scan's setting hid
+                if (excludesSystemComponents(previous) && isPossibleSystemComponent(app)) {
+                    return;
+                }
+                added.push(app);
+                return;
+            }
+
+            const changes = {};
+            if (before.version !== app.version) {
+                changes.version = { from: before.version, to: app.version };
+            }
+            if (before.riskAnalysis?.riskLevel !== app.riskAnalysis?.riskLevel) {
+                changes.riskLevel = { from: before.riskAnalysis?.riskLevel, to: app.riskAnalysis?.riskLevel };
+            }
+            if (before.riskAnalysis?.riskScore !== app.riskAnalysis?.riskScore) {
+                changes.riskScore = { from: before.riskAnalysis?.riskScore, to: app.riskAnalysis?.riskScore };
+            }
+            const signerChange = getSignerChange(before, app);
+            if (signerChange) {
+                changes.signer = signerChange;
+            }
+
+            const permissionsAdded = app.permissions.filter(permission => !before.permissions.includes(permission));
+            const permissionsRemoved = before.permissions.filter(permission => !app.permissions.includes(permission));
+            if (permissionsAdded.length > 0 || permissionsRemoved.length > 0) {
+                permissionChanges.push({
+                    packageName,
+                    name: app.name,
+                    added: permissionsAdded,
+                    removed: permissionsRemoved,
+                });
+            }
+
+            if (Object.keys(changes).length > 0 || permissionsAdded.length > 0 || permissionsRemoved.length > 0) {
+                updated.push({
+                    packageName,
+                    name: app.name,
+                    changes,
+                    permissionsAdded,
+                    permissionsRemoved,
+                    previous: before,
+                    current: app,
+                });
+            }
+        });
+
+        previousApps.forEach((app, packageName) => {
+            if (!currentApps.has(packageName)) {
+                if (excludesSystemComponents(current) && isPossibleSystemComponent(app)) {
+                    return;
+                }
+                removed.push(app);
+            }
+        });
+
+        return {
+            fromId: previous?.id || null,
+            toId: current?.id || null,
+            fromTimestamp: previous?.timestamp || null,
+            toTimestamp: current?.timestamp || null,
+            added,
+            removed,
+            updated,
+            permissionChanges,
+            summary: {
+                added: added.length,
+                removed: removed.length,
+                updated: updated.length,
+                permissionChanges: permissionChanges.length,
+                hasChanges: added.length + removed.length + updated.length > 0,
+            },
+        };
+    }
+}
+
+export default ScanSnapshotService;
@@ -0,0 +1,136 @@
+import { NativeBridgeService } from './NativeBridgeService';
+import { groupAppsByCategory } from '../utils/appCategorization';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ScreenTimeService - Screen time and launches per app and per category,
+ * compared with the previous period of the same length
+ */
+export class ScreenTimeService {
+    static PERIODS = {
+        DAY: 1,
+        WEEK: 7,
+    };
+
+    /**
+     * The last `days` calendar days up to `now`, and the same span one period earlier
+     */
+    static getPeriodRanges(days, now = Date.now()) {
+        const start = new Date(now);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - (days - 1));
+        const startTime = start.getTime();
+
+        return {
+            current: { startTime, endTime: now },
+            previous: { startTime: startTime - days * DAY_MS, endTime: now - days * DAY_MS },
+        };
+    }
+
+    /**
+     * Screen time report for the inventory apps. Resolves { available: false, reason }
+     * when usage access is missing.
+     */
+    static async getUsageReport(apps = [], days = this.PERIODS.DAY, now = Date.now()) {
+        const ranges = this.getPeriodRanges(days, now);
+        const [current, previous] = await Promise.all([
+            NativeBridgeService.getUsageSummary(ranges.current.startTime, ranges.current.endTime),
+            NativeBridgeService.getUsageSummary(ranges.previous.startTime, ranges.previous.endTime),
+        ]);
+        if (!current.available) {
+            return { available: false, reason: current.reason };
+        }
+        return {
+            available: true,
+            days,
+            ...this.buildReport(apps, current, previous.available ? previous : { apps: [] }),
+        };
+    }
+
+    static buildReport(apps, current, previous) {
+        const previousByPackage = new Map(previous.apps.map(entry => [entry.packageName, entry]));
+        const appsByPackage = new Map(apps.map(app => [app.packageName, app]));
+
+        // Only apps in the inventory, so launchers and system UI are left out
+        const usageApps = current.apps
+            .filter(entry => appsByPackage.has(entry.packageName))
+            .map(entry => {
+                const app = appsByPackage.get(entry.packageName);
+                const before = previousByPackage.get(entry.packageName);
+                const hourlyByDay = entry.hourlyByDay || [];
+                return {
+                    packageName: entry.packageName,
+                    name: app.name,
+                    icon: app.icon,
+                    foregroundTime: entry.totalTimeInForeground || 0,
+                    launchCount: entry.launchCount || 0,
+                    previousForegroundTime: before?.totalTimeInForeground || 0,
+                    previousLaunchCount: before?.launchCount || 0,
+                    daily: hourlyByDay.map(hours => this.sum(hours)),
+                    hourlyByDay,
+                };
+            })
+            .filter(app => app.foregroundTime > 0 || app.launchCount > 0)
+            .sort((a, b) => b.foregroundTime - a.foregroundTime);
+
+        const categories = Object.entries(groupAppsByCategory(usageApps))
+            .map(([category, categoryApps]) => ({
+                category,
+                appCount: categoryApps.length,
+                foregroundTime: this.sum(categoryApps.map(app => app.foregroundTime)),
+                previousForegroundTime: this.sum(categoryApps.map(app => app.previousForegroundTime)),
+            }))
+            .sort((a, b) => b.foregroundTime - a.foregroundTime);
+
+        const dayStarts = current.dayStarts || [];
+        const heatmap = dayStarts.map((date, dayIndex) => ({
+            date,
+            hours: Array.from({ length: 24 }, (_, hour) => {
+                return this.sum(usageApps.map(app => app.hourlyByDay[dayIndex]?.[hour] || 0));
+            }),
+        }));
+
+        const previousInventoryApps = previous.apps.filter(entry => appsByPackage.has(entry.packageName));
+        return {
+            apps: usageApps,
+            categories,
+            heatmap,
+            totals: {
+                foregroundTime: this.sum(usageApps.map(app => app.foregroundTime)),
+                launchCount: this.sum(usageApps.map(app => app.launchCount)),
+                previousForegroundTime: this.sum(previousInventoryApps.map(entry => entry.totalTimeInForeground || 0)),
+                previousLaunchCount: this.sum(previousInventoryApps.map(entry => entry.launchCount || 0)),
+            },
+        };
+    }
+
+    /**
+     * Relative change from the previous period, or null when there is nothing to compare with
+     */
+    static getChange(current, previous) {
+        if (!previous) {
+            return null;
+        }
+        return (current - previous) / previous;
+    }
+
+    static formatDuration(ms) {
+        const totalMinutes = Math.round(ms / (60 * 1000));
+        if (totalMinutes < 1) {
+            return ms > 0 ? '<1m' : '0m';
+        }
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        if (hours === 0) {
+            return `${minutes}m`;
+        }
+        return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+    }
+
+    static sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+}
+
+export default ScreenTimeService;
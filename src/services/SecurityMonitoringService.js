@@ -0,0 +1,528 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PermissionService } from './PermissionService';
+import NotificationService from './NotificationService';
+import { DataUsageAnomalyService } from './DataUsageAnomalyService';
+import { NetworkUsageService } from './NetworkUsageService';
+import { NightActivityService } from './NightActivityService';
+import { ScreenTimeService } from './ScreenTimeService';
+import { findTestKeySigner, shortenDigest } from '../utils/signingCertificates';
+
+const ALERTS_KEY = 'securityAlerts';
+const ALERT_SETTINGS_KEY = 'alertSettings';
+
+/**
+ * SecurityMonitoringService - Compares consecutive scans and raises
+ * persistent security alerts for the SecurityAlertsScreen
+ */
+export class SecurityMonitoringService {
+    static ALERT_TYPES = {
+        HIGH_RISK_PERMISSION: 'HIGH_RISK_PERMISSION',
+        NEW_APP_INSTALLED: 'NEW_APP_INSTALLED',
+        PERMISSION_CHANGE: 'PERMISSION_CHANGE',
+        DATA_USAGE_SPIKE: 'DATA_USAGE_SPIKE',
+        DATA_BUDGET: 'DATA_BUDGET',
+        BACKGROUND_DATA: 'BACKGROUND_DATA',
+        SIGNING_CERTIFICATE: 'SIGNING_CERTIFICATE',
+        SUSPICIOUS_ACTIVITY: 'SUSPICIOUS_ACTIVITY',
+    };
+
+    static SEVERITY = {
+        HIGH: 'HIGH',
+        MEDIUM: 'MEDIUM',
+        LOW: 'LOW',
+    };
+
+    static DEFAULT_ALERT_SETTINGS = {
+        highRiskApps: true,
+        newPermissions: true,
+        suspiciousActivity: true,
+        dataUsageSpikes: false,
+        backgroundActivity: true,
+    };
+
+    // The alertSettings toggle that enables each alert type
+    static ALERT_SETTING_FOR_TYPE = {
+        HIGH_RISK_PERMISSION: 'highRiskApps',
+        NEW_APP_INSTALLED: 'newPermissions',
+        PERMISSION_CHANGE: 'newPermissions',
+        DATA_USAGE_SPIKE: 'dataUsageSpikes',
+        DATA_BUDGET: 'dataUsageSpikes',
+        BACKGROUND_DATA: 'backgroundActivity',
+        SIGNING_CERTIFICATE: 'suspiciousActivity',
+        SUSPICIOUS_ACTIVITY: 'suspiciousActivity',
+    };
+
+    static MAX_ALERTS = 200;
+
+    /**
+     * Get the persisted alert toggles merged over the defaults
+     */
+    static async getAlertSettings() {
+        try {
+            const stored = await AsyncStorage.getItem(ALERT_SETTINGS_KEY);
+            return {
+                ...this.DEFAULT_ALERT_SETTINGS,
+                ...(stored ? JSON.parse(stored) : {}),
+            };
+        } catch (error) {
+            return { ...this.DEFAULT_ALERT_SETTINGS };
+        }
+    }
+
+    /**
+     * Persist the alert toggles
+     */
+    static async saveAlertSettings(settings) {
+        const merged = { ...this.DEFAULT_ALERT_SETTINGS, ...settings };
+        await AsyncStorage.setItem(ALERT_SETTINGS_KEY, JSON.stringify(merged));
+        return merged;
+    }
+
+    /**
+     * Get stored alerts, newest first
+     */
+    static async getAlerts({ includeDismissed = false } = {}) {
+        const alerts = await this.loadAlerts();
+        return alerts
+            .filter(alert => includeDismissed || !alert.isDismissed)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    static async loadAlerts() {
+        try {
+            const stored = await AsyncStorage.getItem(ALERTS_KEY);
+            const alerts = stored ? JSON.parse(stored) : [];
+            if (!Array.isArray(alerts)) {
+                return [];
+            }
+            // Older alerts used type, package and time as the id, which two
+            // findings from one scan could share
+            return alerts.map(alert => (alert.key ? { ...alert, id: this.getAlertId(alert.key, alert.timestamp) } : alert));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static async saveAlerts(alerts) {
+        const trimmed = [...alerts]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, this.MAX_ALERTS);
+        await AsyncStorage.setItem(ALERTS_KEY, JSON.stringify(trimmed));
+        return trimmed;
+    }
+
+    static async updateAlerts(predicate, changes) {
+        const alerts = await this.loadAlerts();
+        const updated = alerts.map(alert => (predicate(alert) ? { ...alert, ...changes } : alert));
+        await this.saveAlerts(updated);
+        return updated;
+    }
+
+    /**
+     * Mark a single alert as read
+     */
+    static async markAsRead(alertId) {
+        return this.updateAlerts(alert => alert.id === alertId, { isRead: true });
+    }
+
+    /**
+     * Dismiss a single alert. Dismissed alerts are kept so the same
+     * finding is not raised again on the next scan.
+     */
+    static async dismissAlert(alertId) {
+        return this.updateAlerts(alert => alert.id === alertId, { isRead: true, isDismissed: true });
+    }
+
+    /**
+     * Dismiss every alert
+     */
+    static async clearAlerts() {
+        return this.updateAlerts(() => true, { isRead: true, isDismissed: true });
+    }
+
+    /**
+     * Generate alerts from a completed scan and persist the new ones.
+     * Returns only alerts that were not raised before and are enabled.
+     * Background data and usage spikes don't depend on the previous scan,
+     * so they are checked even on the first one.
+     */
+    static async processScan(previousSnapshot, currentSnapshot, diff) {
+        if (!currentSnapshot) {
+            return [];
+        }
+
+        const settings = await this.getAlertSettings();
+        const alerts = previousSnapshot && diff ? this.generateAlerts(previousSnapshot, currentSnapshot, diff) : [];
+        alerts.push(...this.detectBackgroundDataHogs(currentSnapshot));
+        alerts.push(...this.detectTestKeySigners(currentSnapshot));
+        if (settings[this.ALERT_SETTING_FOR_TYPE.DATA_USAGE_SPIKE] !== false) {
+            alerts.push(...await this.detectDataUsageSpikes(currentSnapshot));
+        }
+        if (settings[this.ALERT_SETTING_FOR_TYPE.SUSPICIOUS_ACTIVITY] !== false) {
+            alerts.push(...await this.detectNightActivity(currentSnapshot));
+        }
+        const candidates = alerts.filter(alert => settings[this.ALERT_SETTING_FOR_TYPE[alert.type]] !== false);
+
+        const newAlerts = await this.addAlerts(candidates);
+        await NotificationService.notifySecurityAlerts(newAlerts);
+        return newAlerts;
+    }
+
+    /**
+     * Persist alerts, skipping any whose key was already raised
+     */
+    static async addAlerts(candidates) {
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        const existing = await this.loadAlerts();
+        const knownKeys = new Set(existing.map(alert => alert.key));
+        const newAlerts = candidates.filter(alert => {
+            if (knownKeys.has(alert.key)) {
+                return false;
+            }
+            knownKeys.add(alert.key);
+            return true;
+        });
+
+        if (newAlerts.length > 0) {
+            await this.saveAlerts([...newAlerts, ...existing]);
+        }
+        return newAlerts;
+    }
+
+    /**
+     * Build alert candidates by comparing two snapshots
+     */
+    static generateAlerts(previousSnapshot, currentSnapshot, diff) {
+        const alerts = [];
+        const timestamp = currentSnapshot.timestamp || Date.now();
+
+        diff.added.forEach(app => {
+            alerts.push(this.createAlert({
+                type: this.ALERT_TYPES.NEW_APP_INSTALLED,
+                severity: this.getSeverityForRiskLevel(app.riskAnalysis?.riskLevel),
+                app,
+                key: `${this.ALERT_TYPES.NEW_APP_INSTALLED}:${app.packageName}:${app.version}`,
+                title: 'New App Installed',
+                description: `${app.name} was installed with ${app.permissions.length} sensitive permission${app.permissions.length !== 1 ? 's' : ''}.`,
+                action: 'Review the permissions this app requested',
+                timestamp,
+            }));
+
+            if (app.riskAnalysis?.riskLevel === 'HIGH_RISK') {
+                alerts.push(this.createHighRiskAlert(app, timestamp));
+            }
+        });
+
+        diff.updated.forEach(change => {
+            const app = change.current;
+
+            if (change.changes.riskLevel?.to === 'HIGH_RISK') {
+                alerts.push(this.createHighRiskAlert(app, timestamp));
+            }
+
+            if (change.changes.signer) {
+                alerts.push(this.createSignerChangeAlert(app, change.changes.signer, timestamp));
+            }
+
+            // Special access is granted in settings, so it can change without an update
+            const specialAccessAdded = change.permissionsAdded.filter(permission => PermissionService.isSpecialAccess(permission));
+            const permissionsAdded = change.permissionsAdded.filter(permission => !PermissionService.isSpecialAccess(permission));
+
+            if (specialAccessAdded.length > 0) {
+                alerts.push(this.createAlert({
+                    type: this.ALERT_TYPES.PERMISSION_CHANGE,
+                    severity: this.SEVERITY.HIGH,
+                    app,
+                    key: `${this.ALERT_TYPES.PERMISSION_CHANGE}:special:${app.packageName}:${specialAccessAdded.join(',')}`,
+                    title: 'Special Access Granted',
+                    description: `${app.name} was given ${specialAccessAdded.map(p => PermissionService.formatPermissionName(p)).join(', ')} access.`,
+                    action: 'Turn it off under Special app access unless you enabled it yourself',
+                    timestamp,
+                    details: { specialAccessAdded },
+                }));
+            }
+
+            if (permissionsAdded.length > 0) {
+                alerts.push(this.createAlert({
+                    type: this.ALERT_TYPES.PERMISSION_CHANGE,
+                    severity: this.getSeverityForPermissions(permissionsAdded),
+                    app,
+                    key: `${this.ALERT_TYPES.PERMISSION_CHANGE}:${app.packageName}:${permissionsAdded.join(',')}`,
+                    title: 'New Permissions Requested',
+                    description: `${app.name} now requests ${permissionsAdded.map(p => PermissionService.formatPermissionName(p)).join(', ')}.`,
+                    action: 'Check whether the app still needs these permissions',
+                    timestamp,
+                    details: {
+                        permissionsAdded,
+                        permissionsRemoved: change.permissionsRemoved,
+                    },
+                }));
+
+                // Requested permissions normally only change with an app update
+                if (!change.changes.version) {
+                    alerts.push(this.createAlert({
+                        type: this.ALERT_TYPES.SUSPICIOUS_ACTIVITY,
+                        severity: this.SEVERITY.HIGH,
+                        app,
+                        key: `${this.ALERT_TYPES.SUSPICIOUS_ACTIVITY}:permissions:${app.packageName}:${permissionsAdded.join(',')}`,
+                        title: 'Permissions Changed Without Update',
+                        description: `${app.name} gained new permissions while its version (${app.version}) stayed the same. The app may have been reinstalled from a different source.`,
+                        action: 'Verify where this app was installed from',
+                        timestamp,
+                        details: { permissionsAdded },
+                    }));
+                }
+            }
+        });
+
+        return alerts;
+    }
+
+    /**
+     * Flag apps signed with a debug or test key, which no store release should use
+     */
+    static detectTestKeySigners(currentSnapshot) {
+        const timestamp = currentSnapshot.timestamp || Date.now();
+        const alerts = [];
+        currentSnapshot.apps.forEach(app => {
+            const signer = findTestKeySigner(app);
+            if (!signer) {
+                return;
+            }
+            alerts.push(this.createAlert({
+                type: this.ALERT_TYPES.SIGNING_CERTIFICATE,
+                severity: this.SEVERITY.HIGH,
+                app,
+                key: `${this.ALERT_TYPES.SIGNING_CERTIFICATE}:test_key:${app.packageName}:${signer.sha256}`,
+                title: 'App Signed With a Test Key',
+                description: `${app.name} is signed with the ${signer.keyLabel} (${shortenDigest(signer.sha256)}). Anyone can sign apps with this key, so it may be a modified or repackaged copy.`,
+                action: 'Reinstall the app from a trusted store',
+                timestamp,
+                details: { sha256: signer.sha256, subject: signer.subject, keyId: signer.keyId },
+            }));
+        });
+        return alerts;
+    }
+
+    /**
+     * Flag apps whose usage yesterday or today sits far above their own daily
+     * baseline. The observed and expected bytes go in the alert details.
+     */
+    static async detectDataUsageSpikes(currentSnapshot) {
+        let findings = [];
+        try {
+            findings = await DataUsageAnomalyService.detectAnomalies(currentSnapshot.apps, currentSnapshot.timestamp);
+        } catch (error) {
+            return [];
+        }
+        return findings.map(finding => this.createDataUsageSpikeAlert(finding, currentSnapshot.timestamp));
+    }
+
+    /**
+     * Flag apps that were on screen or moved data during the last quiet hours
+     * while the device was otherwise idle. Raised at most once per app per night.
+     */
+    static async detectNightActivity(currentSnapshot) {
+        let findings = [];
+        try {
+            findings = await NightActivityService.detectNightActivity(currentSnapshot.apps, currentSnapshot.timestamp);
+        } catch (error) {
+            return [];
+        }
+        return findings.map(finding => this.createNightActivityAlert(finding, currentSnapshot.timestamp));
+    }
+
+    /**
+     * Flag apps that moved most of their recent data while not on screen.
+     * Raised at most once per app per calendar month.
+     */
+    static detectBackgroundDataHogs(currentSnapshot) {
+        const timestamp = currentSnapshot.timestamp || Date.now();
+        const month = this.formatDay(timestamp).slice(0, 7);
+
+        return NetworkUsageService.getBackgroundHogs(currentSnapshot.apps).map(app => {
+            const { background, total } = app.dataUsage;
+            return this.createAlert({
+                type: this.ALERT_TYPES.BACKGROUND_DATA,
+                severity: this.SEVERITY.MEDIUM,
+                app,
+                key: `${this.ALERT_TYPES.BACKGROUND_DATA}:${app.packageName}:${month}`,
+                title: 'Heavy Background Data Use',
+                description: `${app.name} used ${this.formatMegabytes(background)} of its ${this.formatMegabytes(total)} recent data while running in the background.`,
+                action: 'Restrict background data for this app in device settings',
+                timestamp,
+                details: { backgroundBytes: background, totalBytes: total },
+            });
+        });
+    }
+
+    static createDataUsageSpikeAlert(finding, timestamp) {
+        const { app, metric, observedBytes, expectedBytes } = finding;
+        const type = this.ALERT_TYPES.DATA_USAGE_SPIKE;
+        const day = this.formatDay(finding.date);
+        const traffic = {
+            [DataUsageAnomalyService.METRICS.MOBILE]: 'mobile data',
+            [DataUsageAnomalyService.METRICS.BACKGROUND]: 'data in the background',
+        }[metric] || 'data';
+        const unopened = finding.unattended ? ' without being opened' : '';
+
+        return this.createAlert({
+            type,
+            // Traffic from an app nobody opened is the pattern of data exfiltration
+            severity: finding.unattended && metric !== DataUsageAnomalyService.METRICS.TOTAL
+                ? this.SEVERITY.HIGH
+                : this.SEVERITY.MEDIUM,
+            app,
+            key: `${type}:${app.packageName}:${day}`,
+            title: finding.unattended ? 'Unusual Data Usage While Unused' : 'Unusual Data Usage',
+            description: `${app.name} used ${this.formatMegabytes(observedBytes)} of ${traffic} on ${day}${unopened}. It usually uses about ${this.formatMegabytes(expectedBytes)} a day.`,
+            action: finding.unattended
+                ? 'Restrict its background data or uninstall it if you do not use it'
+                : 'Check what this app is downloading or uploading',
+            timestamp,
+            details: {
+                date: day,
+                metric,
+                observedBytes,
+                expectedBytes,
+                thresholdBytes: finding.thresholdBytes,
+                baselineDays: finding.baselineDays,
+                totalBytes: finding.totalBytes,
+                mobileBytes: finding.mobileBytes,
+                backgroundBytes: finding.backgroundBytes,
+                openedThatDay: !finding.unattended,
+            },
+        });
+    }
+
+    static createNightActivityAlert(finding, timestamp) {
+        const { app, idleBytes, idleSentBytes, idleForegroundMs } = finding;
+        const type = this.ALERT_TYPES.SUSPICIOUS_ACTIVITY;
+        const night = this.formatDay(finding.windowStart);
+        const quietHours = NightActivityService.formatQuietHours(finding.quietHours);
+
+        const activity = [];
+        if (idleForegroundMs >= NightActivityService.MIN_IDLE_FOREGROUND_MS) {
+            activity.push(`was on screen for ${ScreenTimeService.formatDuration(idleForegroundMs)}`);
+        }
+        if (idleBytes >= NightActivityService.MIN_IDLE_BYTES) {
+            activity.push(`moved ${this.formatMegabytes(idleBytes)} of data (${this.formatMegabytes(idleSentBytes)} sent)`);
+        }
+
+        return this.createAlert({
+            type,
+            severity: finding.unattended ? this.SEVERITY.HIGH : this.SEVERITY.MEDIUM,
+            app,
+            key: `${type}:night:${app.packageName}:${night}`,
+            title: finding.unattended ? 'Data Sent During Quiet Hours' : 'Activity During Quiet Hours',
+            description: `${app.name} ${activity.join(' and ')} between ${quietHours} on the night of ${night} while the device was otherwise idle.`,
+            action: finding.unattended
+                ? 'Check what this app uploads at night or uninstall it if you do not trust it'
+                : 'Check whether you expected this app to run at night',
+            timestamp,
+            details: {
+                date: night,
+                quietHours: finding.quietHours,
+                window: { startTime: finding.windowStart, endTime: finding.windowEnd },
+                idleBytes,
+                idleSentBytes,
+                idleForegroundMs,
+                unattendedSentBytes: finding.unattendedSentBytes,
+                hourly: finding.hourly,
+            },
+        });
+    }
+
+    // Local calendar date, e.g. 2024-05-31
+    static formatDay(timestamp) {
+        const date = new Date(timestamp);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static formatMegabytes(bytes) {
+        return `${Math.round(bytes / (1024 * 1024))} MB`;
+    }
+
+    static createSignerChangeAlert(app, signer, timestamp) {
+        const type = this.ALERT_TYPES.SIGNING_CERTIFICATE;
+        return this.createAlert({
+            type,
+            severity: this.SEVERITY.HIGH,
+            app,
+            key: `${type}:changed:${app.packageName}:${signer.to.join(',')}`,
+            title: 'App Signer Changed',
+            description: `${app.name} is now signed with a different certificate (${signer.to.map(digest => shortenDigest(digest)).join(', ')}). Genuine updates keep the same signer, so this copy may have been replaced by someone else.`,
+            action: 'Uninstall this app and reinstall it from a trusted store',
+            timestamp,
+            details: { previousSigners: signer.from, currentSigners: signer.to },
+        });
+    }
+
+    static createHighRiskAlert(app, timestamp) {
+        return this.createAlert({
+            type: this.ALERT_TYPES.HIGH_RISK_PERMISSION,
+            severity: this.SEVERITY.HIGH,
+            app,
+            key: `${this.ALERT_TYPES.HIGH_RISK_PERMISSION}:${app.packageName}:${app.permissions.join(',')}`,
+            title: 'High-Risk App Detected',
+            description: `${app.name} has access to multiple sensitive permissions and is rated high risk.`,
+            action: 'Review its permissions in device settings',
+            timestamp,
+        });
+    }
+
+    /**
+     * Alert keys are unique among stored alerts, while one key can be raised
+     * again after its alert was trimmed, so the time is part of the id
+     */
+    static getAlertId(key, timestamp) {
+        return `${key}@${timestamp}`;
+    }
+
+    static createAlert({ type, severity, app, key, title, description, action, timestamp, details = {} }) {
+        return {
+            id: this.getAlertId(key, timestamp),
+            key,
+            type,
+            severity,
+            title,
+            description,
+            action,
+            appName: app.name,
+            packageName: app.packageName,
+            timestamp,
+            details,
+            isRead: false,
+            isDismissed: false,
+        };
+    }
+
+    static getSeverityForRiskLevel(riskLevel) {
+        switch (riskLevel) {
+            case 'HIGH_RISK':
+                return this.SEVERITY.HIGH;
+            case 'MEDIUM_RISK':
+                return this.SEVERITY.MEDIUM;
+            default:
+                return this.SEVERITY.LOW;
+        }
+    }
+
+    static getSeverityForPermissions(permissions) {
+        const levels = permissions.map(permission => PermissionService.PERMISSION_RISKS[permission]?.level);
+        if (levels.includes(PermissionService.RISK_LEVELS.CRITICAL) || levels.includes(PermissionService.RISK_LEVELS.HIGH)) {
+            return this.SEVERITY.HIGH;
+        }
+        if (levels.includes(PermissionService.RISK_LEVELS.MEDIUM)) {
+            return this.SEVERITY.MEDIUM;
+        }
+        return this.SEVERITY.LOW;
+    }
+}
+
+export default SecurityMonitoringService;
@@ -0,0 +1,112 @@
+import { RiskScoringEngine } from './RiskScoringEngine';
+import { INSTALL_SOURCES } from '../utils/installSource';
+import { THREAT_CATEGORIES } from '../utils/threatDatabase';
+
+const OWN_PACKAGE = 'com.mobilemonitor';
+
+// Access a spy app needs to read messages, calls and location in the background
+const SURVEILLANCE_ACCESS = ['ACCESSIBILITY_SERVICE', 'SMS', 'CALL_LOG', 'BACKGROUND_LOCATION'];
+
+// Names made only of words that blend in with system components,
+// e.g. "System Update" or "Sync Services"
+const SYSTEM_LIKE_NAME = /^((android|google|system|device|sync|update|updates|updater|service|services|settings|manager|security|wi-?fi|battery)\s*)+$/i;
+const SYSTEM_LIKE_PACKAGE = /^(android|com\.android)\./;
+
+/**
+ * SurveillanceDetectionService - Heuristics that flag apps behaving like
+ * stalkerware: hidden from the launcher, holding the access needed to watch
+ * messages, calls and location, or matching a known stalkerware package
+ */
+export class SurveillanceDetectionService {
+    static INDICATORS = {
+        KNOWN_STALKERWARE: { weight: 10, label: 'Listed as stalkerware in the threat database' },
+        HIDDEN_LAUNCHER: { weight: 4, label: 'Launcher icon was hidden after install' },
+        NO_LAUNCHER: { weight: 2, label: 'Has no launcher icon' },
+        FULL_SURVEILLANCE_ACCESS: { weight: 6, label: 'Can read messages, call logs and location in the background' },
+        SURVEILLANCE_ACCESS: { weight: 4, label: 'Holds most of the access spy apps rely on' },
+        SIDELOADED: { weight: 1, label: 'Sideloaded from outside an app store' },
+        DISGUISED_NAME: { weight: 2, label: 'Named like a system component' },
+    };
+
+    static LEVELS = {
+        POSSIBLE: 'POSSIBLE',
+        LIKELY: 'LIKELY',
+    };
+
+    static POSSIBLE_SCORE = 4;
+
+    static LIKELY_SCORE = 8;
+
+    /**
+     * Build the possible surveillance apps report for the scanned apps,
+     * including packages without a launcher icon
+     */
+    static buildReport(apps = [], now = Date.now()) {
+        const scannedApps = (apps || []).filter(app => app && app.packageName && app.packageName !== OWN_PACKAGE);
+
+        const findings = scannedApps
+            .map(app => this.evaluateApp(app))
+            .filter(finding => finding !== null)
+            .sort((a, b) => b.score - a.score);
+
+        return {
+            generatedAt: now,
+            scannedCount: scannedApps.length,
+            hiddenCount: scannedApps.filter(app => !app.isSystemApp && app.hasLauncher === false).length,
+            findings,
+        };
+    }
+
+    /**
+     * Score one app, or null when it doesn't reach the POSSIBLE level
+     * @returns {Object|null} { app, score, level, knownApp, indicators: [{ id, label, weight }] }
+     */
+    static evaluateApp(app) {
+        const matched = [];
+        const knownApp = app.threatMatch?.entry.category === THREAT_CATEGORIES.STALKERWARE
+            ? app.threatMatch.entry
+            : null;
+        if (knownApp) {
+            matched.push('KNOWN_STALKERWARE');
+        }
+
+        // Preinstalled components often have no icon by design
+        if (!app.isSystemApp && app.launcherHidden) {
+            matched.push('HIDDEN_LAUNCHER');
+        } else if (!app.isSystemApp && app.hasLauncher === false) {
+            matched.push('NO_LAUNCHER');
+        }
+
+        const heldAccess = SURVEILLANCE_ACCESS.filter(access =>
+            (app.permissions || []).includes(access) && RiskScoringEngine.isGranted(app, access));
+        if (heldAccess.length === SURVEILLANCE_ACCESS.length) {
+            matched.push('FULL_SURVEILLANCE_ACCESS');
+        } else if (heldAccess.length >= SURVEILLANCE_ACCESS.length - 1) {
+            matched.push('SURVEILLANCE_ACCESS');
+        }
+
+        if (app.installSource === INSTALL_SOURCES.SIDELOADED) {
+            matched.push('SIDELOADED');
+        }
+
+        if (!app.isSystemApp && (SYSTEM_LIKE_NAME.test((app.name || '').trim()) || SYSTEM_LIKE_PACKAGE.test(app.packageName))) {
+            matched.push('DISGUISED_NAME');
+        }
+
+        const indicators = matched.map(id => ({ id, ...this.INDICATORS[id] }));
+        const score = indicators.reduce((total, indicator) => total + indicator.weight, 0);
+        if (score < this.POSSIBLE_SCORE) {
+            return null;
+        }
+
+        return {
+            app,
+            score,
+            level: knownApp || score >= this.LIKELY_SCORE ? this.LEVELS.LIKELY : this.LEVELS.POSSIBLE,
+            knownApp,
+            indicators,
+        };
+    }
+}
+
+export default SurveillanceDetectionService;
@@ -0,0 +1,146 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+import { BUNDLED_THREAT_DATABASE } from '../utils/threatDatabase';
+import { getSignerDigests } from '../utils/signingCertificates';
+import { DataValidationService } from './DataValidationService';
+
+const IMPORTED_DATABASE_KEY = 'threatDatabase';
+
+/**
+ * ThreatIntelService - Offline lookups against the bundled threat database,
+ * or a newer one imported from a JSON file
+ */
+export class ThreatIntelService {
+    static SOURCES = {
+        BUNDLED: 'BUNDLED',
+        IMPORTED: 'IMPORTED',
+    };
+
+    static IMPORT_FILE_NAME = 'monitormate-threats.json';
+
+    // Database used by findThreat(); the bundled one until load() runs
+    static activeDatabase = ThreatIntelService.selectDatabase(null);
+
+    static loaded = false;
+
+    /**
+     * Make the imported database active when it is at least as new as the bundled one
+     */
+    static async load() {
+        try {
+            const stored = await AsyncStorage.getItem(IMPORTED_DATABASE_KEY);
+            const imported = stored ? DataValidationService.validateThreatDatabase(JSON.parse(stored)) : null;
+            this.activeDatabase = this.selectDatabase(imported);
+        } catch (error) {
+            this.activeDatabase = this.selectDatabase(null);
+        }
+        this.loaded = true;
+        return this.activeDatabase;
+    }
+
+    /**
+     * Load the database once per session
+     */
+    static async ensureLoaded() {
+        if (!this.loaded) {
+            await this.load();
+        }
+        return this.activeDatabase;
+    }
+
+    static selectDatabase(imported) {
+        const bundled = DataValidationService.validateThreatDatabase(BUNDLED_THREAT_DATABASE);
+        if (imported && imported.version >= bundled.version) {
+            return { ...imported, source: this.SOURCES.IMPORTED };
+        }
+        return { ...bundled, source: this.SOURCES.BUNDLED };
+    }
+
+    /**
+     * Default location of a database file to import
+     */
+    static getImportPath() {
+        const directory = Platform.OS === 'android' ? RNFS.DownloadDirectoryPath : RNFS.DocumentDirectoryPath;
+        return `${directory}/${this.IMPORT_FILE_NAME}`;
+    }
+
+    /**
+     * Replace the imported database with the one in a JSON file.
+     * Throws when the file is missing, malformed or older than the bundled database.
+     */
+    static async importFromFile(path = this.getImportPath()) {
+        if (!(await RNFS.exists(path))) {
+            throw new Error(`No threat database found at ${path}`);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(await RNFS.readFile(path, 'utf8'));
+        } catch (error) {
+            throw new Error(`Threat database is not valid JSON: ${error.message}`);
+        }
+
+        const database = DataValidationService.validateThreatDatabase(parsed);
+        if (!database || database.entries.length === 0) {
+            throw new Error('Threat database has no valid entries');
+        }
+        if (database.version < BUNDLED_THREAT_DATABASE.version) {
+            throw new Error(`Threat database version ${database.version} is older than the built-in version ${BUNDLED_THREAT_DATABASE.version}`);
+        }
+
+        await AsyncStorage.setItem(IMPORTED_DATABASE_KEY, JSON.stringify(database));
+        this.activeDatabase = { ...database, source: this.SOURCES.IMPORTED };
+        this.loaded = true;
+        return this.getDatabaseInfo();
+    }
+
+    /**
+     * Drop the imported database and go back to the bundled one
+     */
+    static async resetToBundled() {
+        await AsyncStorage.removeItem(IMPORTED_DATABASE_KEY);
+        this.activeDatabase = this.selectDatabase(null);
+        this.loaded = true;
+        return this.getDatabaseInfo();
+    }
+
+    static getDatabaseInfo() {
+        const { version, updatedAt, entries, source } = this.activeDatabase;
+        return { version, updatedAt, entryCount: entries.length, source };
+    }
+
+    /**
+     * Find the database entry matching an app
+     * @returns {Object|null} { entry, source, databaseVersion }
+     */
+    static findThreat(app = {}) {
+        const { entries, source, version } = this.activeDatabase;
+        const entry = entries.find(candidate => this.matchesEntry(app, candidate));
+        return entry ? { entry, source, databaseVersion: version } : null;
+    }
+
+    static matchesEntry(app, entry) {
+        if (entry.packageName !== app.packageName) {
+            return false;
+        }
+
+        // Unknown signers still match, so the entry isn't missed on older scans
+        const digests = getSignerDigests(app);
+        if (entry.signerDigest && digests && !digests.includes(entry.signerDigest)) {
+            return false;
+        }
+
+        if (entry.badVersions.length === 0) {
+            return true;
+        }
+        if (typeof app.versionCode !== 'number') {
+            return false;
+        }
+        return entry.badVersions.some(range =>
+            (range.minVersionCode === null || app.versionCode >= range.minVersionCode) &&
+            (range.maxVersionCode === null || app.versionCode <= range.maxVersionCode));
+    }
+}
+
+export default ThreatIntelService;
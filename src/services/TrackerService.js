@@ -0,0 +1,134 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+    TRACKER_SIGNATURES,
+    TRACKER_SIGNATURES_VERSION,
+    getTrackerSignature,
+} from '../utils/trackerSignatures';
+import { NativeBridgeService } from './NativeBridgeService';
+
+const CACHE_KEY = 'trackerScans';
+
+/**
+ * TrackerService - Finds analytics and advertising SDKs embedded in apps.
+ * Scanning reads the whole APK, so results are cached per app version.
+ */
+export class TrackerService {
+    // packageName -> { versionCode, version, trackerIds, scannedAt }
+    static cache = {};
+
+    static cacheLoaded = false;
+
+    static cacheChanged = false;
+
+    static async loadCache() {
+        try {
+            const stored = await AsyncStorage.getItem(CACHE_KEY);
+            const parsed = stored ? JSON.parse(stored) : null;
+            // Scans against an older signature list may be missing trackers
+            this.cache = parsed?.signaturesVersion === TRACKER_SIGNATURES_VERSION ? parsed.apps || {} : {};
+        } catch (error) {
+            this.cache = {};
+        }
+        this.cacheLoaded = true;
+        return this.cache;
+    }
+
+    /**
+     * Load cached scans once per session
+     */
+    static async ensureLoaded() {
+        if (!this.cacheLoaded) {
+            await this.loadCache();
+        }
+        return this.cache;
+    }
+
+    /**
+     * Persist new scans, dropping apps that are no longer installed
+     * @param {Array<string>} installedPackages - Package names to keep, or null to keep all
+     */
+    static async saveCache(installedPackages = null) {
+        if (installedPackages) {
+            const keep = new Set(installedPackages);
+            Object.keys(this.cache)
+                .filter(packageName => !keep.has(packageName))
+                .forEach(packageName => {
+                    delete this.cache[packageName];
+                    this.cacheChanged = true;
+                });
+        }
+        if (!this.cacheChanged) {
+            return;
+        }
+        try {
+            await AsyncStorage.setItem(CACHE_KEY, JSON.stringify({
+                signaturesVersion: TRACKER_SIGNATURES_VERSION,
+                apps: this.cache,
+            }));
+            this.cacheChanged = false;
+        } catch (error) {
+            // Scans are redone next time
+        }
+    }
+
+    /**
+     * Trackers from a cached scan of this version of the app, or null
+     */
+    static getCachedTrackers(app = {}) {
+        const cached = this.cache[app.packageName];
+        if (!cached || cached.versionCode !== (app.versionCode ?? null) || cached.version !== app.version) {
+            return null;
+        }
+        return this.toTrackers(cached.trackerIds);
+    }
+
+    /**
+     * Trackers embedded in an app, scanning it when there is no cached result.
+     * Returns null when the app can't be scanned.
+     */
+    static async getTrackers(app = {}) {
+        await this.ensureLoaded();
+        const cached = this.getCachedTrackers(app);
+        if (cached) {
+            return cached;
+        }
+
+        const signatures = TRACKER_SIGNATURES.map(({ id, prefixes }) => ({ id, prefixes }));
+        const trackerIds = await NativeBridgeService.getTrackers(app.packageName, signatures);
+        if (!Array.isArray(trackerIds)) {
+            return null;
+        }
+
+        this.cache[app.packageName] = {
+            versionCode: app.versionCode ?? null,
+            version: app.version,
+            trackerIds,
+            scannedAt: Date.now(),
+        };
+        this.cacheChanged = true;
+        return this.toTrackers(trackerIds);
+    }
+
+    /**
+     * Resolve signature ids to [{ id, name, category }], sorted by name
+     */
+    static toTrackers(trackerIds = []) {
+        return trackerIds
+            .map(id => getTrackerSignature(id))
+            .filter(signature => signature !== null)
+            .map(({ id, name, category }) => ({ id, name, category }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Count trackers per category
+     */
+    static countByCategory(trackers = []) {
+        return trackers.reduce((counts, tracker) => ({
+            ...counts,
+            [tracker.category]: (counts[tracker.category] || 0) + 1,
+        }), {});
+    }
+}
+
+export default TrackerService;
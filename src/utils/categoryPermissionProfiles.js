@@ -0,0 +1,209 @@
+// src/utils/categoryPermissionProfiles.js
+
+import { APP_CATEGORIES } from './appCategorization';
+
+/**
+ * Expected permissions per app category, used to spot permissions an app
+ * is unlikely to need ("does a weather app really need the camera?")
+ */
+
+// Permissions most apps request for ordinary features
+const COMMON_PERMISSIONS = {
+    NOTIFICATIONS: 'Most apps send notifications',
+    STORAGE: 'Most apps save or open files',
+    PHOTOS: 'Most apps let you pick and share images',
+    VIDEOS: 'Most apps let you pick and share videos',
+    ACCOUNTS: 'Used to sign in with an account already on the device',
+};
+
+// Expected permissions for each category, with the feature that needs them
+export const CATEGORY_PERMISSION_PROFILES = {
+    [APP_CATEGORIES.SOCIAL]: {
+        CAMERA: 'Posting photos, videos and stories',
+        MICROPHONE: 'Recording videos and voice messages',
+        CONTACTS: 'Finding friends who use the app',
+        LOCATION: 'Tagging posts with a place',
+        MUSIC: 'Adding audio to posts',
+        MEDIA_LOCATION: 'Reading where shared photos were taken',
+    },
+    [APP_CATEGORIES.COMMUNICATION]: {
+        CAMERA: 'Video calls and sending photos',
+        MICROPHONE: 'Voice and video calls',
+        CONTACTS: 'Finding the people you talk to',
+        PHONE: 'Placing and managing calls',
+        SMS: 'Sending and receiving text messages',
+        CALL_LOG: 'Showing your call history',
+        PHONE_NUMBERS: 'Verifying your phone number',
+        CALL_CONTROL: 'Answering calls',
+        VOIP: 'Internet calling',
+        BLUETOOTH: 'Calls through headsets',
+        MUSIC: 'Sending audio files',
+    },
+    [APP_CATEGORIES.ENTERTAINMENT]: {
+        MUSIC: 'Playing downloaded media',
+        BLUETOOTH: 'Playing through speakers and headphones',
+        NEARBY_DEVICES: 'Casting to TVs',
+    },
+    [APP_CATEGORIES.PRODUCTIVITY]: {
+        CALENDAR: 'Scheduling and reminders',
+        CONTACTS: 'Sharing and assigning work',
+        CAMERA: 'Scanning documents',
+        MICROPHONE: 'Voice notes and dictation',
+        FILE_MANAGER: 'Managing documents across folders',
+    },
+    [APP_CATEGORIES.SHOPPING]: {
+        CAMERA: 'Scanning barcodes and searching by photo',
+        LOCATION: 'Finding nearby stores and delivery options',
+    },
+    [APP_CATEGORIES.FINANCE]: {
+        CAMERA: 'Depositing cheques and verifying ID',
+        LOCATION: 'Fraud checks and finding branches',
+        PHONE: 'Verifying your device',
+        SMS: 'Reading one-time passcodes',
+    },
+    [APP_CATEGORIES.HEALTH_FITNESS]: {
+        ACTIVITY_RECOGNITION: 'Counting steps and detecting workouts',
+        SENSORS: 'Reading heart rate sensors',
+        SENSORS_BACKGROUND: 'Tracking health data all day',
+        HEALTH_DATA: 'Syncing with Health Connect',
+        LOCATION: 'Mapping runs and rides',
+        BACKGROUND_LOCATION: 'Recording routes with the screen off',
+        BLUETOOTH: 'Connecting to wearables',
+    },
+    [APP_CATEGORIES.EDUCATION]: {
+        CAMERA: 'Scanning homework and joining classes',
+        MICROPHONE: 'Pronunciation practice and live classes',
+    },
+    [APP_CATEGORIES.NEWS]: {
+        LOCATION: 'Showing local news',
+    },
+    [APP_CATEGORIES.TRAVEL]: {
+        LOCATION: 'Showing nearby places and bookings',
+        CAMERA: 'Scanning passports and tickets',
+        CALENDAR: 'Adding trips to your calendar',
+    },
+    [APP_CATEGORIES.FOOD_DRINK]: {
+        LOCATION: 'Finding restaurants and delivery addresses',
+        CAMERA: 'Scanning menus and receipts',
+    },
+    [APP_CATEGORIES.PHOTO_VIDEO]: {
+        CAMERA: 'Taking photos and videos',
+        MICROPHONE: 'Recording video with sound',
+        MUSIC: 'Adding music to videos',
+        MEDIA_LOCATION: 'Organising photos by place',
+        LOCATION: 'Tagging new photos with a place',
+    },
+    [APP_CATEGORIES.MUSIC]: {
+        MICROPHONE: 'Song recognition and recording',
+        MUSIC: 'Playing local music files',
+        BLUETOOTH: 'Playing through speakers and headphones',
+        NEARBY_DEVICES: 'Casting to speakers',
+    },
+    [APP_CATEGORIES.GAMES]: {
+        MICROPHONE: 'Voice chat',
+        BLUETOOTH: 'Game controllers',
+    },
+    [APP_CATEGORIES.UTILITIES]: {
+        CAMERA: 'Flashlight and scanner features',
+        FILE_MANAGER: 'Cleaning and organising files',
+        BLUETOOTH: 'Managing connected devices',
+        USAGE_ACCESS: 'Showing battery and app usage',
+    },
+    [APP_CATEGORIES.BUSINESS]: {
+        CALENDAR: 'Scheduling meetings',
+        CONTACTS: 'Finding colleagues',
+        CAMERA: 'Video meetings and scanning documents',
+        MICROPHONE: 'Meetings and voice notes',
+        VOIP: 'Internet calling',
+        FILE_MANAGER: 'Managing work documents',
+    },
+    [APP_CATEGORIES.LIFESTYLE]: {
+        LOCATION: 'Showing things near you',
+        CAMERA: 'Sharing photos',
+    },
+    [APP_CATEGORIES.WEATHER]: {
+        LOCATION: 'Showing the forecast where you are',
+        BACKGROUND_LOCATION: 'Keeping widgets and alerts up to date',
+    },
+    [APP_CATEGORIES.SPORTS]: {
+        LOCATION: 'Showing local teams and events',
+    },
+    [APP_CATEGORIES.BOOKS]: {
+        MUSIC: 'Playing audiobooks',
+    },
+    [APP_CATEGORIES.MEDICAL]: {
+        CAMERA: 'Video appointments and scanning documents',
+        MICROPHONE: 'Video appointments',
+        CALENDAR: 'Booking appointments',
+        HEALTH_DATA: 'Sharing health records',
+        SENSORS: 'Reading medical sensors',
+        BLUETOOTH: 'Connecting to medical devices',
+    },
+    [APP_CATEGORIES.NAVIGATION]: {
+        LOCATION: 'Turn-by-turn directions',
+        BACKGROUND_LOCATION: 'Navigating with the screen off',
+        MICROPHONE: 'Voice search',
+        BLUETOOTH: 'Car audio',
+        ACTIVITY_RECOGNITION: 'Detecting walking or driving',
+    },
+};
+
+/**
+ * Gets the expected permissions for a category
+ * @param {string} category - App category
+ * @returns {Object|null} Map of expected permission to reason, or null when the category has no profile
+ */
+export const getCategoryProfile = (category) => {
+    const profile = CATEGORY_PERMISSION_PROFILES[category];
+    if (!profile) {
+        return null;
+    }
+    return { ...COMMON_PERMISSIONS, ...profile };
+};
+
+/**
+ * Checks whether a permission is expected for a category
+ * @param {string} category - App category
+ * @param {string} permission - Simplified permission name, e.g. CAMERA
+ * @returns {boolean|null} null when the category has no profile
+ */
+export const isPermissionExpected = (category, permission) => {
+    const profile = getCategoryProfile(category);
+    if (!profile) {
+        return null;
+    }
+    return Object.prototype.hasOwnProperty.call(profile, permission);
+};
+
+/**
+ * Gets the permissions an app is unlikely to need for its category
+ * @param {string} category - App category
+ * @param {Array} permissions - Simplified permission names
+ * @returns {Array} Unexpected permissions (empty when the category has no profile)
+ */
+export const getUnexpectedPermissions = (category, permissions = []) => {
+    const profile = getCategoryProfile(category);
+    if (!profile) {
+        return [];
+    }
+    return [...new Set(permissions)].filter(permission => !Object.prototype.hasOwnProperty.call(profile, permission));
+};
+
+/**
+ * Gets why apps in a category usually need a permission
+ * @param {string} category - App category
+ * @param {string} permission - Simplified permission name
+ * @returns {string|null} The reason, or null if the permission is not expected
+ */
+export const getExpectedPermissionReason = (category, permission) => {
+    const profile = getCategoryProfile(category);
+    return profile?.[permission] || null;
+};
+
+export default {
+    CATEGORY_PERMISSION_PROFILES,
+    getCategoryProfile,
+    isPermissionExpected,
+    getUnexpectedPermissions,
+    getExpectedPermissionReason,
+};
@@ -0,0 +1,75 @@
+// src/utils/installSource.js
+
+/**
+ * Classifies where an app was installed from, using the installer package
+ * reported by Android
+ */
+
+export const INSTALL_SOURCES = {
+    PLAY_STORE: 'PLAY_STORE',
+    GALAXY_STORE: 'GALAXY_STORE',
+    SIDELOADED: 'SIDELOADED',
+    PREINSTALLED: 'PREINSTALLED',
+    UNKNOWN: 'UNKNOWN',
+};
+
+export const INSTALL_SOURCE_LABELS = {
+    [INSTALL_SOURCES.PLAY_STORE]: 'Play Store',
+    [INSTALL_SOURCES.GALAXY_STORE]: 'Galaxy Store',
+    [INSTALL_SOURCES.SIDELOADED]: 'Sideloaded',
+    [INSTALL_SOURCES.PREINSTALLED]: 'Preinstalled',
+    [INSTALL_SOURCES.UNKNOWN]: 'Unknown source',
+};
+
+const STORE_INSTALLERS = {
+    'com.android.vending': INSTALL_SOURCES.PLAY_STORE,
+    'com.google.android.feedback': INSTALL_SOURCES.PLAY_STORE,
+    'com.sec.android.app.samsungapps': INSTALL_SOURCES.GALAXY_STORE,
+};
+
+// The package installer UI and adb hand APKs over without a store
+const SIDELOAD_INSTALLERS = [
+    'com.android.packageinstaller',
+    'com.google.android.packageinstaller',
+    'com.samsung.android.packageinstaller',
+    'com.android.shell',
+];
+
+/**
+ * Get the install source of an app
+ * @param {Object} app - App with installerPackageName, initiatingPackageName and isSystemApp.
+ *   A null installer means Android reported none; undefined means it wasn't reported.
+ * @returns {string} One of INSTALL_SOURCES
+ */
+export const getInstallSource = (app = {}) => {
+    const installer = app.installerPackageName;
+    // Not reported at all, e.g. on iOS or in scans from older versions
+    if (installer === undefined) {
+        return INSTALL_SOURCES.UNKNOWN;
+    }
+    if (installer && STORE_INSTALLERS[installer]) {
+        return STORE_INSTALLERS[installer];
+    }
+    if (SIDELOAD_INSTALLERS.includes(installer) || SIDELOAD_INSTALLERS.includes(app.initiatingPackageName)) {
+        return INSTALL_SOURCES.SIDELOADED;
+    }
+    if (!installer) {
+        // Apps installed with adb have no installer; system images don't either
+        return app.isSystemApp ? INSTALL_SOURCES.PREINSTALLED : INSTALL_SOURCES.SIDELOADED;
+    }
+    return INSTALL_SOURCES.UNKNOWN;
+};
+
+export const getInstallSourceLabel = (source) => {
+    return INSTALL_SOURCE_LABELS[source] || INSTALL_SOURCE_LABELS[INSTALL_SOURCES.UNKNOWN];
+};
+
+export const isSideloaded = (app) => getInstallSource(app) === INSTALL_SOURCES.SIDELOADED;
+
+export default {
+    INSTALL_SOURCES,
+    INSTALL_SOURCE_LABELS,
+    getInstallSource,
+    getInstallSourceLabel,
+    isSideloaded,
+};
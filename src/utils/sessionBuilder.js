@@ -0,0 +1,92 @@
+// src/utils/sessionBuilder.js
+
+/**
+ * Turns foreground/background transitions from the native usage events into
+ * app sessions with a start, end and duration
+ */
+
+export const TRANSITION_TYPES = {
+    FOREGROUND: 'FOREGROUND',
+    BACKGROUND: 'BACKGROUND',
+};
+
+// Moving between two activities of one app pauses it only briefly
+export const DEFAULT_MERGE_GAP_MS = 2000;
+
+/**
+ * Builds sessions from transition events
+ * @param {Array} events - [{ packageName, type, timestamp }], oldest first
+ * @param {Object} options - { rangeStart, rangeEnd, mergeGapMs }. Sessions open at
+ *   the start of the range begin at rangeStart; sessions still open end at rangeEnd.
+ * @returns {Array} [{ packageName, start, end, duration, isOngoing }] sorted by start
+ */
+export const buildSessions = (events = [], { rangeStart, rangeEnd = Date.now(), mergeGapMs = DEFAULT_MERGE_GAP_MS } = {}) => {
+    const sessions = [];
+    const openSessions = new Map();
+    const lastSessions = new Map();
+
+    const closeSession = (packageName, start, end) => {
+        const previous = lastSessions.get(packageName);
+        if (previous && start - previous.end <= mergeGapMs) {
+            previous.end = end;
+            previous.duration = previous.end - previous.start;
+            return;
+        }
+        const session = { packageName, start, end, duration: end - start, isOngoing: false };
+        sessions.push(session);
+        lastSessions.set(packageName, session);
+    };
+
+    [...events]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .forEach(event => {
+            if (event.type === TRANSITION_TYPES.FOREGROUND) {
+                if (!openSessions.has(event.packageName)) {
+                    openSessions.set(event.packageName, event.timestamp);
+                }
+                return;
+            }
+            if (event.type !== TRANSITION_TYPES.BACKGROUND) {
+                return;
+            }
+
+            if (openSessions.has(event.packageName)) {
+                closeSession(event.packageName, openSessions.get(event.packageName), event.timestamp);
+                openSessions.delete(event.packageName);
+            } else if (!lastSessions.has(event.packageName) && rangeStart !== undefined) {
+                // Backgrounded before any foreground event: it was already open when the range began
+                closeSession(event.packageName, rangeStart, event.timestamp);
+            }
+        });
+
+    openSessions.forEach((start, packageName) => {
+        closeSession(packageName, start, rangeEnd);
+        lastSessions.get(packageName).isOngoing = true;
+    });
+
+    return sessions.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Summarizes a list of sessions
+ * @param {Array} sessions - Sessions from buildSessions
+ * @returns {Object} { count, totalDuration, longestDuration, averageDuration, firstStart, lastEnd }
+ */
+export const summarizeSessions = (sessions = []) => {
+    const totalDuration = sessions.reduce((sum, session) => sum + session.duration, 0);
+    return {
+        count: sessions.length,
+        totalDuration,
+        longestDuration: sessions.reduce((longest, session) => Math.max(longest, session.duration), 0),
+        averageDuration: sessions.length > 0 ? totalDuration / sessions.length : 0,
+        firstStart: sessions.length > 0 ? sessions[0].start : null,
+        lastEnd: sessions.length > 0 ? sessions[sessions.length - 1].end : null,
+    };
+};
+
+export default {
+    TRANSITION_TYPES,
+    DEFAULT_MERGE_GAP_MS,
+    buildSessions,
+    summarizeSessions,
+};
@@ -0,0 +1,90 @@
+// src/utils/signingCertificates.js
+
+/**
+ * Helpers for the signing certificates reported by the native module:
+ * [{ sha256, subject }] for current signers plus SHA-256 digests of past
+ * signers from a key rotation lineage
+ */
+
+// Subjects of keys that only belong on development or test builds. The Android
+// debug key is generated per machine, so it can't be matched by digest.
+export const TEST_KEY_SUBJECTS = [
+    {
+        id: 'android_debug',
+        label: 'Android debug key',
+        pattern: /^CN=Android Debug,\s*O=Android,\s*C=US$/i,
+    },
+    {
+        id: 'aosp_test_key',
+        label: 'AOSP test key',
+        // Shared by the platform, shared, media and testkey certificates; the
+        // email attribute in front of it is hex encoded in RFC 2253 names
+        pattern: /(^|,)\s*CN=Android,\s*OU=Android,\s*O=Android,\s*L=Mountain View,\s*ST=California,\s*C=US$/i,
+    },
+];
+
+/**
+ * Current signer digests of an app, sorted, or null when they weren't reported
+ */
+export const getSignerDigests = (app = {}) => {
+    if (!Array.isArray(app.signingCertificates) || app.signingCertificates.length === 0) {
+        return null;
+    }
+    return app.signingCertificates.map(certificate => certificate.sha256).sort();
+};
+
+/**
+ * Compare the signers of two versions of an app.
+ * A new signer that lists every previous signer in its rotation history is a
+ * legitimate key rotation, not a change.
+ * @returns {Object|null} { from, to } digests, or null when unchanged or unknown
+ */
+export const getSignerChange = (before = {}, after = {}) => {
+    const from = getSignerDigests(before);
+    const to = getSignerDigests(after);
+    if (!from || !to) {
+        return null;
+    }
+    if (from.length === to.length && from.every((digest, index) => digest === to[index])) {
+        return null;
+    }
+
+    const history = new Set(after.signingCertificateHistory || []);
+    if (from.every(digest => history.has(digest))) {
+        return null;
+    }
+    return { from, to };
+};
+
+/**
+ * The first current signer matching a known debug or test key, as
+ * { sha256, subject, keyId, keyLabel }, or null
+ */
+export const findTestKeySigner = (app = {}) => {
+    for (const certificate of app.signingCertificates || []) {
+        const testKey = TEST_KEY_SUBJECTS.find(key => key.pattern.test(certificate.subject || ''));
+        if (testKey) {
+            return { ...certificate, keyId: testKey.id, keyLabel: testKey.label };
+        }
+    }
+    return null;
+};
+
+/**
+ * Shorten a colon-separated digest for display, e.g. "AB:CD:EF…12:34:56"
+ */
+export const shortenDigest = (digest = '', bytes = 3) => {
+    const parts = digest.split(':');
+    if (parts.length <= bytes * 2) {
+        return digest;
+    }
+    return `${parts.slice(0, bytes).join(':')}…${parts.slice(-bytes).join(':')}`;
+};
+
+export default {
+    TEST_KEY_SUBJECTS,
+    getSignerDigests,
+    getSignerChange,
+    findTestKeySigner,
+    shortenDigest,
+};
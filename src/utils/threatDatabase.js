@@ -0,0 +1,67 @@
+// src/utils/threatDatabase.js
+
+/**
+ * Threat database shipped with the app. A newer database can be imported from
+ * a JSON file with the same shape:
+ *
+ * {
+ *   version: number, updatedAt: 'YYYY-MM-DD',
+ *   entries: [{
+ *     packageName, name, category, notes,
+ *     signerDigest?: SHA-256 of the signing certificate, matches any signer when left out,
+ *     badVersions?: [{ minVersionCode?, maxVersionCode? }], matches every version when left out
+ *   }]
+ * }
+ */
+
+export const THREAT_CATEGORIES = {
+    STALKERWARE: 'stalkerware',
+    MALWARE: 'malware',
+    ADWARE: 'adware',
+    VULNERABLE: 'vulnerable',
+};
+
+export const THREAT_CATEGORY_LABELS = {
+    [THREAT_CATEGORIES.STALKERWARE]: 'Stalkerware',
+    [THREAT_CATEGORIES.MALWARE]: 'Malware',
+    [THREAT_CATEGORIES.ADWARE]: 'Adware',
+    [THREAT_CATEGORIES.VULNERABLE]: 'Vulnerable version',
+};
+
+// Keep entries to packages confirmed by public research; a match is shown to
+// the user as a threat
+export const BUNDLED_THREAT_DATABASE = {
+    version: 1,
+    updatedAt: '2026-10-01',
+    entries: [
+        {
+            packageName: 'com.vvt.android.syncmanager',
+            name: 'FlexiSPY',
+            category: THREAT_CATEGORIES.STALKERWARE,
+            notes: 'Commercial spyware that records calls, messages and location',
+        },
+        {
+            packageName: 'com.lsdroid.cerberus',
+            name: 'Cerberus',
+            category: THREAT_CATEGORIES.STALKERWARE,
+            notes: 'Anti-theft app that can hide itself and be controlled remotely',
+        },
+        {
+            packageName: 'com.androidlost',
+            name: 'AndroidLost',
+            category: THREAT_CATEGORIES.STALKERWARE,
+            notes: 'Remote control app that can read messages and record audio',
+        },
+    ],
+};
+
+export const getThreatCategoryLabel = (category) => {
+    return THREAT_CATEGORY_LABELS[category] || 'Threat';
+};
+
+export default {
+    THREAT_CATEGORIES,
+    THREAT_CATEGORY_LABELS,
+    BUNDLED_THREAT_DATABASE,
+    getThreatCategoryLabel,
+};
@@ -0,0 +1,76 @@
+// src/utils/trackerSignatures.js
+
+/**
+ * Analytics and advertising SDKs detected by class name prefix in an app's
+ * code and manifest components. Prefixes end with a dot so they only match
+ * whole package names.
+ */
+
+// Bump when signatures change so cached scans are redone
+export const TRACKER_SIGNATURES_VERSION = 1;
+
+export const TRACKER_CATEGORIES = {
+    ADVERTISING: 'ADVERTISING',
+    ANALYTICS: 'ANALYTICS',
+    ATTRIBUTION: 'ATTRIBUTION',
+    CRASH_REPORTING: 'CRASH_REPORTING',
+    ENGAGEMENT: 'ENGAGEMENT',
+};
+
+export const TRACKER_CATEGORY_LABELS = {
+    [TRACKER_CATEGORIES.ADVERTISING]: 'Advertising',
+    [TRACKER_CATEGORIES.ANALYTICS]: 'Analytics',
+    [TRACKER_CATEGORIES.ATTRIBUTION]: 'Install attribution',
+    [TRACKER_CATEGORIES.CRASH_REPORTING]: 'Crash reporting',
+    [TRACKER_CATEGORIES.ENGAGEMENT]: 'Push and engagement',
+};
+
+export const TRACKER_SIGNATURES = [
+    { id: 'google_admob', name: 'Google AdMob', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.google.android.gms.ads.'] },
+    { id: 'facebook_ads', name: 'Facebook Audience Network', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.facebook.ads.'] },
+    { id: 'applovin', name: 'AppLovin', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.applovin.'] },
+    { id: 'unity_ads', name: 'Unity Ads', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.unity3d.ads.', 'com.unity3d.services.'] },
+    { id: 'ironsource', name: 'ironSource', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.ironsource.'] },
+    { id: 'vungle', name: 'Vungle', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.vungle.'] },
+    { id: 'chartboost', name: 'Chartboost', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.chartboost.'] },
+    { id: 'inmobi', name: 'InMobi', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.inmobi.'] },
+    { id: 'mopub', name: 'MoPub', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.mopub.'] },
+    { id: 'pangle', name: 'Pangle', category: TRACKER_CATEGORIES.ADVERTISING, prefixes: ['com.bytedance.sdk.openadsdk.'] },
+    { id: 'firebase_analytics', name: 'Google Firebase Analytics', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.google.firebase.analytics.'] },
+    { id: 'google_analytics', name: 'Google Analytics', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.google.android.gms.analytics.'] },
+    { id: 'facebook_analytics', name: 'Facebook Analytics', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.facebook.appevents.'] },
+    { id: 'flurry', name: 'Flurry', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.flurry.'] },
+    { id: 'mixpanel', name: 'Mixpanel', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.mixpanel.'] },
+    { id: 'amplitude', name: 'Amplitude', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.amplitude.'] },
+    { id: 'segment', name: 'Segment', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.segment.analytics.'] },
+    { id: 'yandex_metrica', name: 'Yandex AppMetrica', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.yandex.metrica.'] },
+    { id: 'microsoft_appcenter', name: 'Microsoft App Center', category: TRACKER_CATEGORIES.ANALYTICS, prefixes: ['com.microsoft.appcenter.'] },
+    { id: 'appsflyer', name: 'AppsFlyer', category: TRACKER_CATEGORIES.ATTRIBUTION, prefixes: ['com.appsflyer.'] },
+    { id: 'adjust', name: 'Adjust', category: TRACKER_CATEGORIES.ATTRIBUTION, prefixes: ['com.adjust.sdk.'] },
+    { id: 'branch', name: 'Branch', category: TRACKER_CATEGORIES.ATTRIBUTION, prefixes: ['io.branch.'] },
+    { id: 'kochava', name: 'Kochava', category: TRACKER_CATEGORIES.ATTRIBUTION, prefixes: ['com.kochava.'] },
+    { id: 'firebase_crashlytics', name: 'Google Firebase Crashlytics', category: TRACKER_CATEGORIES.CRASH_REPORTING, prefixes: ['com.google.firebase.crashlytics.', 'com.crashlytics.'] },
+    { id: 'sentry', name: 'Sentry', category: TRACKER_CATEGORIES.CRASH_REPORTING, prefixes: ['io.sentry.'] },
+    { id: 'bugsnag', name: 'Bugsnag', category: TRACKER_CATEGORIES.CRASH_REPORTING, prefixes: ['com.bugsnag.'] },
+    { id: 'new_relic', name: 'New Relic', category: TRACKER_CATEGORIES.CRASH_REPORTING, prefixes: ['com.newrelic.'] },
+    { id: 'onesignal', name: 'OneSignal', category: TRACKER_CATEGORIES.ENGAGEMENT, prefixes: ['com.onesignal.'] },
+    { id: 'clevertap', name: 'CleverTap', category: TRACKER_CATEGORIES.ENGAGEMENT, prefixes: ['com.clevertap.'] },
+    { id: 'braze', name: 'Braze', category: TRACKER_CATEGORIES.ENGAGEMENT, prefixes: ['com.braze.', 'com.appboy.'] },
+];
+
+export const getTrackerSignature = (id) => {
+    return TRACKER_SIGNATURES.find(signature => signature.id === id) || null;
+};
+
+export const getTrackerCategoryLabel = (category) => {
+    return TRACKER_CATEGORY_LABELS[category] || 'Tracker';
+};
+
+export default {
+    TRACKER_SIGNATURES_VERSION,
+    TRACKER_CATEGORIES,
+    TRACKER_CATEGORY_LABELS,
+    TRACKER_SIGNATURES,
+    getTrackerSignature,
+    getTrackerCategoryLabel,
+};